@@ -0,0 +1,34 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  {
+    ignores: ['node_modules/', 'data/', 'models/']
+  },
+  js.configs.recommended,
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: {
+        ...globals.node
+      }
+    }
+  },
+  {
+    // Modules d'analyse IA historiques : variables et échappements superflus signalés sans bloquer
+    files: [
+      'services/advancedLocalAiService.js',
+      'services/enhancedLocalAiService.js',
+      'services/enhancedTensorflowService.js',
+      'services/enhancedTensorflowTraining.js',
+      'services/enhancedTensorflowTraining2.js',
+      'services/localAiService.js'
+    ],
+    rules: {
+      'no-unused-vars': 'warn',
+      'no-useless-escape': 'warn'
+    }
+  }
+];
@@ -0,0 +1,411 @@
+/**
+ * Parcours de création de ticket en mode IA :
+ * description libre, analyse, confirmation et modification des champs proposés
+ */
+
+const whatsappService = require('../services/whatsappService');
+const aiService = require('../services/enhancedLocalAiService');
+const advancedAiService = require('../services/advancedLocalAiService');
+const i18nService = require('../services/i18nService');
+const categoryService = require('../services/categoryService');
+const {
+  menuButton,
+  getUrgencyName,
+  parseUrgency,
+  findCategory,
+  presentCategories,
+  sendAiTicketSummary,
+  submitTicket
+} = require('./ticketHelpers');
+
+const URGENCY_LEVELS = ["1", "2", "3", "4", "5"];
+
+/**
+ * Éléments de la liste des niveaux d'urgence
+ * @param {string} language - Langue de l'utilisateur
+ * @returns {Array}
+ */
+function urgencyListItems(language) {
+  return URGENCY_LEVELS.map(id => ({
+    id,
+    title: i18nService.t(language, `urgency.${id}`),
+    description: i18nService.t(language, `urgencyDescription.${id}`)
+  }));
+}
+
+/**
+ * Extraire un titre de la première ligne d'une description lorsque l'IA n'en a pas fourni
+ * @param {string} text - Description saisie
+ * @returns {Object} - { title, description }
+ */
+function splitTitleFromDescription(text) {
+  const lines = text.split('\n');
+  const firstLine = lines[0].trim();
+  let title;
+  let description = text;
+
+  // Si la première ligne est courte, l'utiliser comme titre
+  if (firstLine.length <= 80) {
+    title = firstLine;
+    // Retirer la première ligne de la description si elle est utilisée comme titre
+    if (lines.length > 1) {
+      description = lines.slice(1).join('\n').trim();
+    }
+  } else {
+    // Sinon prendre les 50 premiers caractères
+    title = firstLine.substring(0, 50) + "...";
+  }
+
+  // S'assurer que la description n'est pas vide
+  if (!description || description.trim() === "") {
+    description = "Aucune description fournie.";
+  }
+
+  return { title, description };
+}
+
+/**
+ * Nom de la catégorie GLPI retenue par l'analyse, à défaut le libellé proposé par l'IA
+ * @param {Object} analysis - Résultat de l'analyse ({ categoryId, categoryName })
+ * @returns {string}
+ */
+function getCategoryName(analysis) {
+  const category = categoryService.getCategory(analysis.categoryId);
+  return category ? category.completename : (analysis.categoryName || "Autre");
+}
+
+/**
+ * Analyser une description : IA avancée, puis IA locale de secours, puis valeurs par défaut
+ * @param {string} text - Description saisie
+ * @param {string} language - Langue de l'utilisateur
+ * @returns {Promise<Object>} - Données du ticket (session.aiTicketData)
+ */
+async function analyzeDescription(text, language) {
+  try {
+    const analysis = await advancedAiService.analyzeTicketRequest(text);
+    console.log(`Analyse IA réussie avec advancedAiService: ${JSON.stringify(analysis)}`);
+
+    let title = analysis.title;
+    let description = text;
+
+    if (!title || title.trim() === "" || title === "Ticket sans titre") {
+      ({ title, description } = splitTitleFromDescription(text));
+    }
+
+    return {
+      title,
+      description,
+      type: analysis.type === 'incident' ? 'incident' : 'request',
+      typeId: analysis.type === 'incident' ? 1 : 2,
+      category: analysis.category || "incident_autre",
+      categoryId: analysis.categoryId,
+      categoryName: getCategoryName(analysis),
+      urgency: (analysis.urgency || 3).toString(),
+      urgencyName: getUrgencyName(analysis.urgency || 3, language),
+      suggestions: analysis.suggestions || [],
+      missingInfo: analysis.missingInfo || [],
+      complexity: analysis.complexity || "moyenne"
+    };
+  } catch (aiError) {
+    console.error(`Erreur avec advancedAiService: ${aiError}. Utilisation du service de secours.`);
+  }
+
+  try {
+    const fallbackAnalysis = await aiService.analyzeTicket(text);
+    console.log(`Analyse IA de secours réussie: ${JSON.stringify(fallbackAnalysis)}`);
+
+    return {
+      title: fallbackAnalysis.title || "Ticket sans titre",
+      description: text,
+      type: fallbackAnalysis.type === 'incident' ? 'incident' : 'request',
+      typeId: fallbackAnalysis.typeId || (fallbackAnalysis.type === 'incident' ? 1 : 2),
+      category: fallbackAnalysis.category || "incident_autre",
+      categoryId: fallbackAnalysis.categoryId,
+      categoryName: getCategoryName(fallbackAnalysis),
+      urgency: (fallbackAnalysis.urgency || 3).toString(),
+      urgencyName: getUrgencyName(fallbackAnalysis.urgency || 3, language),
+      suggestions: fallbackAnalysis.suggestions || [],
+      missingInfo: [],
+      complexity: "moyenne"
+    };
+  } catch (fallbackError) {
+    console.error(`Échec de l'analyse IA de secours: ${fallbackError}. Utilisation des valeurs par défaut.`);
+  }
+
+  const defaultCategoryId = categoryService.getCategoryIdForLabel("incident_autre");
+
+  return {
+    ...splitTitleFromDescription(text),
+    type: 'incident',
+    typeId: 1,
+    category: "incident_autre",
+    categoryId: defaultCategoryId,
+    categoryName: getCategoryName({ categoryId: defaultCategoryId, categoryName: "Autre incident" }),
+    urgency: "3",
+    urgencyName: getUrgencyName(3, language),
+    suggestions: [],
+    missingInfo: [],
+    complexity: "moyenne"
+  };
+}
+
+async function switchToGuided(ctx) {
+  await ctx.reply(ctx.t('ai.switchedToGuided'));
+  await ctx.goTo('select_type');
+}
+
+async function cancelAiTicket(ctx) {
+  await ctx.reply(ctx.t('ai.cancelled'));
+  await ctx.goTo('main_menu');
+}
+
+async function confirmAiTicket(ctx) {
+  const { aiTicketData } = ctx.session;
+  console.log("Données du ticket IA avant envoi:", JSON.stringify(aiTicketData, null, 2));
+
+  await ctx.reply(ctx.t('ai.creating'));
+
+  await submitTicket(ctx, {
+    title: aiTicketData.title,
+    description: aiTicketData.description,
+    type: aiTicketData.typeId,
+    category: aiTicketData.categoryId,
+    urgency: parseInt(aiTicketData.urgency)
+  }, {
+    // Réponse personnalisée générée par l'IA à partir de l'analyse
+    personalize: () => advancedAiService.generatePersonalizedResponse(aiTicketData)
+  });
+}
+
+/**
+ * Revenir à la confirmation après modification d'un champ
+ */
+async function backToConfirmation(ctx, message) {
+  await ctx.reply(ctx.t('ai.preparingSummary', { message }));
+  await ctx.goTo('ai_confirmation');
+}
+
+async function updateUrgency(ctx, urgencyId) {
+  const previousUrgency = getUrgencyName(ctx.session.aiTicketData.urgency, ctx.language);
+  ctx.session.aiTicketData.urgency = urgencyId.toString();
+  ctx.session.aiTicketData.urgencyName = getUrgencyName(urgencyId, ctx.language);
+
+  await backToConfirmation(ctx, ctx.t('ai.urgencyUpdated', {
+    previous: previousUrgency,
+    current: ctx.session.aiTicketData.urgencyName
+  }));
+}
+
+async function updateCategory(ctx, value) {
+  const category = await findCategory(ctx.session.aiTicketData.type, value);
+  if (!category) {
+    return false;
+  }
+
+  const previousCategory = ctx.session.aiTicketData.categoryName;
+  ctx.session.aiTicketData.categoryId = category.id;
+  ctx.session.aiTicketData.categoryName = category.name;
+
+  await backToConfirmation(ctx, ctx.t('ai.categoryUpdated', {
+    previous: previousCategory,
+    current: category.name
+  }));
+}
+
+module.exports = {
+  name: 'ai',
+
+  steps: {
+    ai_description: {
+      ticket: 'creation',
+      enter: (ctx) => {
+        delete ctx.session.aiTicketData;
+      },
+      prompt: (ctx) => whatsappService.sendButtonsMessage(
+          ctx.from,
+          ctx.t('ai.descriptionPrompt'),
+          [menuButton(ctx.language)],
+          ctx.t('ai.descriptionHeader')
+      ),
+      choices: {
+        switch_to_guided: switchToGuided,
+        retry_ai: (ctx) => ctx.goTo('ai_description')
+      },
+      text: async (ctx) => {
+        try {
+          console.log(`Analyse IA avancée de la demande pour ${ctx.from}: "${ctx.text}"`);
+
+          // Indiquer que l'IA travaille
+          await ctx.reply(ctx.t('ai.analyzing'));
+
+          ctx.session.aiTicketData = await analyzeDescription(ctx.text, ctx.language);
+          await ctx.goTo('ai_confirmation');
+        } catch (analysisError) {
+          console.error(`Erreur lors de l'analyse IA pour ${ctx.from}:`, analysisError);
+          await ctx.reply(ctx.t('ai.analysisError'));
+
+          const optionButtons = [
+            {
+              type: "reply",
+              reply: {
+                id: "switch_to_guided",
+                title: ctx.t('ai.switchToGuidedButton')
+              }
+            },
+            {
+              type: "reply",
+              reply: {
+                id: "retry_ai",
+                title: ctx.t('ai.retryButton')
+              }
+            }
+          ];
+
+          await whatsappService.sendButtonsMessage(ctx.from, ctx.t('ai.optionsBody'), optionButtons, ctx.t('ai.optionsHeader'));
+        }
+      },
+      hint: (ctx) => ctx.t('ai.descriptionHint')
+    },
+
+    ai_confirmation: {
+      ticket: 'creation',
+      prompt: (ctx) => sendAiTicketSummary(ctx.from, ctx.session.aiTicketData, ctx.language),
+      choices: {
+        confirm_ai_ticket: confirmAiTicket,
+        edit_ai_ticket: (ctx) => ctx.goTo('ai_edit_selection'),
+        cancel_ai_ticket: cancelAiTicket,
+        switch_to_guided: switchToGuided
+      },
+      cancel: cancelAiTicket,
+      hint: (ctx) => ctx.t('ai.confirmationHint')
+    },
+
+    ai_edit_selection: {
+      ticket: 'creation',
+      prompt: (ctx) => whatsappService.sendListMessage(
+          ctx.from,
+          ctx.t('ai.editHeader'),
+          ctx.t('ai.editBody'),
+          ctx.t('ai.editButtonText'),
+          [
+            {
+              id: "edit_title",
+              title: ctx.t('ai.editTitle'),
+              description: ctx.session.aiTicketData.title
+            },
+            {
+              id: "edit_urgency",
+              title: ctx.t('ai.editUrgency'),
+              description: getUrgencyName(ctx.session.aiTicketData.urgency, ctx.language)
+            },
+            {
+              id: "edit_category",
+              title: ctx.t('ai.editCategory'),
+              description: ctx.session.aiTicketData.categoryName
+            },
+            {
+              id: "edit_description",
+              title: ctx.t('ai.editDescription'),
+              description: ctx.t('ai.editDescriptionDetail')
+            }
+          ]
+      ),
+      choices: {
+        edit_title: (ctx) => ctx.goTo('ai_edit_title'),
+        edit_urgency: (ctx) => ctx.goTo('ai_edit_urgency'),
+        edit_category: (ctx) => ctx.goTo('ai_edit_category'),
+        edit_description: (ctx) => ctx.goTo('ai_edit_description')
+      },
+      hint: (ctx) => ctx.t('ai.editHint')
+    },
+
+    ai_edit_title: {
+      ticket: 'creation',
+      prompt: (ctx) => ctx.reply(ctx.t('ai.editTitlePrompt', { title: ctx.session.aiTicketData.title })),
+      text: async (ctx) => {
+        const previousTitle = ctx.session.aiTicketData.title;
+        ctx.session.aiTicketData.title = ctx.text;
+
+        await backToConfirmation(ctx, ctx.t('ai.titleUpdated', { previous: previousTitle, current: ctx.text }));
+      }
+    },
+
+    ai_edit_urgency: {
+      ticket: 'creation',
+      prompt: async (ctx) => {
+        await ctx.reply(ctx.t('ai.editUrgencyPrompt', {
+          urgency: getUrgencyName(ctx.session.aiTicketData.urgency, ctx.language)
+        }));
+        await whatsappService.sendListMessage(
+            ctx.from,
+            ctx.t('ai.urgencyListHeader'),
+            ctx.t('ai.urgencyListBody'),
+            ctx.t('ai.urgencyListButton'),
+            urgencyListItems(ctx.language)
+        );
+      },
+      choices: URGENCY_LEVELS.reduce((choices, id) => {
+        choices[id] = (ctx) => updateUrgency(ctx, parseInt(id, 10));
+        return choices;
+      }, {}),
+      text: (ctx) => {
+        const urgencyId = parseUrgency(ctx.text);
+        return urgencyId ? updateUrgency(ctx, urgencyId) : false;
+      },
+      hint: (ctx) => ctx.t('creation.urgencyHint')
+    },
+
+    ai_edit_category: {
+      ticket: 'creation',
+      prompt: async (ctx) => {
+        await ctx.reply(ctx.t('ai.editCategoryPrompt', { category: ctx.session.aiTicketData.categoryName }));
+        const presented = await presentCategories(ctx.from, ctx.session.aiTicketData.type, ctx.language);
+        // Catégories indisponibles (GLPI injoignable) : la catégorie proposée par l'IA est conservée
+        if (!presented) {
+          await backToConfirmation(ctx, ctx.t('creation.categoriesUnavailable'));
+        }
+      },
+      prefixes: {
+        category_page_: (ctx, page) => presentCategories(ctx.from, ctx.session.aiTicketData.type, ctx.language, page),
+        category_: updateCategory
+      },
+      text: (ctx) => updateCategory(ctx, ctx.text),
+      hint: (ctx) => ctx.t('creation.categoryHint'),
+      reprompt: false
+    },
+
+    ai_edit_description: {
+      ticket: 'creation',
+      prompt: (ctx) => ctx.reply(ctx.t('ai.editDescriptionPrompt')),
+      text: async (ctx) => {
+        const { aiTicketData } = ctx.session;
+        const preview = `${ctx.text.substring(0, 50)}${ctx.text.length > 50 ? '...' : ''}`;
+
+        try {
+          await ctx.reply(ctx.t('ai.descriptionUpdatedAnalyzing', { preview }));
+
+          const analysis = await advancedAiService.analyzeTicketRequest(ctx.text);
+
+          ctx.session.aiTicketData = {
+            ...aiTicketData,
+            description: ctx.text,
+            title: analysis.title || aiTicketData.title,
+            urgency: (analysis.urgency || aiTicketData.urgency).toString(),
+            urgencyName: getUrgencyName(analysis.urgency || aiTicketData.urgency, ctx.language),
+            suggestions: analysis.suggestions || [],
+            missingInfo: analysis.missingInfo || [],
+            complexity: analysis.complexity || "moyenne"
+          };
+
+          await backToConfirmation(ctx, ctx.t('ai.descriptionReanalyzed'));
+        } catch (error) {
+          console.error(`Erreur lors de la réanalyse pour ${ctx.from}:`, error);
+
+          // Mettre simplement à jour la description sans réanalyse
+          aiTicketData.description = ctx.text;
+          await backToConfirmation(ctx, ctx.t('ai.descriptionUpdated', { preview }));
+        }
+      }
+    }
+  }
+};
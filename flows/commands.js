@@ -0,0 +1,144 @@
+/**
+ * Commandes globales : raccourcis utilisables depuis n'importe quelle étape de la conversation
+ */
+
+const whatsappService = require('../services/whatsappService');
+const sessionManager = require('../services/sessionManager');
+const ticketTrackingService = require('../services/ticketTrackingService');
+const commandService = require('../services/commandService');
+const flowEngine = require('../services/flowEngine');
+const i18nService = require('../services/i18nService');
+const { checkTicketAccess } = require('./ticketHelpers');
+
+/**
+ * Afficher un ticket avec ses actions et en faire le ticket courant
+ */
+async function trackTicket(ctx, ticketId) {
+  const id = parseInt(ticketId, 10);
+  if (!await checkTicketAccess(ctx, id)) {
+    return;
+  }
+
+  const result = await ticketTrackingService.trackTicket(ctx.from, id, ctx.language);
+
+  if (!result.success) {
+    await ctx.reply(result.message);
+    return;
+  }
+
+  await ctx.reply(result.message);
+
+  // WhatsApp limite les messages à 3 boutons
+  for (let i = 0; i < result.buttons.length; i += 3) {
+    await whatsappService.sendButtonsMessage(
+        ctx.from,
+        ctx.t(i === 0 ? 'common.whatToDo' : 'common.otherActions'),
+        result.buttons.slice(i, i + 3),
+        ctx.t('common.ticketHeader', { ticketId: id })
+    );
+  }
+
+  await ctx.setStep('tracking_ticket', { ticketId: id });
+}
+
+/**
+ * Changer la langue de l'utilisateur, ou lui proposer les langues disponibles
+ */
+async function changeLanguage(ctx, language) {
+  if (!language) {
+    await whatsappService.sendButtonsMessage(
+        ctx.from,
+        ctx.t('language.chooseBody'),
+        i18nService.SUPPORTED_LANGUAGES.map(code => ({
+          type: "reply",
+          reply: {
+            id: `set_language_${code}`,
+            title: i18nService.t(code, 'languageName')
+          }
+        })),
+        ctx.t('language.chooseHeader')
+    );
+    return;
+  }
+
+  if (!i18nService.setUserLanguage(ctx.from, ctx.session, language)) {
+    return false;
+  }
+  await ctx.save();
+
+  await ctx.reply(ctx.t('language.changed'));
+
+  // Renvoyer le message de l'étape en cours dans la nouvelle langue
+  await flowEngine.reprompt(ctx);
+}
+
+// Boutons proposés par la commande "langue"
+flowEngine.registerGlobal({
+  prefixes: {
+    set_language_: changeLanguage
+  }
+});
+
+[
+  {
+    name: 'ticket',
+    aliases: { fr: ['#', 'ticket', 'n°'], en: ['#', 'ticket'], ar: ['#', 'تذكرة'] },
+    argument: /\d+/,
+    usage: '#1234',
+    description: 'commands.ticket',
+    handler: trackTicket
+  },
+  {
+    name: 'menu',
+    aliases: { fr: ['menu', 'accueil'], en: ['home'], ar: ['القائمة'] },
+    description: 'commands.menu',
+    handler: (ctx) => ctx.goTo(flowEngine.DEFAULT_STEP)
+  },
+  {
+    name: 'aide',
+    aliases: { fr: ['aide', '?'], en: ['help'], ar: ['مساعدة'] },
+    description: 'commands.help',
+    handler: async (ctx) => {
+      const hint = flowEngine.getHint(ctx);
+      await ctx.reply((hint ? `ℹ️ ${hint}\n\n` : '') + commandService.formatHelp(ctx.language));
+    }
+  },
+  {
+    name: 'mes_tickets',
+    aliases: { fr: ['mes tickets', 'mes abonnements'], en: ['my tickets'], ar: ['تذاكري'] },
+    description: 'commands.myTickets',
+    handler: (ctx) => ctx.goTo('viewing_subscriptions')
+  },
+  {
+    name: 'compte',
+    aliases: { fr: ['compte', 'lier mon compte'], en: ['account', 'link account'], ar: ['حسابي'] },
+    description: 'commands.account',
+    handler: (ctx) => ctx.goTo('link_status')
+  },
+  {
+    name: 'annuler',
+    aliases: { fr: ['annuler'], en: ['cancel'], ar: ['إلغاء'] },
+    description: 'commands.cancel',
+    handler: (ctx) => flowEngine.cancel(ctx)
+  },
+  {
+    name: 'reset',
+    aliases: { fr: ['reset', 'recommencer'], en: ['restart'], ar: ['إعادة'] },
+    description: 'commands.reset',
+    handler: async (ctx) => {
+      await sessionManager.deleteSession(ctx.from);
+
+      // Présenter directement le menu principal avec une session vierge
+      await flowEngine.goTo(ctx.from, {}, flowEngine.DEFAULT_STEP);
+    }
+  },
+  {
+    name: 'langue',
+    aliases: { fr: ['langue'], en: ['language', 'lang'], ar: ['لغة', 'اللغة'] },
+    argument: /(?:fr|en|ar)?/,
+    description: 'commands.language',
+    handler: changeLanguage
+  }
+].forEach(command => commandService.register(command));
+
+module.exports = commandService;
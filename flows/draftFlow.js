@@ -0,0 +1,137 @@
+/**
+ * Brouillons de tickets : reprise d'une création interrompue (session expirée ou création laissée sans réponse)
+ */
+
+const whatsappService = require('../services/whatsappService');
+const flowEngine = require('../services/flowEngine');
+const draftService = require('../services/draftService');
+const i18nService = require('../services/i18nService');
+
+/**
+ * Résumer les saisies d'un brouillon
+ * @param {Object} data - Données du brouillon
+ * @param {string} language - Langue de l'utilisateur
+ * @returns {string}
+ */
+function formatDraftSummary(data, language) {
+  const ticket = data.aiTicketData || data.ticketData || {};
+  let summary = '';
+
+  if (ticket.type) {
+    const type = i18nService.label(language, 'ticketType', ticket.type === 'incident' ? 1 : 2);
+    summary += i18nService.t(language, 'drafts.type', { type }) + '\n';
+  }
+  if (ticket.title) {
+    summary += i18nService.t(language, 'drafts.ticketTitle', { title: ticket.title }) + '\n';
+  }
+  if (ticket.description) {
+    const description = ticket.description.length > 150
+      ? `${ticket.description.substring(0, 150)}...`
+      : ticket.description;
+    summary += i18nService.t(language, 'drafts.description', { description }) + '\n';
+  }
+  if (data.pendingAttachments && data.pendingAttachments.length > 0) {
+    summary += i18nService.t(language, 'drafts.attachments', { count: data.pendingAttachments.length }) + '\n';
+  }
+
+  return summary;
+}
+
+/**
+ * Continuer à l'étape choisie avec le message qui a déclenché la proposition du brouillon :
+ * traité à cette étape s'il y répond, sinon l'étape est présentée normalement
+ * @param {Object} ctx - Contexte du message
+ * @param {string} stepName - Étape à laquelle continuer
+ */
+async function continueAt(ctx, stepName) {
+  const trigger = ctx.session.draftTriggerMessage;
+  delete ctx.session.draftTriggerMessage;
+
+  const replay = trigger && flowEngine.createContext(
+      ctx.from,
+      ctx.session,
+      flowEngine.parseInput(trigger.text, trigger.interactive)
+  );
+
+  if (!replay || !flowEngine.accepts(replay, flowEngine.getStep(stepName))) {
+    await ctx.goTo(stepName);
+    return;
+  }
+
+  await ctx.setStep(stepName);
+  await flowEngine.handle(ctx.from, trigger.text, trigger.interactive, ctx.session);
+}
+
+module.exports = {
+  name: 'drafts',
+
+  // Le brouillon suit la création en cours et disparaît dès que l'utilisateur la quitte
+  onStepChange: (from, session, step) => {
+    if (step.ticket === 'creation') {
+      draftService.saveDraft(from, session, step.name);
+    } else if (step.name !== 'draft_resume') {
+      draftService.deleteDraft(from);
+    }
+  },
+
+  steps: {
+    draft_resume: {
+      prompt: async (ctx) => {
+        const draft = draftService.getDraft(ctx.from);
+
+        if (!draft) {
+          await ctx.goTo('main_menu');
+          return;
+        }
+
+        let message = ctx.t('drafts.heading') + "\n\n";
+        message += ctx.t('drafts.startedAt', { date: i18nService.formatDateTime(ctx.language, draft.updatedAt) }) + "\n\n";
+        message += formatDraftSummary(draft.data, ctx.language);
+        message += "\n" + ctx.t('drafts.question');
+
+        await whatsappService.sendButtonsMessage(
+            ctx.from,
+            message,
+            [
+              {
+                type: "reply",
+                reply: {
+                  id: "resume_draft",
+                  title: ctx.t('drafts.resumeButton')
+                }
+              },
+              {
+                type: "reply",
+                reply: {
+                  id: "discard_draft",
+                  title: ctx.t('drafts.newTicketButton')
+                }
+              }
+            ],
+            ctx.t('drafts.header')
+        );
+      },
+      choices: {
+        resume_draft: async (ctx) => {
+          const step = draftService.restoreDraft(ctx.from, ctx.session);
+
+          if (!step) {
+            await ctx.reply(ctx.t('drafts.unavailable'));
+            await continueAt(ctx, 'ticket_creation_menu');
+            return;
+          }
+
+          await continueAt(ctx, step);
+        },
+        discard_draft: async (ctx) => {
+          draftService.clearSession(ctx.session);
+          ctx.session.ticketData = {};
+
+          draftService.deleteDraft(ctx.from);
+          await continueAt(ctx, 'ticket_creation_menu');
+        }
+      },
+      hint: (ctx) => ctx.t('drafts.hint')
+    }
+  }
+};
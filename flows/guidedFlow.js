@@ -0,0 +1,309 @@
+/**
+ * Parcours de création de ticket en mode guidé :
+ * type, catégorie, titre, description, urgence puis confirmation
+ * L'étape et les saisies sont enregistrées dans la session (sessionManager) : une création interrompue par un
+ * redémarrage du serveur reprend à la même étape, dont le message est renvoyé au message suivant.
+ */
+
+const whatsappService = require('../services/whatsappService');
+const sessionManager = require('../services/sessionManager');
+const flowEngine = require('../services/flowEngine');
+const {
+  menuButton,
+  getUrgencyName,
+  parseUrgency,
+  findCategory,
+  presentCategories,
+  presentTicketSummary,
+  ticketActionButtons,
+  submitTicket
+} = require('./ticketHelpers');
+
+// Identifiant du démarrage en cours : une création enregistrée sous un autre identifiant
+// a été interrompue par un redémarrage du serveur
+const BOOT_ID = `${process.pid}-${Date.now()}`;
+
+const TICKET_TYPES = {
+  type_incident: { type: 'incident', typeId: 1 },
+  type_request: { type: 'request', typeId: 2 }
+};
+
+/**
+ * Enregistrer le type choisi puis présenter les catégories correspondantes
+ */
+async function selectType(ctx, choiceId) {
+  const { type, typeId } = TICKET_TYPES[choiceId];
+  ctx.session.ticketData.type = type;
+  ctx.session.ticketData.typeId = typeId;
+  await ctx.goTo('select_category');
+}
+
+/**
+ * Enregistrer la catégorie (bouton ou numéro saisi) puis demander le titre
+ * @returns {Promise<boolean>} - false si la catégorie n'est pas reconnue
+ */
+async function selectCategory(ctx, value) {
+  const category = await findCategory(ctx.session.ticketData.type, value);
+  if (!category) {
+    return false;
+  }
+
+  // Enregistrer la catégorie avec l'ID numérique pour GLPI
+  ctx.session.ticketData.category = category.name;
+  ctx.session.ticketData.itilcategories_id = category.id;
+  await ctx.goTo('input_title');
+}
+
+/**
+ * Enregistrer le niveau d'urgence puis présenter le récapitulatif
+ */
+async function selectUrgency(ctx, urgencyId) {
+  ctx.session.ticketData.urgency = urgencyId;
+  ctx.session.ticketData.urgencyName = getUrgencyName(urgencyId, ctx.language);
+  await ctx.goTo('confirmation');
+}
+
+async function confirmTicket(ctx) {
+  const { ticketData } = ctx.session;
+
+  await submitTicket(ctx, {
+    title: ticketData.title,
+    description: ticketData.description,
+    type: ticketData.typeId,
+    urgency: ticketData.urgency,
+    itilcategories_id: ticketData.itilcategories_id
+  });
+}
+
+async function cancelTicket(ctx) {
+  await ctx.reply(ctx.t('creation.cancelled'));
+  await ctx.goTo('main_menu');
+}
+
+module.exports = {
+  name: 'guided',
+
+  // Marquer la création guidée avec le démarrage en cours
+  onStepChange: async (from, session, step) => {
+    if (step.flow === 'guided' && step.ticket === 'creation') {
+      if (session.guidedBootId !== BOOT_ID) {
+        session.guidedBootId = BOOT_ID;
+        await sessionManager.saveSession(from, session);
+      }
+    } else {
+      delete session.guidedBootId;
+    }
+  },
+
+  // Premier message après un redémarrage : une réponse attendue par l'étape en cours est traitée normalement,
+  // sinon (bouton d'un ancien message, saisie invalide) le message de l'étape est renvoyé
+  onMessage: async (ctx, step) => {
+    if (step.ticket !== 'creation' || ctx.session.guidedBootId === BOOT_ID) {
+      return false;
+    }
+
+    ctx.session.guidedBootId = BOOT_ID;
+    await ctx.save();
+
+    if (flowEngine.accepts(ctx, step)) {
+      return false;
+    }
+
+    console.log(`Reprise de la création guidée de ${ctx.from} à l'étape ${step.name} après un redémarrage`);
+
+    await ctx.reply(ctx.t('creation.resumed'));
+    await flowEngine.reprompt(ctx);
+    return true;
+  },
+
+  steps: {
+    select_type: {
+      ticket: 'creation',
+      enter: (ctx) => {
+        ctx.session.ticketData = {};
+      },
+      prompt: async (ctx) => {
+        const buttons = [
+          {
+            type: "reply",
+            reply: {
+              id: "type_incident",
+              title: ctx.t('creation.incidentType')
+            }
+          },
+          {
+            type: "reply",
+            reply: {
+              id: "type_request",
+              title: ctx.t('creation.requestType')
+            }
+          },
+          menuButton(ctx.language)
+        ];
+
+        await whatsappService.sendButtonsMessage(
+            ctx.from,
+            ctx.t('creation.typeBody'),
+            buttons,
+            ctx.t('creation.typeHeader')
+        );
+      },
+      choices: {
+        type_incident: (ctx) => selectType(ctx, 'type_incident'),
+        type_request: (ctx) => selectType(ctx, 'type_request')
+      },
+      keywords: {
+        incident: (ctx) => selectType(ctx, 'type_incident'),
+        demande: (ctx) => selectType(ctx, 'type_request'),
+        request: (ctx) => selectType(ctx, 'type_request')
+      },
+      hint: (ctx) => ctx.t('creation.typeHint')
+    },
+
+    select_category: {
+      ticket: 'creation',
+      prompt: async (ctx) => {
+        const presented = await presentCategories(ctx.from, ctx.session.ticketData.type, ctx.language);
+        // Catégories indisponibles (GLPI injoignable) : le ticket est créé sans catégorie
+        if (!presented) {
+          await ctx.reply(ctx.t('creation.categoriesUnavailable'));
+          await ctx.goTo('input_title');
+        }
+      },
+      prefixes: {
+        category_page_: (ctx, page) => presentCategories(ctx.from, ctx.session.ticketData.type, ctx.language, page),
+        category_: selectCategory
+      },
+      text: (ctx) => selectCategory(ctx, ctx.text),
+      hint: (ctx) => ctx.t('creation.categoryHint')
+    },
+
+    input_title: {
+      ticket: 'creation',
+      prompt: (ctx) => ctx.reply(ctx.t('creation.titlePrompt')),
+      text: async (ctx) => {
+        ctx.session.ticketData.title = ctx.text;
+        await ctx.goTo('input_description');
+      },
+      hint: (ctx) => ctx.t('creation.titleHint')
+    },
+
+    input_description: {
+      ticket: 'creation',
+      prompt: (ctx) => ctx.reply(ctx.t('creation.descriptionPrompt')),
+      text: async (ctx) => {
+        ctx.session.ticketData.description = ctx.text;
+        await ctx.goTo('select_urgency');
+      },
+      hint: (ctx) => ctx.t('creation.descriptionHint')
+    },
+
+    select_urgency: {
+      ticket: 'creation',
+      prompt: async (ctx) => {
+        // Premier groupe de boutons d'urgence (hautes urgences)
+        const urgencyButtonsHigh = [1, 2, 3].map(level => ({
+          type: "reply",
+          reply: {
+            id: `urgency_${level}`,
+            title: getUrgencyName(level, ctx.language)
+          }
+        }));
+
+        // Deuxième groupe de boutons d'urgence (basses urgences et retour)
+        const urgencyButtonsLow = [4, 5].map(level => ({
+          type: "reply",
+          reply: {
+            id: `urgency_${level}`,
+            title: getUrgencyName(level, ctx.language)
+          }
+        }));
+        urgencyButtonsLow.push(menuButton(ctx.language));
+
+        // Envoyer uniquement un message court pour introduire les boutons
+        await ctx.reply(ctx.t('creation.urgencyPrompt'));
+
+        try {
+          await whatsappService.sendButtonsMessage(
+              ctx.from,
+              ctx.t('creation.urgencyHighBody'),
+              urgencyButtonsHigh,
+              ctx.t('creation.urgencyHighHeader')
+          );
+          await whatsappService.sendButtonsMessage(
+              ctx.from,
+              ctx.t('creation.urgencyLowBody'),
+              urgencyButtonsLow,
+              ctx.t('creation.urgencyLowHeader')
+          );
+        } catch (error) {
+          console.error(`Erreur lors de l'envoi des boutons d'urgence pour ${ctx.from}:`, error);
+          // L'utilisateur peut toujours répondre avec le niveau en texte
+          await ctx.reply(ctx.t('creation.urgencyHint'));
+        }
+      },
+      prefixes: {
+        urgency_: (ctx, level) => {
+          const urgencyId = parseUrgency(level);
+          return urgencyId ? selectUrgency(ctx, urgencyId) : false;
+        }
+      },
+      text: (ctx) => {
+        const urgencyId = parseUrgency(ctx.text);
+        return urgencyId ? selectUrgency(ctx, urgencyId) : false;
+      },
+      hint: (ctx) => ctx.t('creation.urgencyHint')
+    },
+
+    confirmation: {
+      ticket: 'creation',
+      prompt: (ctx) => presentTicketSummary(ctx.from, ctx.session.ticketData, ctx.language),
+      choices: {
+        confirm_yes: confirmTicket,
+        confirm_no: cancelTicket
+      },
+      keywords: {
+        confirmer: confirmTicket,
+        oui: confirmTicket,
+        yes: confirmTicket,
+        confirm: confirmTicket,
+        non: cancelTicket,
+        no: cancelTicket
+      },
+      cancel: cancelTicket,
+      hint: (ctx) => ctx.t('creation.confirmationHint')
+    },
+
+    // Ticket tout juste créé (mode guidé ou IA) : actions proposées sur ce ticket
+    ticket_created: {
+      ticket: (session) => session.ticketId,
+      enter: (ctx, params) => {
+        if (params.ticketId) {
+          ctx.session.ticketId = params.ticketId;
+        }
+      },
+      prompt: (ctx) => whatsappService.sendButtonsMessage(
+          ctx.from,
+          ctx.t('creation.createdActions', { ticketId: ctx.session.ticketId }),
+          ticketActionButtons(ctx.session.ticketId, ctx.language),
+          ctx.t('creation.createdActionsHeader')
+      ),
+      text: (ctx) => {
+        const lowerCaseMessage = ctx.text.toLowerCase();
+        const params = { ticketId: ctx.session.ticketId };
+
+        if (lowerCaseMessage.includes('attribuer') || lowerCaseMessage.includes('assign')) {
+          return ctx.goTo('assign_ticket', params);
+        }
+        if (lowerCaseMessage.includes('demandeur') || lowerCaseMessage.includes('requester')) {
+          return ctx.goTo('add_requester', params);
+        }
+        if (lowerCaseMessage.includes('comment')) {
+          return ctx.goTo('add_comment', params);
+        }
+        return false;
+      },
+      hint: (ctx) => ctx.t('creation.createdHint', { ticketId: ctx.session.ticketId })
+    }
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Déclaration des parcours de conversation auprès du moteur
+ */
+
+const flowEngine = require('../services/flowEngine');
+
+[
+  require('./menuFlow'),
+  require('./guidedFlow'),
+  require('./aiFlow'),
+  require('./ticketActionsFlow'),
+  require('./trackingFlow'),
+  require('./searchFlow'),
+  require('./subscriptionFlow'),
+  require('./draftFlow'),
+  require('./requesterFlow'),
+  require('./linkFlow')
+].forEach(flow => flowEngine.registerFlow(flow));
+
+// Commandes globales, évaluées avant le parcours de l'étape en cours
+require('./commands');
+
+module.exports = flowEngine;
@@ -0,0 +1,214 @@
+/**
+ * Liaison du numéro WhatsApp à un compte GLPI : l'utilisateur donne son adresse email professionnelle,
+ * reçoit un code à usage unique à cette adresse et le recopie sur WhatsApp
+ */
+
+const whatsappService = require('../services/whatsappService');
+const glpiService = require('../services/glpiService');
+const userLinkService = require('../services/userLinkService');
+const { EMAIL_PATTERN, menuButton } = require('./ticketHelpers');
+
+/**
+ * Masquer une adresse email pour l'afficher (ex: pr*********@entreprise.fr)
+ * @param {string} email
+ * @returns {string}
+ */
+function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  return `${local.slice(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain}`;
+}
+
+/**
+ * Envoyer un code (premier envoi ou renvoi) et présenter la saisie du code
+ * @param {Object} ctx - Contexte du parcours
+ * @param {Function} send - () => Promise<{ success, retryIn }>
+ */
+async function sendCode(ctx, send) {
+  try {
+    const result = await send();
+
+    if (!result.success) {
+      if (result.retryIn) {
+        await ctx.reply(ctx.t('link.retryLater', { seconds: result.retryIn }));
+      } else {
+        await ctx.goTo('link_email');
+      }
+      return;
+    }
+  } catch (error) {
+    console.error(`Erreur lors de l'envoi du code de liaison pour ${ctx.from}:`, error.message);
+    await ctx.reply(ctx.t('link.sendError'));
+    return;
+  }
+
+  await ctx.goTo('link_code');
+}
+
+/**
+ * Rechercher le compte GLPI de l'adresse saisie et lui envoyer un code de vérification
+ */
+async function requestCode(ctx) {
+  const email = ctx.text.trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    return false;
+  }
+
+  let user;
+  try {
+    user = await glpiService.findUserByEmail(email);
+  } catch (error) {
+    console.error(`Erreur lors de la recherche du compte à lier pour ${ctx.from}:`, error.message);
+    await ctx.reply(ctx.t('link.lookupError'));
+    return;
+  }
+
+  if (!user) {
+    await ctx.reply(ctx.t('link.userNotFound', { email }));
+    return;
+  }
+
+  await sendCode(ctx, () => userLinkService.startVerification(ctx.from, user, email, ctx.language));
+}
+
+/**
+ * Vérifier le code recopié par l'utilisateur
+ */
+async function checkCode(ctx) {
+  const code = ctx.text.replace(/\s/g, '');
+  if (!/^\d{6}$/.test(code)) {
+    return false;
+  }
+
+  const result = userLinkService.verify(ctx.from, code);
+
+  switch (result.status) {
+    case 'linked':
+      await ctx.reply(ctx.t('link.linked', { email: result.link.email }));
+      await ctx.goTo('main_menu');
+      break;
+    case 'invalid':
+      await ctx.reply(ctx.t('link.invalidCode', { attemptsLeft: result.attemptsLeft }));
+      break;
+    case 'expired':
+      await ctx.reply(ctx.t('link.codeExpired'));
+      await ctx.goTo('link_email');
+      break;
+    case 'tooManyAttempts':
+      await ctx.reply(ctx.t('link.tooManyAttempts'));
+      await ctx.goTo('main_menu');
+      break;
+    default:
+      await ctx.goTo('link_email');
+  }
+}
+
+async function cancelLink(ctx) {
+  userLinkService.cancelVerification(ctx.from);
+  await ctx.reply(ctx.t('link.cancelled'));
+  await ctx.goTo('main_menu');
+}
+
+module.exports = {
+  name: 'link',
+
+  globals: {
+    choices: {
+      link_account: (ctx) => ctx.goTo('link_status')
+    }
+  },
+
+  steps: {
+    // Compte lié : rappel de la liaison et possibilité de la supprimer ; sinon début de la liaison
+    link_status: {
+      prompt: async (ctx) => {
+        const link = userLinkService.getLink(ctx.from);
+
+        if (!link) {
+          await ctx.goTo('link_email');
+          return;
+        }
+
+        await whatsappService.sendButtonsMessage(
+            ctx.from,
+            ctx.t('link.status', { email: link.email }),
+            [
+              {
+                type: "reply",
+                reply: {
+                  id: "unlink_account",
+                  title: ctx.t('link.unlinkButton')
+                }
+              },
+              menuButton(ctx.language)
+            ],
+            ctx.t('link.header')
+        );
+      },
+      choices: {
+        unlink_account: async (ctx) => {
+          userLinkService.unlink(ctx.from);
+          await ctx.reply(ctx.t('link.unlinked'));
+          await ctx.goTo('main_menu');
+        }
+      }
+    },
+
+    link_email: {
+      prompt: (ctx) => whatsappService.sendButtonsMessage(
+          ctx.from,
+          ctx.t('link.emailPrompt'),
+          [menuButton(ctx.language)],
+          ctx.t('link.header')
+      ),
+      text: requestCode,
+      hint: (ctx) => ctx.t('link.emailHint'),
+      cancel: cancelLink,
+      reprompt: false
+    },
+
+    link_code: {
+      prompt: async (ctx) => {
+        const pending = userLinkService.getPendingVerification(ctx.from);
+
+        if (!pending) {
+          await ctx.goTo('link_email');
+          return;
+        }
+
+        await whatsappService.sendButtonsMessage(
+            ctx.from,
+            ctx.t('link.codePrompt', {
+              email: maskEmail(pending.email),
+              minutes: Math.max(Math.ceil((pending.expiresAt - Date.now()) / 60000), 1)
+            }),
+            [
+              {
+                type: "reply",
+                reply: {
+                  id: "link_resend_code",
+                  title: ctx.t('link.resendButton')
+                }
+              },
+              {
+                type: "reply",
+                reply: {
+                  id: "link_change_email",
+                  title: ctx.t('link.changeEmailButton')
+                }
+              },
+              menuButton(ctx.language)
+            ],
+            ctx.t('link.header')
+        );
+      },
+      choices: {
+        link_resend_code: (ctx) => sendCode(ctx, () => userLinkService.resendCode(ctx.from, ctx.language)),
+        link_change_email: (ctx) => ctx.goTo('link_email')
+      },
+      text: checkCode,
+      hint: (ctx) => ctx.t('link.codeHint'),
+      cancel: cancelLink,
+      reprompt: false
+    }
+  }
+};
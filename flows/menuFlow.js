@@ -0,0 +1,91 @@
+/**
+ * Parcours du menu principal et des sous-menus (création, abonnements, suivi)
+ */
+
+const whatsappService = require('../services/whatsappService');
+const simpleMenuService = require('../services/simpleMenuService');
+
+const toMainMenu = (ctx) => ctx.goTo('main_menu');
+
+module.exports = {
+  name: 'menu',
+
+  // Boutons de navigation : ils restent utilisables depuis n'importe quelle étape
+  globals: {
+    choices: {
+      back_to_menu: toMainMenu,
+      main_menu: toMainMenu,
+      create_ticket_menu: (ctx) => ctx.goTo('ticket_creation_menu'),
+      subscriptions_menu: (ctx) => ctx.goTo('subscriptions_menu'),
+      track_ticket_menu: (ctx) => ctx.goTo('ticket_tracking_menu'),
+      create_ticket_guided: (ctx) => ctx.goTo('select_type'),
+      create_ticket_ai: (ctx) => ctx.goTo('ai_description')
+    }
+  },
+
+  steps: {
+    main_menu: {
+      // Revenir au menu abandonne les saisies en cours
+      enter: (ctx) => {
+        const { session } = ctx;
+        session.ticketData = {};
+        delete session.aiTicketData;
+        delete session.pendingAttachments;
+        delete session.pendingContacts;
+        delete session.ticketLocation;
+        delete session.searchCriteria;
+      },
+      prompt: async (ctx) => {
+        const message = ctx.t('menu.mainBody');
+
+        const mainButtons = [
+          {
+            type: "reply",
+            reply: {
+              id: "create_ticket_menu",
+              title: ctx.t('menu.createTicketButton')
+            }
+          },
+          {
+            type: "reply",
+            reply: {
+              id: "subscriptions_menu",
+              title: ctx.t('menu.subscriptionsButton')
+            }
+          },
+          {
+            type: "reply",
+            reply: {
+              id: "track_ticket_menu",
+              title: ctx.t('menu.trackButton')
+            }
+          }
+        ];
+
+        await whatsappService.sendButtonsMessage(ctx.from, message, mainButtons, ctx.t('menu.mainHeader'));
+      },
+      hint: (ctx) => ctx.t('menu.mainHint')
+    },
+
+    ticket_creation_menu: {
+      ticket: 'creation',
+      prompt: (ctx) => simpleMenuService.presentTicketCreationMenu(ctx.from, ctx.language),
+      choices: {
+        // Anciens boutons du menu de création
+        mode_guide: (ctx) => ctx.goTo('select_type'),
+        mode_ia: (ctx) => ctx.goTo('ai_description')
+      },
+      hint: (ctx) => ctx.t('menu.creationHint')
+    },
+
+    subscriptions_menu: {
+      prompt: (ctx) => simpleMenuService.presentSubscriptionsMenu(ctx.from, ctx.language),
+      hint: (ctx) => ctx.t('menu.subscriptionsHint')
+    },
+
+    ticket_tracking_menu: {
+      prompt: (ctx) => simpleMenuService.presentTicketTrackingMenu(ctx.from, ctx.language),
+      hint: (ctx) => ctx.t('menu.trackingHint')
+    }
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Identification du demandeur : adresse email demandée avant la création d'un ticket
+ * lorsque le numéro WhatsApp de l'utilisateur n'est associé à aucun utilisateur GLPI.
+ * L'adresse n'étant pas vérifiée, elle n'est pas rapprochée d'un compte GLPI (voir linkFlow).
+ */
+
+const whatsappService = require('../services/whatsappService');
+const { EMAIL_PATTERN, menuButton } = require('./ticketHelpers');
+
+/**
+ * Revenir au récapitulatif du ticket en cours de création pour que l'utilisateur le confirme
+ */
+async function resumeTicketCreation(ctx) {
+  const returnStep = ctx.session.requesterReturnStep || 'main_menu';
+  delete ctx.session.requesterReturnStep;
+  await ctx.goTo(returnStep);
+}
+
+async function recordRequesterEmail(ctx) {
+  const email = ctx.text.trim();
+  if (!EMAIL_PATTERN.test(email)) {
+    return false;
+  }
+
+  ctx.session.requester = { email };
+
+  await ctx.reply(ctx.t('requester.emailRecorded', { email }));
+  await resumeTicketCreation(ctx);
+}
+
+async function skipIdentification(ctx) {
+  ctx.session.requester = { skipped: true };
+  await ctx.reply(ctx.t('requester.skipped'));
+  await resumeTicketCreation(ctx);
+}
+
+module.exports = {
+  name: 'requester',
+
+  steps: {
+    identify_requester: {
+      ticket: 'creation',
+      enter: (ctx, params) => {
+        if (params.returnStep) {
+          ctx.session.requesterReturnStep = params.returnStep;
+        }
+      },
+      prompt: (ctx) => whatsappService.sendButtonsMessage(
+          ctx.from,
+          ctx.t('requester.emailPrompt'),
+          [
+            {
+              type: "reply",
+              reply: {
+                id: "skip_identification",
+                title: ctx.t('requester.skipButton')
+              }
+            },
+            menuButton(ctx.language)
+          ],
+          ctx.t('requester.header')
+      ),
+      choices: {
+        skip_identification: skipIdentification
+      },
+      text: recordRequesterEmail,
+      hint: (ctx) => ctx.t('requester.emailHint')
+    }
+  }
+};
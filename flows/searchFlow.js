@@ -0,0 +1,271 @@
+/**
+ * Parcours de recherche de tickets : par numéro, statut, type ou mot-clé
+ * La recherche porte sur tous les tickets GLPI : elle est réservée aux numéros liés à un compte GLPI.
+ */
+
+const whatsappService = require('../services/whatsappService');
+const glpiService = require('../services/glpiService');
+const ticketSearchService = require('../services/ticketSearchService');
+const flowEngine = require('../services/flowEngine');
+const i18nService = require('../services/i18nService');
+const { menuButton, openTicket, requireLinkedAccount } = require('./ticketHelpers');
+
+// Statuts GLPI proposés dans la recherche par statut
+const SEARCH_STATUSES = {
+  status_new: 1,
+  status_in_progress: 2,
+  status_solved: 5,
+  status_closed: 6
+};
+
+const SEARCH_TYPES = {
+  type_incident: 1,
+  type_request: 2
+};
+
+/**
+ * Boutons proposés après une recherche : nouvelle recherche et retour au menu
+ * @param {Object} ctx - Contexte du parcours
+ * @returns {Array}
+ */
+function searchNavigationButtons(ctx) {
+  return [
+    {
+      type: "reply",
+      reply: {
+        id: "new_search",
+        title: ctx.t('search.newSearchButton')
+      }
+    },
+    menuButton(ctx.language)
+  ];
+}
+
+/**
+ * Lancer la recherche avec les critères GLPI indiqués
+ */
+async function searchWith(ctx, criteria) {
+  ctx.session.searchCriteria = criteria;
+  await ctx.goTo('search_results');
+}
+
+/**
+ * Interpréter une saisie libre : numéro de ticket ou critères ("mot:imprimante statut:2")
+ */
+async function searchFromText(ctx) {
+  const ticketId = flowEngine.parseTicketId(ctx.text);
+  if (ticketId) {
+    await openTicket(ctx, ticketId);
+    return;
+  }
+
+  const criteria = ticketSearchService.parseCriteria(ctx.text);
+  console.log(`Critères analysés pour ${ctx.from}:`, JSON.stringify(criteria));
+  await searchWith(ctx, criteria);
+}
+
+async function cancelSearch(ctx) {
+  await ctx.reply(ctx.t('search.cancelled'));
+  await ctx.goTo('main_menu');
+}
+
+async function toSearchMenu(ctx) {
+  if (await requireLinkedAccount(ctx, ctx.t('link.searchDenied'))) {
+    await ctx.goTo('search_menu');
+  }
+}
+
+module.exports = {
+  name: 'search',
+
+  globals: {
+    choices: {
+      search_tickets: toSearchMenu,
+      new_search: toSearchMenu,
+      back_to_search: toSearchMenu
+    }
+  },
+
+  steps: {
+    search_menu: {
+      enter: (ctx) => {
+        delete ctx.session.searchCriteria;
+      },
+      prompt: async (ctx) => {
+        const buttons = [
+          {
+            type: "reply",
+            reply: {
+              id: "search_by_status",
+              title: ctx.t('search.byStatusButton')
+            }
+          },
+          {
+            type: "reply",
+            reply: {
+              id: "search_by_type",
+              title: ctx.t('search.byTypeButton')
+            }
+          },
+          {
+            type: "reply",
+            reply: {
+              id: "search_by_keyword",
+              title: ctx.t('search.byKeywordButton')
+            }
+          }
+        ];
+
+        await whatsappService.sendButtonsMessage(
+            ctx.from,
+            ctx.t('search.menuBody'),
+            buttons,
+            ctx.t('search.header')
+        );
+      },
+      choices: {
+        search_by_status: (ctx) => ctx.goTo('search_by_status'),
+        search_by_type: (ctx) => ctx.goTo('search_by_type'),
+        search_by_keyword: (ctx) => ctx.goTo('search_by_keyword')
+      },
+      cancel: cancelSearch,
+      text: searchFromText,
+      hint: (ctx) => ctx.t('search.menuHint')
+    },
+
+    search_by_status: {
+      prompt: (ctx) => whatsappService.sendListMessage(
+          ctx.from,
+          ctx.t('search.statusHeader'),
+          ctx.t('search.statusBody'),
+          ctx.t('search.statusButton'),
+          [
+            { id: "status_new", title: ctx.t('search.statusNew') },
+            { id: "status_in_progress", title: ctx.t('search.statusInProgress') },
+            { id: "status_solved", title: ctx.t('search.statusSolved') },
+            { id: "status_closed", title: ctx.t('search.statusClosed') }
+          ]
+      ),
+      prefixes: {
+        status_: (ctx, status) => {
+          const glpiStatus = SEARCH_STATUSES[`status_${status}`];
+          return glpiStatus ? searchWith(ctx, { status: glpiStatus }) : false;
+        }
+      },
+      cancel: cancelSearch,
+      hint: (ctx) => ctx.t('search.statusHint')
+    },
+
+    search_by_type: {
+      prompt: (ctx) => whatsappService.sendButtonsMessage(
+          ctx.from,
+          ctx.t('search.typeBody'),
+          [
+            {
+              type: "reply",
+              reply: {
+                id: "type_incident",
+                title: ctx.t('creation.incidentType')
+              }
+            },
+            {
+              type: "reply",
+              reply: {
+                id: "type_request",
+                title: ctx.t('creation.requestType')
+              }
+            },
+            {
+              type: "reply",
+              reply: {
+                id: "back_to_search",
+                title: ctx.t('common.backButton')
+              }
+            }
+          ],
+          ctx.t('search.typeHeader')
+      ),
+      choices: {
+        type_incident: (ctx) => searchWith(ctx, { type: SEARCH_TYPES.type_incident }),
+        type_request: (ctx) => searchWith(ctx, { type: SEARCH_TYPES.type_request })
+      },
+      cancel: cancelSearch,
+      hint: (ctx) => ctx.t('search.typeHint')
+    },
+
+    search_by_keyword: {
+      prompt: (ctx) => ctx.reply(ctx.t('search.keywordPrompt')),
+      cancel: cancelSearch,
+      text: (ctx) => searchWith(ctx, { keyword: ctx.text })
+    },
+
+    search_results: {
+      prompt: async (ctx) => {
+        const criteria = ctx.session.searchCriteria || {};
+        console.log(`Exécution de la recherche pour ${ctx.from} avec critères:`, criteria);
+
+        await ctx.reply(ctx.t('search.inProgress'));
+
+        try {
+          const { tickets, totalCount } = await glpiService.searchTickets(criteria);
+
+          if (!tickets || tickets.length === 0) {
+            await whatsappService.sendButtonsMessage(
+                ctx.from,
+                ctx.t('search.noResults'),
+                searchNavigationButtons(ctx),
+                ctx.t('search.header')
+            );
+            return;
+          }
+
+          let message = `${ctx.t('search.resultsTitle')}\n\n${ctx.t('search.found', { count: totalCount })}\n\n`;
+
+          // Limiter à 5 tickets maximum pour éviter un message trop long
+          const displayedTickets = tickets.slice(0, 5);
+
+          for (const ticket of displayedTickets) {
+            message += ctx.t('search.resultTicket', { ticketId: ticket.id }) + '\n';
+            message += ctx.t('search.resultTitle', { title: ticket.title }) + '\n';
+            message += ctx.t('search.resultStatus', { status: i18nService.label(ctx.language, 'status', ticket.status) }) + '\n';
+            message += ctx.t('search.resultDate', { date: i18nService.formatDate(ctx.language, ticket.dateCreation) }) + '\n\n';
+          }
+
+          // Résultats restants après cette page ("page:2" commence après les premiers résultats)
+          const remaining = totalCount - (criteria.start || 0) - displayedTickets.length;
+          if (remaining > 0) {
+            message += ctx.t('search.more', { count: remaining }) + '\n\n';
+          }
+
+          message += ctx.t('search.openAnother');
+
+          // Un seul ticket en bouton : les deux autres places servent à la navigation
+          const buttons = [
+            {
+              type: "reply",
+              reply: {
+                id: `track_ticket_${displayedTickets[0].id}`,
+                title: ctx.t('search.openButton', { ticketId: displayedTickets[0].id })
+              }
+            },
+            ...searchNavigationButtons(ctx)
+          ];
+
+          await whatsappService.sendButtonsMessage(ctx.from, message, buttons, ctx.t('search.header'));
+        } catch (error) {
+          console.error(`Erreur lors de l'exécution de la recherche pour ${ctx.from}:`, error);
+          await whatsappService.sendButtonsMessage(
+              ctx.from,
+              ctx.t('search.error'),
+              searchNavigationButtons(ctx),
+              ctx.t('search.header')
+          );
+        }
+      },
+      cancel: cancelSearch,
+      text: searchFromText,
+      hint: (ctx) => ctx.t('search.resultsHint'),
+      reprompt: false
+    }
+  }
+};
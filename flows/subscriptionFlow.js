@@ -0,0 +1,207 @@
+/**
+ * Parcours de gestion des abonnements aux notifications de tickets
+ */
+
+const whatsappService = require('../services/whatsappService');
+const notificationService = require('../services/notificationService');
+const ticketTrackingService = require('../services/ticketTrackingService');
+const { menuButton, checkTicketAccess } = require('./ticketHelpers');
+
+const subscriptionCommandsHint = (ctx) => ctx.t('subscriptions.commandsHint');
+
+/**
+ * Reconnaître une commande "abonner 123" ou "desabo 123"
+ * @param {string} text - Saisie de l'utilisateur
+ * @returns {Object|null} - { action: 'subscribe'|'unsubscribe', ticketId }
+ */
+function parseSubscriptionCommand(text) {
+  const match = (text || '').toLowerCase().trim().match(/^(abonner|desabo|désabo)\s+#?(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  return {
+    action: match[1] === 'abonner' ? 'subscribe' : 'unsubscribe',
+    ticketId: parseInt(match[2], 10)
+  };
+}
+
+/**
+ * Abonner l'utilisateur à un ticket existant
+ * @returns {Promise<boolean>} - true si l'abonnement a été ajouté
+ */
+async function subscribe(ctx, ticketId) {
+  if (notificationService.isSubscribed(ctx.from, ticketId)) {
+    await ctx.reply(ctx.t('subscriptions.alreadySubscribed', { ticketId }));
+    return false;
+  }
+
+  if (!await checkTicketAccess(ctx, ticketId)) {
+    return false;
+  }
+
+  const ticketDetails = await ticketTrackingService.getTicketDetails(ticketId);
+  if (!ticketDetails) {
+    await ctx.reply(ctx.t('subscriptions.ticketNotFound', { ticketId }));
+    return false;
+  }
+
+  notificationService.subscribeToTicket(ctx.from, ticketId);
+  await ctx.reply(ctx.t('subscriptions.subscribed', { ticketId }));
+  return true;
+}
+
+/**
+ * Désabonner l'utilisateur d'un ticket
+ * @returns {Promise<boolean>} - true si l'abonnement a été supprimé
+ */
+async function unsubscribe(ctx, ticketId) {
+  if (!notificationService.isSubscribed(ctx.from, ticketId)) {
+    await ctx.reply(ctx.t('subscriptions.notSubscribed', { ticketId }));
+    return false;
+  }
+
+  notificationService.unsubscribeFromTicket(ctx.from, ticketId);
+  await ctx.reply(ctx.t('subscriptions.unsubscribed', { ticketId }));
+  return true;
+}
+
+/**
+ * Exécuter une commande textuelle d'abonnement puis revenir à l'étape indiquée
+ * @returns {Promise<boolean>} - false si le texte n'est pas une commande d'abonnement
+ */
+async function runSubscriptionCommand(ctx, nextStep) {
+  const command = parseSubscriptionCommand(ctx.text);
+  if (!command) {
+    return false;
+  }
+
+  if (command.action === 'subscribe') {
+    await subscribe(ctx, command.ticketId);
+  } else {
+    await unsubscribe(ctx, command.ticketId);
+  }
+
+  await ctx.goTo(nextStep);
+  return true;
+}
+
+const toSubscriptions = (ctx) => ctx.goTo('viewing_subscriptions');
+
+module.exports = {
+  name: 'subscriptions',
+
+  globals: {
+    choices: {
+      view_my_subscriptions: toSubscriptions,
+      view_subscriptions: toSubscriptions,
+      refresh_subscriptions: toSubscriptions,
+      add_subscription: (ctx) => ctx.goTo('adding_subscription'),
+      remove_subscription: (ctx) => ctx.goTo('removing_subscription')
+    }
+  },
+
+  steps: {
+    viewing_subscriptions: {
+      prompt: async (ctx) => {
+        const subscriptionsResult = await notificationService.formatUserSubscriptionsMessage(ctx.from, ctx.language);
+
+        try {
+          await whatsappService.sendButtonsMessage(
+              ctx.from,
+              subscriptionsResult.message,
+              subscriptionsResult.buttons,
+              ctx.t('subscriptions.header')
+          );
+        } catch (error) {
+          console.error(`Erreur lors de l'envoi des boutons d'abonnement pour ${ctx.from}:`, error);
+          // Fallback en cas d'erreur avec les boutons
+          await whatsappService.sendMessage(
+              ctx.from,
+              ctx.t('subscriptions.menuFallback', { message: subscriptionsResult.message })
+          );
+        }
+      },
+      prefixes: {
+        // Le désabonnement depuis la liste réaffiche la liste à jour
+        unsub_ticket_: async (ctx, ticketId) => {
+          await unsubscribe(ctx, parseInt(ticketId, 10));
+          await ctx.goTo('viewing_subscriptions');
+        }
+      },
+      text: (ctx) => runSubscriptionCommand(ctx, 'viewing_subscriptions'),
+      hint: subscriptionCommandsHint,
+      reprompt: false
+    },
+
+    adding_subscription: {
+      prompt: (ctx) => ctx.reply(ctx.t('subscriptions.addPrompt')),
+      validate: (text, ctx) => /^(abonner\s+)?#?\d+$/i.test(text.trim())
+        ? null
+        : ctx.t('subscriptions.addInvalid'),
+      text: async (ctx) => {
+        const ticketId = parseInt(ctx.text.replace(/\D/g, ''), 10);
+        await subscribe(ctx, ticketId);
+        await ctx.goTo('viewing_subscriptions');
+      }
+    },
+
+    removing_subscription: {
+      prompt: async (ctx) => {
+        const userSubscriptions = notificationService.getUserSubscriptions(ctx.from);
+
+        if (userSubscriptions.length === 0) {
+          await ctx.reply(ctx.t('subscriptions.noneToRemove'));
+          await ctx.goTo('subscriptions_menu');
+          return;
+        }
+
+        let message = ctx.t('subscriptions.removeTitle') + "\n\n";
+
+        // Un bouton par ticket (limité à 2 pour garder le retour au menu)
+        const deleteButtons = [];
+
+        for (let i = 0; i < userSubscriptions.length; i++) {
+          const ticketId = userSubscriptions[i];
+
+          try {
+            const ticketDetails = await ticketTrackingService.getTicketDetails(ticketId);
+            message += (ticketDetails
+              ? ctx.t('subscriptions.ticketLine', { ticketId, title: ticketDetails.title || ticketDetails.name })
+              : ctx.t('subscriptions.ticketUnavailable', { ticketId })) + "\n";
+          } catch (error) {
+            console.error(`Erreur lors de la récupération des détails du ticket ${ticketId}:`, error);
+            message += ctx.t('subscriptions.ticketError', { ticketId }) + "\n";
+          }
+
+          if (deleteButtons.length < 2) {
+            deleteButtons.push({
+              type: "reply",
+              reply: {
+                id: `delete_sub_${ticketId}`,
+                title: ctx.t('subscriptions.removeButton', { ticketId })
+              }
+            });
+          }
+        }
+
+        message += "\n" + ctx.t('subscriptions.removeOther');
+
+        await whatsappService.sendButtonsMessage(
+            ctx.from,
+            message,
+            [...deleteButtons, menuButton(ctx.language)],
+            ctx.t('subscriptions.removeHeader')
+        );
+      },
+      prefixes: {
+        delete_sub_: async (ctx, ticketId) => {
+          await unsubscribe(ctx, parseInt(ticketId, 10));
+          await ctx.goTo('removing_subscription');
+        }
+      },
+      text: (ctx) => runSubscriptionCommand(ctx, 'removing_subscription'),
+      hint: subscriptionCommandsHint,
+      reprompt: false
+    }
+  }
+};
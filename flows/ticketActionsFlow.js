@@ -0,0 +1,360 @@
+/**
+ * Actions sur un ticket existant : commentaire, demandeur, attribution, fermeture et abonnement
+ * Les boutons d'action portent l'ID du ticket (ex: add_comment_123) et restent utilisables
+ * depuis n'importe quelle étape, notamment depuis les notifications reçues. L'accès au ticket est vérifié
+ * à chaque action (voir checkTicketAccess).
+ */
+
+const whatsappService = require('../services/whatsappService');
+const glpiService = require('../services/glpiService');
+const ticketTrackingService = require('../services/ticketTrackingService');
+const notificationService = require('../services/notificationService');
+const { menuButton, addContactsToTicket, checkTicketAccess } = require('./ticketHelpers');
+
+/**
+ * Lire l'ID de ticket porté par un bouton d'action
+ * @param {string} suffix - Fin de l'identifiant du bouton
+ * @returns {number|null}
+ */
+function parseTicketSuffix(suffix) {
+  return /^\d+$/.test(suffix) ? parseInt(suffix, 10) : null;
+}
+
+/**
+ * Créer un gestionnaire de bouton qui ouvre une étape pour le ticket indiqué
+ * @param {string} stepName - Étape cible
+ * @returns {Function}
+ */
+function openStepForTicket(stepName) {
+  return async (ctx, suffix) => {
+    const ticketId = parseTicketSuffix(suffix);
+    if (!ticketId) {
+      return false;
+    }
+    if (await checkTicketAccess(ctx, ticketId)) {
+      await ctx.goTo(stepName, { ticketId });
+    }
+  };
+}
+
+/**
+ * Créer un gestionnaire de bouton qui exécute une action sur le ticket indiqué
+ * @param {Function} action - (ctx, ticketId) => Promise
+ * @returns {Function}
+ */
+function actionForTicket(action) {
+  return async (ctx, suffix) => {
+    const ticketId = parseTicketSuffix(suffix);
+    if (!ticketId) {
+      return false;
+    }
+    if (await checkTicketAccess(ctx, ticketId)) {
+      await action(ctx, ticketId);
+    }
+  };
+}
+
+/**
+ * Boutons proposés après une action réussie sur un ticket
+ * @param {Object} ctx - Contexte du message
+ * @param {number} ticketId - ID du ticket
+ * @param {Object} secondAction - Bouton d'action complémentaire { id, title }
+ * @returns {Array}
+ */
+function followUpButtons(ctx, ticketId, secondAction) {
+  return [
+    {
+      type: "reply",
+      reply: {
+        id: `view_ticket_${ticketId}`,
+        title: ctx.t('actions.viewTicketButton')
+      }
+    },
+    {
+      type: "reply",
+      reply: secondAction
+    },
+    menuButton(ctx.language)
+  ];
+}
+
+/**
+ * Attribuer le ticket à un groupe ou à un technicien choisi dans la liste proposée
+ * @param {Object} ctx - Contexte du message
+ * @param {string} entityType - 'group' ou 'tech'
+ * @param {string} suffix - "<ID de l'entité>_<ID du ticket>"
+ */
+async function assignTicket(ctx, entityType, suffix) {
+  const match = suffix.match(/^(\d+)_(\d+)$/);
+  if (!match) {
+    return false;
+  }
+
+  const entityId = parseInt(match[1], 10);
+  const ticketId = parseInt(match[2], 10);
+  if (!await checkTicketAccess(ctx, ticketId)) {
+    return;
+  }
+
+  try {
+    let assigneeLabel;
+
+    if (entityType === 'group') {
+      await ticketTrackingService.assignTicketToGroup(ticketId, entityId);
+      const group = (ctx.session.availableGroups || []).find(g => g.id === entityId);
+      assigneeLabel = ctx.t('actions.assignedToGroup', {
+        name: group ? group.name : ctx.t('ticket.groupFallback', { id: entityId })
+      });
+    } else {
+      await ticketTrackingService.assignTicketToTechnician(ticketId, entityId);
+      const technician = (ctx.session.availableTechnicians || []).find(t => t.id === entityId);
+      assigneeLabel = ctx.t('actions.assignedToTechnician', {
+        name: technician ? technician.name : ctx.t('ticket.technicianFallback', { id: entityId })
+      });
+    }
+
+    await whatsappService.sendButtonsMessage(
+        ctx.from,
+        ctx.t('actions.assigned', { ticketId, assignee: assigneeLabel }),
+        followUpButtons(ctx, ticketId, { id: `add_comment_${ticketId}`, title: ctx.t('creation.commentButton') }),
+        ctx.t('actions.assignmentHeader')
+    );
+  } catch (error) {
+    console.error(`Erreur lors de l'attribution du ticket #${ticketId} pour ${ctx.from}:`, error);
+    await whatsappService.sendButtonsMessage(
+        ctx.from,
+        ctx.t('actions.assignError', { ticketId }),
+        [menuButton(ctx.language)],
+        ctx.t('actions.assignErrorHeader')
+    );
+  }
+
+  delete ctx.session.availableGroups;
+  delete ctx.session.availableTechnicians;
+  await ctx.setStep('tracking_ticket', { ticketId });
+}
+
+/**
+ * Fermer un ticket et prévenir ses abonnés
+ */
+async function closeTicket(ctx, ticketId) {
+  try {
+    await glpiService.closeTicket(ticketId);
+    await notificationService.triggerTicketUpdateNotification(ticketId, 'status', {
+      previousStatus: 2,
+      status: 6
+    });
+
+    await whatsappService.sendButtonsMessage(
+        ctx.from,
+        ctx.t('actions.closed', { ticketId }),
+        followUpButtons(ctx, ticketId, { id: `add_comment_${ticketId}`, title: ctx.t('creation.commentButton') }),
+        ctx.t('actions.closedHeader')
+    );
+  } catch (error) {
+    console.error(`Erreur lors de la fermeture du ticket #${ticketId} pour ${ctx.from}:`, error);
+    await ctx.reply(ctx.t('actions.closeError', { ticketId }));
+  }
+
+  await ctx.setStep('tracking_ticket', { ticketId });
+}
+
+async function subscribeToTicket(ctx, ticketId) {
+  if (notificationService.isSubscribed(ctx.from, ticketId)) {
+    await ctx.reply(ctx.t('actions.alreadySubscribed', { ticketId }));
+  } else {
+    notificationService.subscribeToTicket(ctx.from, ticketId);
+    await ctx.reply(ctx.t('actions.subscribed', { ticketId }));
+  }
+}
+
+async function unsubscribeFromTicket(ctx, ticketId) {
+  if (notificationService.isSubscribed(ctx.from, ticketId)) {
+    notificationService.unsubscribeFromTicket(ctx.from, ticketId);
+    await ctx.reply(ctx.t('actions.unsubscribed', { ticketId }));
+  } else {
+    await ctx.reply(ctx.t('actions.notSubscribed', { ticketId }));
+  }
+}
+
+async function showComments(ctx, ticketId) {
+  const commentsResult = await ticketTrackingService.getTicketComments(ticketId, ctx.language);
+
+  if (commentsResult.success && commentsResult.buttons && commentsResult.buttons.length > 0) {
+    await whatsappService.sendButtonsMessage(ctx.from, commentsResult.message, commentsResult.buttons, ctx.t('actions.commentsHeader'));
+  } else {
+    await ctx.reply(commentsResult.message);
+  }
+
+  await ctx.setStep('tracking_ticket', { ticketId });
+}
+
+const openTicketView = openStepForTicket('tracking_ticket');
+const openComment = openStepForTicket('add_comment');
+const openAssignment = openStepForTicket('assign_ticket');
+
+// L'étape courante porte le ticket sur lequel agir
+const currentTicket = (session) => session.ticketId;
+
+const setTicketId = (ctx, params) => {
+  if (params.ticketId) {
+    ctx.session.ticketId = parseInt(params.ticketId, 10);
+  }
+};
+
+module.exports = {
+  name: 'ticketActions',
+
+  globals: {
+    prefixes: {
+      view_ticket_: openTicketView,
+      track_ticket_: openTicketView,
+      search_ticket_: openTicketView,
+      comment_ticket_: openComment,
+      add_comment_: openComment,
+      add_followup_: openComment,
+      add_requester_: openStepForTicket('add_requester'),
+      assign_ticket_: openAssignment,
+      assign_technician_: openAssignment,
+      assign_group_: (ctx, suffix) => assignTicket(ctx, 'group', suffix),
+      assign_tech_: (ctx, suffix) => assignTicket(ctx, 'tech', suffix),
+      close_ticket_: actionForTicket(closeTicket),
+      sub_ticket_: actionForTicket(subscribeToTicket),
+      subscribe_ticket_: actionForTicket(subscribeToTicket),
+      unsub_ticket_: actionForTicket(unsubscribeFromTicket),
+      unsubscribe_ticket_: actionForTicket(unsubscribeFromTicket),
+      view_comments_: actionForTicket(showComments)
+    }
+  },
+
+  steps: {
+    add_comment: {
+      ticket: currentTicket,
+      enter: setTicketId,
+      prompt: (ctx) => ctx.reply(ctx.t('actions.commentPrompt', {
+        ticketId: ctx.session.ticketId,
+        instructions: ticketTrackingService.formatAddCommentMessage(ctx.language)
+      })),
+      text: async (ctx) => {
+        const { ticketId } = ctx.session;
+
+        try {
+          const followupResponse = await glpiService.addTicketFollowup(ticketId, ctx.text);
+
+          // Déclencher une notification pour les abonnés
+          await notificationService.triggerTicketUpdateNotification(ticketId, 'comment', {
+            content: ctx.text,
+            author: "Utilisateur WhatsApp",
+            followupId: followupResponse?.id || null
+          });
+
+          await whatsappService.sendButtonsMessage(
+              ctx.from,
+              ctx.t('actions.commentAdded', { ticketId }),
+              followUpButtons(ctx, ticketId, { id: `assign_ticket_${ticketId}`, title: ctx.t('creation.assignButton') }),
+              ctx.t('actions.commentHeader')
+          );
+        } catch (error) {
+          console.error(`Erreur lors de l'ajout du commentaire au ticket ${ticketId} pour ${ctx.from}:`, error);
+          await ctx.reply(ctx.t('actions.commentError', { ticketId }));
+        }
+
+        await ctx.setStep('tracking_ticket');
+      },
+      hint: (ctx) => ctx.t('actions.commentHint')
+    },
+
+    add_requester: {
+      ticket: currentTicket,
+      enter: setTicketId,
+      prompt: (ctx) => ctx.reply(ctx.t('actions.requesterPrompt', {
+        instructions: ticketTrackingService.formatAddRequesterMessage(ctx.language),
+        ticketId: ctx.session.ticketId
+      })),
+      text: async (ctx) => {
+        const { ticketId } = ctx.session;
+        const requesterInfo = ctx.text;
+        const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(requesterInfo);
+        const isPhone = /^\+?[\d\s.-]{6,}$/.test(requesterInfo);
+
+        if (isEmail || isPhone) {
+          // Même recherche que pour une fiche contact partagée (email puis téléphone)
+          await addContactsToTicket(ctx.from, ticketId, [{
+            name: requesterInfo,
+            emails: isEmail ? [requesterInfo] : [],
+            phones: isPhone ? [requesterInfo] : []
+          }], 'requester');
+        } else {
+          const result = await ticketTrackingService.addRequesterToTicket(ticketId, requesterInfo, ctx.language);
+          await ctx.reply(result.message);
+
+          if (result.success) {
+            await notificationService.triggerTicketUpdateNotification(ticketId, 'requester', {
+              requesterName: requesterInfo
+            });
+          }
+        }
+
+        await ctx.goTo('tracking_ticket');
+      },
+      hint: (ctx) => ctx.t('actions.requesterHint')
+    },
+
+    assign_ticket: {
+      ticket: currentTicket,
+      enter: setTicketId,
+      prompt: async (ctx) => {
+        const { ticketId } = ctx.session;
+
+        try {
+          await ctx.reply(ctx.t('actions.assignLoading', { ticketId }));
+
+          const groups = await glpiService.getGroups();
+          const technicians = await glpiService.getTechnicians();
+
+          // Conserver les choix proposés pour afficher leur nom après l'attribution
+          ctx.session.availableGroups = groups.slice(0, 3); // Limiter à 3 groupes pour les boutons
+          ctx.session.availableTechnicians = technicians.slice(0, 2); // Garder une place pour le retour au menu
+          await ctx.save();
+
+          const groupButtons = ctx.session.availableGroups.map(group => ({
+            type: "reply",
+            reply: {
+              id: `assign_group_${group.id}_${ticketId}`,
+              title: `📁 ${group.name}`.substring(0, 20)
+            }
+          }));
+
+          const techButtons = ctx.session.availableTechnicians.map(tech => ({
+            type: "reply",
+            reply: {
+              id: `assign_tech_${tech.id}_${ticketId}`,
+              title: `👤 ${tech.name}`.substring(0, 20)
+            }
+          }));
+          techButtons.push(menuButton(ctx.language));
+
+          if (groupButtons.length > 0) {
+            await whatsappService.sendButtonsMessage(
+                ctx.from,
+                ctx.t('actions.groupsBody', { ticketId }),
+                groupButtons,
+                ctx.t('actions.groupsHeader')
+            );
+          }
+          await whatsappService.sendButtonsMessage(
+              ctx.from,
+              ctx.t('actions.techniciansBody'),
+              techButtons,
+              ctx.t('actions.techniciansHeader')
+          );
+        } catch (error) {
+          console.error(`Erreur lors de la récupération des groupes/techniciens pour ${ctx.from}:`, error);
+          await ctx.reply(ctx.t('actions.assignOptionsError'));
+        }
+      },
+      hint: (ctx) => ctx.t('actions.assignHint'),
+      reprompt: false
+    }
+  }
+};
@@ -0,0 +1,498 @@
+/**
+ * Fonctions partagées par les parcours de conversation :
+ * urgences, catégories ITIL, résumés avant création, création du ticket, accès et ouverture d'un ticket existant
+ */
+
+const whatsappService = require('../services/whatsappService');
+const glpiService = require('../services/glpiService');
+const ticketTrackingService = require('../services/ticketTrackingService');
+const ticketMonitorService = require('../services/ticketMonitorService');
+const notificationService = require('../services/notificationService');
+const mediaService = require('../services/mediaService');
+const i18nService = require('../services/i18nService');
+const rateLimitService = require('../services/rateLimitService');
+const categoryService = require('../services/categoryService');
+const requesterService = require('../services/requesterService');
+const userLinkService = require('../services/userLinkService');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Catégories par page de la liste (WhatsApp limite une liste à 10 lignes, 2 sont réservées à la navigation)
+const CATEGORIES_PER_PAGE = 8;
+
+/**
+ * Bouton de retour au menu principal
+ * @param {string} language - Langue de l'utilisateur
+ * @returns {Object}
+ */
+function menuButton(language) {
+  return {
+    type: "reply",
+    reply: {
+      id: "back_to_menu",
+      title: i18nService.t(language, 'common.menuButton')
+    }
+  };
+}
+
+/**
+ * Bouton de liaison du numéro à un compte GLPI
+ * @param {string} language - Langue de l'utilisateur
+ * @returns {Object}
+ */
+function linkAccountButton(language) {
+  return {
+    type: "reply",
+    reply: {
+      id: "link_account",
+      title: i18nService.t(language, 'link.linkButton')
+    }
+  };
+}
+
+/**
+ * Réserver une fonctionnalité aux numéros liés à un compte GLPI : les autres reçoivent le message
+ * indiqué et la proposition de lier leur compte
+ * @param {Object} ctx - Contexte du parcours
+ * @param {string} message - Raison du refus
+ * @returns {Promise<boolean>} - true si le numéro est lié
+ */
+async function requireLinkedAccount(ctx, message) {
+  if (userLinkService.isLinked(ctx.from)) {
+    return true;
+  }
+
+  await whatsappService.sendButtonsMessage(
+      ctx.from,
+      `${message}\n\n${ctx.t('link.required')}`,
+      [linkAccountButton(ctx.language), menuButton(ctx.language)],
+      ctx.t('link.header')
+  );
+  return false;
+}
+
+/**
+ * Vérifier que l'utilisateur peut consulter un ticket et agir dessus : un numéro lié à GLPI accède
+ * à tous les tickets, les autres seulement au dernier ticket qu'ils ont créé et aux tickets qu'ils suivent
+ * @param {Object} ctx - Contexte du parcours
+ * @param {number} ticketId - ID du ticket
+ * @returns {Promise<boolean>} - true si l'accès est autorisé (sinon l'utilisateur a été prévenu)
+ */
+async function checkTicketAccess(ctx, ticketId) {
+  if (parseInt(ctx.session.lastCreatedTicketId, 10) === ticketId ||
+      notificationService.isSubscribed(ctx.from, ticketId)) {
+    return true;
+  }
+  return requireLinkedAccount(ctx, ctx.t('link.ticketAccessDenied', { ticketId }));
+}
+
+/**
+ * Obtenir le nom de l'urgence à partir de son niveau
+ * @param {number|string} urgencyId - Niveau d'urgence (1 à 5)
+ * @param {string} [language] - Langue de l'utilisateur
+ * @returns {string}
+ */
+function getUrgencyName(urgencyId, language = i18nService.DEFAULT_LANGUAGE) {
+  const level = parseInt(urgencyId) >= 1 && parseInt(urgencyId) <= 5 ? parseInt(urgencyId) : 3;
+  return i18nService.t(language, `urgencyLevel.${level}`);
+}
+
+/**
+ * Reconnaître un niveau d'urgence saisi en texte ("2", "haute", "critique"...)
+ * @param {string} text - Saisie de l'utilisateur
+ * @returns {number|null}
+ */
+function parseUrgency(text) {
+  const lowerCaseMessage = (text || '').toLowerCase().trim();
+
+  const digit = lowerCaseMessage.match(/[1-5]/);
+  if (digit) {
+    return parseInt(digit[0]);
+  }
+
+  // Les niveaux "très ..." sont testés avant les niveaux simples qu'ils contiennent
+  if (lowerCaseMessage.includes('très haute') || lowerCaseMessage.includes('critique')) {
+    return 1;
+  }
+  if (lowerCaseMessage.includes('très basse') || lowerCaseMessage.includes('minimale')) {
+    return 5;
+  }
+  if (lowerCaseMessage.includes('haute') || lowerCaseMessage.includes('important')) {
+    return 2;
+  }
+  if (lowerCaseMessage.includes('moyenne') || lowerCaseMessage.includes('normal')) {
+    return 3;
+  }
+  if (lowerCaseMessage.includes('basse') || lowerCaseMessage.includes('faible')) {
+    return 4;
+  }
+  return null;
+}
+
+/**
+ * Retrouver une catégorie GLPI à partir de l'identifiant d'une ligne "category_<id>"
+ * ou d'un numéro saisi par l'utilisateur
+ * @param {string} type - 'incident' ou 'request'
+ * @param {string} value - Suffixe de la ligne ou saisie
+ * @returns {Promise<Object|null>} - { id, name }
+ */
+async function findCategory(type, value) {
+  const categoryId = (value || '').trim();
+  if (!/^\d+$/.test(categoryId)) {
+    return null;
+  }
+
+  const category = await categoryService.findCategory(type, categoryId);
+  return category ? { id: category.id, name: category.completename } : null;
+}
+
+/**
+ * Présenter une page des catégories ITIL proposées pour le type de ticket (liste WhatsApp)
+ * Les sous-catégories sont décalées selon leur niveau et leur chemin complet est affiché en description.
+ * @param {string} from - Numéro de l'utilisateur
+ * @param {string} type - 'incident' ou 'request'
+ * @param {string} language - Langue de l'utilisateur
+ * @param {number} [page=1] - Page à présenter
+ * @returns {Promise<boolean>} - false si aucune catégorie n'est disponible
+ */
+async function presentCategories(from, type, language, page = 1) {
+  const categories = await categoryService.getCategories(type);
+
+  if (categories.length === 0) {
+    return false;
+  }
+
+  const pages = Math.ceil(categories.length / CATEGORIES_PER_PAGE);
+  const currentPage = Math.min(Math.max(parseInt(page, 10) || 1, 1), pages);
+  const pageCategories = categories.slice((currentPage - 1) * CATEGORIES_PER_PAGE, currentPage * CATEGORIES_PER_PAGE);
+
+  const rows = pageCategories.map(category => ({
+    id: `category_${category.id}`,
+    title: `${'› '.repeat(Math.max(category.level - 1, 0))}${category.name}`,
+    description: category.completename
+  }));
+
+  if (currentPage > 1) {
+    rows.push({ id: `category_page_${currentPage - 1}`, title: i18nService.t(language, 'creation.categoryPrevious') });
+  }
+  if (currentPage < pages) {
+    rows.push({ id: `category_page_${currentPage + 1}`, title: i18nService.t(language, 'creation.categoryNext') });
+  }
+
+  try {
+    await whatsappService.sendListMessage(
+        from,
+        i18nService.t(language, 'creation.categoryHeader', { page: currentPage, pages }),
+        i18nService.t(language, 'creation.categoryPrompt'),
+        i18nService.t(language, 'creation.categoryButton'),
+        rows
+    );
+  } catch (error) {
+    console.error(`Erreur lors de l'envoi de la liste des catégories (page ${currentPage}/${pages}):`, error);
+    // Envoyer un message texte simple avec les options en cas d'erreur
+    const categoriesText = pageCategories
+      .map(category => i18nService.t(language, 'creation.categoryOption', { title: category.completename, id: category.id }))
+      .join('\n');
+    await whatsappService.sendMessage(from, i18nService.t(language, 'creation.categoryFallback', {
+      page: currentPage,
+      pages,
+      categories: categoriesText
+    }));
+  }
+
+  return true;
+}
+
+/**
+ * Présenter le résumé d'un ticket en mode guidé pour confirmation
+ * Les libellés (catégorie, urgence) sont recalculés dans la langue actuelle de l'utilisateur
+ * @param {string} from - Numéro de l'utilisateur
+ * @param {Object} ticketData - Données saisies
+ * @param {string} language - Langue de l'utilisateur
+ */
+async function presentTicketSummary(from, ticketData, language) {
+  const category = await findCategory(ticketData.type, String(ticketData.itilcategories_id || ''));
+
+  const summary = i18nService.t(language, 'creation.summary', {
+    type: i18nService.t(language, ticketData.type === 'incident' ? 'creation.incidentType' : 'creation.requestType'),
+    category: category ? category.name : ticketData.category,
+    title: ticketData.title,
+    description: ticketData.description,
+    urgency: getUrgencyName(ticketData.urgency, language)
+  });
+
+  await whatsappService.sendMessage(from, summary);
+
+  const confirmButtons = [
+    {
+      type: "reply",
+      reply: {
+        id: "confirm_yes",
+        title: i18nService.t(language, 'creation.confirmButton')
+      }
+    },
+    {
+      type: "reply",
+      reply: {
+        id: "confirm_no",
+        title: i18nService.t(language, 'creation.cancelButton')
+      }
+    },
+    menuButton(language)
+  ];
+
+  try {
+    await whatsappService.sendButtonsMessage(
+        from,
+        i18nService.t(language, 'common.whatToDo'),
+        confirmButtons,
+        i18nService.t(language, 'creation.confirmationHeader')
+    );
+  } catch (error) {
+    console.error(`Erreur lors de l'envoi des boutons de confirmation pour ${from}:`, error);
+    // En cas d'erreur avec les boutons, envoyer un message texte
+    await whatsappService.sendMessage(from, i18nService.t(language, 'creation.confirmationFallback'));
+  }
+}
+
+/**
+ * Présenter le résumé d'un ticket analysé par l'IA pour confirmation
+ * @param {string} from - Numéro de l'utilisateur
+ * @param {Object} ticketData - Résultat de l'analyse (session.aiTicketData)
+ * @param {string} language - Langue de l'utilisateur
+ */
+async function sendAiTicketSummary(from, ticketData, language) {
+  const complexity = ticketData.complexity
+    ? i18nService.t(language, 'ai.complexity', {
+      complexity: ticketData.complexity.charAt(0).toUpperCase() + ticketData.complexity.slice(1)
+    })
+    : '';
+
+  let summary = i18nService.t(language, 'ai.summary', {
+    type: i18nService.label(language, 'ticketType', ticketData.type === 'incident' ? 1 : 2),
+    category: ticketData.categoryName,
+    title: ticketData.title,
+    urgency: getUrgencyName(ticketData.urgency, language),
+    complexity,
+    description: ticketData.description
+  });
+
+  // Ajouter les suggestions si disponibles
+  if (ticketData.suggestions && ticketData.suggestions.length > 0) {
+    summary += "\n\n" + i18nService.t(language, 'ai.suggestions');
+    ticketData.suggestions.forEach((suggestion, index) => {
+      summary += `\n${index + 1}. ${suggestion}`;
+    });
+  }
+
+  // Ajouter les informations manquantes si disponibles
+  if (ticketData.missingInfo && ticketData.missingInfo.length > 0) {
+    summary += "\n\n" + i18nService.t(language, 'ai.missingInfo');
+    ticketData.missingInfo.forEach((info) => {
+      summary += `\n- ${info}`;
+    });
+  }
+
+  summary += "\n\n" + i18nService.t(language, 'ai.checkSummary');
+
+  await whatsappService.sendButtonsMessage(
+      from,
+      summary,
+      [
+        {
+          type: "reply",
+          reply: {
+            id: "confirm_ai_ticket",
+            title: i18nService.t(language, 'creation.confirmButton')
+          }
+        },
+        {
+          type: "reply",
+          reply: {
+            id: "edit_ai_ticket",
+            title: i18nService.t(language, 'ai.editButton')
+          }
+        },
+        {
+          type: "reply",
+          reply: {
+            id: "cancel_ai_ticket",
+            title: i18nService.t(language, 'creation.cancelButton')
+          }
+        }
+      ],
+      i18nService.t(language, 'creation.confirmationHeader')
+  );
+}
+
+/**
+ * Boutons des actions proposées sur un ticket
+ * @param {number} ticketId - ID du ticket
+ * @param {string} language - Langue de l'utilisateur
+ * @returns {Array}
+ */
+function ticketActionButtons(ticketId, language) {
+  return [
+    {
+      type: "reply",
+      reply: {
+        id: `assign_ticket_${ticketId}`,
+        title: i18nService.t(language, 'creation.assignButton')
+      }
+    },
+    {
+      type: "reply",
+      reply: {
+        id: `add_requester_${ticketId}`,
+        title: i18nService.t(language, 'creation.requesterButton')
+      }
+    },
+    {
+      type: "reply",
+      reply: {
+        id: `add_comment_${ticketId}`,
+        title: i18nService.t(language, 'creation.commentButton')
+      }
+    }
+  ];
+}
+
+/**
+ * Créer le ticket dans GLPI à la fin d'un parcours de création (guidé ou IA)
+ * Si le numéro de l'utilisateur n'est pas connu de GLPI, son adresse email lui est d'abord demandée
+ * (étape identify_requester), puis le récapitulatif lui est présenté à nouveau.
+ * Le ticket créé devient le ticket courant de la session (étape ticket_created)
+ * @param {Object} ctx - Contexte du parcours
+ * @param {Object} ticketData - Données transmises à glpiService.createTicket
+ * @param {Object} [options]
+ * @param {Function} [options.personalize] - Génère un texte ajouté au message de confirmation
+ * @returns {Promise<boolean>} - true si le ticket a été créé
+ */
+async function submitTicket(ctx, ticketData, { personalize } = {}) {
+  const { from, session } = ctx;
+
+  // Limite de tickets par heure : l'utilisateur reste à l'étape en cours et pourra confirmer plus tard
+  const rateLimit = rateLimitService.checkTicketCreation(from);
+  if (!rateLimit.allowed) {
+    if (rateLimit.notify) {
+      await ctx.reply(ctx.t('rateLimit.tickets', {
+        limit: rateLimit.limit,
+        minutes: Math.ceil(rateLimit.retryAfterSeconds / 60)
+      }));
+    }
+    return false;
+  }
+
+  const requester = await requesterService.getRequester(from, session);
+  if (!requester) {
+    await ctx.goTo('identify_requester', { returnStep: session.currentStep });
+    return false;
+  }
+
+  try {
+    console.log("Payload préparé pour GLPI:", JSON.stringify(ticketData, null, 2));
+
+    const ticketResponse = await glpiService.createTicket({
+      ...ticketData,
+      ...requesterService.toTicketFields(requester),
+      locations_id: session.ticketLocation ? session.ticketLocation.id : undefined
+    });
+    rateLimitService.recordTicketCreation(from);
+
+    const personalizedResponse = personalize ? await personalize() : null;
+
+    const confirmationMessage = ctx.t('creation.created', {
+      ticketId: ticketResponse.id,
+      personalized: personalizedResponse ? `\n${personalizedResponse}\n` : ''
+    });
+
+    await whatsappService.sendButtonsMessage(
+        from,
+        confirmationMessage,
+        ticketActionButtons(ticketResponse.id, ctx.language),
+        ctx.t('creation.createdHeader')
+    );
+
+    // Envoyer une notification détaillée et abonner l'utilisateur aux notifications
+    await ticketMonitorService.notifyTicketCreation(ticketResponse.id, from);
+
+    // Joindre les fichiers envoyés pendant la création
+    await mediaService.attachPendingToTicket(from, session, ticketResponse.id);
+    delete session.ticketLocation;
+
+    session.lastCreatedTicketId = ticketResponse.id;
+    await ctx.setStep('ticket_created', { ticketId: ticketResponse.id });
+    return true;
+  } catch (error) {
+    console.error(`Erreur lors de la création du ticket pour ${from}:`, error);
+
+    await whatsappService.sendButtonsMessage(
+        from,
+        ctx.t('creation.createError'),
+        [menuButton(ctx.language)],
+        ctx.t('creation.createErrorHeader')
+    );
+
+    await ctx.setStep('main_menu');
+    return false;
+  }
+}
+
+/**
+ * Ouvrir le suivi d'un ticket après avoir vérifié qu'il existe
+ * @param {Object} ctx - Contexte du parcours
+ * @param {number} ticketId - ID du ticket
+ */
+async function openTicket(ctx, ticketId) {
+  if (!await checkTicketAccess(ctx, ticketId)) {
+    return;
+  }
+
+  await whatsappService.sendMessage(ctx.from, ctx.t('tracking.searching'));
+
+  const ticketDetails = await ticketTrackingService.getTicketDetails(ticketId);
+
+  if (!ticketDetails) {
+    await ctx.notUnderstood(ctx.t('tracking.notFound', { ticketId }));
+    return;
+  }
+
+  await ctx.goTo('tracking_ticket', { ticketId });
+}
+
+/**
+ * Ajouter une liste de contacts à un ticket avec le rôle indiqué et informer l'utilisateur
+ * @param {string} from - Numéro de l'utilisateur
+ * @param {number} ticketId - ID du ticket
+ * @param {Array} contacts - Contacts { name, emails, phones }
+ * @param {string} role - 'requester' ou 'observer'
+ */
+async function addContactsToTicket(from, ticketId, contacts, role) {
+  for (const contact of contacts) {
+    const result = await ticketTrackingService.addContactToTicket(ticketId, contact, role, i18nService.getUserLanguage(from));
+    await whatsappService.sendMessage(from, result.message);
+
+    if (result.success && role === 'requester') {
+      await notificationService.triggerTicketUpdateNotification(ticketId, 'requester', {
+        requesterName: contact.name
+      });
+    }
+  }
+}
+
+module.exports = {
+  EMAIL_PATTERN,
+  menuButton,
+  requireLinkedAccount,
+  checkTicketAccess,
+  getUrgencyName,
+  parseUrgency,
+  findCategory,
+  presentCategories,
+  presentTicketSummary,
+  sendAiTicketSummary,
+  ticketActionButtons,
+  submitTicket,
+  openTicket,
+  addContactsToTicket
+};
@@ -0,0 +1,80 @@
+/**
+ * Parcours de suivi d'un ticket : saisie du numéro puis affichage du ticket et de ses actions
+ */
+
+const whatsappService = require('../services/whatsappService');
+const ticketTrackingService = require('../services/ticketTrackingService');
+const flowEngine = require('../services/flowEngine');
+const { menuButton, openTicket } = require('./ticketHelpers');
+
+const toEnterId = (ctx) => ctx.goTo('tracking_enter_id');
+
+async function cancelTracking(ctx) {
+  await ctx.reply(ctx.t('tracking.cancelled'));
+  await ctx.goTo('main_menu');
+}
+
+module.exports = {
+  name: 'tracking',
+
+  globals: {
+    choices: {
+      track_ticket: toEnterId,
+      track_ticket_by_id: toEnterId,
+      track_another_ticket: toEnterId,
+      track_created_ticket: (ctx) => {
+        const ticketId = ctx.session.lastCreatedTicketId;
+        return ticketId ? ctx.goTo('tracking_ticket', { ticketId }) : false;
+      }
+    }
+  },
+
+  steps: {
+    tracking_enter_id: {
+      prompt: async (ctx) => {
+        const buttons = [];
+
+        // Proposer le dernier ticket créé par l'utilisateur
+        if (ctx.session.lastCreatedTicketId) {
+          buttons.push({
+            type: "reply",
+            reply: {
+              id: `track_ticket_${ctx.session.lastCreatedTicketId}`,
+              title: ctx.t('tracking.ticketButton', { ticketId: ctx.session.lastCreatedTicketId })
+            }
+          });
+        }
+        buttons.push(menuButton(ctx.language));
+
+        await whatsappService.sendButtonsMessage(
+            ctx.from,
+            ctx.t('tracking.enterIdBody'),
+            buttons,
+            ctx.t('tracking.enterIdHeader')
+        );
+      },
+      cancel: cancelTracking,
+      validate: flowEngine.validators.ticketId,
+      text: (ctx) => openTicket(ctx, flowEngine.parseTicketId(ctx.text)),
+      reprompt: false
+    },
+
+    tracking_ticket: {
+      ticket: (session) => session.ticketId,
+      enter: (ctx, params) => {
+        if (params.ticketId) {
+          ctx.session.ticketId = parseInt(params.ticketId, 10);
+        }
+      },
+      prompt: (ctx) => ticketTrackingService.displayTicketDetails(ctx.from, ctx.session.ticketId, ctx.language),
+      cancel: cancelTracking,
+      // Un autre numéro saisi ouvre directement ce ticket
+      text: (ctx) => {
+        const ticketId = flowEngine.parseTicketId(ctx.text);
+        return ticketId ? openTicket(ctx, ticketId) : false;
+      },
+      hint: (ctx) => ctx.t('tracking.ticketHint', { ticketId: ctx.session.ticketId }),
+      reprompt: false
+    }
+  }
+};
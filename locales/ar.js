@@ -0,0 +1,551 @@
+/**
+ * Catalogue des messages en arabe
+ * Les clés absentes sont reprises du catalogue français
+ */
+
+module.exports = {
+  languageName: "العربية",
+
+  common: {
+    dateTime: "{date} الساعة {time}",
+    menuButton: "🏠 القائمة الرئيسية",
+    backButton: "⬅️ رجوع",
+    whatToDo: "ماذا تريد أن تفعل؟",
+    otherActions: "إجراءات أخرى:",
+    ticketHeader: "التذكرة #{ticketId}",
+    retryLater: "عذرًا، حدث خطأ. يرجى المحاولة لاحقًا.",
+    resetHint: "عذرًا، حدث خطأ. يرجى المحاولة مجددًا بإرسال 'reset'.",
+    unsupportedMessage: "عذرًا، لا يمكنني حاليًا معالجة سوى الرسائل النصية والرسائل الصوتية والمواقع وجهات الاتصال والصور والمستندات ومقاطع الفيديو.",
+    listSection: "الخيارات المتاحة",
+    listFooter: "اختر خيارًا",
+    listButton: "عرض الخيارات",
+    listFallback: "الخيارات المتاحة:",
+    buttonsFallback: "الخيارات (أجب بأحد هذه الخيارات):"
+  },
+
+  status: {
+    1: "جديدة",
+    2: "قيد المعالجة (مُسندة)",
+    3: "قيد المعالجة (مُجدولة)",
+    4: "معلّقة",
+    5: "محلولة",
+    6: "مغلقة",
+    unknown: "غير معروفة"
+  },
+  ticketType: {
+    1: "حادث",
+    2: "طلب",
+    unknown: "غير معروف"
+  },
+  urgency: {
+    1: "عالية جدًا",
+    2: "عالية",
+    3: "متوسطة",
+    4: "منخفضة",
+    5: "منخفضة جدًا",
+    unknown: "غير معروفة"
+  },
+  urgencyLevel: {
+    1: "🔴 عالية جدًا",
+    2: "🟠 عالية",
+    3: "🟢 متوسطة",
+    4: "🔵 منخفضة",
+    5: "⚪ منخفضة جدًا"
+  },
+  urgencyDescription: {
+    1: "حرجة، تعطل عمل المؤسسة",
+    2: "تأثير كبير على عدة مستخدمين",
+    3: "تأثير متوسط",
+    4: "تأثير ضعيف",
+    5: "تحسين بسيط"
+  },
+
+  engine: {
+    notUnderstood: "🤔 لم أفهم إجابتك.",
+    cancelled: "تم إلغاء العملية. العودة إلى القائمة الرئيسية.",
+    nothingToCancel: "لا يوجد ما يمكن إلغاؤه.",
+    error: "عذرًا، حدث خطأ أثناء معالجة رسالتك. يرجى المحاولة لاحقًا.",
+    invalidTicketId: "يرجى إدخال رقم تذكرة صحيح (أرقام فقط)."
+  },
+
+  menu: {
+    mainHeader: "القائمة الرئيسية",
+    mainBody: "👋 *مرحبًا بك في خدمة الدعم GLPI*\n\nماذا تريد أن تفعل اليوم؟",
+    createTicketButton: "📃 إنشاء تذكرة",
+    subscriptionsButton: "🔔 اشتراكاتي",
+    trackButton: "🔍 متابعة التذاكر",
+    mainHint: "اختر أحد خيارات القائمة أدناه.",
+    creationHeader: "إنشاء تذكرة",
+    creationBody: "📝 *إنشاء تذكرة*\n\nيرجى اختيار طريقة الإنشاء:",
+    aiModeButton: "🤖 وضع الذكاء الاصطناعي",
+    guidedModeButton: "📋 الوضع الموجَّه",
+    creationHint: "اختر الوضع الموجَّه أو وضع الذكاء الاصطناعي لإنشاء تذكرتك.",
+    subscriptionsHeader: "إدارة الاشتراكات",
+    subscriptionsBody: "🔔 *إدارة الاشتراكات*\n\nأدر اشتراكاتك في إشعارات التذاكر:",
+    viewSubscriptionsButton: "📋 عرض اشتراكاتي",
+    addSubscriptionButton: "➕ متابعة تذكرة",
+    subscriptionsHint: "اختر أحد خيارات قائمة الاشتراكات.",
+    trackingHeader: "متابعة التذاكر",
+    trackingBody: "🔍 *متابعة التذاكر*\n\nاطّلع على تذاكرك الحالية وأدرها:",
+    trackByIdButton: "🔢 البحث بالرقم",
+    searchButton: "🔎 البحث عن تذاكر",
+    trackingHint: "اختر أحد خيارات قائمة المتابعة.",
+    creationModes: "🤖 *وضع الذكاء الاصطناعي* - صف مشكلتك ببساطة بلغتك الطبيعية\n📋 *الوضع الموجَّه* - إنشاء خطوة بخطوة بأسئلة محددة",
+    subscriptionsOptions: "• عرض اشتراكاتك الحالية\n• الاشتراك في تذكرة جديدة\n• إلغاء الاشتراك في تذكرة",
+    removeSubscriptionButton: "➖ إلغاء الاشتراك",
+    trackingOptions: "• عرض تذكرة برقمها\n• البحث عن التذاكر حسب المعايير\n• عرض تذاكرك الأخيرة",
+    recentTicketsButton: "🕒 التذاكر الأخيرة",
+    unsubscribeHeader: "حذف اشتراك",
+    unsubscribeBody: "❌ *حذف اشتراك*\n\nيرجى إدخال رقم التذكرة التي تريد إلغاء الاشتراك فيها."
+  },
+
+  creation: {
+    categoryPrompt: "يرجى اختيار فئة:",
+    categoryHeader: "فئة ITIL ({page}/{pages})",
+    categoryOption: "- {title} (أجب بـ '{id}')",
+    categoryFallback: "فئة ITIL ({page}/{pages})\n\nيرجى اختيار فئة بالرد بالرقم المناسب:\n{categories}",
+    categoryButton: "الفئات",
+    categoryPrevious: "◀ السابقة",
+    categoryNext: "التالية ▶",
+    categoriesUnavailable: "⚠️ فئات ITIL غير متاحة مؤقتًا. سيتم إنشاء تذكرتك بدون فئة وسيقوم فريق الدعم بتحديدها.",
+    resumed: "🔄 تمت إعادة تشغيل الخدمة أثناء إنشاء تذكرتك. تم الاحتفاظ بإجاباتك، لنكمل من حيث توقفت:",
+    summary: "*ملخص تذكرتك:*\n\n*النوع:* {type}\n*الفئة:* {category}\n*العنوان:* {title}\n*الوصف:* {description}\n*الأولوية:* {urgency}",
+    incidentType: "🔴 حادث",
+    requestType: "🔵 طلب",
+    confirmButton: "✅ تأكيد",
+    cancelButton: "❌ إلغاء",
+    confirmationHeader: "التأكيد",
+    confirmationFallback: "للتأكيد، أجب بـ \"confirm\" أو \"cancel\"، أو \"menu\" للعودة إلى القائمة الرئيسية.",
+    created: "✅ *تم إنشاء تذكرتك بنجاح!*\n*رقم التذكرة: #{ticketId}*\n{personalized}\nيمكنك القيام بإجراءات أخرى على هذه التذكرة:",
+    createdHeader: "تم إنشاء التذكرة",
+    createError: "حدث خطأ أثناء إنشاء تذكرتك. يرجى المحاولة لاحقًا.",
+    createErrorHeader: "❌ خطأ في إنشاء التذكرة",
+    assignButton: "👤 إسناد",
+    requesterButton: "📝 مقدّم الطلب",
+    commentButton: "💬 تعليق",
+    cancelled: "تم إلغاء إنشاء التذكرة. يمكنك البدء من جديد في أي وقت.",
+    typeHeader: "نوع التذكرة",
+    typeBody: "📝 *الوضع الموجَّه - نوع التذكرة*\n\nيرجى اختيار نوع التذكرة:",
+    typeHint: "يرجى اختيار 'حادث' أو 'طلب'.",
+    categoryHint: "يرجى اختيار فئة من القائمة أو بالرد برقمها.",
+    titlePrompt: "يرجى إدخال عنوان قصير لتذكرتك:",
+    titleHint: "يجب إدخال العنوان نصًا.",
+    descriptionPrompt: "📝 *الوضع الموجَّه - الوصف*\n\nيرجى وصف مشكلتك أو طلبك بالتفصيل:",
+    descriptionHint: "يجب إدخال الوصف نصًا.",
+    urgencyPrompt: "🔊 *الوضع الموجَّه - الأولوية*\n\nيرجى اختيار مستوى الأولوية:",
+    urgencyHighBody: "*أولويات مرتفعة:*",
+    urgencyHighHeader: "مستوى الأولوية (1/2)",
+    urgencyLowBody: "*أولويات منخفضة:*",
+    urgencyLowHeader: "مستوى الأولوية (2/2)",
+    urgencyHint: "أجب بمستوى أولوية من 1 (عالية جدًا) إلى 5 (منخفضة جدًا).",
+    confirmationHint: "يرجى الرد بـ *تأكيد* أو *إلغاء*.",
+    createdActions: "ماذا تريد أن تفعل بالتذكرة #{ticketId}؟",
+    createdActionsHeader: "الإجراءات المتاحة",
+    createdHint: "بالنسبة للتذكرة #{ticketId}، يمكنك استخدام الأزرار أعلاه أو الرد بـ *menu* للعودة إلى القائمة الرئيسية."
+  },
+
+  ai: {
+    summary: "📋 تحليل الذكاء الاصطناعي لطلبك:\n\nالنوع: {type}\nالفئة: {category}\nالعنوان: {title}\nالأولوية: {urgency}\n{complexity}\n\nالوصف: {description}",
+    complexity: "التعقيد: {complexity}",
+    suggestions: "💡 اقتراحات أولية:",
+    missingInfo: "❓ معلومات قد تكون مفيدة:",
+    checkSummary: "✅ يرجى التحقق من المعلومات أعلاه وتأكيد إنشاء التذكرة أو تعديل التفاصيل إذا لزم الأمر.",
+    editButton: "✏️ تعديل",
+    descriptionHeader: "وضع الذكاء الاصطناعي - الوصف",
+    descriptionPrompt: "🤖 *وضع الذكاء الاصطناعي - الوصف*\n\nيرجى وصف مشكلتك أو طلبك بالتفصيل. سيحلل نظام الذكاء الاصطناعي وصفك لإنشاء تذكرة مناسبة تلقائيًا.\n\nمثال: \"حاسوبي لا يعمل منذ الصباح وتظهر شاشة زرقاء\".",
+    analyzing: "🧠 جارٍ التحليل... أعالج طلبك بالذكاء الاصطناعي.",
+    analysisError: "⚠️ *خطأ في تحليل الذكاء الاصطناعي*\n\nعذرًا، حدث خطأ أثناء تحليل طلبك. قد يحدث ذلك عندما يكون الطلب معقدًا أو يحتوي على معلومات لم يتمكن الذكاء الاصطناعي من تفسيرها.\n\nهل تريد تجربة الوضع الموجَّه بدلًا من ذلك؟ سنرافقك خطوة بخطوة لإنشاء تذكرتك.",
+    switchToGuidedButton: "الانتقال للوضع الموجَّه",
+    retryButton: "إعادة المحاولة",
+    optionsBody: "كيف تريد المتابعة؟",
+    optionsHeader: "خيارات",
+    descriptionHint: "صف مشكلتك أو طلبك في بضع جمل.",
+    switchedToGuided: "✅ *الانتقال إلى الوضع الموجَّه*\n\nسنرشدك الآن خطوة بخطوة لإنشاء تذكرتك. يرجى اختيار نوع التذكرة من الخيارات أدناه.",
+    cancelled: "❌ *تم إلغاء إنشاء التذكرة*\n\nتم إلغاء طلبك. لم يتم إنشاء أي تذكرة في النظام.\n\nيمكنك البدء من جديد في أي وقت باستخدام الخيارات أدناه.",
+    creating: "⏳ جارٍ إنشاء تذكرتك...",
+    preparingSummary: "{message}\n\nأُعدّ ملخص تذكرتك...",
+    urgencyUpdated: "✅ *تم تحديث الأولوية بنجاح!*\n\nالأولوية السابقة: {previous}\nالأولوية الجديدة: *{current}*",
+    categoryUpdated: "✅ *تم تحديث الفئة بنجاح!*\n\nالفئة السابقة: {previous}\nالفئة الجديدة: *{current}*",
+    titleUpdated: "✅ *تم تحديث العنوان بنجاح!*\n\nالعنوان السابق: {previous}\nالعنوان الجديد: *{current}*",
+    confirmationHint: "يرجى استخدام الأزرار لتأكيد إنشاء التذكرة أو إلغائه.",
+    editHeader: "تعديل التذكرة",
+    editBody: "اختر عنصرًا لتعديله",
+    editButtonText: "اختيار",
+    editTitle: "العنوان",
+    editUrgency: "الأولوية",
+    editCategory: "الفئة",
+    editDescription: "الوصف",
+    editDescriptionDetail: "تعديل الوصف",
+    editHint: "اختر العنصر المراد تعديله من القائمة.",
+    editTitlePrompt: "✅ اخترت تعديل العنوان.\n\nالعنوان الحالي: *{title}*\n\nيرجى إدخال العنوان الجديد لتذكرتك:",
+    editUrgencyPrompt: "✅ اخترت تعديل الأولوية.\n\nالأولوية الحالية: *{urgency}*\n\nيرجى اختيار مستوى الأولوية الجديد من القائمة أدناه.",
+    urgencyListHeader: "مستوى الأولوية",
+    urgencyListBody: "اختر أولوية جديدة:",
+    urgencyListButton: "اختيار الأولوية",
+    editCategoryPrompt: "✅ اخترت تعديل الفئة.\n\nالفئة الحالية: *{category}*\n\nيرجى اختيار الفئة الجديدة أدناه.",
+    editDescriptionPrompt: "يرجى إدخال الوصف الجديد لتذكرتك:",
+    descriptionUpdatedAnalyzing: "✅ *تم تحديث الوصف بنجاح!*\n\nالوصف الجديد: *{preview}*\n\n🧠 جارٍ تحليل وصفك الجديد...",
+    descriptionReanalyzed: "✅ *تم تحديث الوصف وإعادة تحليل التذكرة بنجاح!*\n\nحلّل الذكاء الاصطناعي وصفك وحدّث معلومات التذكرة.",
+    descriptionUpdated: "✅ *تم تحديث الوصف بنجاح!*\n\nالوصف الجديد: *{preview}*"
+  },
+
+  tracking: {
+    searching: "جارٍ البحث عن التذكرة... ⏳",
+    notFound: "⚠️ لم يتم العثور على التذكرة #{ticketId}. يرجى التحقق من الرقم والمحاولة مجددًا.",
+    cancelled: "تم إلغاء متابعة التذكرة. العودة إلى القائمة الرئيسية.",
+    enterIdHeader: "متابعة تذكرة",
+    enterIdBody: "🔍 *متابعة تذكرة*\n\nيرجى إدخال رقم التذكرة التي تريد متابعتها.",
+    ticketButton: "🎫 التذكرة #{ticketId}",
+    ticketHint: "استخدم الأزرار أعلاه للتعامل مع التذكرة #{ticketId}، أو أدخل رقم تذكرة آخر، أو أجب بـ *menu* للعودة إلى القائمة الرئيسية."
+  },
+
+  ticket: {
+    detailsUnavailable: "❌ تعذّر استرجاع تفاصيل التذكرة.",
+    detailsTitle: "📋 *تفاصيل التذكرة #{ticketId}*",
+    title: "📝 *العنوان:* {title}",
+    type: "🔖 *النوع:* {type}",
+    status: "🚦 *الحالة:* {status}",
+    urgency: "🔥 *الأولوية:* {urgency}",
+    createdAt: "📅 *تاريخ الإنشاء:* {date}",
+    updatedAt: "🔄 *آخر تحديث:* {date}",
+    closedAt: "✅ *تاريخ الإغلاق:* {date}",
+    assignedTo: "👤 *مُسندة إلى:* {name}",
+    assignedToGroup: "👥 *مُسندة إلى المجموعة:* {name}",
+    notAssigned: "👤 *الإسناد:* غير مُسندة",
+    description: "📄 *الوصف:*\n{description}",
+    subscribed: "✅ أنت مشترك في إشعارات هذه التذكرة.",
+    notSubscribed: "❌ أنت غير مشترك في إشعارات هذه التذكرة.",
+    header: "*🎫 التذكرة #{ticketId}*",
+    urgencyScore: "🔥 *الأولوية:* {urgency}/5",
+    assignedGroups: "👥 *المجموعات المُسندة:*",
+    assignedTechnicians: "👨‍💻 *الفنيون المُسندون:*",
+    followups: "💬 *الردود ({count}):*",
+    followupHeader: "------- الرد #{index} (ID: {id}) -------",
+    noFollowups: "💬 *لا توجد ردود حتى الآن*",
+    groupFallback: "المجموعة #{id}",
+    technicianFallback: "الفني #{id}",
+    trackError: "❌ حدث خطأ أثناء متابعة التذكرة #{ticketId}. يرجى المحاولة لاحقًا.",
+    displayError: "❌ حدث خطأ أثناء عرض تفاصيل التذكرة #{ticketId}. يرجى المحاولة لاحقًا.",
+    notFound: "❌ التذكرة #{ticketId} غير موجودة. يرجى التحقق من الرقم والمحاولة مجددًا.",
+    addCommentButton: "📝 إضافة تعليق",
+    addFollowupButton: "💬 إضافة متابعة",
+    assignTechnicianButton: "👨‍💻 إسناد لفني",
+    addRequesterButton: "👤 إضافة مقدّم طلب",
+    unsubscribeButton: "🔕 إلغاء الاشتراك",
+    subscribeButton: "🔔 اشتراك",
+    viewCommentsButton: "💬 عرض التعليقات",
+    commentButton: "📝 تعليق",
+    assignButton: "👤 إسناد",
+    requesterButton: "👥 مقدّم الطلب",
+    closeButton: "✅ إغلاق التذكرة",
+    unsubscribeShortButton: "🔕 إلغاء الاشتراك",
+    detailsHeader: "تفاصيل التذكرة",
+    moreActionsBody: "اختر من بين الخيارات التالية:",
+    moreActionsHeader: "إجراءات إضافية",
+    noComments: "ℹ️ لا توجد تعليقات على التذكرة #{ticketId}.",
+    commentsTitle: "💬 *تعليقات التذكرة #{ticketId}*",
+    commentHeader: "*التعليق #{index}*",
+    commentDate: "📅 *التاريخ:* {date}",
+    commentAuthor: "👤 *الكاتب:* {author}",
+    commentAuthorFallback: "المستخدم #{id}",
+    commentContent: "💬 *المحتوى:* {content}",
+    backToDetailsButton: "📋 العودة للتفاصيل",
+    commentsError: "❌ حدث خطأ أثناء استرجاع تعليقات التذكرة #{ticketId}. يرجى المحاولة لاحقًا.",
+    addCommentPrompt: "يرجى إدخال تعليقك على هذه التذكرة.\n\nسيكون هذا التعليق مرئيًا لجميع المستخدمين الذين لديهم حق الوصول إلى التذكرة.",
+    addRequesterPrompt: "👤 *إضافة مقدّم طلب إلى التذكرة*\n\nيرجى إدخال معرّف أو اسم مقدّم الطلب المراد إضافته، أو مشاركة بطاقة جهة الاتصال الخاصة به على واتساب مباشرة.\n\nمثال: ahmed.ali@company.com أو أحمد علي",
+    requesterTicketNotFound: "❌ التذكرة #{ticketId} غير موجودة. تعذّرت إضافة مقدّم الطلب.",
+    userSearchError: "❌ خطأ أثناء البحث عن المستخدم. يرجى المحاولة مجددًا.",
+    userNotFound: "❌ المستخدم '{user}' غير موجود في GLPI. تحقق من الإملاء أو استخدم بريدًا إلكترونيًا صالحًا.",
+    requesterAdded: "✅ تمت إضافة مقدّم الطلب إلى التذكرة #{ticketId} بنجاح.",
+    requesterError: "❌ خطأ أثناء إضافة مقدّم الطلب إلى التذكرة. يرجى المحاولة مجددًا.",
+    genericError: "❌ حدث خطأ. يرجى المحاولة لاحقًا.",
+    roleRequester: "مقدّم طلب",
+    roleObserver: "مراقب",
+    contactAdded: "✅ تمت إضافة {name} بصفة {role} إلى التذكرة #{ticketId}.",
+    contactAddedByEmail: "✅ ليس لدى {name} حساب في GLPI: تمت إضافته بصفة {role} إلى التذكرة #{ticketId} بعنوانه {email} وسيتلقى الإشعارات عبر البريد الإلكتروني.",
+    contactNoEmail: "❌ {name} لا يطابق أي مستخدم في GLPI ولا تحتوي بطاقته على بريد إلكتروني. تعذّرت إضافته إلى التذكرة.",
+    contactError: "❌ خطأ أثناء إضافة {name} إلى التذكرة. يرجى المحاولة مجددًا.",
+    creationNotice: "✅ *تم إنشاء التذكرة بنجاح*\n\n📝 *الرقم:* #{ticketId}\n📋 *العنوان:* {title}\n🔖 *النوع:* {type}\n🚦 *الحالة:* {status}\n🔥 *الأولوية:* {urgency}\n\nأنت الآن مشترك في إشعارات هذه التذكرة. ستتلقى رسالة تلقائيًا عند تغيّر الحالة أو إضافة تعليق أو إسناد التذكرة.",
+    creationHeader: "تم إنشاء التذكرة",
+    technicians: "👨‍💻 *الفنيون:* {names}",
+    otherTicketButton: "🔍 تذكرة أخرى",
+    viewDetailsButton: "📋 عرض التفاصيل",
+    commentActionButton: "📝 تعليق"
+  },
+
+  actions: {
+    viewTicketButton: "📃 عرض التذكرة",
+    assignedToGroup: "إلى المجموعة *{name}*",
+    assignedToTechnician: "إلى الفني *{name}*",
+    assigned: "✅ *تم الإسناد بنجاح!*\n\nتم إسناد التذكرة #{ticketId} {assignee} بنجاح.\n\nتم إشعار المشتركين في هذه التذكرة بهذا الإسناد.",
+    assignmentHeader: "الإسناد",
+    assignError: "عذرًا، حدث خطأ أثناء إسناد التذكرة #{ticketId}. يرجى المحاولة لاحقًا.",
+    assignErrorHeader: "❌ خطأ في الإسناد",
+    closed: "✅ تم إغلاق التذكرة #{ticketId}.",
+    closedHeader: "تم إغلاق التذكرة",
+    closeError: "عذرًا، حدث خطأ أثناء إغلاق التذكرة #{ticketId}. يرجى المحاولة لاحقًا.",
+    alreadySubscribed: "أنت مشترك بالفعل في إشعارات التذكرة #{ticketId}.",
+    subscribed: "✅ أنت الآن مشترك في إشعارات التذكرة #{ticketId}.",
+    unsubscribed: "✅ تم إلغاء اشتراكك في إشعارات التذكرة #{ticketId}.",
+    notSubscribed: "أنت غير مشترك في إشعارات التذكرة #{ticketId}.",
+    commentsHeader: "التعليقات",
+    commentPrompt: "💬 *تعليق على التذكرة #{ticketId}*\n\n{instructions}",
+    commentAdded: "✅ *تمت إضافة التعليق بنجاح!*\n\nأُضيف تعليقك إلى التذكرة #{ticketId}.\n\nتم إشعار المشتركين في هذه التذكرة بهذا التعليق الجديد.",
+    commentHeader: "تعليق",
+    commentError: "عذرًا، حدث خطأ أثناء إضافة التعليق إلى التذكرة #{ticketId}. يرجى المحاولة لاحقًا.",
+    commentHint: "أرسل نص تعليقك، أو *menu* للعودة إلى القائمة الرئيسية.",
+    requesterPrompt: "{instructions}\n\nالتذكرة المعنية: #{ticketId}",
+    requesterHint: "أرسل البريد الإلكتروني أو رقم الهاتف أو اسم مقدّم الطلب، أو شارك بطاقة جهة الاتصال الخاصة به.",
+    assignLoading: "✅ *جارٍ إسناد التذكرة #{ticketId}*\n\nأسترجع قائمة المجموعات والفنيين المتاحين...",
+    groupsBody: "*إسناد التذكرة #{ticketId}*\n\nاختر الجهة التي تُسند إليها هذه التذكرة:\n\n*المجموعات المتاحة:*",
+    groupsHeader: "المجموعات",
+    techniciansBody: "*الفنيون المتاحون:*",
+    techniciansHeader: "الفنيون",
+    assignOptionsError: "حدث خطأ أثناء استرجاع خيارات الإسناد. يرجى المحاولة لاحقًا.",
+    assignHint: "اختر مجموعة أو فنيًا باستخدام الأزرار المقترحة."
+  },
+
+  search: {
+    newSearchButton: "🔄 بحث جديد",
+    cancelled: "تم إلغاء البحث. العودة إلى القائمة الرئيسية.",
+    byStatusButton: "🚦 حسب الحالة",
+    byTypeButton: "🔖 حسب النوع",
+    byKeywordButton: "🔤 بكلمة مفتاحية",
+    header: "البحث عن تذكرة",
+    menuBody: "🔎 *البحث عن التذاكر*\n\nأدخل رقم تذكرة (مثال: 12345) أو معايير البحث (مثال: *mot:طابعة statut:2*)، أو اختر نوع البحث أدناه.",
+    menuHint: "أدخل رقم تذكرة أو معايير بحث أو اختر نوع البحث.",
+    statusHeader: "البحث حسب الحالة",
+    statusBody: "🚦 *البحث حسب الحالة*\n\nاختر حالة:",
+    statusButton: "اختيار حالة",
+    statusNew: "🆕 جديدة",
+    statusInProgress: "⏳ قيد المعالجة",
+    statusSolved: "✅ محلولة",
+    statusClosed: "🔒 مغلقة",
+    statusHint: "اختر حالة من القائمة.",
+    typeHeader: "البحث حسب النوع",
+    typeBody: "🔖 *البحث حسب النوع*\n\nاختر نوع التذكرة:",
+    typeHint: "اختر 'حادث' أو 'طلب'.",
+    keywordPrompt: "🔤 *البحث بكلمة مفتاحية*\n\nيرجى إدخال كلمة مفتاحية للبحث في عناوين التذاكر وأوصافها.",
+    inProgress: "🔍 جارٍ البحث، يرجى الانتظار...",
+    noResults: "🔍 *نتائج البحث*\n\nلا توجد تذاكر مطابقة لمعايير البحث.",
+    noResultsForKeyword: "🔍 لا توجد تذاكر مطابقة للبحث \"{keyword}\".",
+    noResultsPlain: "🔍 لا توجد تذاكر مطابقة لمعايير البحث.",
+    resultsTitle: "🔍 *نتائج البحث*",
+    resultsForKeyword: "🔍 *نتائج \"{keyword}\"*",
+    found: "تم العثور على {count} تذكرة:",
+    resultTicket: "🎫 *التذكرة #{ticketId}*",
+    resultTitle: "📋 العنوان: {title}",
+    resultStatus: "🚦 الحالة: {status}",
+    resultType: "📋 النوع: {type}",
+    resultUrgency: "🔥 الأولوية: {urgency}",
+    resultDate: "📅 التاريخ: {date}",
+    resultCreatedAt: "📅 تاريخ الإنشاء: {date}",
+    more: "_...و{count} تذكرة أخرى_",
+    openAnother: "أدخل رقمًا لفتح تذكرة أخرى.",
+    openButton: "🔍 التذكرة #{ticketId}",
+    error: "عذرًا، حدث خطأ أثناء البحث. يرجى المحاولة لاحقًا.",
+    criteriaPrompt: "🔍 *بحث متقدم عن التذاكر*\n\nيرجى تحديد معايير البحث:\n\n1️⃣ للبحث بكلمة مفتاحية، أرسل:\n   *mot:* متبوعة بالكلمة المفتاحية\n\n2️⃣ للتصفية حسب الحالة، أرسل:\n   *statut:* متبوعة برقم الحالة (1-6)\n\n3️⃣ للتصفية حسب النوع، أرسل:\n   *type:* متبوعة بالنوع (1=حادث، 2=طلب)\n\n4️⃣ للتصفية حسب الاستعجال، أرسل:\n   *urgence:* متبوعة بمستوى الاستعجال (1-5)\n\n5️⃣ لدمج عدة معايير، افصل بينها بمسافات.\n\nأمثلة:\n- \"mot:طابعة\"\n- \"statut:2 type:1\"\n- \"mot:شبكة urgence:3\"\n\nأرسل *إلغاء* للعودة إلى القائمة الرئيسية.",
+    byIdBody: "🔎 *البحث عن تذكرة برقمها*\n\nيرجى إدخال رقم التذكرة التي تبحث عنها.\n\nمثال: 12345\n\nℹ️ يمكنك أيضًا استخدام الأزرار أدناه للوصول السريع إلى بعض الخيارات.",
+    lastTicketButton: "🎟 آخر تذكرة #{ticketId}",
+    resultsHint: "أدخل رقم تذكرة أو معايير بحث جديدة."
+  },
+
+  recent: {
+    header: "التذاكر الأخيرة",
+    empty: "📋 *التذاكر الأخيرة*\n\nلم تطّلع على أي تذكرة بعد. استخدم خيار 'عرض برقم' لمتابعة تذكرة محددة.",
+    optionsHeader: "خيارات",
+    listBody: "📋 *تذاكرك الأخيرة*\n\nاختر تذكرة لعرض تفاصيلها:",
+    item: "• *تذكرة #{ticketId}*: {title}\n   الحالة: {status}",
+    itemUnavailable: "• *تذكرة #{ticketId}*: التفاصيل غير متوفرة",
+    error: "عذرًا، حدث خطأ أثناء عرض تذاكرك الأخيرة. يرجى المحاولة لاحقًا."
+  },
+
+  subscriptions: {
+    commandsHint: "الأوامر المتاحة:\n\n- للاشتراك في تذكرة: *abonner [ID]*\n- لإلغاء الاشتراك في تذكرة: *desabo [ID]*\n- للعودة إلى القائمة الرئيسية: *menu*",
+    alreadySubscribed: "أنت مشترك بالفعل في التذكرة #{ticketId}.",
+    ticketNotFound: "❌ التذكرة #{ticketId} غير موجودة أو لا يمكن الوصول إليها.",
+    subscribed: "✅ أنت الآن مشترك في التذكرة #{ticketId}.",
+    notSubscribed: "أنت غير مشترك في التذكرة #{ticketId}.",
+    unsubscribed: "✅ تم إلغاء اشتراكك في التذكرة #{ticketId}.",
+    header: "اشتراكاتك",
+    menuFallback: "{message}\n\nللعودة إلى القائمة الرئيسية، أجب بـ 'menu'.",
+    addPrompt: "للاشتراك في تذكرة، يرجى إدخال رقمها:\n\nمثال: *abonner 12345*",
+    addInvalid: "يرجى إدخال رقم تذكرة صحيح. مثال: *abonner 12345*",
+    noneToRemove: "❗ أنت غير مشترك حاليًا في أي تذكرة. لا يوجد ما يمكن حذفه.",
+    removeTitle: "🗑️ *حذف اشتراك*\n\nأنت مشترك في التذاكر التالية:",
+    ticketLine: "🎟 *التذكرة #{ticketId}* - {title}",
+    ticketUnavailable: "🎟 *التذكرة #{ticketId}* (التفاصيل غير متاحة)",
+    ticketError: "🎟 *التذكرة #{ticketId}* (خطأ أثناء استرجاع التفاصيل)",
+    removeButton: "❌ حذف #{ticketId}",
+    removeOther: "لحذف اشتراك آخر، اكتب: *desabo [ID]*",
+    removeHeader: "حذف اشتراك",
+    empty: "🔔 *نظام الاشتراكات*\n\n*ما هو؟*\nتتيح لك الاشتراكات متابعة تحديثات تذاكرك المهمة تلقائيًا.\n\n*المزايا:*\n• تلقَّ إشعارات فورية\n• تابع تغيّرات الحالة\n• اطّلع على التعليقات الجديدة\n\n*الوضع الحالي:*\nأنت غير مشترك حاليًا في أي تذكرة.\n\n*قائمة الاشتراكات:*\nاختر أحد الخيارات الثلاثة أدناه.",
+    activeTitle: "🔔 *اشتراكاتك النشطة*\n\n*طريقة العمل:*\nستتلقى إشعارات تلقائية لجميع التذاكر المدرجة أدناه.\n\n*التذاكر التي تتابعها:*",
+    ticketTitle: "📋 العنوان: {title}",
+    ticketStatus: "🚦 الحالة: {status}",
+    trackButton: "🔍 التذكرة #{ticketId}",
+    unsubscribeButton: "❌ إلغاء #{ticketId}",
+    menuTitle: "*قائمة الاشتراكات:*\nاختر أحد الخيارات الثلاثة أدناه.",
+    viewButton: "🔍 عرض اشتراكاتي",
+    addButton: "➕ إضافة اشتراك",
+    removeSubscriptionButton: "❌ حذف اشتراك",
+    error: "❗ حدث خطأ أثناء استرجاع اشتراكاتك. يرجى المحاولة لاحقًا."
+  },
+
+  drafts: {
+    header: "مسودة تذكرة",
+    heading: "📝 *مسودة تذكرة*",
+    startedAt: "بدأت إنشاء تذكرة في {date}:",
+    type: "🔖 النوع: {type}",
+    ticketTitle: "📋 العنوان: {title}",
+    description: "📄 الوصف: {description}",
+    attachments: "📎 المرفقات: {count}",
+    question: "هل تريد استئناف مسودتك أم بدء تذكرة جديدة؟",
+    resumeButton: "📝 استئناف",
+    newTicketButton: "🆕 تذكرة جديدة",
+    unavailable: "مسودتك لم تعد متاحة.",
+    hint: "اختر 'استئناف' لمتابعة مسودتك أو 'تذكرة جديدة' للبدء من جديد."
+  },
+
+  commands: {
+    helpTitle: "⌨️ *الأوامر المتاحة في أي وقت:*",
+    helpLine: "• *{usage}*: {description}",
+    helpAliases: " (أيضًا: {aliases})",
+    error: "عذرًا، حدث خطأ أثناء معالجة أمرك. يرجى المحاولة لاحقًا.",
+    ticket: "عرض تذكرة وإجراءاتها",
+    menu: "العودة إلى القائمة الرئيسية",
+    help: "عرض هذه المساعدة",
+    myTickets: "عرض التذاكر التي تتابعها",
+    account: "ربط رقمك بحساب GLPI الخاص بك",
+    cancel: "إلغاء العملية الجارية",
+    reset: "مسح المحادثة والبدء من جديد",
+    language: "تغيير اللغة (fr، en، ar)"
+  },
+
+  language: {
+    chooseBody: "🌐 *اللغة*\n\nاختر لغة تواصلك مع الدعم:",
+    chooseHeader: "اللغة",
+    changed: "✅ سيتم إرسال الرسائل إليك من الآن فصاعدًا باللغة العربية."
+  },
+
+  media: {
+    pendingAttachment: "📎 تم استلام المرفق ({filename}). ستتم إضافته إلى تذكرتك فور إنشائها.",
+    noTarget: "📎 لإرفاق ملف، أنشئ تذكرة أولًا أو افتح متابعة تذكرة موجودة، ثم أرسل الملف مجددًا.",
+    attaching: "⏳ جارٍ إضافة المرفق إلى التذكرة #{ticketId}...",
+    attached: "✅ تمت إضافة المرفق {filename} إلى التذكرة #{ticketId}.",
+    error: "عذرًا، حدث خطأ أثناء إضافة المرفق. يرجى المحاولة لاحقًا.",
+    pendingFailed: "⚠️ تعذّرت إضافة {count} مرفق/مرفقات إلى التذكرة #{ticketId}.",
+    pendingAttached: "📎 تمت إضافة {count} مرفق/مرفقات إلى التذكرة #{ticketId}.",
+    voiceNotTranscribed: "🎙️ سيتم إرفاق رسالتك الصوتية بالتذكرة، لكن تحويلها إلى نص غير متاح. يرجى وصف مشكلتك كتابةً.",
+    voiceReceived: "🎙️ تم استلام الرسالة الصوتية، جارٍ تحويلها إلى نص...",
+    voiceNotUnderstood: "عذرًا، لم أتمكن من فهم رسالتك الصوتية. هل يمكنك المحاولة مجددًا أو وصف مشكلتك كتابةً؟",
+    transcript: "📝 *النص:*\n\"{transcript}\"",
+    voiceError: "عذرًا، حدث خطأ أثناء معالجة رسالتك الصوتية. يرجى وصف مشكلتك كتابةً."
+  },
+
+  location: {
+    noTarget: "📍 لتحديد موقع حادث، أنشئ تذكرة أولًا أو افتح متابعة تذكرة موجودة، ثم شارك موقعك مجددًا.",
+    noMatch: "📍 لا يوجد موقع في GLPI يطابق الموقع المُشارك. لم يتم تعديل موقع التذكرة.",
+    chooseHeader: "اختيار الموقع",
+    chooseBody: "📍 هناك عدة مواقع تطابق الموقع المُشارك. اختر الموقع الصحيح:",
+    chooseButton: "اختيار موقع",
+    distance: "على بعد {distance} م",
+    error: "عذرًا، حدث خطأ أثناء البحث عن الموقع. يرجى المحاولة لاحقًا.",
+    noTicket: "📍 لا توجد تذكرة جارية: لم يتم حفظ الموقع.",
+    saved: "📍 تم حفظ الموقع: *{name}*. سيُربط بتذكرتك عند إنشائها.",
+    updated: "📍 تم تحديد موقع التذكرة #{ticketId} على *{name}*.",
+    saveError: "عذرًا، حدث خطأ أثناء حفظ الموقع. يرجى المحاولة لاحقًا."
+  },
+
+  contacts: {
+    noTarget: "👤 لإضافة جهة اتصال إلى تذكرة، أنشئ التذكرة أولًا أو افتح متابعة تذكرة موجودة، ثم شارك بطاقة جهة الاتصال مجددًا.",
+    roleQuestion: "👤 بأي صفة تريد إضافة *{names}* إلى التذكرة #{ticketId}؟",
+    requesterButton: "مقدّم طلب",
+    observerButton: "مراقب",
+    header: "إضافة جهة اتصال",
+    error: "عذرًا، حدث خطأ أثناء إضافة جهة الاتصال. يرجى المحاولة لاحقًا.",
+    unnamed: "جهة اتصال بدون اسم"
+  },
+
+  replies: {
+    added: "✅ تمت إضافة ردك كمتابعة إلى التذكرة #{ticketId}.",
+    error: "عذرًا، تعذّرت إضافة ردك إلى التذكرة #{ticketId}. يرجى المحاولة لاحقًا."
+  },
+
+  reactions: {
+    error: "عذرًا، تعذّر احتساب تفاعلك مع التذكرة #{ticketId}. يرجى المحاولة لاحقًا.",
+    approved: "✅ شكرًا! تم اعتماد حل التذكرة #{ticketId} وأُغلقت التذكرة.",
+    positiveFeedback: "🙏 شكرًا على تقييمك الإيجابي للتذكرة #{ticketId}!",
+    feedback: "🙏 شكرًا على تقييمك للتذكرة #{ticketId}!",
+    notPending: "ℹ️ التذكرة #{ticketId} لم تعد بانتظار الاعتماد (الحالة: {status}).",
+    reopened: "🔄 تمت إعادة فتح التذكرة #{ticketId}. أجب على هذه الرسالة لتوضيح ما لا يزال لا يعمل: سيُضاف ردك إلى التذكرة."
+  },
+
+  notifications: {
+    header: "تحديث التذكرة",
+    title: "🔔 *تحديث التذكرة #{ticketId}*",
+    ticketTitle: "📋 *العنوان:* {title}",
+    statusChanged: "🚦 *تم تغيير حالة التذكرة*",
+    previousStatus: "⬅️ الحالة السابقة: *{status}*",
+    newStatus: "➡️ الحالة الجديدة: *{status}*",
+    reactToSolution: "تفاعل مع هذه الرسالة بـ 👍 لاعتماد الحل أو 👎 لرفضه وإعادة فتح التذكرة.",
+    newComment: "💬 *تمت إضافة تعليق جديد*",
+    commentAuthor: "👤 أضافه: *{author}*",
+    someUser: "مستخدم",
+    assignedToTechnician: "👤 *تم إسناد التذكرة إلى فني*",
+    technician: "الفني: *{name}*",
+    assignedToGroup: "👥 *تم إسناد التذكرة إلى مجموعة*",
+    group: "المجموعة: *{name}*",
+    newRequester: "👤 *تمت إضافة مقدّم طلب جديد إلى التذكرة*",
+    requester: "مقدّم الطلب: *{name}*",
+    notSpecified: "غير محدد",
+    updated: "ℹ️ *تم تحديث التذكرة*",
+    date: "📅 *التاريخ:* {date}",
+    time: "⏰ *الوقت:* {time}",
+    detailsButton: "عرض التفاصيل",
+    commentsButton: "التعليقات",
+    commentButton: "تعليق"
+  },
+
+  rateLimit: {
+    messages: "⏳ أنت ترسل الكثير من الرسائل في وقت قصير. يرجى الانتظار {seconds} ثانية: لن تتم معالجة الرسائل المستلمة حتى ذلك الحين.",
+    tickets: "⏳ لقد بلغت الحد الأقصى وهو {limit} تذاكر في الساعة. يمكنك إنشاء هذه التذكرة بعد {minutes} دقيقة: تم الاحتفاظ بإجاباتك."
+  },
+
+  requester: {
+    header: "التعريف",
+    emailPrompt: "👤 رقم واتساب الخاص بك غير مرتبط بأي حساب GLPI.\n\nليعرف فريق الدعم صاحب الطلب، يرجى إرسال بريدك الإلكتروني المهني.\n\n💡 ليتم التعرف عليك تلقائيًا، اربط حسابك بالأمر *حسابي*.",
+    skipButton: "المتابعة بدونه",
+    emailHint: "أرسل عنوان بريد إلكتروني صالحًا (مثال: prenom.nom@entreprise.com) أو اختر «المتابعة بدونه».",
+    emailRecorded: "✅ شكرًا، سيتم تسجيل العنوان {email} كصاحب طلب التذكرة. راجع الملخص ثم أكد إنشاء التذكرة.",
+    skipped: "سيتم إنشاء التذكرة بدون صاحب طلب محدد. راجع الملخص ثم أكد إنشاء التذكرة."
+  },
+
+  link: {
+    header: "حساب GLPI",
+    linkButton: "🔐 ربط حسابي",
+    unlinkButton: "إلغاء ربط حسابي",
+    resendButton: "إعادة إرسال الرمز",
+    changeEmailButton: "تغيير العنوان",
+    required: "🔐 اربط رقم واتساب الخاص بك بحساب GLPI للوصول إلى ذلك: سيتم إرسال رمز تحقق إليك عبر البريد الإلكتروني.",
+    ticketAccessDenied: "⛔ التذكرة #{ticketId} ليست من التذاكر التي أنشأتها أو تتابعها.",
+    searchDenied: "⛔ يشمل البحث جميع تذاكر الدعم.",
+    emailPrompt: "🔐 *ربط حساب GLPI الخاص بك*\n\nأرسل البريد الإلكتروني المهني لحساب GLPI الخاص بك: سيتم إرسال رمز تحقق إليه.",
+    emailHint: "أرسل البريد الإلكتروني لحساب GLPI الخاص بك (مثال: prenom.nom@entreprise.com).",
+    userNotFound: "❌ لا يوجد حساب GLPI مرتبط بالعنوان {email}. تحقق من العنوان أو اتصل بالدعم.",
+    lookupError: "❌ تعذر التحقق من عنوانك حاليًا. يرجى المحاولة لاحقًا.",
+    sendError: "❌ تعذر إرسال بريد التحقق. يرجى المحاولة لاحقًا.",
+    retryLater: "⏳ تم إرسال رمز للتو. يمكنك طلب رمز جديد بعد {seconds} ثانية.",
+    codePrompt: "📧 تم إرسال رمز من 6 أرقام إلى {email}. وهو صالح لمدة {minutes} دقيقة.\n\nاكتبه هنا لربط حسابك.",
+    codeHint: "أرسل الرمز المكون من 6 أرقام الذي وصلك عبر البريد الإلكتروني، أو اطلب رمزًا جديدًا.",
+    invalidCode: "❌ رمز غير صحيح. تبقى لديك {attemptsLeft} محاولة.",
+    codeExpired: "⌛ انتهت صلاحية هذا الرمز. أرسل عنوانك مجددًا لتلقي رمز جديد.",
+    tooManyAttempts: "⛔ عدد كبير من الرموز غير الصحيحة: تم إلغاء التحقق. يمكنك البدء من جديد بالأمر *حسابي*.",
+    linked: "✅ أصبح رقمك مرتبطًا بحساب GLPI {email}. سيتم إنشاء تذاكرك القادمة باسمك.",
+    status: "🔐 رقم واتساب الخاص بك مرتبط بحساب GLPI {email}.",
+    unlinked: "لم يعد رقمك مرتبطًا بحساب GLPI الخاص بك.",
+    cancelled: "تم إلغاء ربط الحساب.",
+    mailSubject: "رمز التحقق الخاص بواتساب",
+    mailBody: "مرحبًا،\n\nتم طلب ربط رقم واتساب +{phone} بحساب GLPI الخاص بك.\n\nرمز التحقق: {code}\n\nهذا الرمز صالح لمدة {minutes} دقيقة. إذا لم تكن صاحب هذا الطلب، يرجى تجاهل هذا البريد."
+  }
+};
@@ -0,0 +1,551 @@
+/**
+ * Catalogue des messages en anglais
+ * Les clés absentes sont reprises du catalogue français
+ */
+
+module.exports = {
+  languageName: "English",
+
+  common: {
+    dateTime: "{date} at {time}",
+    menuButton: "🏠 Main menu",
+    backButton: "⬅️ Back",
+    whatToDo: "What would you like to do?",
+    otherActions: "Other actions:",
+    ticketHeader: "Ticket #{ticketId}",
+    retryLater: "Sorry, an error occurred. Please try again later.",
+    resetHint: "Sorry, an error occurred. Please try again by sending 'reset'.",
+    unsupportedMessage: "Sorry, I can only handle text messages, voice messages, locations, contacts, images, documents and videos for now.",
+    listSection: "Available options",
+    listFooter: "Select an option",
+    listButton: "View options",
+    listFallback: "Available options:",
+    buttonsFallback: "Options (reply with one of these options):"
+  },
+
+  status: {
+    1: "New",
+    2: "In progress (assigned)",
+    3: "In progress (planned)",
+    4: "Pending",
+    5: "Solved",
+    6: "Closed",
+    unknown: "Unknown"
+  },
+  ticketType: {
+    1: "Incident",
+    2: "Request",
+    unknown: "Unknown"
+  },
+  urgency: {
+    1: "Very high",
+    2: "High",
+    3: "Medium",
+    4: "Low",
+    5: "Very low",
+    unknown: "Unknown"
+  },
+  urgencyLevel: {
+    1: "🔴 Very high",
+    2: "🟠 High",
+    3: "🟢 Medium",
+    4: "🔵 Low",
+    5: "⚪ Very low"
+  },
+  urgencyDescription: {
+    1: "Critical, blocking the business",
+    2: "Major impact on several users",
+    3: "Moderate impact",
+    4: "Little impact",
+    5: "Minor improvement"
+  },
+
+  engine: {
+    notUnderstood: "🤔 I didn't understand your answer.",
+    cancelled: "Operation cancelled. Back to the main menu.",
+    nothingToCancel: "There is nothing to cancel.",
+    error: "Sorry, an error occurred while processing your message. Please try again later.",
+    invalidTicketId: "Please enter a valid ticket number (digits only)."
+  },
+
+  menu: {
+    mainHeader: "Main menu",
+    mainBody: "👋 *Welcome to the GLPI support service*\n\nWhat would you like to do today?",
+    createTicketButton: "📃 Create a ticket",
+    subscriptionsButton: "🔔 Subscriptions",
+    trackButton: "🔍 Track tickets",
+    mainHint: "Choose an option from the menu below.",
+    creationHeader: "Ticket creation",
+    creationBody: "📝 *Ticket creation*\n\nPlease choose how to create your ticket:",
+    aiModeButton: "🤖 AI mode",
+    guidedModeButton: "📋 Guided mode",
+    creationHint: "Choose guided mode or AI mode to create your ticket.",
+    subscriptionsHeader: "Subscriptions",
+    subscriptionsBody: "🔔 *Subscriptions*\n\nManage your ticket notification subscriptions:",
+    viewSubscriptionsButton: "📋 My subscriptions",
+    addSubscriptionButton: "➕ Follow a ticket",
+    subscriptionsHint: "Choose an option from the subscriptions menu.",
+    trackingHeader: "Ticket tracking",
+    trackingBody: "🔍 *Ticket tracking*\n\nView and manage your existing tickets:",
+    trackByIdButton: "🔢 Look up by number",
+    searchButton: "🔎 Search tickets",
+    trackingHint: "Choose an option from the tracking menu.",
+    creationModes: "🤖 *AI mode* - Simply describe your problem in your own words\n📋 *Guided mode* - Step-by-step creation with specific questions",
+    subscriptionsOptions: "• View your current subscriptions\n• Subscribe to a new ticket\n• Unsubscribe from a ticket",
+    removeSubscriptionButton: "➖ Unsubscribe",
+    trackingOptions: "• View a ticket by its number\n• Search tickets by criteria\n• View your recent tickets",
+    recentTicketsButton: "🕒 Recent tickets",
+    unsubscribeHeader: "Remove subscription",
+    unsubscribeBody: "❌ *Remove a subscription*\n\nPlease enter the number of the ticket you want to unsubscribe from."
+  },
+
+  creation: {
+    categoryPrompt: "Please select a category:",
+    categoryHeader: "ITIL category ({page}/{pages})",
+    categoryOption: "- {title} (reply with '{id}')",
+    categoryFallback: "ITIL category ({page}/{pages})\n\nPlease select a category by replying with the matching number:\n{categories}",
+    categoryButton: "Categories",
+    categoryPrevious: "◀ Previous",
+    categoryNext: "Next ▶",
+    categoriesUnavailable: "⚠️ ITIL categories are temporarily unavailable. Your ticket will be created without a category; the support team will assign one.",
+    resumed: "🔄 The service restarted while you were creating your ticket. Your answers were kept, let's pick up where you left off:",
+    summary: "*Your ticket summary:*\n\n*Type:* {type}\n*Category:* {category}\n*Title:* {title}\n*Description:* {description}\n*Urgency:* {urgency}",
+    incidentType: "🔴 Incident",
+    requestType: "🔵 Request",
+    confirmButton: "✅ Confirm",
+    cancelButton: "❌ Cancel",
+    confirmationHeader: "Confirmation",
+    confirmationFallback: "To confirm, reply with \"confirm\" or \"cancel\", or \"menu\" to go back to the main menu.",
+    created: "✅ *Your ticket has been created!*\n*Ticket number: #{ticketId}*\n{personalized}\nYou can take further actions on this ticket:",
+    createdHeader: "Ticket created",
+    createError: "An error occurred while creating your ticket. Please try again later.",
+    createErrorHeader: "❌ Ticket creation error",
+    assignButton: "👤 Assign",
+    requesterButton: "📝 Requester",
+    commentButton: "💬 Comment",
+    cancelled: "Ticket creation cancelled. You can start a new one at any time.",
+    typeHeader: "Ticket type",
+    typeBody: "📝 *Guided mode - Ticket type*\n\nPlease choose the ticket type:",
+    typeHint: "Please select 'Incident' or 'Request'.",
+    categoryHint: "Please select a category from the list or by replying with its number.",
+    titlePrompt: "Please enter a short title for your ticket:",
+    titleHint: "The title must be entered as text.",
+    descriptionPrompt: "📝 *Guided mode - Description*\n\nPlease describe your issue or request in detail:",
+    descriptionHint: "The description must be entered as text.",
+    urgencyPrompt: "🔊 *Guided mode - Urgency*\n\nPlease select the urgency level:",
+    urgencyHighBody: "*High urgencies:*",
+    urgencyHighHeader: "Urgency level (1/2)",
+    urgencyLowBody: "*Low urgencies:*",
+    urgencyLowHeader: "Urgency level (2/2)",
+    urgencyHint: "Reply with an urgency level from 1 (very high) to 5 (very low).",
+    confirmationHint: "Please reply with *confirm* or *cancel*.",
+    createdActions: "What would you like to do with ticket #{ticketId}?",
+    createdActionsHeader: "Available actions",
+    createdHint: "For ticket #{ticketId}, you can reply with:\n- *assign*: to assign the ticket\n- *requester*: to add a requester\n- *comment*: to add a comment\n- *menu*: to go back to the main menu"
+  },
+
+  ai: {
+    summary: "📋 AI analysis of your request:\n\nType: {type}\nCategory: {category}\nTitle: {title}\nUrgency: {urgency}\n{complexity}\n\nDescription: {description}",
+    complexity: "Complexity: {complexity}",
+    suggestions: "💡 Initial suggestions:",
+    missingInfo: "❓ Information that could help:",
+    checkSummary: "✅ Please check the information above and confirm the ticket creation, or edit the details if needed.",
+    editButton: "✏️ Edit",
+    descriptionHeader: "AI mode - Description",
+    descriptionPrompt: "🤖 *AI mode - Description*\n\nPlease describe your issue or request in detail. Our AI will analyse your description to create a suitable ticket automatically.\n\nExample: \"My computer hasn't started since this morning, I get a blue screen\".",
+    analyzing: "🧠 Analysing... I'm processing your request with our AI.",
+    analysisError: "⚠️ *AI analysis error*\n\nSorry, an error occurred while analysing your request. This can happen when the request is complex or contains information our AI could not interpret correctly.\n\nWould you like to try guided mode instead? You will be taken step by step through creating your ticket.",
+    switchToGuidedButton: "Use guided mode",
+    retryButton: "Retry AI mode",
+    optionsBody: "How would you like to proceed?",
+    optionsHeader: "Options",
+    descriptionHint: "Describe your issue or request in a few sentences.",
+    switchedToGuided: "✅ *Switching to guided mode*\n\nYou will now be guided step by step to create your ticket. Please select the ticket type from the options below.",
+    cancelled: "❌ *Ticket creation cancelled*\n\nYour request has been cancelled. No ticket was created.\n\nYou can start a new one at any time using the options below.",
+    creating: "⏳ Creating your ticket...",
+    preparingSummary: "{message}\n\nPreparing your ticket summary...",
+    urgencyUpdated: "✅ *Urgency updated!*\n\nPrevious urgency: {previous}\nNew urgency: *{current}*",
+    categoryUpdated: "✅ *Category updated!*\n\nPrevious category: {previous}\nNew category: *{current}*",
+    titleUpdated: "✅ *Title updated!*\n\nPrevious title: {previous}\nNew title: *{current}*",
+    confirmationHint: "Please use the buttons to confirm or cancel the ticket creation.",
+    editHeader: "Edit the ticket",
+    editBody: "Select an item to edit",
+    editButtonText: "Choose",
+    editTitle: "Title",
+    editUrgency: "Urgency",
+    editCategory: "Category",
+    editDescription: "Description",
+    editDescriptionDetail: "Edit the description",
+    editHint: "Select the item to edit from the list.",
+    editTitlePrompt: "✅ You chose to edit the title.\n\nCurrent title: *{title}*\n\nPlease enter the new title for your ticket:",
+    editUrgencyPrompt: "✅ You chose to edit the urgency.\n\nCurrent urgency: *{urgency}*\n\nPlease select the new urgency level from the list below.",
+    urgencyListHeader: "Urgency level",
+    urgencyListBody: "Select a new urgency:",
+    urgencyListButton: "Choose urgency",
+    editCategoryPrompt: "✅ You chose to edit the category.\n\nCurrent category: *{category}*\n\nPlease select the new category below.",
+    editDescriptionPrompt: "Please enter the new description for your ticket:",
+    descriptionUpdatedAnalyzing: "✅ *Description updated!*\n\nNew description: *{preview}*\n\n🧠 Analysing your new description...",
+    descriptionReanalyzed: "✅ *Description updated and ticket re-analysed!*\n\nThe AI analysed your description and updated the ticket details.",
+    descriptionUpdated: "✅ *Description updated!*\n\nNew description: *{preview}*"
+  },
+
+  tracking: {
+    searching: "Looking up the ticket... ⏳",
+    notFound: "⚠️ Ticket #{ticketId} was not found. Please check the number and try again.",
+    cancelled: "Ticket tracking cancelled. Back to the main menu.",
+    enterIdHeader: "Ticket tracking",
+    enterIdBody: "🔍 *Ticket tracking*\n\nPlease enter the number of the ticket you want to track.",
+    ticketButton: "🎫 Ticket #{ticketId}",
+    ticketHint: "Use the buttons above to act on ticket #{ticketId}, enter another ticket number or reply *menu* to go back to the main menu."
+  },
+
+  ticket: {
+    detailsUnavailable: "❌ Unable to retrieve the ticket details.",
+    detailsTitle: "📋 *TICKET #{ticketId} DETAILS*",
+    title: "📝 *Title:* {title}",
+    type: "🔖 *Type:* {type}",
+    status: "🚦 *Status:* {status}",
+    urgency: "🔥 *Urgency:* {urgency}",
+    createdAt: "📅 *Created:* {date}",
+    updatedAt: "🔄 *Last updated:* {date}",
+    closedAt: "✅ *Closed:* {date}",
+    assignedTo: "👤 *Assigned to:* {name}",
+    assignedToGroup: "👥 *Assigned to group:* {name}",
+    notAssigned: "👤 *Assignment:* Not assigned",
+    description: "📄 *Description:*\n{description}",
+    subscribed: "✅ You are subscribed to notifications for this ticket.",
+    notSubscribed: "❌ You are not subscribed to notifications for this ticket.",
+    header: "*🎫 Ticket #{ticketId}*",
+    urgencyScore: "🔥 *Urgency:* {urgency}/5",
+    assignedGroups: "👥 *Assigned groups:*",
+    assignedTechnicians: "👨‍💻 *Assigned technicians:*",
+    followups: "💬 *Replies ({count}):*",
+    followupHeader: "------- Reply #{index} (ID: {id}) -------",
+    noFollowups: "💬 *No replies yet*",
+    groupFallback: "Group #{id}",
+    technicianFallback: "Technician #{id}",
+    trackError: "❌ An error occurred while tracking ticket #{ticketId}. Please try again later.",
+    displayError: "❌ An error occurred while displaying the details of ticket #{ticketId}. Please try again later.",
+    notFound: "❌ Ticket #{ticketId} not found. Please check the number and try again.",
+    addCommentButton: "📝 Add comment",
+    addFollowupButton: "💬 Add follow-up",
+    assignTechnicianButton: "👨‍💻 Assign technician",
+    addRequesterButton: "👤 Add requester",
+    unsubscribeButton: "🔕 Unsubscribe",
+    subscribeButton: "🔔 Subscribe",
+    viewCommentsButton: "💬 View comments",
+    commentButton: "📝 Comment",
+    assignButton: "👤 Assign",
+    requesterButton: "👥 Requester",
+    closeButton: "✅ Close ticket",
+    unsubscribeShortButton: "🔕 Unsubscribe",
+    detailsHeader: "Ticket details",
+    moreActionsBody: "Choose from the following options:",
+    moreActionsHeader: "More actions",
+    noComments: "ℹ️ No comments found for ticket #{ticketId}.",
+    commentsTitle: "💬 *TICKET #{ticketId} COMMENTS*",
+    commentHeader: "*Comment #{index}*",
+    commentDate: "📅 *Date:* {date}",
+    commentAuthor: "👤 *Author:* {author}",
+    commentAuthorFallback: "User #{id}",
+    commentContent: "💬 *Content:* {content}",
+    backToDetailsButton: "📋 Back to details",
+    commentsError: "❌ An error occurred while retrieving the comments of ticket #{ticketId}. Please try again later.",
+    addCommentPrompt: "Please enter your comment for this ticket.\n\nThis comment will be visible to every user with access to the ticket.",
+    addRequesterPrompt: "👤 *Add a requester to the ticket*\n\nPlease enter the login or name of the requester to add, or share their WhatsApp contact card directly.\n\nExample: john.smith@company.com or John Smith",
+    requesterTicketNotFound: "❌ Ticket #{ticketId} not found. Unable to add the requester.",
+    userSearchError: "❌ Error while looking up the user. Please try again.",
+    userNotFound: "❌ User '{user}' not found in GLPI. Check the spelling or use a valid email address.",
+    requesterAdded: "✅ Requester added to ticket #{ticketId}.",
+    requesterError: "❌ Error while adding the requester to the ticket. Please try again.",
+    genericError: "❌ An error occurred. Please try again later.",
+    roleRequester: "requester",
+    roleObserver: "observer",
+    contactAdded: "✅ {name} has been added as {role} to ticket #{ticketId}.",
+    contactAddedByEmail: "✅ {name} has no GLPI account: they were added as {role} of ticket #{ticketId} with the address {email} and will receive notifications by email.",
+    contactNoEmail: "❌ {name} does not match any GLPI user and their card has no email address. Unable to add them to the ticket.",
+    contactError: "❌ Error while adding {name} to the ticket. Please try again.",
+    creationNotice: "✅ *Ticket created*\n\n📝 *Number:* #{ticketId}\n📋 *Title:* {title}\n🔖 *Type:* {type}\n🚦 *Status:* {status}\n🔥 *Urgency:* {urgency}\n\nYou are now subscribed to notifications for this ticket. You will automatically receive a message when the status changes, a comment is added or the ticket is assigned.",
+    creationHeader: "Ticket created",
+    technicians: "👨‍💻 *Technician(s):* {names}",
+    otherTicketButton: "🔍 Another ticket",
+    viewDetailsButton: "📋 View details",
+    commentActionButton: "📝 Comment"
+  },
+
+  actions: {
+    viewTicketButton: "📃 View ticket",
+    assignedToGroup: "to group *{name}*",
+    assignedToTechnician: "to technician *{name}*",
+    assigned: "✅ *Assignment successful!*\n\nTicket #{ticketId} has been assigned {assignee}.\n\nSubscribers to this ticket have been notified of the assignment.",
+    assignmentHeader: "Assignment",
+    assignError: "Sorry, an error occurred while assigning ticket #{ticketId}. Please try again later.",
+    assignErrorHeader: "❌ Assignment error",
+    closed: "✅ Ticket #{ticketId} has been closed.",
+    closedHeader: "Ticket closed",
+    closeError: "Sorry, an error occurred while closing ticket #{ticketId}. Please try again later.",
+    alreadySubscribed: "You are already subscribed to notifications for ticket #{ticketId}.",
+    subscribed: "✅ You are now subscribed to notifications for ticket #{ticketId}.",
+    unsubscribed: "✅ You are now unsubscribed from notifications for ticket #{ticketId}.",
+    notSubscribed: "You are not subscribed to notifications for ticket #{ticketId}.",
+    commentsHeader: "Comments",
+    commentPrompt: "💬 *Comment on ticket #{ticketId}*\n\n{instructions}",
+    commentAdded: "✅ *Comment added!*\n\nYour comment has been added to ticket #{ticketId}.\n\nSubscribers to this ticket have been notified of the new comment.",
+    commentHeader: "Comment",
+    commentError: "Sorry, an error occurred while adding the comment to ticket #{ticketId}. Please try again later.",
+    commentHint: "Send the text of your comment, or *menu* to go back to the main menu.",
+    requesterPrompt: "{instructions}\n\nTicket: #{ticketId}",
+    requesterHint: "Send the requester's email, phone number or name, or share their contact card.",
+    assignLoading: "✅ *Assigning ticket #{ticketId}*\n\nFetching the available groups and technicians...",
+    groupsBody: "*Assigning ticket #{ticketId}*\n\nChoose who to assign this ticket to:\n\n*Available groups:*",
+    groupsHeader: "Groups",
+    techniciansBody: "*Available technicians:*",
+    techniciansHeader: "Technicians",
+    assignOptionsError: "An error occurred while retrieving the assignment options. Please try again later.",
+    assignHint: "Choose a group or a technician with the buttons provided."
+  },
+
+  search: {
+    newSearchButton: "🔄 New search",
+    cancelled: "Search cancelled. Back to the main menu.",
+    byStatusButton: "🚦 By status",
+    byTypeButton: "🔖 By type",
+    byKeywordButton: "🔤 By keyword",
+    header: "Ticket search",
+    menuBody: "🔎 *Ticket search*\n\nEnter a ticket number (example: 12345) or search criteria (example: *mot:printer statut:2*), or choose a search type below.",
+    menuHint: "Enter a ticket number, search criteria or choose a search type.",
+    statusHeader: "Search by status",
+    statusBody: "🚦 *Search by status*\n\nChoose a status:",
+    statusButton: "Choose a status",
+    statusNew: "🆕 New",
+    statusInProgress: "⏳ In progress",
+    statusSolved: "✅ Solved",
+    statusClosed: "🔒 Closed",
+    statusHint: "Choose a status from the list.",
+    typeHeader: "Search by type",
+    typeBody: "🔖 *Search by type*\n\nChoose a ticket type:",
+    typeHint: "Choose 'Incident' or 'Request'.",
+    keywordPrompt: "🔤 *Search by keyword*\n\nPlease enter a keyword to look for in ticket titles and descriptions.",
+    inProgress: "🔍 Searching, please wait...",
+    noResults: "🔍 *Search results*\n\nNo ticket matches your search criteria.",
+    noResultsForKeyword: "🔍 No ticket found for \"{keyword}\".",
+    noResultsPlain: "🔍 No ticket matches your search criteria.",
+    resultsTitle: "🔍 *Search results*",
+    resultsForKeyword: "🔍 *Results for \"{keyword}\"*",
+    found: "{count} ticket(s) found:",
+    resultTicket: "🎫 *Ticket #{ticketId}*",
+    resultTitle: "📋 Title: {title}",
+    resultStatus: "🚦 Status: {status}",
+    resultType: "📋 Type: {type}",
+    resultUrgency: "🔥 Urgency: {urgency}",
+    resultDate: "📅 Date: {date}",
+    resultCreatedAt: "📅 Created: {date}",
+    more: "_...and {count} more ticket(s)_",
+    openAnother: "Enter a number to open another ticket.",
+    openButton: "🔍 Ticket #{ticketId}",
+    error: "Sorry, an error occurred during the search. Please try again later.",
+    criteriaPrompt: "🔍 *Advanced ticket search*\n\nPlease specify your search criteria:\n\n1️⃣ To search by keyword, send:\n   *mot:* followed by your keyword\n\n2️⃣ To filter by status, send:\n   *statut:* followed by the status number (1-6)\n\n3️⃣ To filter by type, send:\n   *type:* followed by the type (1=incident, 2=request)\n\n4️⃣ To filter by urgency, send:\n   *urgence:* followed by the urgency level (1-5)\n\n5️⃣ To combine several criteria, separate them with spaces.\n\nExamples:\n- \"mot:printer\"\n- \"statut:2 type:1\"\n- \"mot:network urgence:3\"\n\nSend *cancel* to go back to the main menu.",
+    byIdBody: "🔎 *Search a ticket by ID*\n\nPlease enter the number of the ticket you are looking for.\n\nExample: 12345\n\nℹ️ You can also use the buttons below for quick access to some options.",
+    lastTicketButton: "🎟 Last ticket #{ticketId}",
+    resultsHint: "Enter a ticket number or new search criteria."
+  },
+
+  recent: {
+    header: "Recent tickets",
+    empty: "📋 *Recent tickets*\n\nYou have not viewed any tickets yet. Use the 'View by number' option to track a specific ticket.",
+    optionsHeader: "Options",
+    listBody: "📋 *Your recent tickets*\n\nSelect a ticket to see its details:",
+    item: "• *Ticket #{ticketId}*: {title}\n   Status: {status}",
+    itemUnavailable: "• *Ticket #{ticketId}*: Details unavailable",
+    error: "Sorry, an error occurred while displaying your recent tickets. Please try again later."
+  },
+
+  subscriptions: {
+    commandsHint: "Available commands:\n\n- To subscribe to a ticket: *abonner [ID]*\n- To unsubscribe from a ticket: *desabo [ID]*\n- To go back to the main menu: *menu*",
+    alreadySubscribed: "You are already subscribed to ticket #{ticketId}.",
+    ticketNotFound: "❌ Ticket #{ticketId} does not exist or is not accessible.",
+    subscribed: "✅ You are now subscribed to ticket #{ticketId}.",
+    notSubscribed: "You are not subscribed to ticket #{ticketId}.",
+    unsubscribed: "✅ You have been unsubscribed from ticket #{ticketId}.",
+    header: "Your subscriptions",
+    menuFallback: "{message}\n\nTo go back to the main menu, reply with 'menu'.",
+    addPrompt: "To subscribe to a ticket, please enter its number:\n\nExample: *abonner 12345*",
+    addInvalid: "Please enter a valid ticket number. Example: *abonner 12345*",
+    noneToRemove: "❗ You are not subscribed to any ticket. Nothing to remove.",
+    removeTitle: "🗑️ *Remove a subscription*\n\nYou are subscribed to the following tickets:",
+    ticketLine: "🎟 *Ticket #{ticketId}* - {title}",
+    ticketUnavailable: "🎟 *Ticket #{ticketId}* (Details unavailable)",
+    ticketError: "🎟 *Ticket #{ticketId}* (Error while retrieving details)",
+    removeButton: "❌ Remove #{ticketId}",
+    removeOther: "To remove another subscription, type: *desabo [ID]*",
+    removeHeader: "Remove subscription",
+    empty: "🔔 *Subscriptions*\n\n*What is it?*\nSubscriptions let you automatically follow updates to your important tickets.\n\n*Benefits:*\n• Receive instant notifications\n• Follow status changes\n• Be told about new comments\n\n*Current status:*\nYou are not subscribed to any ticket.\n\n*Subscriptions menu:*\nChoose one of the three options below.",
+    activeTitle: "🔔 *Your Active Subscriptions*\n\n*How it works:*\nYou will receive automatic notifications for every ticket listed below.\n\n*Tickets you follow:*",
+    ticketTitle: "📋 Title: {title}",
+    ticketStatus: "🚦 Status: {status}",
+    trackButton: "🔍 Ticket #{ticketId}",
+    unsubscribeButton: "❌ Unfollow #{ticketId}",
+    menuTitle: "*Subscriptions menu:*\nChoose one of the three options below.",
+    viewButton: "🔍 My subscriptions",
+    addButton: "➕ Add subscription",
+    removeSubscriptionButton: "❌ Remove subscription",
+    error: "❗ An error occurred while retrieving your subscriptions. Please try again later."
+  },
+
+  drafts: {
+    header: "Ticket draft",
+    heading: "📝 *Ticket draft*",
+    startedAt: "You started a ticket on {date}:",
+    type: "🔖 Type: {type}",
+    ticketTitle: "📋 Title: {title}",
+    description: "📄 Description: {description}",
+    attachments: "📎 Attachments: {count}",
+    question: "Resume your draft or start a new ticket?",
+    resumeButton: "📝 Resume",
+    newTicketButton: "🆕 New ticket",
+    unavailable: "Your draft is no longer available.",
+    hint: "Choose 'Resume' to continue your draft or 'New ticket' to start over."
+  },
+
+  commands: {
+    helpTitle: "⌨️ *Commands available at any time:*",
+    helpLine: "• *{usage}*: {description}",
+    helpAliases: " (also: {aliases})",
+    error: "Sorry, an error occurred while processing your command. Please try again later.",
+    ticket: "show a ticket and its actions",
+    menu: "go back to the main menu",
+    help: "show this help",
+    myTickets: "see the tickets you follow",
+    account: "link your number to your GLPI account",
+    cancel: "abandon the current operation",
+    reset: "clear the conversation and start over",
+    language: "change language (fr, en, ar)"
+  },
+
+  language: {
+    chooseBody: "🌐 *Language*\n\nChoose the language for your conversations with support:",
+    chooseHeader: "Language",
+    changed: "✅ Messages will now be sent to you in English."
+  },
+
+  media: {
+    pendingAttachment: "📎 Attachment received ({filename}). It will be added to your ticket once it is created.",
+    noTarget: "📎 To attach a file, first create a ticket or open an existing ticket, then send the file again.",
+    attaching: "⏳ Adding the attachment to ticket #{ticketId}...",
+    attached: "✅ The attachment {filename} has been added to ticket #{ticketId}.",
+    error: "Sorry, an error occurred while adding the attachment. Please try again later.",
+    pendingFailed: "⚠️ {count} attachment(s) could not be added to ticket #{ticketId}.",
+    pendingAttached: "📎 {count} attachment(s) added to ticket #{ticketId}.",
+    voiceNotTranscribed: "🎙️ Your voice message will be attached to the ticket, but transcription is not available. Please describe your issue in writing.",
+    voiceReceived: "🎙️ Voice message received, transcribing...",
+    voiceNotUnderstood: "Sorry, I could not understand your voice message. Could you try again or describe your issue in writing?",
+    transcript: "📝 *Transcript:*\n\"{transcript}\"",
+    voiceError: "Sorry, an error occurred while processing your voice message. Please describe your issue in writing."
+  },
+
+  location: {
+    noTarget: "📍 To set the location of an incident, first create a ticket or open an existing ticket, then share your location again.",
+    noMatch: "📍 No GLPI location matches the shared position. The ticket location was not changed.",
+    chooseHeader: "Choose a location",
+    chooseBody: "📍 Several locations match the shared position. Select the right one:",
+    chooseButton: "Choose a location",
+    distance: "{distance} m away",
+    error: "Sorry, an error occurred while looking up the location. Please try again later.",
+    noTicket: "📍 No ticket in progress: the location was not saved.",
+    saved: "📍 Location saved: *{name}*. It will be linked to your ticket when it is created.",
+    updated: "📍 The location of ticket #{ticketId} has been set to *{name}*.",
+    saveError: "Sorry, an error occurred while saving the location. Please try again later."
+  },
+
+  contacts: {
+    noTarget: "👤 To add a contact to a ticket, first create the ticket or open an existing ticket, then share the contact card again.",
+    roleQuestion: "👤 How should *{names}* be added to ticket #{ticketId}?",
+    requesterButton: "Requester",
+    observerButton: "Observer",
+    header: "Add a contact",
+    error: "Sorry, an error occurred while adding the contact. Please try again later.",
+    unnamed: "Unnamed contact"
+  },
+
+  replies: {
+    added: "✅ Your reply has been added as a follow-up to ticket #{ticketId}.",
+    error: "Sorry, your reply could not be added to ticket #{ticketId}. Please try again later."
+  },
+
+  reactions: {
+    error: "Sorry, your reaction could not be processed for ticket #{ticketId}. Please try again later.",
+    approved: "✅ Thank you! The solution for ticket #{ticketId} has been approved and the ticket is now closed.",
+    positiveFeedback: "🙏 Thank you for your positive feedback on ticket #{ticketId}!",
+    feedback: "🙏 Thank you for your feedback on ticket #{ticketId}!",
+    notPending: "ℹ️ Ticket #{ticketId} is no longer awaiting approval (status: {status}).",
+    reopened: "🔄 Ticket #{ticketId} has been reopened. Reply to this message to explain what is still not working: your reply will be added to the ticket."
+  },
+
+  notifications: {
+    header: "Ticket update",
+    title: "🔔 *Ticket #{ticketId} update*",
+    ticketTitle: "📋 *Title:* {title}",
+    statusChanged: "🚦 *The ticket status has changed*",
+    previousStatus: "⬅️ Previous status: *{status}*",
+    newStatus: "➡️ New status: *{status}*",
+    reactToSolution: "React to this message with 👍 to approve the solution or 👎 to refuse it and reopen the ticket.",
+    newComment: "💬 *A new comment has been added*",
+    commentAuthor: "👤 Added by: *{author}*",
+    someUser: "A user",
+    assignedToTechnician: "👤 *The ticket has been assigned to a technician*",
+    technician: "Technician: *{name}*",
+    assignedToGroup: "👥 *The ticket has been assigned to a group*",
+    group: "Group: *{name}*",
+    newRequester: "👤 *A new requester has been added to the ticket*",
+    requester: "Requester: *{name}*",
+    notSpecified: "Not specified",
+    updated: "ℹ️ *The ticket has been updated*",
+    date: "📅 *Date:* {date}",
+    time: "⏰ *Time:* {time}",
+    detailsButton: "View details",
+    commentsButton: "Comments",
+    commentButton: "Comment"
+  },
+
+  rateLimit: {
+    messages: "⏳ You are sending a lot of messages in a short time. Please wait {seconds} seconds: messages received until then will not be processed.",
+    tickets: "⏳ You have reached the limit of {limit} tickets created per hour. You will be able to create this ticket in {minutes} min: your answers have been kept."
+  },
+
+  requester: {
+    header: "Identification",
+    emailPrompt: "👤 Your WhatsApp number is not linked to any GLPI account.\n\nSo that the support team knows who made the request, please send your work email address.\n\n💡 To be recognized automatically, link your account with the *account* command.",
+    skipButton: "Continue without",
+    emailHint: "Send a valid email address (e.g. firstname.lastname@company.com) or choose \"Continue without\".",
+    emailRecorded: "✅ Thank you, the address {email} will be set as the ticket requester. Check the summary, then confirm the ticket creation.",
+    skipped: "The ticket will be created without an identified requester. Check the summary, then confirm the ticket creation."
+  },
+
+  link: {
+    header: "GLPI account",
+    linkButton: "🔐 Link my account",
+    unlinkButton: "Unlink my account",
+    resendButton: "Resend the code",
+    changeEmailButton: "Change address",
+    required: "🔐 Link your WhatsApp number to your GLPI account to access it: a verification code will be sent to you by email.",
+    ticketAccessDenied: "⛔ Ticket #{ticketId} is not one of the tickets you created or follow.",
+    searchDenied: "⛔ The search covers all the support tickets.",
+    emailPrompt: "🔐 *Linking your GLPI account*\n\nSend the work email address of your GLPI account: a verification code will be sent to it.",
+    emailHint: "Send the email address of your GLPI account (e.g. firstname.lastname@company.com).",
+    userNotFound: "❌ No GLPI account matches the address {email}. Check the address or contact the support team.",
+    lookupError: "❌ Your address cannot be checked at the moment. Please try again later.",
+    sendError: "❌ The verification email could not be sent. Please try again later.",
+    retryLater: "⏳ A code has just been sent. You can request a new one in {seconds} seconds.",
+    codePrompt: "📧 A 6-digit code has been sent to {email}. It is valid for {minutes} min.\n\nType it here to link your account.",
+    codeHint: "Send the 6-digit code received by email, or request a new code.",
+    invalidCode: "❌ Wrong code. You have {attemptsLeft} attempt(s) left.",
+    codeExpired: "⌛ This code has expired. Send your address again to receive a new one.",
+    tooManyAttempts: "⛔ Too many wrong codes: the verification is cancelled. You can start again with the *account* command.",
+    linked: "✅ Your number is now linked to the GLPI account {email}. Your next tickets will be created in your name.",
+    status: "🔐 Your WhatsApp number is linked to the GLPI account {email}.",
+    unlinked: "Your number is no longer linked to your GLPI account.",
+    cancelled: "Account linking cancelled.",
+    mailSubject: "Your WhatsApp verification code",
+    mailBody: "Hello,\n\nA request was made to link the WhatsApp number +{phone} to your GLPI account.\n\nYour verification code: {code}\n\nThis code is valid for {minutes} minutes. If you did not make this request, please ignore this email."
+  }
+};
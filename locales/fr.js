@@ -0,0 +1,555 @@
+/**
+ * Catalogue des messages en français (langue de référence)
+ * Les paramètres entre accolades ({ticketId}) sont remplacés par i18nService.t
+ */
+
+module.exports = {
+  languageName: "Français",
+
+  common: {
+    dateTime: "{date} à {time}",
+    menuButton: "🏠 Menu principal",
+    backButton: "⬅️ Retour",
+    whatToDo: "Que souhaitez-vous faire ?",
+    otherActions: "Autres actions :",
+    ticketHeader: "Ticket #{ticketId}",
+    retryLater: "Désolé, une erreur s'est produite. Veuillez réessayer plus tard.",
+    resetHint: "Désolé, une erreur s'est produite. Veuillez réessayer en envoyant 'reset'.",
+    unsupportedMessage: "Désolé, je ne peux traiter que des messages texte, des messages vocaux, des localisations, des contacts, des images, des documents et des vidéos pour le moment.",
+    listSection: "Options disponibles",
+    listFooter: "Sélectionnez une option",
+    listButton: "Voir les options",
+    listFallback: "Options disponibles :",
+    buttonsFallback: "Options (répondez avec l'une de ces options) :"
+  },
+
+  // Libellés des valeurs GLPI
+  status: {
+    1: "Nouveau",
+    2: "En cours (attribué)",
+    3: "En cours (planifié)",
+    4: "En attente",
+    5: "Résolu",
+    6: "Clos",
+    unknown: "Inconnu"
+  },
+  ticketType: {
+    1: "Incident",
+    2: "Demande",
+    unknown: "Inconnu"
+  },
+  urgency: {
+    1: "Très haute",
+    2: "Haute",
+    3: "Moyenne",
+    4: "Basse",
+    5: "Très basse",
+    unknown: "Inconnue"
+  },
+  // Niveaux d'urgence proposés sur les boutons
+  urgencyLevel: {
+    1: "🔴 Très haute",
+    2: "🟠 Haute",
+    3: "🟢 Moyenne",
+    4: "🔵 Basse",
+    5: "⚪ Très basse"
+  },
+  urgencyDescription: {
+    1: "Critique, bloquant pour l'entreprise",
+    2: "Impact important sur plusieurs utilisateurs",
+    3: "Impact modéré",
+    4: "Peu d'impact",
+    5: "Amélioration mineure"
+  },
+
+  engine: {
+    notUnderstood: "🤔 Je n'ai pas compris votre réponse.",
+    cancelled: "Opération annulée. Retour au menu principal.",
+    nothingToCancel: "Il n'y a rien à annuler.",
+    error: "Désolé, une erreur s'est produite lors du traitement de votre message. Veuillez réessayer plus tard.",
+    invalidTicketId: "Veuillez entrer un numéro de ticket valide (chiffres uniquement)."
+  },
+
+  menu: {
+    mainHeader: "Menu principal",
+    mainBody: "👋 *Bienvenue au service de support GLPI*\n\nQue souhaitez-vous faire aujourd'hui ?",
+    createTicketButton: "📃 Créer un ticket",
+    subscriptionsButton: "🔔 Mes abonnements",
+    trackButton: "🔍 Suivre tickets",
+    mainHint: "Choisissez une option du menu ci-dessous.",
+    creationHeader: "Création de ticket",
+    creationBody: "📝 *Création de ticket*\n\nVeuillez choisir le mode de création :",
+    aiModeButton: "🤖 Mode IA",
+    guidedModeButton: "📋 Mode guidé",
+    creationHint: "Choisissez le mode guidé ou le mode IA pour créer votre ticket.",
+    subscriptionsHeader: "Gestion des abonnements",
+    subscriptionsBody: "🔔 *Gestion des abonnements*\n\nGérez vos abonnements aux notifications de tickets :",
+    viewSubscriptionsButton: "📋 Voir mes abonnements",
+    addSubscriptionButton: "➕ S'abonner à un ticket",
+    subscriptionsHint: "Choisissez une option du menu des abonnements.",
+    trackingHeader: "Suivi de tickets",
+    trackingBody: "🔍 *Suivi de tickets*\n\nConsultez et gérez vos tickets existants :",
+    trackByIdButton: "🔢 Consulter par numéro",
+    searchButton: "🔎 Rechercher tickets",
+    trackingHint: "Choisissez une option du menu de suivi.",
+    creationModes: "🤖 *Mode IA* - Décrivez simplement votre problème en langage naturel\n📋 *Mode guidé* - Création pas à pas avec des questions précises",
+    subscriptionsOptions: "• Voir vos abonnements actuels\n• S'abonner à un nouveau ticket\n• Se désabonner d'un ticket",
+    removeSubscriptionButton: "➖ Se désabonner",
+    trackingOptions: "• Consulter un ticket par son numéro\n• Rechercher des tickets par critères\n• Voir vos tickets récents",
+    recentTicketsButton: "🕒 Tickets récents",
+    unsubscribeHeader: "Supprimer abonnement",
+    unsubscribeBody: "❌ *Supprimer un abonnement*\n\nVeuillez entrer le numéro du ticket auquel vous souhaitez vous désabonner."
+  },
+
+  creation: {
+    categoryPrompt: "Veuillez sélectionner une catégorie :",
+    categoryHeader: "Catégorie ITIL ({page}/{pages})",
+    categoryOption: "- {title} (répondez avec '{id}')",
+    categoryFallback: "Catégorie ITIL ({page}/{pages})\n\nVeuillez sélectionner une catégorie en répondant avec le numéro correspondant:\n{categories}",
+    categoryButton: "Catégories",
+    categoryPrevious: "◀ Précédentes",
+    categoryNext: "Suivantes ▶",
+    categoriesUnavailable: "⚠️ Les catégories ITIL sont momentanément indisponibles. Votre ticket sera créé sans catégorie, le support l'attribuera.",
+    resumed: "🔄 Le service a redémarré pendant votre création de ticket. Vos saisies sont conservées, reprenons à l'étape où vous étiez :",
+    summary: "*Récapitulatif de votre ticket :*\n\n*Type :* {type}\n*Catégorie :* {category}\n*Titre :* {title}\n*Description :* {description}\n*Urgence :* {urgency}",
+    incidentType: "🔴 Incident",
+    requestType: "🔵 Demande",
+    confirmButton: "✅ Confirmer",
+    cancelButton: "❌ Annuler",
+    confirmationHeader: "Confirmation",
+    confirmationFallback: "Pour confirmer, répondez avec \"confirmer\" ou \"annuler\", ou \"menu\" pour revenir au menu principal.",
+    created: "✅ *Votre ticket a été créé avec succès !*\n*Numéro de ticket : #{ticketId}*\n{personalized}\nVous pouvez effectuer d'autres actions sur ce ticket :",
+    createdHeader: "Ticket créé",
+    createError: "Une erreur s'est produite lors de la création de votre ticket. Veuillez réessayer plus tard.",
+    createErrorHeader: "❌ Erreur de création de ticket",
+    assignButton: "👤 Attribuer",
+    requesterButton: "📝 Demandeur",
+    commentButton: "💬 Commentaire",
+    cancelled: "Création de ticket annulée. Vous pouvez démarrer une nouvelle création à tout moment.",
+    typeHeader: "Type de ticket",
+    typeBody: "📝 *Mode guidé - Type de ticket*\n\nVeuillez choisir le type de ticket :",
+    typeHint: "Veuillez sélectionner 'Incident' ou 'Demande'.",
+    categoryHint: "Veuillez sélectionner une catégorie dans la liste ou en répondant avec son numéro.",
+    titlePrompt: "Veuillez entrer un titre court pour votre ticket :",
+    titleHint: "Le titre doit être saisi sous forme de texte.",
+    descriptionPrompt: "📝 *Mode guidé - Description*\n\nVeuillez décrire votre problème ou votre demande en détail :",
+    descriptionHint: "La description doit être saisie sous forme de texte.",
+    urgencyPrompt: "🔊 *Mode guidé - Urgence*\n\nVeuillez sélectionner le niveau d'urgence :",
+    urgencyHighBody: "*Urgences élevées :*",
+    urgencyHighHeader: "Niveau d'urgence (1/2)",
+    urgencyLowBody: "*Urgences basses :*",
+    urgencyLowHeader: "Niveau d'urgence (2/2)",
+    urgencyHint: "Répondez avec un niveau d'urgence de 1 (très haute) à 5 (très basse).",
+    confirmationHint: "Veuillez répondre avec *confirmer* ou *annuler*.",
+    createdActions: "Que souhaitez-vous faire avec le ticket #{ticketId} ?",
+    createdActionsHeader: "Actions disponibles",
+    createdHint: "Pour le ticket #{ticketId}, vous pouvez répondre avec :\n- *attribuer* : pour attribuer le ticket\n- *demandeur* : pour ajouter un demandeur\n- *commentaire* : pour ajouter un commentaire\n- *menu* : pour revenir au menu principal"
+  },
+
+  ai: {
+    summary: "📋 Analyse IA de votre demande :\n\nType : {type}\nCatégorie : {category}\nTitre : {title}\nUrgence : {urgency}\n{complexity}\n\nDescription : {description}",
+    complexity: "Complexité : {complexity}",
+    suggestions: "💡 Suggestions initiales :",
+    missingInfo: "❓ Informations qui pourraient être utiles :",
+    checkSummary: "✅ Veuillez vérifier les informations ci-dessus et confirmer la création du ticket ou modifier les détails si nécessaire.",
+    editButton: "✏️ Modifier",
+    descriptionHeader: "Mode IA - Description",
+    descriptionPrompt: "🤖 *Mode IA - Description*\n\nVeuillez décrire votre problème ou votre demande en détail. Notre système d'IA analysera votre description pour créer automatiquement un ticket approprié.\n\nExemple : \"Mon ordinateur ne démarre plus depuis ce matin, j'ai l'écran bleu de la mort\".",
+    analyzing: "🧠 Analyse en cours... Je traite votre demande avec notre IA avancée.",
+    analysisError: "⚠️ *Erreur lors de l'analyse IA*\n\nDésolé, une erreur s'est produite lors de l'analyse de votre demande. Cela peut arriver lorsque la demande est complexe ou contient des informations que notre IA n'a pas pu interpréter correctement.\n\nVoulez-vous essayer le mode guidé à la place ? Vous serez accompagné pas à pas pour créer votre ticket.",
+    switchToGuidedButton: "Passer en mode guidé",
+    retryButton: "Réessayer en mode IA",
+    optionsBody: "Comment souhaitez-vous procéder ?",
+    optionsHeader: "Options",
+    descriptionHint: "Décrivez votre problème ou votre demande en quelques phrases.",
+    switchedToGuided: "✅ *Passage au mode guidé*\n\nVous allez maintenant être guidé pas à pas pour créer votre ticket. Veuillez sélectionner le type de ticket dans les options ci-dessous.",
+    cancelled: "❌ *Création du ticket annulée*\n\nVotre demande a bien été annulée. Aucun ticket n'a été créé dans le système.\n\nVous pouvez démarrer une nouvelle création à tout moment en utilisant les options ci-dessous.",
+    creating: "⏳ Création de votre ticket en cours...",
+    preparingSummary: "{message}\n\nJe prépare le résumé de votre ticket...",
+    urgencyUpdated: "✅ *Urgence mise à jour avec succès !*\n\nAncienne urgence : {previous}\nNouvelle urgence : *{current}*",
+    categoryUpdated: "✅ *Catégorie mise à jour avec succès !*\n\nAncienne catégorie : {previous}\nNouvelle catégorie : *{current}*",
+    titleUpdated: "✅ *Titre mis à jour avec succès !*\n\nAncien titre : {previous}\nNouveau titre : *{current}*",
+    confirmationHint: "Veuillez utiliser les boutons pour confirmer ou annuler la création du ticket.",
+    editHeader: "Modifier le ticket",
+    editBody: "Sélectionnez un élément à modifier",
+    editButtonText: "Choisir",
+    editTitle: "Titre",
+    editUrgency: "Urgence",
+    editCategory: "Catégorie",
+    editDescription: "Description",
+    editDescriptionDetail: "Modifier la description",
+    editHint: "Sélectionnez l'élément à modifier dans la liste.",
+    editTitlePrompt: "✅ Vous avez choisi de modifier le titre.\n\nTitre actuel : *{title}*\n\nVeuillez entrer le nouveau titre pour votre ticket :",
+    editUrgencyPrompt: "✅ Vous avez choisi de modifier l'urgence.\n\nUrgence actuelle : *{urgency}*\n\nVeuillez sélectionner le nouveau niveau d'urgence dans la liste ci-dessous.",
+    urgencyListHeader: "Niveau d'urgence",
+    urgencyListBody: "Sélectionnez une nouvelle urgence :",
+    urgencyListButton: "Choisir l'urgence",
+    editCategoryPrompt: "✅ Vous avez choisi de modifier la catégorie.\n\nCatégorie actuelle : *{category}*\n\nVeuillez sélectionner la nouvelle catégorie ci-dessous.",
+    editDescriptionPrompt: "Veuillez entrer la nouvelle description pour votre ticket :",
+    descriptionUpdatedAnalyzing: "✅ *Description mise à jour avec succès !*\n\nNouvelle description : *{preview}*\n\n🧠 Analyse de votre nouvelle description en cours...",
+    descriptionReanalyzed: "✅ *Description mise à jour et ticket réanalysé avec succès !*\n\nL'IA a analysé votre description et a mis à jour les informations du ticket.",
+    descriptionUpdated: "✅ *Description mise à jour avec succès !*\n\nNouvelle description : *{preview}*"
+  },
+
+  tracking: {
+    searching: "Recherche du ticket en cours... ⏳",
+    notFound: "⚠️ Le ticket #{ticketId} n'a pas été trouvé. Veuillez vérifier le numéro et réessayer.",
+    cancelled: "Suivi de ticket annulé. Retour au menu principal.",
+    enterIdHeader: "Suivi de ticket",
+    enterIdBody: "🔍 *Suivi de ticket*\n\nVeuillez entrer le numéro du ticket que vous souhaitez suivre.",
+    ticketButton: "🎫 Ticket #{ticketId}",
+    ticketHint: "Utilisez les boutons ci-dessus pour agir sur le ticket #{ticketId}, entrez un autre numéro de ticket ou répondez *menu* pour revenir au menu principal."
+  },
+
+  // Affichage d'un ticket (ticketTrackingService)
+  ticket: {
+    detailsUnavailable: "❌ Impossible de récupérer les détails du ticket.",
+    detailsTitle: "📋 *DÉTAILS DU TICKET #{ticketId}*",
+    title: "📝 *Titre:* {title}",
+    type: "🔖 *Type:* {type}",
+    status: "🚦 *Statut:* {status}",
+    urgency: "🔥 *Urgence:* {urgency}",
+    createdAt: "📅 *Créé le:* {date}",
+    updatedAt: "🔄 *Dernière mise à jour:* {date}",
+    closedAt: "✅ *Clôturé le:* {date}",
+    assignedTo: "👤 *Assigné à:* {name}",
+    assignedToGroup: "👥 *Assigné au groupe:* {name}",
+    notAssigned: "👤 *Assignation:* Non assigné",
+    description: "📄 *Description:*\n{description}",
+    subscribed: "✅ Vous êtes abonné aux notifications pour ce ticket.",
+    notSubscribed: "❌ Vous êtes non abonné aux notifications pour ce ticket.",
+    header: "*🎫 Ticket #{ticketId}*",
+    urgencyScore: "🔥 *Urgence:* {urgency}/5",
+    assignedGroups: "👥 *Groupes assignés:*",
+    assignedTechnicians: "👨‍💻 *Techniciens assignés:*",
+    followups: "💬 *Réponses ({count}):*",
+    followupHeader: "------- Réponse #{index} (ID: {id}) -------",
+    noFollowups: "💬 *Aucune réponse pour le moment*",
+    groupFallback: "Groupe #{id}",
+    technicianFallback: "Technicien #{id}",
+    trackError: "❌ Une erreur s'est produite lors du suivi du ticket #{ticketId}. Veuillez réessayer plus tard.",
+    displayError: "❌ Une erreur s'est produite lors de l'affichage des détails du ticket #{ticketId}. Veuillez réessayer plus tard.",
+    notFound: "❌ Ticket #{ticketId} introuvable. Veuillez vérifier le numéro et réessayer.",
+    addCommentButton: "📝 Ajouter commentaire",
+    addFollowupButton: "💬 Ajouter suivi",
+    assignTechnicianButton: "👨‍💻 Attribuer technicien",
+    addRequesterButton: "👤 Ajouter demandeur",
+    unsubscribeButton: "🔕 Se désabonner",
+    subscribeButton: "🔔 S'abonner",
+    viewCommentsButton: "💬 Voir commentaires",
+    commentButton: "📝 Commentaire",
+    assignButton: "👤 Attribuer",
+    requesterButton: "👥 Demandeur",
+    closeButton: "✅ Fermer ticket",
+    unsubscribeShortButton: "🔕 Désabonner",
+    detailsHeader: "Détails du ticket",
+    moreActionsBody: "Choisissez parmi les options suivantes :",
+    moreActionsHeader: "Actions supplémentaires",
+    noComments: "ℹ️ Aucun commentaire trouvé pour le ticket #{ticketId}.",
+    commentsTitle: "💬 *COMMENTAIRES DU TICKET #{ticketId}*",
+    commentHeader: "*Commentaire #{index}*",
+    commentDate: "📅 *Date:* {date}",
+    commentAuthor: "👤 *Auteur:* {author}",
+    commentAuthorFallback: "Utilisateur #{id}",
+    commentContent: "💬 *Contenu:* {content}",
+    backToDetailsButton: "📋 Retour aux détails",
+    commentsError: "❌ Une erreur s'est produite lors de la récupération des commentaires du ticket #{ticketId}. Veuillez réessayer plus tard.",
+    addCommentPrompt: "Veuillez entrer votre commentaire pour ce ticket.\n\nCe commentaire sera visible par tous les utilisateurs ayant accès au ticket.",
+    addRequesterPrompt: "👤 *Ajouter un demandeur au ticket*\n\nVeuillez entrer l'identifiant ou le nom du demandeur à ajouter, ou partagez directement sa fiche contact WhatsApp.\n\nExemple: jean.dupont@entreprise.com ou Jean Dupont",
+    requesterTicketNotFound: "❌ Ticket #{ticketId} introuvable. Impossible d'ajouter le demandeur.",
+    userSearchError: "❌ Erreur lors de la recherche de l'utilisateur. Veuillez réessayer.",
+    userNotFound: "❌ Utilisateur '{user}' introuvable dans GLPI. Vérifiez l'orthographe ou utilisez un email valide.",
+    requesterAdded: "✅ Demandeur ajouté avec succès au ticket #{ticketId}.",
+    requesterError: "❌ Erreur lors de l'ajout du demandeur au ticket. Veuillez réessayer.",
+    genericError: "❌ Une erreur s'est produite. Veuillez réessayer plus tard.",
+    roleRequester: "demandeur",
+    roleObserver: "observateur",
+    contactAdded: "✅ {name} a été ajouté comme {role} au ticket #{ticketId}.",
+    contactAddedByEmail: "✅ {name} n'a pas de compte GLPI : il a été ajouté comme {role} du ticket #{ticketId} avec son adresse {email} et recevra les notifications par email.",
+    contactNoEmail: "❌ {name} ne correspond à aucun utilisateur GLPI et sa fiche ne contient pas d'adresse email. Impossible de l'ajouter au ticket.",
+    contactError: "❌ Erreur lors de l'ajout de {name} au ticket. Veuillez réessayer.",
+    creationNotice: "✅ *Ticket créé avec succès*\n\n📝 *Numéro:* #{ticketId}\n📋 *Titre:* {title}\n🔖 *Type:* {type}\n🚦 *Statut:* {status}\n🔥 *Urgence:* {urgency}\n\nVous êtes maintenant abonné aux notifications pour ce ticket. Vous recevrez automatiquement un message lorsque le statut change, un commentaire est ajouté ou le ticket est attribué.",
+    creationHeader: "Ticket créé",
+    technicians: "👨‍💻 *Technicien(s):* {names}",
+    otherTicketButton: "🔍 Autre ticket",
+    viewDetailsButton: "📋 Voir détails",
+    commentActionButton: "📝 Commenter"
+  },
+
+  actions: {
+    viewTicketButton: "📃 Voir le ticket",
+    assignedToGroup: "au groupe *{name}*",
+    assignedToTechnician: "au technicien *{name}*",
+    assigned: "✅ *Attribution réussie !*\n\nLe ticket #{ticketId} a été attribué {assignee} avec succès.\n\nLes abonnés à ce ticket ont été notifiés de cette attribution.",
+    assignmentHeader: "Attribution",
+    assignError: "Désolé, une erreur s'est produite lors de l'attribution du ticket #{ticketId}. Veuillez réessayer plus tard.",
+    assignErrorHeader: "❌ Erreur lors de l'attribution",
+    closed: "✅ Le ticket #{ticketId} a été fermé.",
+    closedHeader: "Ticket fermé",
+    closeError: "Désolé, une erreur s'est produite lors de la fermeture du ticket #{ticketId}. Veuillez réessayer plus tard.",
+    alreadySubscribed: "Vous êtes déjà abonné aux notifications pour le ticket #{ticketId}.",
+    subscribed: "✅ Vous êtes désormais abonné aux notifications pour le ticket #{ticketId}.",
+    unsubscribed: "✅ Vous êtes désormais désabonné des notifications pour le ticket #{ticketId}.",
+    notSubscribed: "Vous n'êtes pas abonné aux notifications pour le ticket #{ticketId}.",
+    commentsHeader: "Commentaires",
+    commentPrompt: "💬 *Commentaire sur le ticket #{ticketId}*\n\n{instructions}",
+    commentAdded: "✅ *Commentaire ajouté avec succès !*\n\nVotre commentaire a été ajouté au ticket #{ticketId}.\n\nLes abonnés à ce ticket ont été notifiés de ce nouveau commentaire.",
+    commentHeader: "Commentaire",
+    commentError: "Désolé, une erreur s'est produite lors de l'ajout du commentaire au ticket #{ticketId}. Veuillez réessayer plus tard.",
+    commentHint: "Envoyez le texte de votre commentaire, ou *menu* pour revenir au menu principal.",
+    requesterPrompt: "{instructions}\n\nTicket concerné : #{ticketId}",
+    requesterHint: "Envoyez l'email, le numéro ou le nom du demandeur, ou partagez sa fiche contact.",
+    assignLoading: "✅ *Attribution du ticket #{ticketId} en cours*\n\nJe récupère la liste des groupes et techniciens disponibles...",
+    groupsBody: "*Attribution du ticket #{ticketId}*\n\nChoisissez à qui attribuer ce ticket :\n\n*Groupes disponibles :*",
+    groupsHeader: "Groupes",
+    techniciansBody: "*Techniciens disponibles :*",
+    techniciansHeader: "Techniciens",
+    assignOptionsError: "Une erreur s'est produite lors de la récupération des options d'attribution. Veuillez réessayer plus tard.",
+    assignHint: "Choisissez un groupe ou un technicien avec les boutons proposés."
+  },
+
+  search: {
+    newSearchButton: "🔄 Nouvelle recherche",
+    cancelled: "Recherche annulée. Retour au menu principal.",
+    byStatusButton: "🚦 Par statut",
+    byTypeButton: "🔖 Par type",
+    byKeywordButton: "🔤 Par mot-clé",
+    header: "Recherche ticket",
+    menuBody: "🔎 *Recherche de tickets*\n\nEntrez le numéro d'un ticket (exemple: 12345) ou des critères de recherche (exemple: *mot:imprimante statut:2*), ou choisissez un type de recherche ci-dessous.",
+    menuHint: "Entrez un numéro de ticket, des critères de recherche ou choisissez un type de recherche.",
+    statusHeader: "Recherche par statut",
+    statusBody: "🚦 *Recherche par statut*\n\nChoisissez un statut :",
+    statusButton: "Choisir un statut",
+    statusNew: "🆕 Nouveau",
+    statusInProgress: "⏳ En cours",
+    statusSolved: "✅ Résolu",
+    statusClosed: "🔒 Fermé",
+    statusHint: "Choisissez un statut dans la liste.",
+    typeHeader: "Recherche par type",
+    typeBody: "🔖 *Recherche par type*\n\nChoisissez un type de ticket :",
+    typeHint: "Choisissez 'Incident' ou 'Demande'.",
+    keywordPrompt: "🔤 *Recherche par mot-clé*\n\nVeuillez entrer un mot-clé à rechercher dans les titres et descriptions des tickets.",
+    inProgress: "🔍 Recherche en cours, veuillez patienter...",
+    noResults: "🔍 *Résultats de recherche*\n\nAucun ticket ne correspond à vos critères de recherche.",
+    noResultsForKeyword: "🔍 Aucun ticket trouvé pour la recherche \"{keyword}\".",
+    noResultsPlain: "🔍 Aucun ticket ne correspond à vos critères de recherche.",
+    resultsTitle: "🔍 *Résultats de recherche*",
+    resultsForKeyword: "🔍 *Résultats pour \"{keyword}\"*",
+    found: "{count} ticket(s) trouvé(s) :",
+    resultTicket: "🎫 *Ticket #{ticketId}*",
+    resultTitle: "📋 Titre: {title}",
+    resultStatus: "🚦 Statut: {status}",
+    resultType: "📋 Type: {type}",
+    resultUrgency: "🔥 Urgence: {urgency}",
+    resultDate: "📅 Date: {date}",
+    resultCreatedAt: "📅 Créé le: {date}",
+    more: "_...et {count} autre(s) ticket(s)_",
+    openAnother: "Entrez un numéro pour ouvrir un autre ticket.",
+    openButton: "🔍 Ticket #{ticketId}",
+    error: "Désolé, une erreur s'est produite lors de la recherche. Veuillez réessayer plus tard.",
+    criteriaPrompt: "🔍 *Recherche avancée de tickets*\n\nVeuillez spécifier vos critères de recherche :\n\n1️⃣ Pour rechercher par mot-clé, envoyez :\n   *mot:* suivi de votre mot-clé\n\n2️⃣ Pour filtrer par statut, envoyez :\n   *statut:* suivi du numéro de statut (1-6)\n\n3️⃣ Pour filtrer par type, envoyez :\n   *type:* suivi du type (1=incident, 2=demande)\n\n4️⃣ Pour filtrer par urgence, envoyez :\n   *urgence:* suivi du niveau d'urgence (1-5)\n\n5️⃣ Pour combiner plusieurs critères, séparez-les par des espaces.\n\nExemples :\n- \"mot:imprimante\"\n- \"statut:2 type:1\"\n- \"mot:réseau urgence:3\"\n\nEnvoyez *annuler* pour revenir au menu principal.",
+    byIdBody: "🔎 *Recherche de ticket par ID*\n\nVeuillez entrer le numéro du ticket que vous souhaitez rechercher.\n\nExemple: 12345\n\nℹ️ Vous pouvez aussi utiliser les boutons ci-dessous pour accéder rapidement à des options.",
+    lastTicketButton: "🎟 Dernier ticket #{ticketId}",
+    resultsHint: "Entrez un numéro de ticket ou de nouveaux critères de recherche."
+  },
+
+  recent: {
+    header: "Tickets récents",
+    empty: "📋 *Tickets récents*\n\nVous n'avez pas encore consulté de tickets. Utilisez l'option 'Consulter par numéro' pour suivre un ticket spécifique.",
+    optionsHeader: "Options",
+    listBody: "📋 *Vos tickets récents*\n\nSélectionnez un ticket pour voir ses détails :",
+    item: "• *Ticket #{ticketId}*: {title}\n   État: {status}",
+    itemUnavailable: "• *Ticket #{ticketId}*: Détails non disponibles",
+    error: "Désolé, une erreur s'est produite lors de l'affichage de vos tickets récents. Veuillez réessayer plus tard."
+  },
+
+  subscriptions: {
+    commandsHint: "Voici les commandes disponibles :\n\n- Pour vous abonner à un ticket: *abonner [ID]*\n- Pour vous désabonner d'un ticket: *desabo [ID]*\n- Pour revenir au menu principal: *menu*",
+    alreadySubscribed: "Vous êtes déjà abonné au ticket #{ticketId}.",
+    ticketNotFound: "❌ Le ticket #{ticketId} n'existe pas ou n'est pas accessible.",
+    subscribed: "✅ Vous êtes maintenant abonné au ticket #{ticketId}.",
+    notSubscribed: "Vous n'êtes pas abonné au ticket #{ticketId}.",
+    unsubscribed: "✅ Vous avez été désabonné du ticket #{ticketId}.",
+    header: "Vos abonnements",
+    menuFallback: "{message}\n\nPour revenir au menu principal, répondez avec 'menu'.",
+    addPrompt: "Pour vous abonner à un ticket, veuillez entrer son numéro :\n\nExemple: *abonner 12345*",
+    addInvalid: "Veuillez entrer un numéro de ticket valide. Exemple: *abonner 12345*",
+    noneToRemove: "❗ Vous n'êtes actuellement abonné à aucun ticket. Rien à supprimer.",
+    removeTitle: "🗑️ *Supprimer un abonnement*\n\nVous êtes abonné aux tickets suivants :",
+    ticketLine: "🎟 *Ticket #{ticketId}* - {title}",
+    ticketUnavailable: "🎟 *Ticket #{ticketId}* (Détails non disponibles)",
+    ticketError: "🎟 *Ticket #{ticketId}* (Erreur lors de la récupération des détails)",
+    removeButton: "❌ Supprimer #{ticketId}",
+    removeOther: "Pour supprimer un autre abonnement, tapez : *desabo [ID]*",
+    removeHeader: "Supprimer abonnement",
+    empty: "🔔 *Système d'Abonnements*\n\n*Qu'est-ce que c'est ?*\nLes abonnements vous permettent de suivre automatiquement les mises à jour de vos tickets importants.\n\n*Avantages :*\n• Recevez des notifications instantanées\n• Suivez les changements de statut\n• Soyez informé des nouveaux commentaires\n\n*Statut actuel :*\nVous n'êtes actuellement abonné à aucun ticket.\n\n*Menu Abonnements :*\nChoisissez une des trois options ci-dessous.",
+    activeTitle: "🔔 *Vos Abonnements Actifs*\n\n*Fonctionnement :*\nVous recevrez des notifications automatiques pour tous les tickets listés ci-dessous.\n\n*Vos tickets suivis :*",
+    ticketTitle: "📋 Titre: {title}",
+    ticketStatus: "🚦 Statut: {status}",
+    trackButton: "🔍 Ticket #{ticketId}",
+    unsubscribeButton: "❌ Désabo #{ticketId}",
+    menuTitle: "*Menu Abonnements :*\nChoisissez une des trois options ci-dessous.",
+    viewButton: "🔍 Voir mes abonnements",
+    addButton: "➕ Ajouter un abonnement",
+    removeSubscriptionButton: "❌ Supprimer un abonnement",
+    error: "❗ Une erreur s'est produite lors de la récupération de vos abonnements. Veuillez réessayer plus tard."
+  },
+
+  drafts: {
+    header: "Brouillon de ticket",
+    heading: "📝 *Brouillon de ticket*",
+    startedAt: "Vous aviez commencé un ticket le {date} :",
+    type: "🔖 Type: {type}",
+    ticketTitle: "📋 Titre: {title}",
+    description: "📄 Description: {description}",
+    attachments: "📎 Pièces jointes: {count}",
+    question: "Reprendre votre brouillon ou commencer un nouveau ticket ?",
+    resumeButton: "📝 Reprendre",
+    newTicketButton: "🆕 Nouveau ticket",
+    unavailable: "Votre brouillon n'est plus disponible.",
+    hint: "Choisissez 'Reprendre' pour continuer votre brouillon ou 'Nouveau ticket' pour recommencer."
+  },
+
+  commands: {
+    helpTitle: "⌨️ *Commandes disponibles à tout moment :*",
+    helpLine: "• *{usage}* : {description}",
+    helpAliases: " (aussi : {aliases})",
+    error: "Désolé, une erreur s'est produite lors du traitement de votre commande. Veuillez réessayer plus tard.",
+    ticket: "afficher un ticket et ses actions",
+    menu: "revenir au menu principal",
+    help: "afficher cette aide",
+    myTickets: "voir les tickets que vous suivez",
+    account: "lier votre numéro à votre compte GLPI",
+    cancel: "abandonner l'opération en cours",
+    reset: "effacer la conversation et recommencer",
+    language: "changer de langue (fr, en, ar)"
+  },
+
+  language: {
+    chooseBody: "🌐 *Langue*\n\nChoisissez la langue de vos échanges avec le support :",
+    chooseHeader: "Langue",
+    changed: "✅ Les messages vous seront désormais envoyés en français."
+  },
+
+  // Informations envoyées hors saisie (pièces jointes, messages vocaux, localisations, contacts)
+  media: {
+    pendingAttachment: "📎 Pièce jointe reçue ({filename}). Elle sera ajoutée à votre ticket dès sa création.",
+    noTarget: "📎 Pour joindre un fichier, commencez par créer un ticket ou ouvrez le suivi d'un ticket existant, puis envoyez-le à nouveau.",
+    attaching: "⏳ Ajout de la pièce jointe au ticket #{ticketId}...",
+    attached: "✅ La pièce jointe {filename} a été ajoutée au ticket #{ticketId}.",
+    error: "Désolé, une erreur s'est produite lors de l'ajout de la pièce jointe. Veuillez réessayer plus tard.",
+    pendingFailed: "⚠️ {count} pièce(s) jointe(s) n'ont pas pu être ajoutée(s) au ticket #{ticketId}.",
+    pendingAttached: "📎 {count} pièce(s) jointe(s) ajoutée(s) au ticket #{ticketId}.",
+    voiceNotTranscribed: "🎙️ Votre message vocal sera joint au ticket, mais sa transcription n'est pas disponible. Veuillez décrire votre problème par écrit.",
+    voiceReceived: "🎙️ Message vocal reçu, transcription en cours...",
+    voiceNotUnderstood: "Désolé, je n'ai pas pu comprendre votre message vocal. Pouvez-vous réessayer ou décrire votre problème par écrit ?",
+    transcript: "📝 *Transcription :*\n\"{transcript}\"",
+    voiceError: "Désolé, une erreur s'est produite lors du traitement de votre message vocal. Veuillez décrire votre problème par écrit."
+  },
+
+  location: {
+    noTarget: "📍 Pour indiquer le lieu d'un incident, commencez par créer un ticket ou ouvrez le suivi d'un ticket existant, puis partagez à nouveau votre position.",
+    noMatch: "📍 Aucun lieu GLPI ne correspond à la position partagée. Le lieu du ticket n'a pas été modifié.",
+    chooseHeader: "Choix du lieu",
+    chooseBody: "📍 Plusieurs lieux correspondent à la position partagée. Sélectionnez le bon lieu :",
+    chooseButton: "Choisir un lieu",
+    distance: "à {distance} m",
+    error: "Désolé, une erreur s'est produite lors de la recherche du lieu. Veuillez réessayer plus tard.",
+    noTicket: "📍 Aucun ticket en cours : le lieu n'a pas été enregistré.",
+    saved: "📍 Lieu enregistré : *{name}*. Il sera associé à votre ticket lors de sa création.",
+    updated: "📍 Le lieu du ticket #{ticketId} a été défini sur *{name}*.",
+    saveError: "Désolé, une erreur s'est produite lors de l'enregistrement du lieu. Veuillez réessayer plus tard."
+  },
+
+  contacts: {
+    noTarget: "👤 Pour ajouter un contact à un ticket, créez d'abord le ticket ou ouvrez le suivi d'un ticket existant, puis partagez à nouveau la fiche contact.",
+    roleQuestion: "👤 Comment ajouter *{names}* au ticket #{ticketId} ?",
+    requesterButton: "Demandeur",
+    observerButton: "Observateur",
+    header: "Ajout d'un contact",
+    error: "Désolé, une erreur s'est produite lors de l'ajout du contact. Veuillez réessayer plus tard.",
+    unnamed: "Contact sans nom"
+  },
+
+  replies: {
+    added: "✅ Votre réponse a été ajoutée comme suivi au ticket #{ticketId}.",
+    error: "Désolé, votre réponse n'a pas pu être ajoutée au ticket #{ticketId}. Veuillez réessayer plus tard."
+  },
+
+  reactions: {
+    error: "Désolé, votre réaction n'a pas pu être prise en compte pour le ticket #{ticketId}. Veuillez réessayer plus tard.",
+    approved: "✅ Merci ! La solution du ticket #{ticketId} a été validée et le ticket est maintenant clos.",
+    positiveFeedback: "🙏 Merci pour votre retour positif sur le ticket #{ticketId} !",
+    feedback: "🙏 Merci pour votre retour sur le ticket #{ticketId} !",
+    notPending: "ℹ️ Le ticket #{ticketId} n'est plus en attente de validation (statut : {status}).",
+    reopened: "🔄 Le ticket #{ticketId} a été rouvert. Répondez à ce message pour expliquer ce qui ne fonctionne toujours pas : votre réponse sera ajoutée au ticket."
+  },
+
+  notifications: {
+    header: "Mise à jour du ticket",
+    title: "🔔 *Mise à jour du ticket #{ticketId}*",
+    ticketTitle: "📋 *Titre:* {title}",
+    statusChanged: "🚦 *Le statut du ticket a été modifié*",
+    previousStatus: "⬅️ Ancien statut: *{status}*",
+    newStatus: "➡️ Nouveau statut: *{status}*",
+    reactToSolution: "Réagissez à ce message avec 👍 pour valider la solution ou 👎 pour la refuser et rouvrir le ticket.",
+    newComment: "💬 *Un nouveau commentaire a été ajouté*",
+    commentAuthor: "👤 Ajouté par: *{author}*",
+    someUser: "Un utilisateur",
+    assignedToTechnician: "👤 *Le ticket a été assigné à un technicien*",
+    technician: "Technicien: *{name}*",
+    assignedToGroup: "👥 *Le ticket a été assigné à un groupe*",
+    group: "Groupe: *{name}*",
+    newRequester: "👤 *Un nouveau demandeur a été ajouté au ticket*",
+    requester: "Demandeur: *{name}*",
+    notSpecified: "Non spécifié",
+    updated: "ℹ️ *Le ticket a été mis à jour*",
+    date: "📅 *Date:* {date}",
+    time: "⏰ *Heure:* {time}",
+    detailsButton: "Voir détails",
+    commentsButton: "Commentaires",
+    commentButton: "Commenter"
+  },
+
+  rateLimit: {
+    messages: "⏳ Vous envoyez beaucoup de messages en peu de temps. Merci de patienter {seconds} secondes : les messages reçus d'ici là ne seront pas traités.",
+    tickets: "⏳ Vous avez atteint la limite de {limit} tickets créés par heure. Vous pourrez créer ce ticket dans {minutes} min : vos saisies sont conservées."
+  },
+
+  requester: {
+    header: "Identification",
+    emailPrompt: "👤 Votre numéro WhatsApp n'est associé à aucun compte GLPI.\n\nPour que le support sache qui a fait la demande, envoyez votre adresse email professionnelle.\n\n💡 Pour être reconnu automatiquement, liez votre compte avec la commande *compte*.",
+    skipButton: "Continuer sans",
+    emailHint: "Envoyez une adresse email valide (ex : prenom.nom@entreprise.fr) ou choisissez « Continuer sans ».",
+    emailRecorded: "✅ Merci, l'adresse {email} sera indiquée comme demandeur du ticket. Vérifiez le récapitulatif puis confirmez la création du ticket.",
+    skipped: "Le ticket sera créé sans demandeur identifié. Vérifiez le récapitulatif puis confirmez la création du ticket."
+  },
+
+  link: {
+    header: "Compte GLPI",
+    linkButton: "🔐 Lier mon compte",
+    unlinkButton: "Délier mon compte",
+    resendButton: "Renvoyer le code",
+    changeEmailButton: "Changer d'adresse",
+    required: "🔐 Liez votre numéro WhatsApp à votre compte GLPI pour y accéder : un code de vérification vous sera envoyé par email.",
+    ticketAccessDenied: "⛔ Le ticket #{ticketId} ne fait pas partie des tickets que vous avez créés ou que vous suivez.",
+    searchDenied: "⛔ La recherche porte sur l'ensemble des tickets du support.",
+    emailPrompt: "🔐 *Liaison de votre compte GLPI*\n\nEnvoyez l'adresse email professionnelle de votre compte GLPI : un code de vérification y sera envoyé.",
+    emailHint: "Envoyez l'adresse email de votre compte GLPI (ex : prenom.nom@entreprise.fr).",
+    userNotFound: "❌ Aucun compte GLPI ne correspond à l'adresse {email}. Vérifiez l'adresse ou contactez le support.",
+    lookupError: "❌ Impossible de vérifier votre adresse pour le moment. Veuillez réessayer plus tard.",
+    sendError: "❌ L'email de vérification n'a pas pu être envoyé. Veuillez réessayer plus tard.",
+    retryLater: "⏳ Un code vient d'être envoyé. Vous pourrez en demander un nouveau dans {seconds} secondes.",
+    codePrompt: "📧 Un code à 6 chiffres a été envoyé à {email}. Il est valable {minutes} min.\n\nRecopiez-le ici pour lier votre compte.",
+    codeHint: "Envoyez le code à 6 chiffres reçu par email, ou demandez un nouveau code.",
+    invalidCode: "❌ Code incorrect. Il vous reste {attemptsLeft} essai(s).",
+    codeExpired: "⌛ Ce code a expiré. Envoyez à nouveau votre adresse pour en recevoir un nouveau.",
+    tooManyAttempts: "⛔ Trop de codes incorrects : la vérification est annulée. Vous pourrez recommencer avec la commande *compte*.",
+    linked: "✅ Votre numéro est maintenant lié au compte GLPI {email}. Vos prochains tickets seront créés à votre nom.",
+    status: "🔐 Votre numéro WhatsApp est lié au compte GLPI {email}.",
+    unlinked: "Votre numéro n'est plus lié à votre compte GLPI.",
+    cancelled: "Liaison du compte annulée.",
+    mailSubject: "Votre code de vérification WhatsApp",
+    mailBody: "Bonjour,\n\nLa liaison du numéro WhatsApp +{phone} à votre compte GLPI a été demandée.\n\nVotre code de vérification : {code}\n\nCe code est valable {minutes} minutes. Si vous n'êtes pas à l'origine de cette demande, ignorez cet email."
+  }
+};
@@ -21,6 +21,7 @@ const tokenizer = new WordTokenizer();
 const fs = require('fs');
 const path = require('path');
 const enhancedTensorflowService = require('./enhancedTensorflowService');
+const categoryService = require('./categoryService');
 
 // Importer les vocabulaires étendus
 const baseVocab = require('../data/vocabularyBase');
@@ -115,20 +116,6 @@ const CATEGORY_KEYWORDS = {
   ]
 };
 
-// Mapping catégorie -> ID
-const CATEGORY_MAP = {
-  'incident_autre':       10,  // Incident - autre
-  'incident_logiciel':    8,   // Incident - logiciel
-  'incident_materiel':    7,   // Incident - matériel
-  'incident_reseau':      6,   // Incident - Réseau
-  'incident_securite':    9,   // Incident - sécurité
-  'demande_acces':        1,   // Demande - Accès
-  'demande_autre':        5,   // Demande - Autre
-  'demande_information':  4,   // Demande - Information
-  'demande_logiciel':     3,   // Demande - logiciel
-  'demande_materiel':     2    // Demande - Nouveau matériel
-};
-
 // Mots-clés pour l'urgence (étendu)
 const URGENCY_KEYWORDS = {
   1: [ // Très haute
@@ -520,7 +507,7 @@ const advancedLocalAiService = {
       // Sinon, utiliser l'approche basée sur les règles si elle est confiante
       else if (ruleBasedConfidence > 0.6 && bestCategory) {
         finalCategory = bestCategory;
-        finalCategoryId = CATEGORY_MAP[bestCategory];
+        finalCategoryId = categoryService.getCategoryIdForLabel(bestCategory);
         finalConfidence = ruleBasedConfidence;
       } 
       // Si les deux approches ne sont pas confiantes, utiliser celle avec la plus haute confiance
@@ -531,7 +518,7 @@ const advancedLocalAiService = {
           finalConfidence = tfResult.confidence;
         } else {
           finalCategory = bestCategory || `${type}_autre`;
-          finalCategoryId = CATEGORY_MAP[finalCategory] || (type === 'incident' ? 10 : 5); // ID pour "autre"
+          finalCategoryId = categoryService.getCategoryIdForLabel(finalCategory);
           finalConfidence = ruleBasedConfidence;
         }
       }
@@ -549,7 +536,7 @@ const advancedLocalAiService = {
       console.error("Erreur lors de la classification de la catégorie de ticket:", error);
       // Fallback en cas d'erreur - catégorie "autre" selon le type
       const fallbackCategory = type === 'incident' ? 'incident_autre' : 'demande_autre';
-      const fallbackCategoryId = type === 'incident' ? 10 : 5;
+      const fallbackCategoryId = categoryService.getCategoryIdForLabel(fallbackCategory);
       
       return { 
         category: fallbackCategory, 
@@ -1158,7 +1145,7 @@ const advancedLocalAiService = {
         typeId: 1,
         typeConfidence: 0.5,
         category: 'incident_autre',
-        categoryId: 5,
+        categoryId: categoryService.getCategoryIdForLabel('incident_autre'),
         categoryConfidence: 0.5,
         urgency: 3,
         urgencyConfidence: 0.5,
@@ -1438,7 +1425,7 @@ const advancedLocalAiService = {
         type: 'incident',
         typeId: 1,
         category: 'incident_autre',
-        categoryId: 10,
+        categoryId: categoryService.getCategoryIdForLabel('incident_autre'),
         categoryName: 'Autre incident',
         urgency: 3,
         suggestions: ["Traiter selon la procédure standard"],
@@ -1,5 +1,6 @@
 const axios = require('axios');
 require('dotenv').config();
+const categoryService = require('./categoryService');
 
 /**
  * Service avancé pour l'analyse et la classification automatique des tickets
@@ -133,41 +134,41 @@ class AIService {
     
     // Déterminer la catégorie en fonction des mots-clés spécifiques
     let category = '';
-    let categoryId = 1;
+    let categoryId = 0;
     
     if (type === 'incident') {
       if (text.includes('logiciel') || text.includes('application') || text.includes('programme')) {
         category = 'Incident - logiciel';
-        categoryId = 2;
+        categoryId = categoryService.getCategoryIdForLabel('incident_logiciel');
       } else if (text.includes('matériel') || text.includes('ordinateur') || text.includes('imprimante')) {
         category = 'Incident - matériel';
-        categoryId = 3;
+        categoryId = categoryService.getCategoryIdForLabel('incident_materiel');
       } else if (text.includes('réseau') || text.includes('internet') || text.includes('connexion')) {
         category = 'Incident - Réseau';
-        categoryId = 4;
+        categoryId = categoryService.getCategoryIdForLabel('incident_reseau');
       } else if (text.includes('sécurité') || text.includes('virus') || text.includes('piratage')) {
         category = 'Incident - sécurité';
-        categoryId = 5;
+        categoryId = categoryService.getCategoryIdForLabel('incident_securite');
       } else {
         category = 'Incident - autre';
-        categoryId = 1;
+        categoryId = categoryService.getCategoryIdForLabel('incident_autre');
       }
     } else {
       if (text.includes('accès') || text.includes('compte') || text.includes('permission')) {
         category = 'Demande - Accès';
-        categoryId = 1;
+        categoryId = categoryService.getCategoryIdForLabel('demande_acces');
       } else if (text.includes('information') || text.includes('renseignement') || text.includes('comment')) {
         category = 'Demande - Information';
-        categoryId = 3;
+        categoryId = categoryService.getCategoryIdForLabel('demande_information');
       } else if (text.includes('logiciel') || text.includes('application') || text.includes('installer')) {
         category = 'Demande - logiciel';
-        categoryId = 4;
+        categoryId = categoryService.getCategoryIdForLabel('demande_logiciel');
       } else if (text.includes('matériel') || text.includes('équipement') || text.includes('nouveau')) {
         category = 'Demande - Nouveau matériel';
-        categoryId = 5;
+        categoryId = categoryService.getCategoryIdForLabel('demande_materiel');
       } else {
         category = 'Demande - Autre';
-        categoryId = 2;
+        categoryId = categoryService.getCategoryIdForLabel('demande_autre');
       }
     }
     
@@ -379,20 +380,19 @@ class AIService {
     
     // Déterminer la catégorie
     let category = '';
-    let categoryId = 0;
     
-    // Mapping des catégories vers les IDs selon GLPI
-    const categoryMap = {
-      'incident_reseau': { id: 6, name: 'Incident - Réseau' },
-      'incident_materiel': { id: 7, name: 'Incident - Matériel' },
-      'incident_logiciel': { id: 8, name: 'Incident - Logiciel' },
-      'incident_securite': { id: 9, name: 'Incident - Sécurité' },
-      'incident_autre': { id: 10, name: 'Incident - Autre' },
-      'demande_acces': { id: 1, name: 'Demande - Accès' },
-      'demande_materiel': { id: 2, name: 'Demande - Matériel' },
-      'demande_logiciel': { id: 3, name: 'Demande - Logiciel' },
-      'demande_information': { id: 4, name: 'Demande - Information' },
-      'demande_autre': { id: 5, name: 'Demande - Autre' }
+    // Libellés des catégories (la catégorie GLPI est donnée par config/categoryMapping.json)
+    const categoryNames = {
+      'incident_reseau': 'Incident - Réseau',
+      'incident_materiel': 'Incident - Matériel',
+      'incident_logiciel': 'Incident - Logiciel',
+      'incident_securite': 'Incident - Sécurité',
+      'incident_autre': 'Incident - Autre',
+      'demande_acces': 'Demande - Accès',
+      'demande_materiel': 'Demande - Matériel',
+      'demande_logiciel': 'Demande - Logiciel',
+      'demande_information': 'Demande - Information',
+      'demande_autre': 'Demande - Autre'
     };
     
     if (type === 'incident') {
@@ -466,9 +466,9 @@ class AIService {
     return {
       type,
       typeId,
-      category: categoryMap[category].name,
-      categoryName: categoryMap[category].name,
-      categoryId: categoryMap[category].id,
+      category: categoryNames[category],
+      categoryName: categoryNames[category],
+      categoryId: categoryService.getCategoryIdForLabel(category),
       urgency,
       title,
       suggestions,
@@ -0,0 +1,186 @@
+/**
+ * Service des catégories ITIL
+ * Les catégories proposées lors de la création d'un ticket sont lues dans GLPI (ITILCategory) et mises en cache.
+ * Les classificateurs IA produisent des libellés (ex: 'incident_reseau') rapprochés des catégories GLPI
+ * par le fichier de correspondance config/categoryMapping.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glpiService = require('./glpiService');
+
+// Durée de mise en cache des catégories GLPI
+const CACHE_TTL_MS = (parseInt(process.env.GLPI_CATEGORY_CACHE_MINUTES, 10) || 60) * 60 * 1000;
+// Entité des tickets créés par le chatbot
+const ENTITY_ID = parseInt(process.env.GLPI_ENTITY_ID, 10) || 0;
+// Correspondance entre les libellés des classificateurs IA et les catégories GLPI
+const MAPPING_FILE = process.env.CATEGORY_MAPPING_FILE || path.join(__dirname, '../config/categoryMapping.json');
+
+let cachedCategories = null;
+let cachedAt = 0;
+let pendingRefresh = null;
+
+/**
+ * Charger le fichier de correspondance : { libellé: ID ou nom complet de la catégorie GLPI }
+ * @returns {Object}
+ */
+function loadMapping() {
+  try {
+    return JSON.parse(fs.readFileSync(MAPPING_FILE, 'utf8'));
+  } catch (error) {
+    console.error(`Erreur lors du chargement de la correspondance des catégories (${MAPPING_FILE}):`, error.message);
+    return {};
+  }
+}
+
+const mapping = loadMapping();
+
+/**
+ * Normalise un nom de catégorie pour la comparaison (minuscules, sans accents ni espaces superflus)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Indique si une catégorie peut être utilisée dans l'entité des tickets
+ * GLPI ne renvoie que les catégories visibles par l'utilisateur de l'API : celles des entités parentes
+ * n'y figurent que si elles sont récursives.
+ * @param {Object} category
+ * @returns {boolean}
+ */
+function isInEntity(category) {
+  return category.entityId === ENTITY_ID || category.isRecursive;
+}
+
+const categoryService = {
+  /**
+   * Recharger les catégories depuis GLPI
+   * Les appels simultanés attendent le même chargement.
+   * @returns {Promise<Array>} - Catégories triées selon l'arborescence
+   */
+  refresh: async () => {
+    if (!pendingRefresh) {
+      pendingRefresh = glpiService.getItilCategories()
+        .then(categories => {
+          cachedCategories = categories
+            .filter(isInEntity)
+            .sort((a, b) => a.completename.localeCompare(b.completename, undefined, { numeric: true }));
+          cachedAt = Date.now();
+          console.log(`${cachedCategories.length} catégories ITIL chargées depuis GLPI`);
+          return cachedCategories;
+        })
+        .finally(() => {
+          pendingRefresh = null;
+        });
+    }
+    return pendingRefresh;
+  },
+
+  /**
+   * Catégories ITIL de l'entité, mises en cache
+   * Une fois le cache expiré, les catégories en cache restent utilisées pendant leur rechargement
+   * (et si GLPI est injoignable).
+   * @returns {Promise<Array>}
+   */
+  getAllCategories: async () => {
+    if (cachedCategories && Date.now() - cachedAt < CACHE_TTL_MS) {
+      return cachedCategories;
+    }
+
+    if (cachedCategories) {
+      categoryService.refresh().catch(error => console.error('Erreur lors du rechargement des catégories ITIL:', error.message));
+      return cachedCategories;
+    }
+
+    try {
+      return await categoryService.refresh();
+    } catch (error) {
+      console.error('Catégories ITIL indisponibles:', error.message);
+      return [];
+    }
+  },
+
+  /**
+   * Catégories proposées pour un type de ticket
+   * @param {string} type - 'incident' ou 'request'
+   * @returns {Promise<Array>} - { id, name, completename, level, ... }
+   */
+  getCategories: async (type) => {
+    const categories = await categoryService.getAllCategories();
+    return categories.filter(category => (type === 'incident' ? category.isIncident : category.isRequest));
+  },
+
+  /**
+   * Retrouver une catégorie proposée pour un type de ticket à partir de son ID
+   * @param {string} type - 'incident' ou 'request'
+   * @param {number|string} categoryId
+   * @returns {Promise<Object|null>}
+   */
+  findCategory: async (type, categoryId) => {
+    const id = parseInt(categoryId, 10);
+    const categories = await categoryService.getCategories(type);
+    return categories.find(category => category.id === id) || null;
+  },
+
+  /**
+   * Retrouver une catégorie en cache à partir de son ID (sans appel à GLPI)
+   * @param {number|string} categoryId
+   * @returns {Object|null}
+   */
+  getCategory: (categoryId) => {
+    const id = parseInt(categoryId, 10);
+    return (cachedCategories || []).find(category => category.id === id) || null;
+  },
+
+  /**
+   * Catégorie GLPI correspondant au libellé d'un classificateur IA
+   * Le fichier de correspondance associe chaque libellé à l'ID ou au nom complet d'une catégorie.
+   * @param {string} label - Libellé du classificateur (ex: 'incident_reseau')
+   * @returns {Object|null} - { id, name } ou null si le libellé n'est pas associé à une catégorie connue
+   */
+  resolveLabel: (label) => {
+    const target = mapping[label];
+    if (target === undefined || target === null || target === '') {
+      return null;
+    }
+
+    if (typeof target === 'number' || /^\d+$/.test(String(target))) {
+      const category = categoryService.getCategory(target);
+      // Catégories pas encore chargées : l'ID du fichier de correspondance est utilisé tel quel
+      if (!category && cachedCategories) {
+        console.warn(`Catégorie GLPI #${target} (libellé ${label}) introuvable`);
+        return null;
+      }
+      return { id: parseInt(target, 10), name: category ? category.completename : null };
+    }
+
+    const category = (cachedCategories || []).find(candidate =>
+      normalize(candidate.completename) === normalize(target) || normalize(candidate.name) === normalize(target));
+
+    if (!category) {
+      console.warn(`Catégorie GLPI "${target}" (libellé ${label}) introuvable`);
+      return null;
+    }
+    return { id: category.id, name: category.completename };
+  },
+
+  /**
+   * ID de la catégorie GLPI correspondant au libellé d'un classificateur IA
+   * @param {string} label - Libellé du classificateur
+   * @returns {number} - ID de la catégorie, 0 (aucune catégorie) si le libellé n'est pas associé
+   */
+  getCategoryIdForLabel: (label) => {
+    const category = categoryService.resolveLabel(label);
+    return category ? category.id : 0;
+  }
+};
+
+module.exports = categoryService;
@@ -0,0 +1,162 @@
+/**
+ * Commandes globales (raccourcis) disponibles quelle que soit l'étape de la conversation
+ * Les commandes sont reconnues avant le parcours de l'étape en cours, uniquement dans les messages texte.
+ */
+
+const whatsappService = require('./whatsappService');
+const flowEngine = require('./flowEngine');
+const i18nService = require('./i18nService');
+
+// Commandes déclarées, dans l'ordre d'affichage de l'aide
+const commands = [];
+
+/**
+ * Échapper un alias pour l'utiliser dans une expression régulière
+ * @param {string} alias
+ * @returns {string}
+ */
+function escapeRegExp(alias) {
+  return alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Liste des alias d'une commande, toutes langues confondues et sans doublon
+ * @param {Object} command
+ * @returns {Array<string>}
+ */
+function allAliases(command) {
+  const aliases = [];
+  Object.values(command.aliases).forEach(localeAliases => {
+    localeAliases.forEach(alias => {
+      const normalizedAlias = flowEngine.normalizeKeyword(alias);
+      if (!aliases.includes(normalizedAlias)) {
+        aliases.push(normalizedAlias);
+      }
+    });
+  });
+  return aliases;
+}
+
+/**
+ * Vérifier si un message correspond à une commande
+ * @param {Object} command
+ * @param {string} normalizedText - Message normalisé
+ * @returns {Array|null} - Arguments de la commande si elle correspond, sinon null
+ */
+function matchCommand(command, normalizedText) {
+  for (const alias of allAliases(command)) {
+    if (!command.argument) {
+      if (normalizedText === alias) {
+        return [];
+      }
+      continue;
+    }
+
+    // Alias suivi de l'argument, avec ou sans espace ("#1234", "ticket 1234")
+    const match = normalizedText.match(new RegExp(`^${escapeRegExp(alias)}\\s*(${command.argument.source})$`));
+    if (match) {
+      return [match[1]];
+    }
+  }
+  return null;
+}
+
+const commandService = {
+  /**
+   * Déclarer une commande globale
+   * @param {Object} command
+   * @param {string} command.name - Identifiant de la commande
+   * @param {Object} command.aliases - Alias par langue, ex: { fr: ['aide'], en: ['help'], ar: ['مساعدة'] }
+   * @param {RegExp} [command.argument] - Argument attendu après l'alias (ex: /\d+/)
+   * @param {string} [command.usage] - Exemple d'utilisation affiché dans l'aide
+   * @param {string} command.description - Clé du catalogue de la description affichée dans l'aide
+   * @param {Function} command.handler - (ctx, ...args) => Promise
+   */
+  register: (command) => {
+    if (commands.some(existing => existing.name === command.name)) {
+      throw new Error(`Commande déjà déclarée : ${command.name}`);
+    }
+
+    const duplicateAlias = allAliases(command).find(alias =>
+      commands.some(existing => !existing.argument === !command.argument && allAliases(existing).includes(alias))
+    );
+    if (duplicateAlias) {
+      throw new Error(`Alias de commande déjà utilisé : ${duplicateAlias}`);
+    }
+
+    commands.push(command);
+  },
+
+  /**
+   * Retrouver la commande correspondant à un message texte
+   * @param {string} text - Message de l'utilisateur
+   * @returns {Object|null} - { command, args }
+   */
+  match: (text) => {
+    const normalizedText = flowEngine.normalizeKeyword(text);
+    if (!normalizedText) {
+      return null;
+    }
+
+    for (const command of commands) {
+      const args = matchCommand(command, normalizedText);
+      if (args) {
+        return { command, args };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Exécuter la commande contenue dans un message, le cas échéant
+   * @param {string} from - Numéro de l'utilisateur
+   * @param {string} messageText - Message texte reçu
+   * @param {Object|null} session - Session de l'utilisateur
+   * @returns {Promise<boolean>} - true si le message était une commande
+   */
+  execute: async (from, messageText, session) => {
+    const found = commandService.match(messageText);
+    if (!found) {
+      return false;
+    }
+
+    console.log(`Commande "${found.command.name}" reçue de ${from}`);
+
+    const ctx = flowEngine.createContext(from, session || {}, flowEngine.parseInput(messageText, null));
+
+    try {
+      await found.command.handler(ctx, ...found.args);
+    } catch (error) {
+      console.error(`Erreur lors de l'exécution de la commande ${found.command.name} pour ${from}:`, error);
+      await whatsappService.sendMessage(from, ctx.t('commands.error'));
+    }
+    return true;
+  },
+
+  /**
+   * Générer la liste des commandes pour l'aide
+   * @param {string} [language] - Langue de l'aide et des alias mis en avant
+   * @returns {string}
+   */
+  formatHelp: (language = i18nService.DEFAULT_LANGUAGE) => {
+    const lines = commands.map(command => {
+      const localeAliases = command.aliases[language] || command.aliases[i18nService.DEFAULT_LANGUAGE];
+      const usage = command.usage || localeAliases[0];
+      const otherAliases = allAliases(command)
+        .filter(alias => alias !== flowEngine.normalizeKeyword(localeAliases[0]));
+
+      let line = i18nService.t(language, 'commands.helpLine', {
+        usage,
+        description: i18nService.t(language, command.description)
+      });
+      if (otherAliases.length > 0) {
+        line += i18nService.t(language, 'commands.helpAliases', { aliases: otherAliases.join(', ') });
+      }
+      return line;
+    });
+
+    return i18nService.t(language, 'commands.helpTitle') + '\n\n' + lines.join('\n');
+  }
+};
+
+module.exports = commandService;
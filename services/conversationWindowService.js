@@ -0,0 +1,65 @@
+/**
+ * Suivi de la fenêtre de service client WhatsApp
+ * WhatsApp n'accepte les messages libres (texte, boutons, listes) que dans les 24 heures suivant
+ * le dernier message reçu de l'utilisateur ; au-delà, seuls les modèles approuvés sont acceptés.
+ * Ce service mémorise la date du dernier message entrant de chaque utilisateur.
+ */
+
+const { createDataFile } = require('./dataFiles');
+
+// Durée de la fenêtre de service client (24 heures)
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Fichier de persistance des derniers messages entrants
+const lastInboundFile = createDataFile('last_inbound.json', 'derniers messages entrants');
+
+// Date du dernier message entrant : { numéro: date ISO }
+const lastInbound = lastInboundFile.load({});
+
+/**
+ * Planifie l'écriture des dates sur le disque
+ */
+function persist() {
+  lastInboundFile.save(lastInbound);
+}
+
+const conversationWindowService = {
+  /**
+   * Enregistre un message entrant de l'utilisateur
+   * @param {string} phone - Numéro de l'utilisateur
+   * @param {string|number} [timestamp] - Horodatage WhatsApp du message (en secondes)
+   */
+  recordInbound: (phone, timestamp) => {
+    const receivedAt = timestamp ? new Date(parseInt(timestamp, 10) * 1000) : new Date();
+
+    // Les messages redélivrés ou traités dans le désordre ne doivent pas faire reculer la date
+    const previous = lastInbound[phone] ? new Date(lastInbound[phone]).getTime() : 0;
+    if (isNaN(receivedAt.getTime()) || receivedAt.getTime() <= previous) {
+      return;
+    }
+
+    lastInbound[phone] = receivedAt.toISOString();
+    persist();
+  },
+
+  /**
+   * Récupère la date du dernier message entrant de l'utilisateur
+   * @param {string} phone - Numéro de l'utilisateur
+   * @returns {Date|null}
+   */
+  getLastInbound: (phone) => {
+    return lastInbound[phone] ? new Date(lastInbound[phone]) : null;
+  },
+
+  /**
+   * Vérifie si un message libre peut être envoyé à l'utilisateur
+   * @param {string} phone - Numéro de l'utilisateur
+   * @returns {boolean} - True si le dernier message entrant date de moins de 24 heures
+   */
+  isWindowOpen: (phone) => {
+    const last = conversationWindowService.getLastInbound(phone);
+    return !!last && Date.now() - last.getTime() < WINDOW_MS;
+  }
+};
+
+module.exports = conversationWindowService;
@@ -0,0 +1,153 @@
+/**
+ * Fichiers de données JSON du dossier data/ (DATA_DIR)
+ * Chaque fichier est lu une fois au démarrage puis gardé en mémoire par le service qui l'utilise.
+ * Les écritures ne bloquent pas le traitement des messages : elles sont regroupées (une écriture au plus
+ * par délai WRITE_DELAY_MS) et atomiques (fichier temporaire synchronisé puis renommé), de sorte qu'un arrêt
+ * brutal laisse toujours un fichier complet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Dossier des données (data/ à la racine du projet par défaut)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+// Délai de regroupement des écritures d'un même fichier
+const WRITE_DELAY_MS = 200;
+
+// Fichiers déclarés, terminés par flushAll à l'arrêt du serveur
+const dataFiles = [];
+
+/**
+ * Chemin d'un fichier du dossier des données
+ * @param {string} fileName - Nom du fichier (ex: drafts.json)
+ * @returns {string}
+ */
+function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+/**
+ * Écrire un fichier de façon atomique : le contenu est écrit et synchronisé dans un fichier temporaire,
+ * qui remplace ensuite le fichier cible
+ * @param {string} filePath
+ * @param {string} content
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.promises.open(tempPath, 'w');
+
+  try {
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Déclarer un fichier de données JSON
+ * @param {string} fileName - Nom du fichier dans le dossier des données
+ * @param {string} label - Contenu du fichier, pour les journaux (ex: "brouillons de tickets")
+ * @returns {Object} - { path, load(defaultValue), save(data), flush() }
+ */
+function createDataFile(fileName, label) {
+  const filePath = dataPath(fileName);
+
+  // Données à écrire, écriture en cours et écriture planifiée (pas encore commencée)
+  let latest;
+  let currentWrite = Promise.resolve();
+  let queuedWrite = null;
+  let timer = null;
+  let startQueuedWrite = null;
+
+  const dataFile = {
+    path: filePath,
+
+    /**
+     * Lire le fichier (au démarrage)
+     * Un fichier illisible est conservé à part plutôt qu'écrasé.
+     * @param {*} defaultValue - Valeur utilisée si le fichier n'existe pas ou est illisible
+     * @returns {*}
+     */
+    load: (defaultValue) => {
+      if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+      }
+
+      try {
+        if (fs.existsSync(filePath)) {
+          return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+      } catch (error) {
+        console.error(`Erreur lors du chargement des ${label}:`, error);
+        try {
+          fs.renameSync(filePath, `${filePath}.corrupted-${Date.now()}`);
+        } catch (renameError) {
+          console.error(`Impossible de mettre de côté le fichier des ${label}:`, renameError.message);
+        }
+      }
+      return defaultValue;
+    },
+
+    /**
+     * Planifier l'écriture des données ; les appels rapprochés ne donnent lieu qu'à une écriture
+     * @param {*} data - Données à écrire (leur état au moment de l'écriture est enregistré)
+     * @returns {Promise} - Résolue une fois les données écrites (les erreurs sont journalisées)
+     */
+    save: (data) => {
+      latest = data;
+
+      if (!queuedWrite) {
+        queuedWrite = new Promise(resolve => {
+          startQueuedWrite = () => {
+            clearTimeout(timer);
+            queuedWrite = null;
+            startQueuedWrite = null;
+
+            const content = JSON.stringify(latest);
+            currentWrite = currentWrite
+              .then(() => fs.promises.mkdir(DATA_DIR, { recursive: true }))
+              .then(() => writeFileAtomic(filePath, content))
+              .catch(error => console.error(`Erreur lors de la sauvegarde des ${label}:`, error));
+            currentWrite.then(resolve);
+          };
+          timer = setTimeout(startQueuedWrite, WRITE_DELAY_MS);
+        });
+      }
+      return queuedWrite;
+    },
+
+    /**
+     * Écrire immédiatement les données en attente
+     * @returns {Promise}
+     */
+    flush: () => {
+      if (startQueuedWrite) {
+        startQueuedWrite();
+      }
+      return currentWrite;
+    }
+  };
+
+  dataFiles.push(dataFile);
+  return dataFile;
+}
+
+/**
+ * Écrire les données en attente de tous les fichiers (arrêt du serveur)
+ * @returns {Promise}
+ */
+function flushAll() {
+  return Promise.all(dataFiles.map(dataFile => dataFile.flush()));
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  writeFileAtomic,
+  createDataFile,
+  flushAll
+};
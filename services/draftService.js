@@ -0,0 +1,162 @@
+/**
+ * Brouillons de tickets
+ * Conserve les saisies d'un ticket en cours de création au-delà de la durée de vie de la session,
+ * pour proposer à l'utilisateur de reprendre là où il s'était arrêté
+ */
+
+const { createDataFile } = require('./dataFiles');
+
+// Durée de conservation des brouillons (72 heures par défaut)
+const RETENTION_HOURS = parseInt(process.env.DRAFT_RETENTION_HOURS, 10) || 72;
+
+// Inactivité après laquelle une création en cours est considérée comme interrompue (15 minutes par défaut)
+const IDLE_MINUTES = parseFloat(process.env.DRAFT_IDLE_MINUTES) || 15;
+
+// Fichier de persistance des brouillons
+const draftsFile = createDataFile('drafts.json', 'brouillons de tickets');
+
+// Données de session qui constituent le brouillon
+const DRAFT_FIELDS = ['ticketData', 'aiTicketData', 'pendingAttachments', 'ticketLocation', 'requesterReturnStep'];
+
+// Brouillons : { numéro: { step, data, updatedAt } }
+const drafts = draftsFile.load({});
+console.log(`${Object.keys(drafts).length} brouillons de tickets chargés`);
+
+/**
+ * Planifie l'écriture des brouillons sur le disque
+ */
+function persist() {
+  draftsFile.save(drafts);
+}
+
+/**
+ * Vérifie si des données de session contiennent une saisie à conserver
+ * @param {Object} data - Données extraites de la session
+ * @returns {boolean}
+ */
+function hasContent(data) {
+  return DRAFT_FIELDS.some(field => {
+    const value = data[field];
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    return value && typeof value === 'object' ? Object.keys(value).length > 0 : !!value;
+  });
+}
+
+const draftService = {
+  /**
+   * Enregistre le brouillon de l'utilisateur à partir de sa session
+   * @param {string} phone - Numéro de l'utilisateur
+   * @param {Object} session - Session de l'utilisateur
+   * @param {string} step - Étape de création à laquelle reprendre
+   * @returns {Object|null} - Brouillon enregistré, null si aucune saisie n'est à conserver
+   */
+  saveDraft: (phone, session, step) => {
+    draftService.purgeExpired();
+
+    const data = {};
+    DRAFT_FIELDS.forEach(field => {
+      if (session[field] !== undefined) {
+        data[field] = session[field];
+      }
+    });
+
+    if (!hasContent(data)) {
+      return null;
+    }
+
+    drafts[phone] = {
+      step,
+      data,
+      updatedAt: new Date().toISOString()
+    };
+
+    persist();
+    return drafts[phone];
+  },
+
+  /**
+   * Récupère le brouillon de l'utilisateur
+   * @param {string} phone - Numéro de l'utilisateur
+   * @returns {Object|null} - { step, data, updatedAt } ou null
+   */
+  getDraft: (phone) => {
+    draftService.purgeExpired();
+    return drafts[phone] || null;
+  },
+
+  /**
+   * Indique si une session est restée sans activité depuis plus de DRAFT_IDLE_MINUTES
+   * (date de sa dernière mise à jour, updatedAt)
+   * @param {Object|null} session - Session de l'utilisateur
+   * @returns {boolean}
+   */
+  isIdle: (session) => {
+    const updatedAt = Date.parse(session && session.updatedAt);
+    return !!updatedAt && Date.now() - updatedAt > IDLE_MINUTES * 60 * 1000;
+  },
+
+  /**
+   * Recopie le brouillon dans la session de l'utilisateur
+   * @param {string} phone - Numéro de l'utilisateur
+   * @param {Object} session - Session à compléter
+   * @returns {string|null} - Étape à laquelle reprendre, null si aucun brouillon
+   */
+  restoreDraft: (phone, session) => {
+    const draft = draftService.getDraft(phone);
+
+    if (!draft) {
+      return null;
+    }
+
+    Object.assign(session, JSON.parse(JSON.stringify(draft.data)));
+    console.log(`Brouillon de ticket restauré pour ${phone} (étape ${draft.step})`);
+    return draft.step;
+  },
+
+  /**
+   * Retire de la session toutes les saisies qui constituent le brouillon
+   * @param {Object} session - Session de l'utilisateur
+   */
+  clearSession: (session) => {
+    DRAFT_FIELDS.forEach(field => {
+      delete session[field];
+    });
+  },
+
+  /**
+   * Supprime le brouillon de l'utilisateur
+   * @param {string} phone - Numéro de l'utilisateur
+   */
+  deleteDraft: (phone) => {
+    if (drafts[phone]) {
+      delete drafts[phone];
+      persist();
+    }
+  },
+
+  /**
+   * Supprime les brouillons plus anciens que la durée de conservation
+   * @returns {number} - Nombre de brouillons supprimés
+   */
+  purgeExpired: () => {
+    const limit = Date.now() - RETENTION_HOURS * 60 * 60 * 1000;
+    let purged = 0;
+
+    Object.keys(drafts).forEach(phone => {
+      if (new Date(drafts[phone].updatedAt).getTime() < limit) {
+        delete drafts[phone];
+        purged++;
+      }
+    });
+
+    if (purged > 0) {
+      console.log(`${purged} brouillon(s) de ticket expiré(s) supprimé(s)`);
+      persist();
+    }
+    return purged;
+  }
+};
+
+module.exports = draftService;
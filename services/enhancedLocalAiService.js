@@ -9,6 +9,7 @@ const tokenizer = new WordTokenizer();
 
 // Importer les services TensorFlow
 const enhancedTensorflowService = require('./enhancedTensorflowService');
+const categoryService = require('./categoryService');
 require('./enhancedTensorflowTraining');
 require('./enhancedTensorflowTraining2');
 
@@ -229,62 +230,51 @@ class EnhancedLocalAiService {
     // Trouver la catégorie avec le score le plus élevé
     let maxScore = 0;
     let bestCategory = '';
-    let categoryId = 0;
     
     if (type === 'incident') {
       if (scores.hardware > maxScore) {
         maxScore = scores.hardware;
         bestCategory = 'incident_materiel';
-        categoryId = 7;
       }
       if (scores.software > maxScore) {
         maxScore = scores.software;
         bestCategory = 'incident_logiciel';
-        categoryId = 8;
       }
       if (scores.network > maxScore) {
         maxScore = scores.network;
         bestCategory = 'incident_reseau';
-        categoryId = 6;
       }
       if (scores.security > maxScore) {
         maxScore = scores.security;
         bestCategory = 'incident_securite';
-        categoryId = 9;
       }
       
       // Si aucune catégorie spécifique n'est identifiée
       if (maxScore === 0) {
         bestCategory = 'incident_autre';
-        categoryId = 10;
         maxScore = 1;
       }
     } else { // type === 'demande'
       if (scores.hardware > maxScore) {
         maxScore = scores.hardware;
         bestCategory = 'demande_materiel';
-        categoryId = 2;
       }
       if (scores.software > maxScore) {
         maxScore = scores.software;
         bestCategory = 'demande_logiciel';
-        categoryId = 3;
       }
       if (scores.access > maxScore) {
         maxScore = scores.access;
         bestCategory = 'demande_acces';
-        categoryId = 1;
       }
       if (scores.information > maxScore) {
         maxScore = scores.information;
         bestCategory = 'demande_information';
-        categoryId = 4;
       }
       
       // Si aucune catégorie spécifique n'est identifiée
       if (maxScore === 0) {
         bestCategory = 'demande_autre';
-        categoryId = 5;
         maxScore = 1;
       }
     }
@@ -295,7 +285,8 @@ class EnhancedLocalAiService {
     
     return {
       category: bestCategory,
-      categoryId: categoryId,
+      // Catégorie GLPI associée au libellé (config/categoryMapping.json)
+      categoryId: categoryService.getCategoryIdForLabel(bestCategory),
       confidence: confidence
     };
   }
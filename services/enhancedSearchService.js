@@ -5,12 +5,14 @@ const whatsappService = require('./whatsappService');
 const sessionManager = require('./sessionManager');
 const glpiService = require('./glpiService');
 const notificationService = require('./notificationService');
+const i18nService = require('./i18nService');
 
 /**
  * Démarre le mode recherche par ID de ticket avec une interface améliorée
  * @param {string} from - Le numéro de téléphone de l'utilisateur
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function startEnhancedTicketSearch(from) {
+async function startEnhancedTicketSearch(from, language = i18nService.getUserLanguage(from)) {
   try {
     console.log(`Démarrage de la recherche améliorée par ID pour ${from}`);
 
@@ -26,7 +28,7 @@ async function startEnhancedTicketSearch(from) {
     await sessionManager.saveSession(from, userSession);
 
     // Envoyer un message demandant l'ID du ticket avec des instructions claires
-    const message = "🔎 *Recherche de ticket par ID*\n\nVeuillez entrer le numéro du ticket que vous souhaitez rechercher.\n\nExemple: 12345\n\nℹ️ Vous pouvez aussi utiliser les boutons ci-dessous pour accéder rapidement à des options.";
+    const message = i18nService.t(language, 'search.byIdBody');
 
     // Préparer les boutons pour une meilleure UX
     const buttons = [];
@@ -37,7 +39,7 @@ async function startEnhancedTicketSearch(from) {
         type: "reply",
         reply: {
           id: `search_ticket_${userSession.lastCreatedTicketId}`,
-          title: `🎟 Dernier ticket #${userSession.lastCreatedTicketId}`
+          title: i18nService.t(language, 'search.lastTicketButton', { ticketId: userSession.lastCreatedTicketId })
         }
       });
     }
@@ -50,7 +52,7 @@ async function startEnhancedTicketSearch(from) {
         type: "reply",
         reply: {
           id: `search_ticket_${ticketId}`,
-          title: `🔍 Ticket #${ticketId}`
+          title: i18nService.t(language, 'tracking.ticketButton', { ticketId })
         }
       }));
       buttons.push(...recentTicketButtons);
@@ -62,24 +64,24 @@ async function startEnhancedTicketSearch(from) {
         type: "reply",
         reply: {
           id: "track_ticket",
-          title: "📝 Suivre un ticket"
+          title: i18nService.t(language, 'menu.trackByIdButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "back_to_menu",
-          title: "🏠 Menu principal"
+          title: i18nService.t(language, 'common.menuButton')
         }
       }
     );
 
-    await whatsappService.sendButtonsMessage(from, message, buttons, "Recherche ticket");
+    await whatsappService.sendButtonsMessage(from, message, buttons, i18nService.t(language, 'search.header'));
   } catch (error) {
     console.error(`Erreur lors du démarrage de la recherche améliorée pour ${from}:`, error);
     await whatsappService.sendMessage(
         from,
-        "Désolé, une erreur s'est produite. Veuillez réessayer en envoyant 'reset'."
+        i18nService.t(language, 'common.resetHint')
     );
   }
 }
@@ -88,8 +90,9 @@ async function startEnhancedTicketSearch(from) {
  * Affiche les détails d'un ticket avec des options interactives améliorées
  * @param {string} phoneNumber - Numéro de téléphone de l'utilisateur
  * @param {number} ticketId - ID du ticket à afficher
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function displayEnhancedTicketDetails(phoneNumber, ticketId) {
+async function displayEnhancedTicketDetails(phoneNumber, ticketId, language = i18nService.getUserLanguage(phoneNumber)) {
   try {
     // Récupérer les détails du ticket
     const ticketDetails = await glpiService.getTicket(ticketId);
@@ -97,7 +100,7 @@ async function displayEnhancedTicketDetails(phoneNumber, ticketId) {
     if (!ticketDetails) {
       await whatsappService.sendMessage(
         phoneNumber,
-        `⚠️ Le ticket #${ticketId} n'a pas été trouvé. Veuillez vérifier le numéro et réessayer.`
+        i18nService.t(language, 'tracking.notFound', { ticketId })
       );
       return;
     }
@@ -106,15 +109,16 @@ async function displayEnhancedTicketDetails(phoneNumber, ticketId) {
     const isSubscribed = notificationService.isSubscribedToTicket(phoneNumber, ticketId);
     
     // Formater le message avec les détails du ticket
-    let message = `🎫 *Ticket #${ticketId}*\n\n`;
-    message += `📋 *Titre:* ${ticketDetails.name}\n`;
-    message += `📝 *Description:* ${ticketDetails.content}\n`;
-    message += `🔄 *Statut:* ${ticketDetails.status}\n`;
-    message += `⏱️ *Urgence:* ${ticketDetails.urgency}\n`;
-    message += `📅 *Date d'ouverture:* ${new Date(ticketDetails.date).toLocaleString()}\n`;
+    const t = (key, params) => i18nService.t(language, key, params);
+    let message = `${t('ticket.header', { ticketId })}\n\n`;
+    message += `${t('ticket.title', { title: ticketDetails.name })}\n`;
+    message += `${t('ticket.description', { description: ticketDetails.content })}\n`;
+    message += `${t('ticket.status', { status: i18nService.label(language, 'status', ticketDetails.status) })}\n`;
+    message += `${t('ticket.urgency', { urgency: i18nService.label(language, 'urgency', ticketDetails.urgency) })}\n`;
+    message += `${t('ticket.createdAt', { date: i18nService.formatDateTime(language, ticketDetails.date) })}\n`;
     
     if (ticketDetails.technicians && ticketDetails.technicians.length > 0) {
-      message += `👨‍💻 *Technicien(s):* ${ticketDetails.technicians.join(', ')}\n`;
+      message += `${t('ticket.technicians', { names: ticketDetails.technicians.join(', ') })}\n`;
     }
     
     // Préparer les boutons d'action (première ligne)
@@ -123,14 +127,14 @@ async function displayEnhancedTicketDetails(phoneNumber, ticketId) {
         type: "reply",
         reply: {
           id: `comment_ticket_${ticketId}`,
-          title: "📝 Ajouter commentaire"
+          title: t('ticket.addCommentButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: `add_followup_${ticketId}`,
-          title: "💬 Ajouter suivi"
+          title: t('ticket.addFollowupButton')
         }
       }
     ];
@@ -141,14 +145,14 @@ async function displayEnhancedTicketDetails(phoneNumber, ticketId) {
         type: "reply",
         reply: {
           id: `assign_technician_${ticketId}`,
-          title: "👨‍💻 Attribuer technicien"
+          title: t('ticket.assignTechnicianButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: isSubscribed ? `unsubscribe_ticket_${ticketId}` : `subscribe_ticket_${ticketId}`,
-          title: isSubscribed ? "🔕 Se désabonner" : "🔔 S'abonner"
+          title: t(isSubscribed ? 'ticket.unsubscribeButton' : 'ticket.subscribeButton')
         }
       }
     ];
@@ -159,14 +163,14 @@ async function displayEnhancedTicketDetails(phoneNumber, ticketId) {
         type: "reply",
         reply: {
           id: `track_another_ticket`,
-          title: "🔍 Autre ticket"
+          title: t('ticket.otherTicketButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "back_to_menu",
-          title: "🏠 Menu principal"
+          title: i18nService.t(language, 'common.menuButton')
         }
       }
     ];
@@ -177,9 +181,9 @@ async function displayEnhancedTicketDetails(phoneNumber, ticketId) {
     // Envoyer le message avec les boutons
     await whatsappService.sendButtonsMessage(
       phoneNumber,
-      "Détails du ticket",
       message,
-      allButtons
+      allButtons,
+      t('ticket.detailsHeader')
     );
     
     // Sauvegarder ce ticket dans la liste des tickets récemment consultés
@@ -202,7 +206,7 @@ async function displayEnhancedTicketDetails(phoneNumber, ticketId) {
     console.error(`Erreur lors de l'affichage des détails du ticket ${ticketId} pour ${phoneNumber}:`, error);
     await whatsappService.sendMessage(
       phoneNumber,
-      `❌ Une erreur s'est produite lors de l'affichage des détails du ticket #${ticketId}. Veuillez réessayer plus tard.`
+      i18nService.t(language, 'ticket.displayError', { ticketId })
     );
   }
 }
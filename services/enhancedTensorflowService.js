@@ -9,6 +9,7 @@ const { WordTokenizer, PorterStemmerFr } = natural;
 const tokenizer = new WordTokenizer();
 const path = require('path');
 const fs = require('fs');
+const categoryService = require('./categoryService');
 
 // Importer les vocabulaires étendus
 const baseVocab = require('../data/vocabularyBase');
@@ -338,31 +339,19 @@ class EnhancedTensorflowService {
         }
       });
       
-      // Mapping des catégories vers les IDs GLPI
-      const categoryMap = {
-        'incident_autre': 10,
-        'incident_logiciel': 8,
-        'incident_materiel': 7,
-        'incident_reseau': 6,
-        'incident_securite': 9,
-        'demande_acces': 1,
-        'demande_autre': 5,
-        'demande_information': 4,
-        'demande_logiciel': 3,
-        'demande_materiel': 2
-      };
-      
+      // Catégorie GLPI associée au libellé (config/categoryMapping.json)
       return {
         category: bestCategory,
-        categoryId: categoryMap[bestCategory] || 0,
+        categoryId: categoryService.getCategoryIdForLabel(bestCategory),
         confidence: maxProb
       };
     } catch (error) {
       console.error("Erreur lors de la prédiction de la catégorie:", error);
       // Fallback en cas d'erreur
+      const fallbackCategory = type === 'incident' ? 'incident_autre' : 'demande_autre';
       return {
-        category: type === 'incident' ? 'incident_autre' : 'demande_autre',
-        categoryId: type === 'incident' ? 10 : 5,
+        category: fallbackCategory,
+        categoryId: categoryService.getCategoryIdForLabel(fallbackCategory),
         confidence: 0.5
       };
     }
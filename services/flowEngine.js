@@ -0,0 +1,494 @@
+/**
+ * Moteur de parcours de conversation
+ * Chaque étape d'un parcours déclare son message (prompt), les réponses acceptées
+ * (boutons, éléments de liste, mots-clés, texte libre avec validation), ses transitions et ses effets.
+ * Le moteur retrouve l'étape courante de l'utilisateur, y achemine le message reçu et répond
+ * de façon uniforme lorsque la réponse n'est pas comprise.
+ */
+
+const whatsappService = require('./whatsappService');
+const sessionManager = require('./sessionManager');
+const i18nService = require('./i18nService');
+const sessionSchema = require('./sessionSchema');
+
+// Étape affichée aux nouveaux utilisateurs et en cas d'étape inconnue
+const DEFAULT_STEP = 'main_menu';
+
+// Étapes déclarées par les parcours : { nom: définition }
+const steps = {};
+
+// Réponses acceptées quelle que soit l'étape en cours
+const globalChoices = {};
+const globalPrefixes = {};
+const globalKeywords = {};
+
+// Fonctions appelées à chaque changement d'étape : (from, session, step) => {}
+const stepListeners = [];
+
+// Fonctions appelées avant chaque message reçu à une étape du parcours : { parcours: (ctx, step) => {} }
+const messageListeners = {};
+
+const EMPTY_INPUT = { text: '', choiceId: null, choiceTitle: null };
+
+/**
+ * Normalise un mot-clé saisi (minuscules, sans accents ni espaces superflus)
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeKeyword(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Ajoute des entrées à un registre en refusant les doublons
+ * @param {Object} registry - Registre cible
+ * @param {Object} entries - Entrées à ajouter
+ * @param {string} label - Nom du registre (pour le message d'erreur)
+ * @param {Function} [normalizeKey] - Normalisation des clés
+ */
+function addEntries(registry, entries = {}, label, normalizeKey = key => key) {
+  Object.keys(entries).forEach(key => {
+    const normalizedKey = normalizeKey(key);
+    if (registry[normalizedKey]) {
+      throw new Error(`${label} déjà déclaré : ${key}`);
+    }
+    registry[normalizedKey] = entries[key];
+  });
+}
+
+/**
+ * Trouve le gestionnaire dont le préfixe correspond à l'identifiant (le plus long l'emporte)
+ * @param {Object} prefixes - { préfixe: gestionnaire }
+ * @param {string} choiceId - Identifiant du bouton ou de l'élément de liste
+ * @returns {Object|null} - { handler, suffix }
+ */
+function findPrefixHandler(prefixes = {}, choiceId) {
+  const prefix = Object.keys(prefixes)
+    .filter(candidate => choiceId.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? { handler: prefixes[prefix], suffix: choiceId.substring(prefix.length) } : null;
+}
+
+/**
+ * Appelle un gestionnaire ; un gestionnaire qui retourne false laisse la main au niveau suivant
+ * @returns {Promise<boolean>} - true si la réponse a été prise en charge
+ */
+async function runHandler(handler, ctx, ...args) {
+  return (await handler(ctx, ...args)) !== false;
+}
+
+/**
+ * Acheminer la réponse de l'utilisateur vers le gestionnaire approprié
+ * Ordre : boutons de l'étape, préfixes de l'étape, boutons globaux, préfixes globaux
+ * puis, pour le texte : mots-clés de l'étape, mots-clés globaux, saisie libre de l'étape
+ * @param {Object} ctx - Contexte du message
+ * @param {Object} step - Étape courante
+ * @returns {Promise<boolean>} - true si la réponse a été prise en charge
+ */
+async function dispatch(ctx, step) {
+  if (ctx.choiceId) {
+    const choices = step.choices || {};
+    if (choices[ctx.choiceId] && await runHandler(choices[ctx.choiceId], ctx)) {
+      return true;
+    }
+
+    const stepPrefix = findPrefixHandler(step.prefixes, ctx.choiceId);
+    if (stepPrefix && await runHandler(stepPrefix.handler, ctx, stepPrefix.suffix)) {
+      return true;
+    }
+
+    if (globalChoices[ctx.choiceId] && await runHandler(globalChoices[ctx.choiceId], ctx)) {
+      return true;
+    }
+
+    const globalPrefix = findPrefixHandler(globalPrefixes, ctx.choiceId);
+    if (globalPrefix && await runHandler(globalPrefix.handler, ctx, globalPrefix.suffix)) {
+      return true;
+    }
+
+    return false;
+  }
+
+  if (!ctx.text) {
+    return false;
+  }
+
+  const keyword = normalizeKeyword(ctx.text);
+  const keywords = step.keywords || {};
+
+  if (keywords[keyword] && await runHandler(keywords[keyword], ctx)) {
+    return true;
+  }
+
+  if (globalKeywords[keyword] && await runHandler(globalKeywords[keyword], ctx)) {
+    return true;
+  }
+
+  if (step.text) {
+    const validationError = step.validate ? step.validate(ctx.text, ctx) : null;
+    if (validationError) {
+      await ctx.notUnderstood(validationError);
+      return true;
+    }
+    return runHandler(step.text, ctx);
+  }
+
+  return false;
+}
+
+const flowEngine = {
+  DEFAULT_STEP,
+
+  normalizeKeyword,
+
+  /**
+   * Validateurs de saisie libre : retournent un message d'aide si la saisie est invalide, sinon null
+   */
+  validators: {
+    ticketId: (text, ctx) => /^#?\s*\d+$/.test(text.trim())
+      ? null
+      : ctx.t('engine.invalidTicketId')
+  },
+
+  /**
+   * Extraire un numéro de ticket d'une saisie ("123" ou "#123")
+   * @param {string} text
+   * @returns {number|null}
+   */
+  parseTicketId: (text) => {
+    const match = (text || '').trim().match(/^#?\s*(\d+)$/);
+    return match ? parseInt(match[1], 10) : null;
+  },
+
+  /**
+   * Déclarer un parcours et ses étapes
+   * @param {Object} flow - { name, steps: { nom: définition }, globals: { choices, prefixes, keywords }, onStepChange, onMessage }
+   *   onStepChange(from, session, step) est appelé après chaque changement d'étape, quel que soit le parcours.
+   *   onMessage(ctx, step) est appelé avant le traitement d'un message reçu à une étape du parcours ;
+   *   s'il renvoie true, le message est considéré comme pris en charge.
+   *   Une étape peut définir :
+   *   - ticket : 'creation' si un ticket est en cours de création, ou (session) => ID du ticket concerné
+   *   - enter(ctx, params) : effets à l'entrée dans l'étape (avant sauvegarde de la session)
+   *   - prompt(ctx) : message présenté à l'utilisateur
+   *   - choices : { idBouton: (ctx) => {} }, prefixes : { préfixe: (ctx, suffixe) => {} }
+   *   - keywords : { motClé: (ctx) => {} }
+   *   - validate(text, ctx) et text(ctx) : saisie libre
+   *   - hint : aide ajoutée au message "non compris" (chaîne ou (ctx) => chaîne)
+   *   - cancel(ctx) : abandon de l'étape (commande "annuler"), par défaut retour au menu principal
+   *   - reprompt : false pour ne pas renvoyer le prompt après une réponse non comprise
+   */
+  registerFlow: (flow) => {
+    Object.keys(flow.steps || {}).forEach(name => {
+      if (steps[name] || sessionSchema.resolveStepName(name) !== name) {
+        throw new Error(`Étape déjà déclarée : ${name} (parcours ${flow.name})`);
+      }
+      steps[name] = { ...flow.steps[name], name, flow: flow.name };
+    });
+
+    if (flow.globals) {
+      flowEngine.registerGlobal(flow.globals);
+    }
+
+    if (flow.onStepChange) {
+      stepListeners.push(flow.onStepChange);
+    }
+
+    if (flow.onMessage) {
+      messageListeners[flow.name] = flow.onMessage;
+    }
+  },
+
+  /**
+   * Déclarer des réponses acceptées à toutes les étapes (boutons de navigation, actions sur un ticket...)
+   * @param {Object} globals - { choices, prefixes, keywords }
+   */
+  registerGlobal: ({ choices, prefixes, keywords } = {}) => {
+    addEntries(globalChoices, choices, 'Bouton global');
+    addEntries(globalPrefixes, prefixes, 'Préfixe global');
+    addEntries(globalKeywords, keywords, 'Mot-clé global', normalizeKeyword);
+  },
+
+  /**
+   * Résoudre un nom d'étape (y compris les anciens noms, voir sessionSchema)
+   * @param {string} name
+   * @returns {string|null}
+   */
+  resolveStepName: (name) => {
+    if (!name) {
+      return null;
+    }
+    return sessionSchema.resolveStepName(name);
+  },
+
+  /**
+   * Récupérer la définition d'une étape
+   * @param {string} name - Nom de l'étape (les anciens noms sont acceptés)
+   * @returns {Object|null}
+   */
+  getStep: (name) => {
+    return steps[flowEngine.resolveStepName(name)] || null;
+  },
+
+  /**
+   * Extraire la réponse de l'utilisateur d'un message texte ou interactif
+   * @param {string} messageText - Texte du message
+   * @param {Object} interactiveResponse - Contenu interactif (button_reply, list_reply)
+   * @returns {Object} - { text, choiceId, choiceTitle }
+   */
+  parseInput: (messageText, interactiveResponse) => {
+    if (interactiveResponse) {
+      const reply = interactiveResponse.button_reply ||
+        interactiveResponse.list_reply ||
+        (interactiveResponse.interactive && interactiveResponse.interactive.button_reply);
+
+      if (reply && reply.id) {
+        return { text: '', choiceId: reply.id, choiceTitle: reply.title || null };
+      }
+    }
+
+    return { text: (messageText || '').trim(), choiceId: null, choiceTitle: null };
+  },
+
+  /**
+   * Créer le contexte passé aux gestionnaires d'une étape
+   * La langue de l'utilisateur est déterminée ici (session, préférence mémorisée ou texte reçu)
+   * @param {string} from - Numéro de l'utilisateur
+   * @param {Object} session - Session de l'utilisateur
+   * @param {Object} input - Réponse extraite par parseInput
+   * @returns {Object}
+   */
+  createContext: (from, session, input = EMPTY_INPUT) => {
+    i18nService.resolveLanguage(from, session, input.text);
+
+    const ctx = {
+      from,
+      session,
+      text: input.text,
+      choiceId: input.choiceId,
+      choiceTitle: input.choiceTitle,
+      // Langue de l'utilisateur (relue à chaque accès : elle peut changer en cours de traitement)
+      get language() {
+        return session.language || i18nService.getUserLanguage(from);
+      },
+      // Traduire un texte dans la langue de l'utilisateur
+      t: (key, params) => i18nService.t(ctx.language, key, params),
+      // Entrer dans une étape et afficher son message
+      goTo: (name, params = {}) => flowEngine.goTo(from, session, name, params),
+      // Entrer dans une étape sans afficher son message (il a déjà été envoyé)
+      setStep: (name, params = {}) => flowEngine.setStep(from, session, name, params),
+      save: () => sessionManager.saveSession(from, session),
+      reply: (message) => whatsappService.sendMessage(from, message),
+      notUnderstood: (hint) => flowEngine.notUnderstood(ctx, hint)
+    };
+    return ctx;
+  },
+
+  /**
+   * Entrer dans une étape sans envoyer son message
+   * @param {string} from - Numéro de l'utilisateur
+   * @param {Object} session - Session de l'utilisateur
+   * @param {string} name - Étape cible
+   * @param {Object} params - Paramètres transmis à enter()
+   * @returns {Promise<Object>} - Étape cible
+   */
+  setStep: async (from, session, name, params = {}) => {
+    const step = flowEngine.getStep(name);
+    if (!step) {
+      throw new Error(`Étape inconnue : ${name}`);
+    }
+
+    session.currentStep = step.name;
+    if (step.enter) {
+      await step.enter(flowEngine.createContext(from, session), params);
+    }
+    await sessionManager.saveSession(from, session);
+
+    console.log(`Étape de ${from} : ${step.name}`);
+
+    for (const listener of stepListeners) {
+      try {
+        await listener(from, session, step);
+      } catch (error) {
+        console.error(`Erreur lors du suivi du changement d'étape de ${from} (${step.name}):`, error);
+      }
+    }
+    return step;
+  },
+
+  /**
+   * Entrer dans une étape et envoyer son message
+   * @param {string} from - Numéro de l'utilisateur
+   * @param {Object} session - Session de l'utilisateur
+   * @param {string} name - Étape cible
+   * @param {Object} params - Paramètres transmis à enter()
+   */
+  goTo: async (from, session, name, params = {}) => {
+    const step = await flowEngine.setStep(from, session, name, params);
+    if (step.prompt) {
+      await step.prompt(flowEngine.createContext(from, session));
+    }
+  },
+
+  /**
+   * Aide de l'étape courante
+   * @param {Object} ctx - Contexte du message
+   * @returns {string|null}
+   */
+  getHint: (ctx) => {
+    const step = flowEngine.getStep(ctx.session.currentStep) || steps[DEFAULT_STEP];
+    return (typeof step.hint === 'function' ? step.hint(ctx) : step.hint) || null;
+  },
+
+  /**
+   * Abandonner l'étape courante : annulation propre à l'étape, sinon retour au menu principal
+   * @param {Object} ctx - Contexte du message
+   */
+  cancel: async (ctx) => {
+    const step = flowEngine.getStep(ctx.session.currentStep);
+
+    if (step && step.cancel) {
+      await step.cancel(ctx);
+      return;
+    }
+
+    await ctx.reply(ctx.t(step && step.name !== DEFAULT_STEP ? 'engine.cancelled' : 'engine.nothingToCancel'));
+    await ctx.goTo(DEFAULT_STEP);
+  },
+
+  /**
+   * Indiquer si une réponse correspond à ce qu'attend l'étape (bouton, mot-clé, saisie libre valide),
+   * sans appeler les gestionnaires : même ordre de recherche que l'acheminement des réponses
+   * @param {Object} ctx - Contexte du message
+   * @param {Object} step - Étape courante
+   * @returns {boolean}
+   */
+  accepts: (ctx, step) => {
+    if (ctx.choiceId) {
+      return Boolean(
+        (step.choices || {})[ctx.choiceId] ||
+        findPrefixHandler(step.prefixes, ctx.choiceId) ||
+        globalChoices[ctx.choiceId] ||
+        findPrefixHandler(globalPrefixes, ctx.choiceId)
+      );
+    }
+
+    if (!ctx.text) {
+      return false;
+    }
+
+    const keyword = normalizeKeyword(ctx.text);
+    if ((step.keywords || {})[keyword] || globalKeywords[keyword]) {
+      return true;
+    }
+
+    return Boolean(step.text) && !(step.validate && step.validate(ctx.text, ctx));
+  },
+
+  /**
+   * Répondre à une saisie non comprise : message uniforme, aide de l'étape puis rappel du prompt
+   * @param {Object} ctx - Contexte du message
+   * @param {string} [hint] - Aide spécifique (remplace celle de l'étape)
+   */
+  notUnderstood: async (ctx, hint) => {
+    const step = flowEngine.getStep(ctx.session.currentStep) || steps[DEFAULT_STEP];
+    const stepHint = flowEngine.getHint(ctx);
+
+    console.log(`Réponse non comprise de ${ctx.from} à l'étape ${step.name}: ${ctx.choiceId || `"${ctx.text}"`}`);
+
+    await whatsappService.sendMessage(
+        ctx.from,
+        [ctx.t('engine.notUnderstood'), hint || stepHint].filter(Boolean).join('\n\n')
+    );
+
+    if (step.reprompt !== false) {
+      await flowEngine.reprompt(ctx);
+    }
+  },
+
+  /**
+   * Renvoyer le message de l'étape courante sans y entrer à nouveau (après un changement de langue par exemple)
+   * @param {Object} ctx - Contexte du message
+   */
+  reprompt: async (ctx) => {
+    const step = flowEngine.getStep(ctx.session.currentStep) || steps[DEFAULT_STEP];
+
+    if (step.prompt) {
+      await step.prompt(flowEngine.createContext(ctx.from, ctx.session));
+    }
+  },
+
+  /**
+   * Traiter un message de l'utilisateur à l'étape où il se trouve
+   * @param {string} from - Numéro de l'utilisateur
+   * @param {string} messageText - Texte du message
+   * @param {Object} interactiveResponse - Contenu interactif (boutons, listes)
+   * @param {Object|null} session - Session de l'utilisateur (null pour un nouvel utilisateur)
+   */
+  handle: async (from, messageText, interactiveResponse, session) => {
+    const input = flowEngine.parseInput(messageText, interactiveResponse);
+    const isNewUser = !session;
+    session = session || {};
+
+    let step = flowEngine.getStep(session.currentStep);
+    if (!step) {
+      if (!isNewUser) {
+        console.log(`Étape inconnue pour ${from}: ${session.currentStep}, utilisation de ${DEFAULT_STEP}`);
+      }
+      step = steps[DEFAULT_STEP];
+    }
+    // Les anciens noms d'étapes sont remplacés à la première réponse
+    session.currentStep = step.name;
+
+    const ctx = flowEngine.createContext(from, session, input);
+
+    try {
+      const onMessage = !isNewUser && messageListeners[step.flow];
+      if (onMessage && await onMessage(ctx, step)) {
+        return;
+      }
+
+      const handled = await dispatch(ctx, step);
+
+      if (!handled) {
+        if (isNewUser) {
+          // Premier message d'un nouvel utilisateur : présenter le menu principal
+          await ctx.goTo(DEFAULT_STEP);
+        } else {
+          await ctx.notUnderstood();
+        }
+      }
+    } catch (error) {
+      console.error(`Erreur lors du traitement du message de ${from} à l'étape ${step.name}:`, error);
+      await whatsappService.sendMessage(from, ctx.t('engine.error'));
+    }
+  },
+
+  /**
+   * Déterminer à quel ticket s'applique une information envoyée hors saisie (pièce jointe, localisation, contact)
+   * @param {Object|null} session - Session de l'utilisateur
+   * @returns {Object|null} - { creation: true } si un ticket est en cours de création,
+   *   { ticketId } pour un ticket existant, sinon null
+   */
+  getTicketTarget: (session) => {
+    const step = session ? flowEngine.getStep(session.currentStep) : null;
+
+    if (!step || !step.ticket) {
+      return null;
+    }
+
+    if (step.ticket === 'creation') {
+      return { creation: true };
+    }
+
+    const ticketId = step.ticket(session);
+    return ticketId ? { ticketId } : null;
+  }
+};
+
+module.exports = flowEngine;
@@ -0,0 +1,197 @@
+/**
+ * Client de l'API REST GLPI
+ * Une seule session GLPI est ouverte et partagée par toutes les requêtes du chatbot. Lorsque GLPI la
+ * refuse (expiration, redémarrage du serveur...), une nouvelle session est ouverte et la requête
+ * relancée une fois. Les requêtes qui échouent en même temps attendent la même réauthentification.
+ */
+
+const axios = require('axios');
+const messageQueueService = require('./messageQueueService');
+
+// Erreurs GLPI signalant une session expirée ou inconnue
+const SESSION_ERRORS = ['ERROR_SESSION_TOKEN_INVALID', 'ERROR_SESSION_TOKEN_MISSING'];
+
+// Session GLPI partagée et ouverture de session en cours
+let sessionToken = null;
+let pendingAuth = null;
+
+// Compteurs exposés sur /health
+const stats = {
+  requests: 0,
+  sessionsOpened: 0,
+  reauthentications: 0,
+  failures: 0
+};
+
+/**
+ * Indique si une erreur axios correspond à une session GLPI refusée
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isSessionError(error) {
+  if (!error.response) {
+    return false;
+  }
+  const data = error.response.data;
+  const code = Array.isArray(data) ? data[0] : null;
+  return error.response.status === 401 || SESSION_ERRORS.includes(code);
+}
+
+/**
+ * Ouvrir une session GLPI avec le jeton utilisateur
+ * @returns {Promise<string>} - Jeton de session
+ */
+async function openSession() {
+  try {
+    const response = await axios({
+      method: 'GET',
+      url: `${process.env.GLPI_API_URL}/initSession`,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `user_token ${process.env.GLPI_USER_TOKEN}`,
+        'App-Token': process.env.GLPI_APP_TOKEN
+      }
+    });
+
+    stats.sessionsOpened++;
+    console.log('GLPI session initialized');
+    return response.data.session_token;
+  } catch (error) {
+    console.error('Error initializing GLPI session:', error.response?.data || error.message);
+    throw new Error('Failed to initialize GLPI session');
+  }
+}
+
+const glpiClient = {
+  /**
+   * Obtenir le jeton de la session partagée, en ouvrant la session si nécessaire
+   * Les appels simultanés attendent la même ouverture de session.
+   * @returns {Promise<string>} - Jeton de session
+   */
+  authenticate: async () => {
+    if (sessionToken) {
+      return sessionToken;
+    }
+
+    if (!pendingAuth) {
+      pendingAuth = openSession()
+        .then(token => {
+          sessionToken = token;
+          return token;
+        })
+        .finally(() => {
+          pendingAuth = null;
+        });
+    }
+
+    return pendingAuth;
+  },
+
+  /**
+   * Envoyer une requête à l'API GLPI avec la session partagée
+   * Si GLPI refuse la session, une nouvelle session est ouverte et la requête relancée une fois.
+   * Les erreurs axios sont transmises telles quelles (error.response.data contient le détail GLPI).
+   * @param {Object} options
+   * @param {string} [options.method='GET'] - Méthode HTTP
+   * @param {string} options.path - Chemin de la ressource (ex: '/Ticket/12')
+   * @param {Object} [options.params] - Paramètres de la requête
+   * @param {Object|FormData} [options.data] - Corps de la requête (JSON ou multipart)
+   * @returns {Promise<*>} - Corps de la réponse
+   */
+  request: async ({ method = 'GET', path, params, data }) => {
+    stats.requests++;
+
+    const send = async (token) => {
+      const headers = {
+        'Session-Token': token,
+        'App-Token': process.env.GLPI_APP_TOKEN
+      };
+
+      // Le type d'un envoi multipart est fixé par axios (avec la délimitation des parties)
+      if (!(data instanceof FormData)) {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      const response = await axios({
+        method,
+        url: `${process.env.GLPI_API_URL}${path}`,
+        headers,
+        params,
+        data
+      });
+      return response.data;
+    };
+
+    const token = await glpiClient.authenticate();
+
+    // Une écriture, même en échec, a pu être appliquée par GLPI : le message en cours ne sera pas rejoué
+    if (method !== 'GET') {
+      messageQueueService.recordSideEffect('glpi');
+    }
+
+    try {
+      return await send(token);
+    } catch (error) {
+      if (!isSessionError(error)) {
+        stats.failures++;
+        throw error;
+      }
+
+      // Seule la première requête refusée abandonne la session : les suivantes attendent la nouvelle
+      if (sessionToken === token) {
+        console.warn('Session GLPI refusée, ouverture d\'une nouvelle session');
+        sessionToken = null;
+        stats.reauthentications++;
+      }
+
+      try {
+        return await send(await glpiClient.authenticate());
+      } catch (retryError) {
+        stats.failures++;
+        throw retryError;
+      }
+    }
+  },
+
+  /**
+   * Fermer la session partagée (arrêt du serveur)
+   */
+  close: async () => {
+    if (pendingAuth) {
+      await pendingAuth.catch(() => {});
+    }
+
+    if (!sessionToken) {
+      return;
+    }
+
+    const token = sessionToken;
+    sessionToken = null;
+
+    try {
+      await axios({
+        method: 'GET',
+        url: `${process.env.GLPI_API_URL}/killSession`,
+        headers: {
+          'Content-Type': 'application/json',
+          'Session-Token': token,
+          'App-Token': process.env.GLPI_APP_TOKEN
+        }
+      });
+      console.log('GLPI session killed');
+    } catch (error) {
+      console.error('Error killing GLPI session:', error.response?.data || error.message);
+    }
+  },
+
+  /**
+   * Statistiques du client GLPI
+   * @returns {Object} - { connected, requests, sessionsOpened, reauthentications, failures }
+   */
+  getStats: () => ({
+    connected: Boolean(sessionToken),
+    ...stats
+  })
+};
+
+module.exports = glpiClient;
@@ -0,0 +1,291 @@
+/**
+ * Construction des recherches de l'API GLPI (/search)
+ * GLPI désigne les champs de recherche par des numéros propres à chaque instance (options de recherche).
+ * Ils sont retrouvés une fois par type d'objet via /listSearchOptions, à partir de leur identifiant
+ * stable (uid, ex: 'Ticket.name'), puis les critères sont envoyés sous la forme attendue par GLPI :
+ * criteria[n][field|searchtype|value|link], forcedisplay[n], sort, order et range.
+ * Dans les critères "contains", GLPI n'échappe pas le caractère % de la valeur, qui sert alors de joker SQL.
+ */
+
+const glpiClient = require('./glpiClient');
+
+// Champs des tickets utilisés par le chatbot : { nom: uid de l'option de recherche GLPI }
+const TICKET_FIELDS = {
+  id: 'Ticket.id',
+  title: 'Ticket.name',
+  content: 'Ticket.content',
+  status: 'Ticket.status',
+  type: 'Ticket.type',
+  urgency: 'Ticket.urgency',
+  category: 'Ticket.ITILCategory.completename',
+  dateCreation: 'Ticket.date',
+  dateModification: 'Ticket.date_mod'
+};
+
+// Champs affichés dans les résultats de recherche de tickets
+const TICKET_DISPLAY_FIELDS = ['id', 'title', 'status', 'type', 'urgency', 'category', 'dateCreation'];
+
+// Critères de recherche de tickets comparés à une valeur exacte : { critère: champ }
+const TICKET_EQUALS_CRITERIA = {
+  status: 'status',
+  type: 'type',
+  urgency: 'urgency',
+  category: 'category'
+};
+
+// Champs des utilisateurs utilisés par le chatbot : { nom: uid de l'option de recherche GLPI }
+const USER_FIELDS = {
+  id: 'User.id',
+  login: 'User.name',
+  firstname: 'User.firstname',
+  realname: 'User.realname',
+  phone: 'User.phone',
+  phone2: 'User.phone2',
+  mobile: 'User.mobile',
+  isActive: 'User.is_active'
+};
+
+// Champs de téléphone d'un utilisateur
+const USER_PHONE_FIELDS = ['phone', 'phone2', 'mobile'];
+
+// Chiffres de fin de numéro recherchés : sans indicatif ni 0 national, ils figurent dans toutes les saisies du numéro
+const PHONE_SEARCH_DIGITS = 8;
+
+// Nombre maximum d'utilisateurs retournés par une recherche par numéro
+const PHONE_SEARCH_LIMIT = 20;
+
+// Options de recherche par type d'objet, chargées une seule fois : { itemtype: Promise<{ uid: numéro }> }
+const searchOptionsCache = {};
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Numéros des options de recherche d'un type d'objet, indexés par uid
+ * @param {string} itemtype - Type d'objet GLPI (ex: 'Ticket')
+ * @returns {Promise<Object>} - { uid: numéro }
+ */
+function getSearchOptions(itemtype) {
+  if (!searchOptionsCache[itemtype]) {
+    searchOptionsCache[itemtype] = glpiClient.request({ path: `/listSearchOptions/${itemtype}` })
+      .then(options => {
+        const ids = {};
+        Object.entries(options || {}).forEach(([id, option]) => {
+          // Les entrées sans uid sont des titres de sections
+          if (option && option.uid) {
+            ids[option.uid] = Number(id);
+          }
+        });
+        return ids;
+      })
+      .catch(error => {
+        // Nouvelle tentative à la prochaine recherche
+        delete searchOptionsCache[itemtype];
+        throw error;
+      });
+  }
+  return searchOptionsCache[itemtype];
+}
+
+/**
+ * Numéros des champs demandés
+ * @param {string} itemtype - Type d'objet GLPI
+ * @param {Object} fields - { nom: uid }
+ * @returns {Promise<Object>} - { nom: numéro }
+ */
+async function resolveFields(itemtype, fields) {
+  const options = await getSearchOptions(itemtype);
+  const ids = {};
+
+  Object.entries(fields).forEach(([name, uid]) => {
+    if (!options[uid]) {
+      throw new Error(`Option de recherche GLPI introuvable : ${uid}`);
+    }
+    ids[name] = options[uid];
+  });
+
+  return ids;
+}
+
+/**
+ * Ajouter des critères aux paramètres de la requête, groupes de critères compris
+ * @param {Object} params - Paramètres de la requête (complétés sur place)
+ * @param {Array} criteria - [{ link, field, searchtype, value }] ou [{ link, criteria: [...] }]
+ * @param {string} [prefix='criteria'] - Préfixe des paramètres
+ */
+function appendCriteria(params, criteria, prefix = 'criteria') {
+  criteria.forEach((criterion, index) => {
+    const key = `${prefix}[${index}]`;
+
+    if (index > 0 || criterion.link) {
+      params[`${key}[link]`] = criterion.link || 'AND';
+    }
+
+    if (criterion.criteria) {
+      appendCriteria(params, criterion.criteria, `${key}[criteria]`);
+      return;
+    }
+
+    params[`${key}[field]`] = criterion.field;
+    params[`${key}[searchtype]`] = criterion.searchtype;
+    params[`${key}[value]`] = criterion.value;
+  });
+}
+
+/**
+ * Convertir les lignes d'un résultat de recherche, dont les colonnes sont nommées par le numéro de leur champ
+ * @param {Object} response - Réponse de /search
+ * @param {Object} fieldIds - { nom: numéro }
+ * @param {Array} names - Champs à lire
+ * @returns {Array} - [{ nom: valeur }]
+ */
+function readRows(response, fieldIds, names) {
+  return (response && Array.isArray(response.data) ? response.data : []).map(row => {
+    const item = {};
+    names.forEach(name => {
+      item[name] = row[fieldIds[name]];
+    });
+    item.id = Number(item.id);
+    return item;
+  });
+}
+
+const glpiSearchService = {
+  TICKET_FIELDS,
+  USER_FIELDS,
+
+  /**
+   * Construire les paramètres d'une recherche de tickets
+   * @param {Object} fieldIds - Numéros des champs ({ nom: numéro }, voir TICKET_FIELDS)
+   * @param {Object} searchCriteria - Critères (voir searchTickets)
+   * @returns {Object} - Paramètres de la requête /search/Ticket
+   */
+  buildTicketSearchParams: (fieldIds, searchCriteria = {}) => {
+    const criteria = [];
+
+    Object.entries(TICKET_EQUALS_CRITERIA).forEach(([name, field]) => {
+      if (searchCriteria[name]) {
+        criteria.push({
+          field: fieldIds[field],
+          searchtype: 'equals',
+          value: searchCriteria[name]
+        });
+      }
+    });
+
+    // Mot-clé recherché dans le titre ou la description : la valeur est transmise comme paramètre, GLPI l'échappe
+    const keyword = (searchCriteria.keyword || '').trim();
+    if (keyword) {
+      criteria.push({
+        link: 'AND',
+        criteria: [
+          { field: fieldIds.title, searchtype: 'contains', value: keyword },
+          { link: 'OR', field: fieldIds.content, searchtype: 'contains', value: keyword }
+        ]
+      });
+    }
+
+    // Rang et nombre de résultats invalides (négatifs, non numériques) : première page par défaut
+    const limit = parseInt(searchCriteria.limit, 10) > 0 ? parseInt(searchCriteria.limit, 10) : DEFAULT_LIMIT;
+    const start = Math.max(parseInt(searchCriteria.start, 10) || 0, 0);
+    const sortField = fieldIds[searchCriteria.sort] ? searchCriteria.sort : 'dateCreation';
+
+    const params = {
+      sort: fieldIds[sortField],
+      order: String(searchCriteria.order).toUpperCase() === 'ASC' ? 'ASC' : 'DESC',
+      range: `${start}-${start + limit - 1}`
+    };
+
+    appendCriteria(params, criteria);
+
+    TICKET_DISPLAY_FIELDS.forEach((name, index) => {
+      params[`forcedisplay[${index}]`] = fieldIds[name];
+    });
+
+    return params;
+  },
+
+  /**
+   * Rechercher des tickets
+   * @param {Object} searchCriteria - Critères de recherche
+   * @param {string} [searchCriteria.keyword] - Mot-clé recherché dans le titre et la description
+   * @param {number} [searchCriteria.status] - Statut du ticket (1-6)
+   * @param {number} [searchCriteria.type] - Type de ticket (1=incident, 2=demande)
+   * @param {number} [searchCriteria.urgency] - Niveau d'urgence (1-5)
+   * @param {number} [searchCriteria.category] - ID de la catégorie
+   * @param {string} [searchCriteria.sort='dateCreation'] - Champ de tri (voir TICKET_FIELDS)
+   * @param {string} [searchCriteria.order='DESC'] - Ordre du tri (ASC ou DESC)
+   * @param {number} [searchCriteria.start=0] - Rang du premier résultat
+   * @param {number} [searchCriteria.limit=10] - Nombre maximum de résultats
+   * @returns {Promise<Object>} - { tickets, totalCount }
+   */
+  searchTickets: async (searchCriteria = {}) => {
+    const fieldIds = await resolveFields('Ticket', TICKET_FIELDS);
+    const params = glpiSearchService.buildTicketSearchParams(fieldIds, searchCriteria);
+
+    const response = await glpiClient.request({
+      path: '/search/Ticket',
+      params
+    });
+
+    const tickets = readRows(response, fieldIds, TICKET_DISPLAY_FIELDS);
+
+    return {
+      tickets,
+      totalCount: (response && response.totalcount) || tickets.length
+    };
+  },
+
+  /**
+   * Construire les paramètres d'une recherche d'utilisateurs actifs par numéro de téléphone
+   * Les chiffres de fin du numéro sont séparés par le joker % : le numéro est retrouvé dans les champs
+   * téléphone, téléphone 2 et mobile quels que soient les séparateurs saisis (espaces, points, tirets...).
+   * @param {Object} fieldIds - Numéros des champs ({ nom: numéro }, voir USER_FIELDS)
+   * @param {string} digits - Chiffres du numéro (voir phoneNumberService.normalize)
+   * @returns {Object} - Paramètres de la requête /search/User
+   */
+  buildUserPhoneSearchParams: (fieldIds, digits) => {
+    const pattern = digits.slice(-PHONE_SEARCH_DIGITS).split('').join('%');
+
+    const params = {
+      range: `0-${PHONE_SEARCH_LIMIT - 1}`
+    };
+
+    appendCriteria(params, [
+      { field: fieldIds.isActive, searchtype: 'equals', value: 1 },
+      {
+        link: 'AND',
+        criteria: USER_PHONE_FIELDS.map((name, index) => ({
+          link: index > 0 ? 'OR' : undefined,
+          field: fieldIds[name],
+          searchtype: 'contains',
+          value: pattern
+        }))
+      }
+    ]);
+
+    Object.keys(USER_FIELDS).forEach((name, index) => {
+      params[`forcedisplay[${index}]`] = fieldIds[name];
+    });
+
+    return params;
+  },
+
+  /**
+   * Rechercher les utilisateurs actifs dont un numéro de téléphone se termine par les mêmes chiffres
+   * Les numéros retournés sont à comparer au numéro recherché (voir phoneNumberService.isSameNumber).
+   * @param {string} digits - Chiffres du numéro (voir phoneNumberService.normalize)
+   * @returns {Promise<Array>} - [{ id, login, firstname, realname, phone, phone2, mobile }]
+   */
+  searchUsersByPhone: async (digits) => {
+    const fieldIds = await resolveFields('User', USER_FIELDS);
+
+    const response = await glpiClient.request({
+      path: '/search/User',
+      params: glpiSearchService.buildUserPhoneSearchParams(fieldIds, digits)
+    });
+
+    return readRows(response, fieldIds, ['id', 'login', 'firstname', 'realname', ...USER_PHONE_FIELDS]);
+  }
+};
+
+module.exports = glpiSearchService;
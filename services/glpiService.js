@@ -1,74 +1,31 @@
-const axios = require('axios');
+const glpiClient = require('./glpiClient');
+const glpiSearchService = require('./glpiSearchService');
+const phoneNumberService = require('./phoneNumberService');
+
+// Types d'acteurs d'un ticket dans GLPI (Ticket_User.type)
+const ACTOR_TYPES = {
+  requester: 1,
+  assigned: 2,
+  observer: 3
+};
+
+// Durée de mise en cache des recherches d'utilisateurs par numéro de téléphone (numéros inconnus compris)
+const USER_PHONE_CACHE_TTL_MS = (parseInt(process.env.REQUESTER_CACHE_MINUTES, 10) || 60) * 60 * 1000;
+
+// Recherches en cache : { numéro normalisé: { user, cachedAt } }
+const usersByPhone = new Map();
 
 // GLPI API service
 const glpiService = {
-  // Store the session token
-  sessionToken: null,
-  
-  /**
-   * Initialize a session with GLPI API
-   * @returns {Promise<string>} - Session token
-   */
-  initSession: async () => {
-    try {
-      const response = await axios({
-        method: 'GET',
-        url: `${process.env.GLPI_API_URL}/initSession`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `user_token ${process.env.GLPI_USER_TOKEN}`,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        }
-      });
-      
-      glpiService.sessionToken = response.data.session_token;
-      console.log('GLPI session initialized');
-      return glpiService.sessionToken;
-    } catch (error) {
-      console.error('Error initializing GLPI session:', error.response?.data || error.message);
-      throw new Error('Failed to initialize GLPI session');
-    }
-  },
-  
-  /**
-   * Kill the current GLPI session
-   * @returns {Promise} - Response from GLPI API
-   */
-  killSession: async () => {
-    if (!glpiService.sessionToken) {
-      return;
-    }
-    
-    try {
-      await axios({
-        method: 'GET',
-        url: `${process.env.GLPI_API_URL}/killSession`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        }
-      });
-      
-      glpiService.sessionToken = null;
-      console.log('GLPI session killed');
-    } catch (error) {
-      console.error('Error killing GLPI session:', error.response?.data || error.message);
-    }
-  },
-  
   /**
    * Créer un ticket dans GLPI
+   * Le demandeur est l'utilisateur GLPI requesterId ou, sans compte GLPI, l'adresse requesterEmail ;
+   * à défaut, GLPI retient l'utilisateur de l'API.
    * @param {Object} ticketData - Données du ticket
    * @returns {Promise<Object>} - Informations sur le ticket créé
    */
   createTicket: async (ticketData) => {
     try {
-      // Initialize session if needed
-      if (!glpiService.sessionToken) {
-        await glpiService.initSession();
-      }
-      
       // Map request type to GLPI type
       const type = ticketData.type || (ticketData.requestType === 'incident' ? 1 : 2); // 1 for incident, 2 for request
       
@@ -80,33 +37,46 @@ const glpiService = {
           type: type,
           urgency: ticketData.urgency || 3, // Default to medium if not specified
           status: 1, // New
-          entities_id: 0, // Root entity
+          entities_id: parseInt(process.env.GLPI_ENTITY_ID, 10) || 0, // Entité des tickets (racine par défaut)
           itilcategories_id: ticketData.itilcategories_id || ticketData.category || 0 // Utiliser la catégorie avec l'ID correct
         }
       };
+
+      // Lieu du ticket (partagé par l'utilisateur via un message de localisation)
+      if (ticketData.locations_id) {
+        ticketPayload.input.locations_id = ticketData.locations_id;
+      }
+
+      // Demandeur : un demandeur par email est ajouté après la création, sans l'utilisateur de l'API
+      if (ticketData.requesterId) {
+        ticketPayload.input._users_id_requester = ticketData.requesterId;
+      } else if (ticketData.requesterEmail) {
+        ticketPayload.input._users_id_requester = 0;
+      }
       
       console.log('Creating GLPI ticket with data:', JSON.stringify(ticketPayload, null, 2));
       console.log('Using API URL:', process.env.GLPI_API_URL);
       
       // Create the ticket
-      const response = await axios({
+      const response = await glpiClient.request({
         method: 'POST',
-        url: `${process.env.GLPI_API_URL}/Ticket`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        },
+        path: '/Ticket',
         data: ticketPayload
       });
       
-      // Kill the session after creating the ticket
-      await glpiService.killSession();
-      
       // Récupérer l'ID du ticket créé
-      const ticketId = response.data.id || response.data;
+      const ticketId = response.id || response;
       
-      console.log('Ticket created successfully:', response.data);
+      console.log('Ticket created successfully:', response);
+
+      if (!ticketData.requesterId && ticketData.requesterEmail) {
+        try {
+          await glpiService.addTicketActor(ticketId, { alternativeEmail: ticketData.requesterEmail, role: 'requester' });
+        } catch (error) {
+          // Le ticket est créé : le support pourra compléter le demandeur
+          console.error(`Demandeur ${ticketData.requesterEmail} non ajouté au ticket ${ticketId}:`, error.message);
+        }
+      }
       
       // Retourner les informations du ticket
       return {
@@ -127,11 +97,6 @@ const glpiService = {
         console.error('Error message:', error.message);
       }
       
-      // Kill the session if it exists
-      if (glpiService.sessionToken) {
-        await glpiService.killSession();
-      }
-      
       throw new Error(`Failed to create GLPI ticket: ${error.message}`);
     }
   },
@@ -143,32 +108,16 @@ const glpiService = {
    */
   getTicket: async (ticketId) => {
     try {
-      // Initialize session if needed
-      if (!glpiService.sessionToken) {
-        await glpiService.initSession();
-      }
-      
       // Get the ticket
-      const response = await axios({
+      const response = await glpiClient.request({
         method: 'GET',
-        url: `${process.env.GLPI_API_URL}/Ticket/${ticketId}`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        }
+        path: `/Ticket/${ticketId}`
       });
       
-      // Kill the session after getting the ticket
-      await glpiService.killSession();
-      
-      return response.data;
+      return response;
     } catch (error) {
       console.error('Error getting GLPI ticket:', error.response?.data || error.message);
       
-      // Try to kill the session even if there was an error
-      await glpiService.killSession();
-      
       throw new Error('Failed to get GLPI ticket');
     }
   },
@@ -180,34 +129,16 @@ const glpiService = {
    */
   getTicketFollowups: async (ticketId) => {
     try {
-      // Initialize session if needed
-      if (!glpiService.sessionToken) {
-        await glpiService.initSession();
-      }
-      
       // Récupérer les suivis
-      const response = await axios({
+      const response = await glpiClient.request({
         method: 'GET',
-        url: `${process.env.GLPI_API_URL}/Ticket/${ticketId}/ITILFollowup`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        }
+        path: `/Ticket/${ticketId}/ITILFollowup`
       });
       
-      // Kill the session after getting followups
-      await glpiService.killSession();
-      
-      return response.data;
+      return response;
     } catch (error) {
       console.error(`Erreur lors de la récupération des suivis du ticket ${ticketId}:`, error.response?.data || error.message);
       
-      // Try to kill the session even if there was an error
-      if (glpiService.sessionToken) {
-        await glpiService.killSession();
-      }
-      
       throw new Error(`Impossible de récupérer les suivis du ticket ${ticketId}`);
     }
   },
@@ -229,35 +160,56 @@ const glpiService = {
     
     return statuses[statusId] || "Inconnu";
   },
-  
+
+  /**
+   * Get ticket type name from type ID
+   * @param {number} typeId - Type ID
+   * @returns {string} - Type name
+   */
+  getTicketTypeName: (typeId) => {
+    const types = {
+      1: "Incident",
+      2: "Demande"
+    };
+
+    return types[typeId] || "Inconnu";
+  },
+
+  /**
+   * Get urgency name from urgency level
+   * @param {number} urgency - Urgency level (1 to 5)
+   * @returns {string} - Urgency name
+   */
+  getUrgencyName: (urgency) => {
+    const urgencies = {
+      1: "Très haute",
+      2: "Haute",
+      3: "Moyenne",
+      4: "Basse",
+      5: "Très basse"
+    };
+
+    return urgencies[urgency] || "Inconnue";
+  },
+
   /**
    * Récupère la liste des groupes disponibles
    * @returns {Promise<Array>} - Liste des groupes
    */
   getGroups: async () => {
     try {
-      // Initialize session if needed
-      if (!glpiService.sessionToken) {
-        await glpiService.initSession();
-      }
-      
       // Get the groups
-      const response = await axios({
+      const response = await glpiClient.request({
         method: 'GET',
-        url: `${process.env.GLPI_API_URL}/Group`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        },
+        path: '/Group',
         params: {
           range: '0-50' // Limiter à 50 groupes pour éviter des listes trop longues
         }
       });
       
       // Format the groups
-      const groups = Array.isArray(response.data) 
-        ? response.data.map(group => ({
+      const groups = Array.isArray(response) 
+        ? response.map(group => ({
             id: group.id,
             name: group.name || `Groupe #${group.id}`
           }))
@@ -267,11 +219,6 @@ const glpiService = {
     } catch (error) {
       console.error('Erreur lors de la récupération des groupes:', error.response?.data || error.message);
       
-      // Try to kill the session even if there was an error
-      if (glpiService.sessionToken) {
-        await glpiService.killSession();
-      }
-      
       throw new Error('Impossible de récupérer la liste des groupes');
     }
   },
@@ -282,20 +229,10 @@ const glpiService = {
    */
   getTechnicians: async () => {
     try {
-      // Initialize session if needed
-      if (!glpiService.sessionToken) {
-        await glpiService.initSession();
-      }
-      
       // Get the technicians (users with tech profile)
-      const response = await axios({
+      const response = await glpiClient.request({
         method: 'GET',
-        url: `${process.env.GLPI_API_URL}/User`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        },
+        path: '/User',
         params: {
           range: '0-50', // Limiter à 50 techniciens pour éviter des listes trop longues
           is_active: 1   // Seulement les utilisateurs actifs
@@ -303,8 +240,8 @@ const glpiService = {
       });
       
       // Format the technicians
-      const technicians = Array.isArray(response.data) 
-        ? response.data.map(user => ({
+      const technicians = Array.isArray(response) 
+        ? response.map(user => ({
             id: user.id,
             name: `${user.firstname || ''} ${user.realname || ''}`.trim() || `Technicien #${user.id}`
           }))
@@ -314,11 +251,6 @@ const glpiService = {
     } catch (error) {
       console.error('Erreur lors de la récupération des techniciens:', error.response?.data || error.message);
       
-      // Try to kill the session even if there was an error
-      if (glpiService.sessionToken) {
-        await glpiService.killSession();
-      }
-      
       throw new Error('Impossible de récupérer la liste des techniciens');
     }
   },
@@ -333,11 +265,6 @@ const glpiService = {
    */
   assignTicket: async (ticketId, assignData) => {
     try {
-      // Initialize session if needed
-      if (!glpiService.sessionToken) {
-        await glpiService.initSession();
-      }
-      
       let payload = {};
       
       // Assigner à un utilisateur
@@ -350,14 +277,9 @@ const glpiService = {
           }
         };
         
-        await axios({
+        await glpiClient.request({
           method: 'POST',
-          url: `${process.env.GLPI_API_URL}/Ticket_User`,
-          headers: {
-            'Content-Type': 'application/json',
-            'Session-Token': glpiService.sessionToken,
-            'App-Token': process.env.GLPI_APP_TOKEN
-          },
+          path: '/Ticket_User',
           data: payload
         });
       }
@@ -372,27 +294,17 @@ const glpiService = {
           }
         };
         
-        await axios({
+        await glpiClient.request({
           method: 'POST',
-          url: `${process.env.GLPI_API_URL}/Group_Ticket`,
-          headers: {
-            'Content-Type': 'application/json',
-            'Session-Token': glpiService.sessionToken,
-            'App-Token': process.env.GLPI_APP_TOKEN
-          },
+          path: '/Group_Ticket',
           data: payload
         });
       }
       
       // Mettre à jour le statut du ticket à "En cours (attribué)"
-      await axios({
+      await glpiClient.request({
         method: 'PUT',
-        url: `${process.env.GLPI_API_URL}/Ticket/${ticketId}`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        },
+        path: `/Ticket/${ticketId}`,
         data: {
           input: {
             id: ticketId,
@@ -401,18 +313,10 @@ const glpiService = {
         }
       });
       
-      // Kill the session after assigning the ticket
-      await glpiService.killSession();
-      
       return true;
     } catch (error) {
       console.error('Erreur lors de l\'assignation du ticket:', error.response?.data || error.message);
       
-      // Try to kill the session even if there was an error
-      if (glpiService.sessionToken) {
-        await glpiService.killSession();
-      }
-      
       throw new Error(`Impossible d'assigner le ticket ${ticketId}`);
     }
   },
@@ -421,50 +325,339 @@ const glpiService = {
    * Ajouter un suivi (commentaire) à un ticket
    * @param {number} ticketId - ID du ticket
    * @param {string} content - Contenu du suivi
+   * @param {Object} options - Champs complémentaires du suivi
+   *   (add_close: 1 pour approuver la solution, add_reopen: 1 pour la refuser et rouvrir le ticket)
    * @returns {Promise<Object>} - Informations sur le suivi créé
    */
-  addTicketFollowup: async (ticketId, content) => {
+  addTicketFollowup: async (ticketId, content, options = {}) => {
     try {
-      // Initialize session if needed
-      if (!glpiService.sessionToken) {
-        await glpiService.initSession();
-      }
-      
       // Créer le suivi
-      const response = await axios({
+      const response = await glpiClient.request({
         method: 'POST',
-        url: `${process.env.GLPI_API_URL}/ITILFollowup`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        },
+        path: '/ITILFollowup',
         data: {
           input: {
             itemtype: 'Ticket',
             items_id: ticketId,
             content: content,
-            is_private: 0 // 0 = public, 1 = privé
+            is_private: 0, // 0 = public, 1 = privé
+            ...options
           }
         }
       });
       
-      // Kill the session after adding the followup
-      await glpiService.killSession();
-      
-      return response.data;
+      return response;
     } catch (error) {
       console.error('Erreur lors de l\'ajout du suivi:', error.response?.data || error.message);
       
-      // Try to kill the session even if there was an error
-      if (glpiService.sessionToken) {
-        await glpiService.killSession();
-      }
-      
       throw new Error(`Impossible d'ajouter un suivi au ticket ${ticketId}`);
     }
   },
   
+  /**
+   * Mettre à jour les champs d'un ticket
+   * @param {number} ticketId - ID du ticket
+   * @param {Object} fields - Champs à modifier (ex: { locations_id: 3 })
+   * @returns {Promise<Object>} - Réponse de l'API GLPI
+   */
+  updateTicket: async (ticketId, fields) => {
+    try {
+      const response = await glpiClient.request({
+        method: 'PUT',
+        path: `/Ticket/${ticketId}`,
+        data: {
+          input: {
+            id: ticketId,
+            ...fields
+          }
+        }
+      });
+
+      return response;
+    } catch (error) {
+      console.error('Erreur lors de la mise à jour du ticket:', error.response?.data || error.message);
+
+      throw new Error(`Impossible de mettre à jour le ticket ${ticketId}`);
+    }
+  },
+
+  /**
+   * Récupère la liste des lieux (Location) définis dans GLPI
+   * @returns {Promise<Array>} - Liste des lieux { id, name, completename, address, town, latitude, longitude }
+   */
+  getLocations: async () => {
+    try {
+      const response = await glpiClient.request({
+        method: 'GET',
+        path: '/Location',
+        params: {
+          range: '0-999'
+        }
+      });
+
+      // GLPI stocke les coordonnées sous forme de texte, éventuellement vide
+      const parseCoordinate = (value) => {
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+      };
+
+      return Array.isArray(response)
+        ? response.map(location => ({
+            id: location.id,
+            name: location.name || `Lieu #${location.id}`,
+            completename: location.completename || location.name || '',
+            address: location.address || '',
+            town: location.town || '',
+            latitude: parseCoordinate(location.latitude),
+            longitude: parseCoordinate(location.longitude)
+          }))
+        : [];
+    } catch (error) {
+      console.error('Erreur lors de la récupération des lieux:', error.response?.data || error.message);
+
+      throw new Error('Impossible de récupérer la liste des lieux');
+    }
+  },
+
+  /**
+   * Récupère les catégories ITIL (ITILCategory) visibles par l'utilisateur de l'API
+   * @returns {Promise<Array>} - Liste des catégories
+   *   { id, name, completename, parentId, level, entityId, isRecursive, isIncident, isRequest }
+   */
+  getItilCategories: async () => {
+    try {
+      const response = await glpiClient.request({
+        method: 'GET',
+        path: '/ITILCategory',
+        params: {
+          range: '0-999'
+        }
+      });
+
+      return Array.isArray(response)
+        ? response.map(category => ({
+            id: category.id,
+            name: category.name || `Catégorie #${category.id}`,
+            completename: category.completename || category.name || '',
+            parentId: category.itilcategories_id || 0,
+            level: category.level || 1,
+            entityId: category.entities_id || 0,
+            isRecursive: Boolean(Number(category.is_recursive)),
+            isIncident: Boolean(Number(category.is_incident)),
+            isRequest: Boolean(Number(category.is_request))
+          }))
+        : [];
+    } catch (error) {
+      console.error('Erreur lors de la récupération des catégories ITIL:', error.response?.data || error.message);
+
+      throw new Error('Impossible de récupérer la liste des catégories ITIL');
+    }
+  },
+
+  /**
+   * Rechercher un utilisateur GLPI par adresse email
+   * @param {string} email - Adresse email
+   * @returns {Promise<Object|null>} - { id, name } ou null si aucun utilisateur ne correspond
+   */
+  findUserByEmail: async (email) => {
+    try {
+      // Les adresses email des utilisateurs sont stockées dans les objets UserEmail
+      const response = await glpiClient.request({
+        method: 'GET',
+        path: '/UserEmail',
+        params: {
+          'searchText[email]': email,
+          range: '0-20'
+        }
+      });
+
+      const userEmail = Array.isArray(response)
+        ? response.find(item => (item.email || '').toLowerCase() === email.toLowerCase())
+        : null;
+
+      return userEmail ? { id: userEmail.users_id, name: email } : null;
+    } catch (error) {
+      console.error(`Erreur lors de la recherche de l'utilisateur ${email}:`, error.response?.data || error.message);
+
+      throw new Error(`Impossible de rechercher l'utilisateur ${email}`);
+    }
+  },
+
+  /**
+   * Rechercher un utilisateur GLPI par numéro de téléphone (champs téléphone, téléphone 2 et mobile)
+   * Les numéros sont comparés au format international (voir phoneNumberService), quelle que soit leur saisie.
+   * Le résultat est mis en cache par numéro pendant REQUESTER_CACHE_MINUTES minutes (les erreurs ne le sont pas).
+   * @param {string} phone - Numéro de téléphone (ex: 33612345678 ou +33 6 12 34 56 78)
+   * @returns {Promise<Object|null>} - { id, name } ou null si aucun utilisateur ne correspond
+   */
+  findUserByPhone: async (phone) => {
+    const digits = phoneNumberService.normalize(phone);
+    if (!digits) {
+      return null;
+    }
+
+    const cached = usersByPhone.get(digits);
+    if (cached && Date.now() - cached.cachedAt < USER_PHONE_CACHE_TTL_MS) {
+      return cached.user;
+    }
+
+    try {
+      // GLPI retourne les utilisateurs dont un numéro se termine par les mêmes chiffres ;
+      // le numéro complet est ensuite comparé au format international
+      const candidates = await glpiSearchService.searchUsersByPhone(digits);
+
+      const found = candidates.find(user =>
+        ['mobile', 'phone', 'phone2'].some(field => phoneNumberService.isSameNumber(user[field], phone))
+      );
+
+      const user = found
+        ? { id: found.id, name: `${found.firstname || ''} ${found.realname || ''}`.trim() || found.login }
+        : null;
+      usersByPhone.set(digits, { user, cachedAt: Date.now() });
+      return user;
+    } catch (error) {
+      console.error(`Erreur lors de la recherche de l'utilisateur par téléphone ${phone}:`, error.response?.data || error.message);
+
+      throw new Error(`Impossible de rechercher l'utilisateur ${phone}`);
+    }
+  },
+
+  /**
+   * Ajouter un acteur (demandeur, observateur...) à un ticket
+   * Sans utilisateur GLPI, l'acteur est ajouté par son adresse email (alternative_email)
+   * @param {number} ticketId - ID du ticket
+   * @param {Object} actor - { userId, alternativeEmail, role: 'requester'|'observer'|'assigned' }
+   * @returns {Promise<Object>} - Réponse de l'API GLPI
+   */
+  addTicketActor: async (ticketId, actor) => {
+    const type = ACTOR_TYPES[actor.role];
+    if (!type) {
+      throw new Error(`Type d'acteur inconnu: ${actor.role}`);
+    }
+
+    try {
+      const input = {
+        tickets_id: ticketId,
+        users_id: actor.userId || 0,
+        type,
+        use_notification: 1
+      };
+
+      if (!actor.userId) {
+        input.alternative_email = actor.alternativeEmail;
+      }
+
+      const response = await glpiClient.request({
+        method: 'POST',
+        path: '/Ticket_User',
+        data: { input }
+      });
+
+      return response;
+    } catch (error) {
+      console.error(`Erreur lors de l'ajout d'un acteur au ticket ${ticketId}:`, error.response?.data || error.message);
+
+      throw new Error(`Impossible d'ajouter un acteur au ticket ${ticketId}`);
+    }
+  },
+
+  /**
+   * Téléverser un fichier dans GLPI (Document) et le lier à un ticket (Document_Item)
+   * @param {number} ticketId - ID du ticket
+   * @param {Object} file - Fichier à téléverser
+   * @param {Buffer} file.buffer - Contenu du fichier
+   * @param {string} file.filename - Nom du fichier
+   * @param {string} file.mimeType - Type MIME du fichier
+   * @param {string} [file.name] - Nom du document dans GLPI (nom du fichier par défaut)
+   * @returns {Promise<Object>} - { documentId, documentItemId }
+   */
+  uploadDocument: async (ticketId, file) => {
+    try {
+      // GLPI attend un envoi multipart : un manifeste JSON et le fichier lui-même
+      const form = new FormData();
+      form.append('uploadManifest', JSON.stringify({
+        input: {
+          name: file.name || file.filename,
+          _filename: [file.filename]
+        }
+      }));
+      form.append('filename[0]', new Blob([file.buffer], { type: file.mimeType }), file.filename);
+
+      const documentResponse = await glpiClient.request({
+        method: 'POST',
+        path: '/Document',
+        data: form
+      });
+
+      const documentId = documentResponse.id;
+
+      // Lier le document au ticket
+      const itemResponse = await glpiClient.request({
+        method: 'POST',
+        path: '/Document_Item',
+        data: {
+          input: {
+            documents_id: documentId,
+            itemtype: 'Ticket',
+            items_id: ticketId
+          }
+        }
+      });
+
+      console.log(`Document #${documentId} (${file.filename}) lié au ticket #${ticketId}`);
+
+      return {
+        documentId,
+        documentItemId: itemResponse.id
+      };
+    } catch (error) {
+      console.error('Erreur lors du téléversement du document:', error.response?.data || error.message);
+
+      throw new Error(`Impossible de joindre le document au ticket ${ticketId}`);
+    }
+  },
+
+  /**
+   * Enregistrer la satisfaction de l'utilisateur sur un ticket clos
+   * L'enquête de satisfaction (TicketSatisfaction) est créée par GLPI à la clôture du ticket
+   * @param {number} ticketId - ID du ticket
+   * @param {number} satisfaction - Note de 0 à 5
+   * @param {string} comment - Commentaire associé
+   * @returns {Promise<boolean>} - True si la satisfaction a été enregistrée, false si aucune enquête n'existe
+   */
+  setTicketSatisfaction: async (ticketId, satisfaction, comment = '') => {
+    try {
+      const surveyResponse = await glpiClient.request({
+        method: 'GET',
+        path: `/Ticket/${ticketId}/TicketSatisfaction`
+      });
+
+      const survey = Array.isArray(surveyResponse) ? surveyResponse[0] : null;
+
+      if (!survey) {
+        return false;
+      }
+
+      await glpiClient.request({
+        method: 'PUT',
+        path: `/TicketSatisfaction/${survey.id}`,
+        data: {
+          input: {
+            id: survey.id,
+            satisfaction,
+            comment
+          }
+        }
+      });
+
+      return true;
+    } catch (error) {
+      console.error(`Erreur lors de l'enregistrement de la satisfaction du ticket ${ticketId}:`, error.response?.data || error.message);
+
+      throw new Error(`Impossible d'enregistrer la satisfaction du ticket ${ticketId}`);
+    }
+  },
+
   /**
    * Fermer un ticket
    * @param {number} ticketId - ID du ticket à fermer
@@ -473,20 +666,10 @@ const glpiService = {
    */
   closeTicket: async (ticketId, closeMessage = "Ticket fermé via le chatbot WhatsApp") => {
     try {
-      // Initialize session if needed
-      if (!glpiService.sessionToken) {
-        await glpiService.initSession();
-      }
-      
       // Mettre à jour le statut du ticket à "Fermé" (status 6)
-      await axios({
+      await glpiClient.request({
         method: 'PUT',
-        url: `${process.env.GLPI_API_URL}/Ticket/${ticketId}`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        },
+        path: `/Ticket/${ticketId}`,
         data: {
           input: {
             status: 6 // 6 = Fermé
@@ -497,20 +680,12 @@ const glpiService = {
       // Ajouter un suivi pour indiquer la fermeture
       if (closeMessage) {
         await glpiService.addTicketFollowup(ticketId, closeMessage);
-      } else {
-        // Kill the session if we don't add a followup
-        await glpiService.killSession();
       }
       
       return true;
     } catch (error) {
       console.error(`Erreur lors de la fermeture du ticket ${ticketId}:`, error.response?.data || error.message);
       
-      // Try to kill the session even if there was an error
-      if (glpiService.sessionToken) {
-        await glpiService.killSession();
-      }
-      
       throw new Error(`Impossible de fermer le ticket ${ticketId}`);
     }
   },
@@ -523,95 +698,18 @@ const glpiService = {
    * @param {number} [searchCriteria.type] - Type de ticket (1=incident, 2=demande)
    * @param {number} [searchCriteria.urgency] - Niveau d'urgence (1-5)
    * @param {number} [searchCriteria.category] - ID de la catégorie
+   * @param {string} [searchCriteria.sort='dateCreation'] - Champ de tri (id, title, status, type, urgency, dateCreation...)
+   * @param {string} [searchCriteria.order='DESC'] - Ordre du tri (ASC ou DESC)
+   * @param {number} [searchCriteria.start=0] - Rang du premier résultat
    * @param {number} [searchCriteria.limit=10] - Nombre maximum de résultats
-   * @returns {Promise<Array>} - Liste des tickets correspondants
+   * @returns {Promise<Object>} - { tickets, totalCount } : tickets de la page demandée et nombre total de résultats
    */
   searchTickets: async (searchCriteria) => {
     try {
-      // Initialize session if needed
-      if (!glpiService.sessionToken) {
-        await glpiService.initSession();
-      }
-      
-      // Construire les critères de recherche
-      let searchParams = {};
-      
-      // Limiter le nombre de résultats
-      const limit = searchCriteria.limit || 10;
-      searchParams.range = `0-${limit - 1}`;
-      
-      // Construire la chaîne de recherche
-      let searchFilters = [];
-      
-      // Filtrer par statut
-      if (searchCriteria.status) {
-        searchFilters.push(`status=${searchCriteria.status}`);
-      }
-      
-      // Filtrer par type
-      if (searchCriteria.type) {
-        searchFilters.push(`type=${searchCriteria.type}`);
-      }
-      
-      // Filtrer par urgence
-      if (searchCriteria.urgency) {
-        searchFilters.push(`urgency=${searchCriteria.urgency}`);
-      }
-      
-      // Filtrer par catégorie
-      if (searchCriteria.category) {
-        searchFilters.push(`itilcategories_id=${searchCriteria.category}`);
-      }
-      
-      // Recherche par mot-clé (dans le titre et la description)
-      if (searchCriteria.keyword) {
-        searchFilters.push(`(name LIKE '%${searchCriteria.keyword}%' OR content LIKE '%${searchCriteria.keyword}%')`);
-      }
-      
-      // Combiner les filtres
-      if (searchFilters.length > 0) {
-        searchParams.criteria = searchFilters.join(' AND ');
-      }
-      
-      // Effectuer la recherche
-      const response = await axios({
-        method: 'GET',
-        url: `${process.env.GLPI_API_URL}/search/Ticket`,
-        headers: {
-          'Content-Type': 'application/json',
-          'Session-Token': glpiService.sessionToken,
-          'App-Token': process.env.GLPI_APP_TOKEN
-        },
-        params: searchParams
-      });
-      
-      // Formater les résultats
-      let tickets = [];
-      
-      if (response.data && response.data.data) {
-        tickets = response.data.data.map(ticket => ({
-          id: ticket.id,
-          title: ticket.name,
-          status: ticket.status,
-          type: ticket.type,
-          urgency: ticket.urgency,
-          category: ticket.itilcategories_id,
-          dateCreation: ticket.date_creation
-        }));
-      }
-      
-      // Kill the session after searching
-      await glpiService.killSession();
-      
-      return tickets;
+      return await glpiSearchService.searchTickets(searchCriteria);
     } catch (error) {
       console.error('Erreur lors de la recherche de tickets:', error.response?.data || error.message);
       
-      // Try to kill the session even if there was an error
-      if (glpiService.sessionToken) {
-        await glpiService.killSession();
-      }
-      
       throw new Error('Impossible de rechercher des tickets');
     }
   },
@@ -627,15 +725,12 @@ const glpiService = {
       console.log('App Token:', process.env.GLPI_APP_TOKEN ? 'Configured' : 'Missing');
       console.log('User Token:', process.env.GLPI_USER_TOKEN ? 'Configured' : 'Missing');
       
-      // Test the connection by initializing a session
-      await glpiService.initSession();
+      // Test the connection by opening the shared session
+      await glpiClient.authenticate();
       
       // If we got here, the connection is successful
       console.log('Connection to GLPI API successful!');
       
-      // Kill the session
-      await glpiService.killSession();
-      
       return true;
     } catch (error) {
       console.error('Connection to GLPI API failed:');
@@ -0,0 +1,233 @@
+/**
+ * Traduction des messages du chatbot
+ * Les textes présentés aux utilisateurs sont regroupés par langue dans locales/ et référencés par une clé
+ * ("menu.main.body"). Les valeurs variables sont insérées via des paramètres : "Ticket #{ticketId}".
+ * La langue de chaque utilisateur est conservée dans sa session et mémorisée au-delà de celle-ci,
+ * afin que les notifications envoyées plus tard lui parviennent dans la même langue.
+ */
+
+const { createDataFile } = require('./dataFiles');
+
+const catalogs = {
+  fr: require('../locales/fr'),
+  en: require('../locales/en'),
+  ar: require('../locales/ar')
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+
+// Langue utilisée lorsque celle de l'utilisateur est inconnue ou qu'une traduction manque
+const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES.includes(process.env.DEFAULT_LANGUAGE)
+  ? process.env.DEFAULT_LANGUAGE
+  : 'fr';
+
+// Paramètres régionaux utilisés pour le formatage des dates
+const DATE_LOCALES = {
+  fr: 'fr-FR',
+  en: 'en-GB',
+  ar: 'ar'
+};
+
+// Mots courants permettant de reconnaître la langue d'un premier message écrit en alphabet latin
+const LANGUAGE_MARKERS = {
+  fr: ['bonjour', 'salut', 'merci', 'je', 'j', 'mon', 'ma', 'mes', 'le', 'la', 'les', 'un', 'une', 'est', 'pas',
+    'ne', 'plus', 'marche', 'fonctionne', 'probleme', 'besoin', 'aide', 'svp', 'bonsoir', 'avec', 'pour'],
+  en: ['hello', 'hi', 'hey', 'thanks', 'thank', 'please', 'i', 'my', 'the', 'is', 'not', 'working', 'broken',
+    'problem', 'issue', 'need', 'help', 'can', 'cannot', 'doesn', 't', 'with', 'for', 'good', 'morning']
+};
+
+// Fichier de persistance des langues choisies : { numéro: langue }
+const languagesFile = createDataFile('user_languages.json', 'langues des utilisateurs');
+
+const userLanguages = languagesFile.load({});
+
+/**
+ * Planifie l'écriture des langues des utilisateurs sur le disque
+ */
+function persist() {
+  languagesFile.save(userLanguages);
+}
+
+/**
+ * Retrouver un texte dans un catalogue à partir de sa clé ("menu.main.body")
+ * @param {Object} catalog
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+function lookup(catalog, key) {
+  const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+  return typeof value === 'string' ? value : undefined;
+}
+
+const i18nService = {
+  SUPPORTED_LANGUAGES,
+
+  DEFAULT_LANGUAGE,
+
+  /**
+   * Vérifier qu'une langue est disponible
+   * @param {string} language
+   * @returns {boolean}
+   */
+  isSupported: (language) => SUPPORTED_LANGUAGES.includes(language),
+
+  /**
+   * Traduire un texte
+   * @param {string} language - Langue souhaitée (langue par défaut si inconnue)
+   * @param {string} key - Clé du texte dans le catalogue
+   * @param {Object} [params] - Valeurs des paramètres {nom}
+   * @returns {string} - Texte traduit, texte de la langue par défaut si la traduction manque, sinon la clé
+   */
+  t: (language, key, params = {}) => {
+    const catalog = catalogs[language] || catalogs[DEFAULT_LANGUAGE];
+    const text = lookup(catalog, key) ?? lookup(catalogs[DEFAULT_LANGUAGE], key);
+
+    if (text === undefined) {
+      console.warn(`Traduction manquante : ${key} (${language})`);
+      return key;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+    );
+  },
+
+  /**
+   * Traduire le libellé d'une valeur GLPI (statut, type, urgence) avec un libellé de repli
+   * @param {string} language - Langue souhaitée
+   * @param {string} group - Groupe de libellés du catalogue ('status', 'ticketType', 'urgency')
+   * @param {number|string} value - Valeur GLPI
+   * @returns {string}
+   */
+  label: (language, group, value) => {
+    const catalog = catalogs[language] || catalogs[DEFAULT_LANGUAGE];
+    const key = `${group}.${parseInt(value, 10)}`;
+
+    return lookup(catalog, key) || lookup(catalogs[DEFAULT_LANGUAGE], key) || i18nService.t(language, `${group}.unknown`);
+  },
+
+  /**
+   * Langue mémorisée pour un utilisateur
+   * @param {string} phone - Numéro de l'utilisateur
+   * @returns {string} - Langue de l'utilisateur, ou langue par défaut
+   */
+  getUserLanguage: (phone) => {
+    return userLanguages[phone] || DEFAULT_LANGUAGE;
+  },
+
+  /**
+   * Enregistrer la langue d'un utilisateur (dans sa session et au-delà)
+   * @param {string} phone - Numéro de l'utilisateur
+   * @param {Object|null} session - Session de l'utilisateur
+   * @param {string} language - Langue choisie
+   * @returns {boolean} - false si la langue n'est pas disponible
+   */
+  setUserLanguage: (phone, session, language) => {
+    if (!i18nService.isSupported(language)) {
+      return false;
+    }
+
+    if (session) {
+      session.language = language;
+    }
+
+    if (userLanguages[phone] !== language) {
+      userLanguages[phone] = language;
+      persist();
+      console.log(`Langue de ${phone} : ${language}`);
+    }
+    return true;
+  },
+
+  /**
+   * Déterminer la langue de l'utilisateur pour le message reçu et la conserver dans sa session
+   * Ordre : langue de la session, langue mémorisée, langue détectée dans le premier message, langue par défaut
+   * @param {string} phone - Numéro de l'utilisateur
+   * @param {Object} session - Session de l'utilisateur (session.language est renseignée dès que la langue est connue)
+   * @param {string} [text] - Texte du message reçu
+   * @returns {string}
+   */
+  resolveLanguage: (phone, session, text) => {
+    if (i18nService.isSupported(session.language)) {
+      return session.language;
+    }
+
+    if (userLanguages[phone]) {
+      session.language = userLanguages[phone];
+      return session.language;
+    }
+
+    const detected = i18nService.detectLanguage(text);
+    if (detected) {
+      i18nService.setUserLanguage(phone, session, detected);
+      return detected;
+    }
+
+    // Rien de reconnaissable (numéro, emoji...) : la détection sera retentée au message suivant
+    return DEFAULT_LANGUAGE;
+  },
+
+  /**
+   * Reconnaître la langue d'un texte
+   * @param {string} text
+   * @returns {string|null} - Langue reconnue, null si le texte ne permet pas de conclure
+   */
+  detectLanguage: (text) => {
+    if (!text) {
+      return null;
+    }
+
+    if (/[\u0600-\u06FF]/.test(text)) {
+      return 'ar';
+    }
+
+    const words = text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z]+/)
+      .filter(Boolean);
+
+    const scores = Object.keys(LANGUAGE_MARKERS).map(language => ({
+      language,
+      score: words.filter(word => LANGUAGE_MARKERS[language].includes(word)).length
+    })).sort((a, b) => b.score - a.score);
+
+    return scores[0].score > scores[1].score ? scores[0].language : null;
+  },
+
+  /**
+   * Formater une date dans la langue de l'utilisateur
+   * @param {string} language
+   * @param {Date|string} date
+   * @returns {string}
+   */
+  formatDate: (language, date) => {
+    return new Date(date).toLocaleDateString(DATE_LOCALES[language] || DATE_LOCALES[DEFAULT_LANGUAGE]);
+  },
+
+  /**
+   * Formater une heure dans la langue de l'utilisateur
+   * @param {string} language
+   * @param {Date|string} date
+   * @returns {string}
+   */
+  formatTime: (language, date) => {
+    return new Date(date).toLocaleTimeString(DATE_LOCALES[language] || DATE_LOCALES[DEFAULT_LANGUAGE]);
+  },
+
+  /**
+   * Formater une date et son heure dans la langue de l'utilisateur ("12/03/2024 à 10:15:00")
+   * @param {string} language
+   * @param {Date|string} date
+   * @returns {string}
+   */
+  formatDateTime: (language, date) => {
+    return i18nService.t(language, 'common.dateTime', {
+      date: i18nService.formatDate(language, date),
+      time: i18nService.formatTime(language, date)
+    });
+  }
+};
+
+module.exports = i18nService;
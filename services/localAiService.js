@@ -24,6 +24,7 @@ const natural = require('natural');
 const { WordTokenizer } = natural;
 const tokenizer = new WordTokenizer();
 const tensorflowService = require('./tensorflowService');
+const categoryService = require('./categoryService');
 
 /**************************************************
  *                  Mots-clés                     *
@@ -61,20 +62,6 @@ const CATEGORY_KEYWORDS = {
   'demande_materiel':    ['matériel', 'hardware', 'équipement', 'ordinateur', 'pc', 'laptop', 'écran', 'clavier', 'souris', 'imprimante', 'scanner', 'téléphone', 'mobile', 'smartphone', 'tablette', 'casque', 'accessoire']
 };
 
-// Mapping catégorie -> ID
-const CATEGORY_MAP = {
-  'incident_autre':       10,  // Incident - autre
-  'incident_logiciel':    8,   // Incident - logiciel
-  'incident_materiel':    7,   // Incident - matériel
-  'incident_reseau':      6,   // Incident - Réseau
-  'incident_securite':    9,   // Incident - sécurité
-  'demande_acces':        1,   // Demande - Accès
-  'demande_autre':        5,   // Demande - Autre
-  'demande_information':  4,   // Demande - Information
-  'demande_logiciel':     3,   // Demande - logiciel
-  'demande_materiel':     2    // Demande - Nouveau matériel
-};
-
 /**************************************************
  *           Fonctions utilitaires                *
  **************************************************/
@@ -223,35 +210,23 @@ const localAiService = {
         }
       });
       
-      // Mapping des catégories vers les IDs
-      const categoryMap = {
-        'incident_autre':       10,
-        'incident_logiciel':    8,
-        'incident_materiel':    7,
-        'incident_reseau':      6,
-        'incident_securite':    9,
-        'demande_acces':        1,
-        'demande_autre':        5,
-        'demande_information':  4,
-        'demande_logiciel':     3,
-        'demande_materiel':     2
-      };
-      
       // Calculer la confiance (nombre de mots-clés correspondants / nombre total de mots-clés)
       const totalKeywords = relevantCategories.reduce((sum, category) => sum + CATEGORY_KEYWORDS[category].length, 0);
       const confidence = highestScore / totalKeywords;
       
       return {
         category: bestCategory,
-        categoryId: categoryMap[bestCategory],
+        // Catégorie GLPI associée au libellé (config/categoryMapping.json)
+        categoryId: categoryService.getCategoryIdForLabel(bestCategory),
         confidence: parseFloat(confidence.toFixed(2))
       };
     } catch (error) {
       console.error("Erreur lors de l'analyse de la catégorie de ticket:", error);
       // Fallback en cas d'erreur
+      const fallbackCategory = type === 'incident' ? 'incident_autre' : 'demande_autre';
       return { 
-        category: type === 'incident' ? 'incident_autre' : 'demande_autre',
-        categoryId: type === 'incident' ? 10 : 5,
+        category: fallbackCategory,
+        categoryId: categoryService.getCategoryIdForLabel(fallbackCategory),
         confidence: 0.5 
       };
     }
@@ -940,13 +915,12 @@ const localAiService = {
       
       // 4. Suggestions selon la catégorie
       let categoryKey = "";
-      switch (analysis.categoryId) {
-        case 1:  categoryKey = "autre"; break;
-        case 2:  categoryKey = "logiciel"; break;
-        case 3:  categoryKey = "materiel"; break;
-        case 4:  categoryKey = "reseau"; break;
-        case 5:  categoryKey = "securite"; break;
-        default: categoryKey = "autre"; break;
+      switch (analysis.category) {
+        case 'incident_logiciel': categoryKey = "logiciel"; break;
+        case 'incident_materiel': categoryKey = "materiel"; break;
+        case 'incident_reseau':   categoryKey = "reseau"; break;
+        case 'incident_securite': categoryKey = "securite"; break;
+        default:                  categoryKey = "autre"; break;
       }
       
       if (categoryKey !== "autre" && knowledgeBase[categoryKey]) {
@@ -990,20 +964,20 @@ const localAiService = {
         response += "Pour mieux traiter votre demande, un technicien pourrait vous contacter pour obtenir des précisions supplémentaires. ";
       }
       
-      switch (analysis.categoryId) {
-        case 6:
+      switch (analysis.category) {
+        case 'demande_acces':
           response += "\n\nVotre demande d'accès sera traitée selon notre procédure de validation. Le délai habituel de traitement est de 24 à 48 heures ouvrées.";
           break;
-        case 7:
+        case 'demande_autre':
           response += "\n\nVotre demande a été transmise au service concerné qui l'évaluera dans les meilleurs délais.";
           break;
-        case 8:
+        case 'demande_information':
           response += "\n\nLes informations demandées vous seront communiquées dès que possible par notre équipe.";
           break;
-        case 9:
+        case 'demande_logiciel':
           response += "\n\nVotre demande logicielle a été enregistrée. Notre équipe évaluera la faisabilité et les licences disponibles avant de procéder à l'installation.";
           break;
-        case 10:
+        case 'demande_materiel':
           response += "\n\nVotre demande de matériel a été enregistrée et sera soumise à validation selon notre procédure d'approvisionnement.";
           break;
         default:
@@ -0,0 +1,174 @@
+/**
+ * Service de correspondance entre les localisations WhatsApp et les lieux GLPI
+ * Un message de localisation (latitude, longitude, nom, adresse) est rapproché des lieux GLPI
+ * par distance géographique ou par correspondance de nom
+ */
+
+const glpiService = require('./glpiService');
+const i18nService = require('./i18nService');
+
+// Distance maximale (en mètres) pour considérer qu'un lieu GLPI correspond à la position partagée
+const MATCH_RADIUS_METERS = parseInt(process.env.LOCATION_MATCH_RADIUS_METERS, 10) || 200;
+// Durée de mise en cache de la liste des lieux GLPI
+const CACHE_TTL_MS = 10 * 60 * 1000;
+// Nombre maximum de lieux proposés en cas d'ambiguïté (limite des listes WhatsApp)
+const MAX_CANDIDATES = 10;
+
+let cachedLocations = null;
+let cachedAt = 0;
+
+/**
+ * Normalise un texte pour la comparaison (minuscules, sans accents ni ponctuation)
+ * @param {string} text - Texte à normaliser
+ * @returns {string}
+ */
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Calcule la distance en mètres entre deux points (formule de haversine)
+ * @returns {number}
+ */
+function distanceInMeters(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const earthRadius = 6371000;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * earthRadius * Math.asin(Math.sqrt(a));
+}
+
+const locationService = {
+  /**
+   * Récupère les lieux GLPI (mis en cache quelques minutes)
+   * @returns {Promise<Array>}
+   */
+  getLocations: async () => {
+    if (cachedLocations && Date.now() - cachedAt < CACHE_TTL_MS) {
+      return cachedLocations;
+    }
+
+    cachedLocations = await glpiService.getLocations();
+    cachedAt = Date.now();
+    return cachedLocations;
+  },
+
+  /**
+   * Extraire les informations d'un message de localisation WhatsApp
+   * @param {Object} message - Message WhatsApp de type "location"
+   * @returns {Object} - { latitude, longitude, name, address }
+   */
+  extractLocation: (message) => {
+    const location = message.location || {};
+    return {
+      latitude: typeof location.latitude === 'number' ? location.latitude : parseFloat(location.latitude),
+      longitude: typeof location.longitude === 'number' ? location.longitude : parseFloat(location.longitude),
+      name: location.name || '',
+      address: location.address || ''
+    };
+  },
+
+  /**
+   * Rapprocher une position partagée des lieux GLPI
+   * @param {Object} shared - Position partagée { latitude, longitude, name, address }
+   * @param {Array} locations - Lieux GLPI
+   * @returns {Object} - { match: lieu|null, candidates: [lieux] }
+   *   match est renseigné si un seul lieu correspond, candidates si plusieurs lieux sont possibles
+   */
+  matchLocation: (shared, locations) => {
+    // 1. Correspondance par nom : le nom partagé est celui d'un lieu GLPI
+    const sharedName = normalize(shared.name);
+    if (sharedName) {
+      const byName = locations.filter(location =>
+        normalize(location.name) === sharedName || normalize(location.completename) === sharedName
+      );
+
+      if (byName.length === 1) {
+        return { match: byName[0], candidates: [] };
+      }
+      if (byName.length > 1) {
+        return { match: null, candidates: byName.slice(0, MAX_CANDIDATES) };
+      }
+    }
+
+    // 2. Correspondance géographique : lieux situés dans le rayon configuré, du plus proche au plus lointain
+    const nearby = [];
+    if (!isNaN(shared.latitude) && !isNaN(shared.longitude)) {
+      locations
+        .filter(location => location.latitude !== null && location.longitude !== null)
+        .forEach(location => {
+          const distance = distanceInMeters(shared.latitude, shared.longitude, location.latitude, location.longitude);
+          if (distance <= MATCH_RADIUS_METERS) {
+            nearby.push({ ...location, distance: Math.round(distance) });
+          }
+        });
+      nearby.sort((a, b) => a.distance - b.distance);
+    }
+
+    if (nearby.length === 1) {
+      return { match: nearby[0], candidates: [] };
+    }
+    if (nearby.length > 1) {
+      return { match: null, candidates: nearby.slice(0, MAX_CANDIDATES) };
+    }
+
+    // 3. Correspondance partielle sur le nom ou l'adresse
+    const searchTerms = [sharedName, normalize(shared.address)].filter(term => term.length >= 3);
+    const partial = locations.filter(location => {
+      const locationName = normalize(location.completename || location.name);
+      const locationAddress = normalize(location.address);
+      return searchTerms.some(term =>
+        (locationName && (locationName.includes(term) || term.includes(locationName))) ||
+        (locationAddress && (locationAddress.includes(term) || term.includes(locationAddress)))
+      );
+    });
+
+    if (partial.length === 1) {
+      return { match: partial[0], candidates: [] };
+    }
+
+    return { match: null, candidates: partial.slice(0, MAX_CANDIDATES) };
+  },
+
+  /**
+   * Trouver le ou les lieux GLPI correspondant à un message de localisation
+   * @param {Object} message - Message WhatsApp de type "location"
+   * @returns {Promise<Object>} - { match, candidates }
+   */
+  findLocationForMessage: async (message) => {
+    const shared = locationService.extractLocation(message);
+    const locations = await locationService.getLocations();
+    return locationService.matchLocation(shared, locations);
+  },
+
+  /**
+   * Formater un lieu pour une liste WhatsApp
+   * @param {Object} location - Lieu GLPI
+   * @param {string} [language] - Langue de l'utilisateur
+   * @returns {Object} - Élément de liste { id, title, description }
+   */
+  toListItem: (location, language = i18nService.DEFAULT_LANGUAGE) => {
+    const details = [];
+    if (location.distance !== undefined) {
+      details.push(i18nService.t(language, 'location.distance', { distance: location.distance }));
+    }
+    if (location.address || location.town) {
+      details.push([location.address, location.town].filter(Boolean).join(', '));
+    }
+
+    return {
+      id: `select_location_${location.id}`,
+      title: location.name,
+      description: details.join(' - ') || location.completename
+    };
+  }
+};
+
+module.exports = locationService;
@@ -0,0 +1,84 @@
+/**
+ * Service d'envoi d'emails
+ * Le fournisseur d'envoi est choisi par la variable MAILER_PROVIDER :
+ * - "console" (par défaut) : l'email est affiché dans les journaux, pour le développement et les tests
+ * - "file" : l'email est ajouté au fichier MAILER_FILE (une ligne JSON par email)
+ * D'autres fournisseurs (SMTP, API d'envoi...) peuvent être ajoutés avec registerProvider
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./dataFiles');
+
+// Fichier de dépôt des emails du fournisseur "file"
+const MAILER_FILE = process.env.MAILER_FILE || dataPath('outbox.log');
+
+// Fournisseurs d'envoi disponibles
+// Chaque fournisseur expose send({ from, to, subject, text }) => Promise
+const providers = {
+  console: {
+    send: async ({ from, to, subject, text }) => {
+      console.log(`Email de ${from} à ${to} - ${subject}\n${text}`);
+    }
+  },
+
+  file: {
+    send: async (mail) => {
+      await fs.promises.mkdir(path.dirname(MAILER_FILE), { recursive: true });
+      await fs.promises.appendFile(
+        MAILER_FILE,
+        JSON.stringify({ ...mail, sentAt: new Date().toISOString() }) + '\n',
+        'utf8'
+      );
+    }
+  }
+};
+
+const mailerService = {
+  /**
+   * Enregistrer (ou remplacer) un fournisseur d'envoi
+   * @param {string} name - Nom du fournisseur (valeur de MAILER_PROVIDER)
+   * @param {Object} provider - Objet exposant send({ from, to, subject, text })
+   */
+  registerProvider: (name, provider) => {
+    if (!provider || typeof provider.send !== 'function') {
+      throw new Error(`Le fournisseur d'envoi d'emails "${name}" doit exposer une fonction send`);
+    }
+    providers[name] = provider;
+  },
+
+  /**
+   * Obtenir le nom du fournisseur actif
+   * @returns {string}
+   */
+  getProviderName: () => {
+    return process.env.MAILER_PROVIDER || 'console';
+  },
+
+  /**
+   * Envoyer un email texte
+   * @param {Object} mail - { to, subject, text }
+   * @returns {Promise<void>}
+   */
+  send: async (mail) => {
+    const providerName = mailerService.getProviderName();
+    const provider = providers[providerName];
+
+    if (!provider) {
+      throw new Error(`Fournisseur d'envoi d'emails inconnu: ${providerName}`);
+    }
+
+    try {
+      console.log(`Envoi d'un email à ${mail.to} avec le fournisseur "${providerName}"`);
+      await provider.send({
+        from: process.env.MAIL_FROM || 'glpi-bot@localhost',
+        ...mail
+      });
+    } catch (error) {
+      console.error(`Erreur lors de l'envoi d'un email avec "${providerName}":`, error.response?.data || error.message);
+      throw new Error(`Impossible d'envoyer l'email à ${mail.to}`);
+    }
+  }
+};
+
+module.exports = mailerService;
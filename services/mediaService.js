@@ -0,0 +1,157 @@
+/**
+ * Service de gestion des pièces jointes WhatsApp
+ * Télécharge les médias reçus (images, documents, vidéos, messages vocaux) et les joint aux tickets GLPI
+ */
+
+const whatsappService = require('./whatsappService');
+const glpiService = require('./glpiService');
+const i18nService = require('./i18nService');
+
+// Types de messages WhatsApp contenant un média joignable à un ticket
+const MEDIA_TYPES = ['image', 'document', 'video'];
+
+// Extensions utilisées lorsque WhatsApp ne fournit pas de nom de fichier
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'application/pdf': 'pdf'
+};
+
+// Fonctions de téléchargement et de téléversement, remplaçables (tests, autre stockage)
+const providers = {
+  download: (mediaId) => whatsappService.downloadMedia(mediaId),
+  upload: (ticketId, file) => glpiService.uploadDocument(ticketId, file)
+};
+
+const mediaService = {
+  /**
+   * Remplacer les fonctions de téléchargement et/ou de téléversement
+   * @param {Object} overrides - { download(mediaId), upload(ticketId, file) }
+   */
+  setProviders: (overrides = {}) => {
+    if (overrides.download) {
+      providers.download = overrides.download;
+    }
+    if (overrides.upload) {
+      providers.upload = overrides.upload;
+    }
+  },
+
+  /**
+   * Vérifier si un message contient un média joignable à un ticket
+   * @param {Object} message - Message WhatsApp entrant
+   * @returns {boolean}
+   */
+  isAttachmentMessage: (message) => {
+    return MEDIA_TYPES.includes(message.type) && !!message[message.type];
+  },
+
+  /**
+   * Extraire les informations du média d'un message WhatsApp
+   * @param {Object} message - Message WhatsApp entrant
+   * @returns {Object} - { mediaId, kind, mimeType, filename, caption }
+   */
+  extractMedia: (message) => {
+    const kind = message.type;
+    const media = message[kind] || {};
+    const extension = EXTENSIONS[(media.mime_type || '').split(';')[0]] || 'bin';
+
+    return {
+      mediaId: media.id,
+      kind,
+      mimeType: media.mime_type,
+      filename: media.filename || `whatsapp_${kind}_${message.timestamp || Date.now()}.${extension}`,
+      caption: media.caption || ''
+    };
+  },
+
+  /**
+   * Télécharger un média avec le fournisseur configuré
+   * @param {Object} media - Média extrait par extractMedia
+   * @returns {Promise<Object>} - { buffer, mimeType, fileSize }
+   */
+  download: async (media) => {
+    return providers.download(media.mediaId);
+  },
+
+  /**
+   * Télécharger un média et le joindre à un ticket GLPI
+   * @param {number} ticketId - ID du ticket
+   * @param {Object} media - Média extrait par extractMedia
+   * @returns {Promise<Object>} - { documentId, documentItemId }
+   */
+  attachToTicket: async (ticketId, media) => {
+    const downloaded = await mediaService.download(media);
+
+    return providers.upload(ticketId, {
+      buffer: downloaded.buffer,
+      filename: media.filename,
+      mimeType: downloaded.mimeType || media.mimeType,
+      name: media.caption || media.filename
+    });
+  },
+
+  /**
+   * Conserver un média dans la session en attendant la création du ticket
+   * @param {Object} session - Session de l'utilisateur
+   * @param {Object} media - Média extrait par extractMedia
+   */
+  addPendingAttachment: (session, media) => {
+    if (!session.pendingAttachments) {
+      session.pendingAttachments = [];
+    }
+    session.pendingAttachments.push(media);
+  },
+
+  /**
+   * Joindre au ticket nouvellement créé les médias reçus pendant la création
+   * La session est vidée de ses pièces jointes en attente (à sauvegarder par l'appelant)
+   * @param {string} from - Numéro de l'utilisateur
+   * @param {Object} session - Session de l'utilisateur
+   * @param {number} ticketId - ID du ticket créé
+   * @returns {Promise<number>} - Nombre de pièces jointes ajoutées
+   */
+  attachPendingToTicket: async (from, session, ticketId) => {
+    const pending = session.pendingAttachments || [];
+    session.pendingAttachments = [];
+
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    let attached = 0;
+    for (const media of pending) {
+      try {
+        await mediaService.attachToTicket(ticketId, media);
+        attached++;
+      } catch (error) {
+        console.error(`Erreur lors de l'ajout de la pièce jointe ${media.filename} au ticket ${ticketId}:`, error);
+      }
+    }
+
+    const language = session.language || i18nService.getUserLanguage(from);
+    if (attached < pending.length) {
+      await whatsappService.sendMessage(
+          from,
+          i18nService.t(language, 'media.pendingFailed', { count: pending.length - attached, ticketId })
+      );
+    } else {
+      await whatsappService.sendMessage(
+          from,
+          i18nService.t(language, 'media.pendingAttached', { count: attached, ticketId })
+      );
+    }
+
+    return attached;
+  }
+};
+
+module.exports = mediaService;
@@ -3,19 +3,19 @@
  */
 const whatsappService = require('./whatsappService');
 const sessionManager = require('./sessionManager');
+const i18nService = require('./i18nService');
 
 /**
  * Affiche le menu de création de ticket avec les options mode guidé et mode IA
  * @param {string} from - Numéro de téléphone de l'utilisateur
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function presentTicketCreationMenu(from) {
+async function presentTicketCreationMenu(from, language = i18nService.getUserLanguage(from)) {
   try {
     console.log(`Présentation du menu de création de ticket à ${from}`);
 
     // Message explicatif pour les différents modes de création de ticket
-    const message = "📝 *Création de ticket*\n\nVeuillez choisir le mode de création :\n\n" +
-                   "🤖 *Mode IA* - Décrivez simplement votre problème en langage naturel\n" +
-                   "📋 *Mode guidé* - Création pas à pas avec des questions précises";
+    const message = `${i18nService.t(language, 'menu.creationBody')}\n\n${i18nService.t(language, 'menu.creationModes')}`;
 
     // Boutons pour les différents modes
     const buttons = [
@@ -23,26 +23,26 @@ async function presentTicketCreationMenu(from) {
         type: "reply",
         reply: {
           id: "create_ticket_ai",
-          title: "🤖 Mode IA"
+          title: i18nService.t(language, 'menu.aiModeButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "create_ticket_guided",
-          title: "📋 Mode guidé"
+          title: i18nService.t(language, 'menu.guidedModeButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "back_to_menu",
-          title: "🏠 Menu principal"
+          title: i18nService.t(language, 'common.menuButton')
         }
       }
     ];
 
-    await whatsappService.sendButtonsMessage(from, message, buttons, "Création de ticket");
+    await whatsappService.sendButtonsMessage(from, message, buttons, i18nService.t(language, 'menu.creationHeader'));
     
     // Mettre à jour la session
     const session = await sessionManager.getSession(from) || {};
@@ -53,7 +53,7 @@ async function presentTicketCreationMenu(from) {
     console.error(`Erreur lors de l'affichage du menu de création de ticket pour ${from}:`, error);
     await whatsappService.sendMessage(
       from,
-      "Désolé, une erreur s'est produite. Veuillez réessayer en envoyant 'reset'."
+      i18nService.t(language, 'common.resetHint')
     );
   }
 }
@@ -61,17 +61,14 @@ async function presentTicketCreationMenu(from) {
 /**
  * Affiche le menu des abonnements avec les différentes options
  * @param {string} from - Numéro de téléphone de l'utilisateur
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function presentSubscriptionsMenu(from) {
+async function presentSubscriptionsMenu(from, language = i18nService.getUserLanguage(from)) {
   try {
     console.log(`Présentation du menu des abonnements à ${from}`);
 
     // Message explicatif pour le menu des abonnements
-    const message = "🔔 *Gestion des abonnements*\n\n" +
-                   "Gérez vos abonnements aux notifications de tickets :\n\n" +
-                   "• Voir vos abonnements actuels\n" +
-                   "• S'abonner à un nouveau ticket\n" +
-                   "• Se désabonner d'un ticket";
+    const message = `${i18nService.t(language, 'menu.subscriptionsBody')}\n\n${i18nService.t(language, 'menu.subscriptionsOptions')}`;
 
     // Boutons pour les différentes options
     const buttons = [
@@ -79,33 +76,33 @@ async function presentSubscriptionsMenu(from) {
         type: "reply",
         reply: {
           id: "view_my_subscriptions",
-          title: "📋 Voir mes abonnements"
+          title: i18nService.t(language, 'menu.viewSubscriptionsButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "add_subscription",
-          title: "➕ S'abonner"
+          title: i18nService.t(language, 'menu.addSubscriptionButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "remove_subscription",
-          title: "➖ Se désabonner"
+          title: i18nService.t(language, 'menu.removeSubscriptionButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "back_to_menu",
-          title: "🏠 Menu principal"
+          title: i18nService.t(language, 'common.menuButton')
         }
       }
     ];
 
-    await whatsappService.sendButtonsMessage(from, message, buttons, "Gestion des abonnements");
+    await whatsappService.sendButtonsMessage(from, message, buttons, i18nService.t(language, 'menu.subscriptionsHeader'));
     
     // Mettre à jour la session
     const session = await sessionManager.getSession(from) || {};
@@ -116,7 +113,7 @@ async function presentSubscriptionsMenu(from) {
     console.error(`Erreur lors de l'affichage du menu des abonnements pour ${from}:`, error);
     await whatsappService.sendMessage(
       from,
-      "Désolé, une erreur s'est produite. Veuillez réessayer en envoyant 'reset'."
+      i18nService.t(language, 'common.resetHint')
     );
   }
 }
@@ -124,17 +121,14 @@ async function presentSubscriptionsMenu(from) {
 /**
  * Affiche le menu de suivi de tickets avec les différentes options
  * @param {string} from - Numéro de téléphone de l'utilisateur
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function presentTicketTrackingMenu(from) {
+async function presentTicketTrackingMenu(from, language = i18nService.getUserLanguage(from)) {
   try {
     console.log(`Présentation du menu de suivi de tickets à ${from}`);
 
     // Message explicatif pour le menu de suivi de tickets
-    const message = "🔍 *Suivi de tickets*\n\n" +
-                   "Suivez et gérez vos tickets existants :\n\n" +
-                   "• Consulter un ticket par son numéro\n" +
-                   "• Rechercher des tickets par critères\n" +
-                   "• Voir vos tickets récents";
+    const message = `${i18nService.t(language, 'menu.trackingBody')}\n\n${i18nService.t(language, 'menu.trackingOptions')}`;
 
     // Récupérer la session pour vérifier les tickets récents
     const session = await sessionManager.getSession(from) || {};
@@ -146,14 +140,14 @@ async function presentTicketTrackingMenu(from) {
         type: "reply",
         reply: {
           id: "track_ticket_by_id",
-          title: "🔢 Consulter par numéro"
+          title: i18nService.t(language, 'menu.trackByIdButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "search_tickets",
-          title: "🔎 Rechercher tickets"
+          title: i18nService.t(language, 'menu.searchButton')
         }
       }
     ];
@@ -164,7 +158,7 @@ async function presentTicketTrackingMenu(from) {
         type: "reply",
         reply: {
           id: "recent_tickets",
-          title: "🕒 Tickets récents"
+          title: i18nService.t(language, 'menu.recentTicketsButton')
         }
       });
     }
@@ -174,11 +168,11 @@ async function presentTicketTrackingMenu(from) {
       type: "reply",
       reply: {
         id: "back_to_menu",
-        title: "🏠 Menu principal"
+        title: i18nService.t(language, 'common.menuButton')
       }
     });
 
-    await whatsappService.sendButtonsMessage(from, message, buttons, "Suivi de tickets");
+    await whatsappService.sendButtonsMessage(from, message, buttons, i18nService.t(language, 'menu.trackingHeader'));
     
     // Mettre à jour la session
     session.currentStep = 'ticket_tracking_menu';
@@ -188,7 +182,7 @@ async function presentTicketTrackingMenu(from) {
     console.error(`Erreur lors de l'affichage du menu de suivi de tickets pour ${from}:`, error);
     await whatsappService.sendMessage(
       from,
-      "Désolé, une erreur s'est produite. Veuillez réessayer en envoyant 'reset'."
+      i18nService.t(language, 'common.resetHint')
     );
   }
 }
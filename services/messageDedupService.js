@@ -0,0 +1,104 @@
+const { createDataFile } = require('./dataFiles');
+
+// Durée de conservation des identifiants de messages traités (24h par défaut)
+const DEDUP_TTL_SECONDS = parseInt(process.env.MESSAGE_DEDUP_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+// Fichier de persistance des identifiants de messages déjà traités
+const dedupFile = createDataFile('processed_messages.json', 'messages traités');
+
+// Identifiants de messages traités : { messageId: timestamp de fin du traitement }
+const processedMessages = dedupFile.load({});
+console.log(`${Object.keys(processedMessages).length} identifiants de messages traités chargés`);
+
+// Identifiants des messages en file ou en cours de traitement (perdus à l'arrêt : Meta redélivre alors le message)
+const pendingMessages = new Set();
+
+// Nombre de messages en double ignorés depuis le démarrage
+let duplicatesDropped = 0;
+
+/**
+ * Supprime les identifiants dont la durée de conservation est dépassée
+ */
+function pruneExpired() {
+  const limit = Date.now() - DEDUP_TTL_SECONDS * 1000;
+
+  Object.keys(processedMessages).forEach(messageId => {
+    if (processedMessages[messageId] < limit) {
+      delete processedMessages[messageId];
+    }
+  });
+}
+
+/**
+ * Planifie l'écriture des identifiants traités sur le disque
+ */
+function persist() {
+  dedupFile.save(processedMessages);
+}
+
+// Service de déduplication des messages entrants WhatsApp
+const messageDedupService = {
+  /**
+   * Réserver un message pour le traiter, sauf s'il est déjà traité ou en cours de traitement
+   * Le message n'est enregistré comme traité (sur le disque) que par markProcessed, une fois son traitement
+   * terminé : un message réservé mais perdu (arrêt du serveur) sera traité à sa redélivrance.
+   * @param {string} messageId - Identifiant WhatsApp du message (wamid)
+   * @returns {boolean} - true si le message est à traiter, false s'il s'agit d'un doublon
+   */
+  claim: (messageId) => {
+    if (!messageId) {
+      // Sans identifiant, impossible de dédupliquer : traiter le message
+      return true;
+    }
+
+    pruneExpired();
+
+    if (processedMessages[messageId] || pendingMessages.has(messageId)) {
+      duplicatesDropped++;
+      console.log(`Message ${messageId} déjà traité ou en cours de traitement, doublon ignoré (${duplicatesDropped} depuis le démarrage)`);
+      return false;
+    }
+
+    pendingMessages.add(messageId);
+    return true;
+  },
+
+  /**
+   * Enregistrer un message comme traité (traitement réussi ou abandonné)
+   * @param {string} messageId - Identifiant WhatsApp du message (wamid)
+   */
+  markProcessed: (messageId) => {
+    if (!messageId) {
+      return;
+    }
+
+    pendingMessages.delete(messageId);
+    processedMessages[messageId] = Date.now();
+    persist();
+  },
+
+  /**
+   * Vérifie si un message a déjà été traité
+   * @param {string} messageId - Identifiant WhatsApp du message
+   * @returns {boolean} - true si le message a déjà été traité
+   */
+  isProcessed: (messageId) => {
+    pruneExpired();
+    return !!processedMessages[messageId];
+  },
+
+  /**
+   * Récupère les statistiques de déduplication
+   * @returns {Object} - Nombre de doublons ignorés et d'identifiants conservés
+   */
+  getStats: () => {
+    return {
+      duplicatesDropped,
+      trackedMessages: Object.keys(processedMessages).length,
+      pendingMessages: pendingMessages.size,
+      ttlSeconds: DEDUP_TTL_SECONDS
+    };
+  }
+};
+
+module.exports = messageDedupService;
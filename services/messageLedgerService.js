@@ -0,0 +1,264 @@
+/**
+ * Registre des messages WhatsApp sortants
+ * Conserve chaque message envoyé (wamid) et l'évolution de son statut de distribution
+ * (sent, delivered, read, failed) reçue via les callbacks "statuses" du webhook
+ */
+
+const { createDataFile } = require('./dataFiles');
+const phoneNumberService = require('./phoneNumberService');
+
+// Durée de conservation des messages du registre (30 jours par défaut)
+const RETENTION_DAYS = parseInt(process.env.MESSAGE_LEDGER_RETENTION_DAYS, 10) || 30;
+
+// Fichier de persistance du registre
+const ledgerFile = createDataFile('message_ledger.json', 'messages du registre');
+
+// Ordre de progression des statuts WhatsApp
+const STATUS_ORDER = ['accepted', 'sent', 'delivered', 'read'];
+
+// Registre des messages : { wamid: entrée }
+const ledger = ledgerFile.load({});
+console.log(`${Object.keys(ledger).length} messages sortants chargés dans le registre`);
+
+/**
+ * Supprime les entrées plus anciennes que la durée de conservation
+ */
+function pruneExpired() {
+  const limit = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  Object.keys(ledger).forEach(wamid => {
+    if (new Date(ledger[wamid].createdAt).getTime() < limit) {
+      delete ledger[wamid];
+    }
+  });
+}
+
+/**
+ * Planifie l'écriture du registre sur le disque
+ */
+function persist() {
+  ledgerFile.save(ledger);
+}
+
+/**
+ * Trie des entrées du registre de la plus récente à la plus ancienne
+ * @param {Array} entries - Entrées du registre
+ * @returns {Array} - Entrées triées
+ */
+function sortByDateDesc(entries) {
+  return entries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+const messageLedgerService = {
+  /**
+   * Enregistre un message sortant à partir de la réponse de l'API WhatsApp
+   * @param {Object} apiResponse - Réponse de l'API (contient messages[0].id)
+   * @param {Object} details - Détails du message
+   * @param {string} details.phone - Numéro du destinataire
+   * @param {string} details.type - Type de message (text, interactive, template)
+   * @param {string} details.preview - Aperçu du contenu
+   * @param {Object} details.context - Contexte métier (ticketId, updateType, notification : valeurs et langue
+   *   du modèle à utiliser si la notification est refusée hors de la fenêtre de 24h)
+   * @returns {Object|null} - Entrée créée ou null si la réponse ne contient pas de wamid
+   */
+  recordOutbound: (apiResponse, { phone, type, preview, context = {} }) => {
+    const wamid = apiResponse && apiResponse.messages && apiResponse.messages[0] && apiResponse.messages[0].id;
+
+    if (!wamid) {
+      return null;
+    }
+
+    pruneExpired();
+
+    // Un callback de statut peut arriver avant l'enregistrement : conserver son historique
+    const existing = ledger[wamid] || {};
+
+    const ticketId = context.ticketId ? parseInt(context.ticketId) : null;
+
+    ledger[wamid] = {
+      wamid,
+      phone,
+      type,
+      preview: preview ? preview.substring(0, 100) : '',
+      ticketId: isNaN(ticketId) ? null : ticketId,
+      updateType: context.updateType || null,
+      notification: context.notification || null,
+      status: existing.status || 'accepted',
+      statusHistory: existing.statusHistory || [],
+      errors: existing.errors || [],
+      createdAt: existing.createdAt || new Date().toISOString()
+    };
+
+    persist();
+    return ledger[wamid];
+  },
+
+  /**
+   * Applique un callback de statut WhatsApp (value.statuses[]) au registre
+   * @param {Object} statusUpdate - Objet statut reçu par le webhook
+   * @returns {Object|null} - Entrée mise à jour
+   */
+  applyStatus: (statusUpdate) => {
+    const wamid = statusUpdate && statusUpdate.id;
+
+    if (!wamid || !statusUpdate.status) {
+      return null;
+    }
+
+    if (!ledger[wamid]) {
+      // Message inconnu (envoyé avant la mise en place du registre ou par un autre système)
+      ledger[wamid] = {
+        wamid,
+        phone: statusUpdate.recipient_id,
+        type: null,
+        preview: '',
+        ticketId: null,
+        updateType: null,
+        status: 'accepted',
+        statusHistory: [],
+        errors: [],
+        createdAt: new Date().toISOString()
+      };
+    }
+
+    const entry = ledger[wamid];
+    const timestamp = statusUpdate.timestamp
+      ? new Date(parseInt(statusUpdate.timestamp) * 1000).toISOString()
+      : new Date().toISOString();
+
+    // Les callbacks peuvent être redélivrés : ne pas dupliquer l'historique
+    if (!entry.statusHistory.some(item => item.status === statusUpdate.status)) {
+      entry.statusHistory.push({ status: statusUpdate.status, timestamp });
+    }
+
+    if (statusUpdate.status === 'failed') {
+      entry.status = 'failed';
+      (statusUpdate.errors || []).forEach(error => {
+        entry.errors.push({
+          code: error.code,
+          title: error.title,
+          message: error.message || (error.error_data && error.error_data.details) || null,
+          timestamp
+        });
+      });
+      console.warn(`Échec de distribution du message ${wamid} à ${entry.phone}:`, JSON.stringify(statusUpdate.errors || []));
+    } else if (entry.status !== 'failed' &&
+        STATUS_ORDER.indexOf(statusUpdate.status) > STATUS_ORDER.indexOf(entry.status)) {
+      // Les callbacks n'arrivent pas toujours dans l'ordre : ne jamais régresser
+      entry.status = statusUpdate.status;
+    }
+
+    persist();
+    return entry;
+  },
+
+  /**
+   * Récupère une entrée du registre par son wamid
+   * @param {string} wamid - Identifiant WhatsApp du message
+   * @returns {Object|null} - Entrée du registre
+   */
+  getByWamid: (wamid) => {
+    return ledger[wamid] || null;
+  },
+
+  /**
+   * Retrouver le ticket concerné par un message sortant (notification, confirmation de création...)
+   * Utilisé pour rattacher une réponse de l'utilisateur (context.id) au bon ticket : le ticket n'est renvoyé
+   * que si le message a été envoyé au numéro qui répond
+   * @param {string} wamid - Identifiant WhatsApp du message auquel l'utilisateur répond
+   * @param {string} phone - Numéro de l'utilisateur qui répond
+   * @returns {number|null} - ID du ticket ou null si le message n'est pas lié à un ticket de ce numéro
+   */
+  getTicketIdForMessage: (wamid, phone) => {
+    const entry = ledger[wamid];
+    if (!entry || !entry.ticketId) {
+      return null;
+    }
+
+    if (phoneNumberService.normalize(entry.phone) !== phoneNumberService.normalize(phone)) {
+      console.warn(`Réponse de ${phone} au message ${wamid} envoyé à ${entry.phone} : réponse non rattachée au ticket #${entry.ticketId}`);
+      return null;
+    }
+    return entry.ticketId;
+  },
+
+  /**
+   * Enregistrer une réaction (emoji) d'un utilisateur sur un message sortant
+   * @param {string} wamid - Identifiant du message auquel l'utilisateur a réagi
+   * @param {Object} reaction - { phone, emoji, action }
+   * @returns {Object|null} - Entrée mise à jour, null si le message est inconnu
+   */
+  recordReaction: (wamid, reaction) => {
+    const entry = ledger[wamid];
+
+    if (!entry) {
+      return null;
+    }
+
+    if (!entry.reactions) {
+      entry.reactions = [];
+    }
+
+    entry.reactions.push({
+      ...reaction,
+      timestamp: new Date().toISOString()
+    });
+
+    persist();
+    return entry;
+  },
+
+  /**
+   * Récupère toutes les réactions reçues sur les messages liés à un ticket
+   * @param {number} ticketId - ID du ticket
+   * @returns {Array} - Réactions { wamid, updateType, phone, emoji, action, timestamp }
+   */
+  getReactionsByTicket: (ticketId) => {
+    const reactions = [];
+
+    messageLedgerService.getByTicket(ticketId).forEach(entry => {
+      (entry.reactions || []).forEach(reaction => {
+        reactions.push({ wamid: entry.wamid, updateType: entry.updateType, ...reaction });
+      });
+    });
+
+    return reactions.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  },
+
+  /**
+   * Récupère les messages envoyés à un numéro, du plus récent au plus ancien
+   * @param {string} phone - Numéro du destinataire
+   * @returns {Array} - Entrées du registre
+   */
+  getByPhone: (phone) => {
+    return sortByDateDesc(Object.values(ledger).filter(entry => entry.phone === phone));
+  },
+
+  /**
+   * Récupère les messages envoyés à propos d'un ticket, du plus récent au plus ancien
+   * @param {number} ticketId - ID du ticket
+   * @returns {Array} - Entrées du registre
+   */
+  getByTicket: (ticketId) => {
+    const ticketIdNum = parseInt(ticketId);
+    return sortByDateDesc(Object.values(ledger).filter(entry => entry.ticketId === ticketIdNum));
+  },
+
+  /**
+   * Récupère le nombre de messages du registre par statut
+   * @returns {Object} - Compteurs par statut
+   */
+  getStats: () => {
+    const byStatus = {};
+    Object.values(ledger).forEach(entry => {
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+    });
+
+    return {
+      total: Object.keys(ledger).length,
+      byStatus
+    };
+  }
+};
+
+module.exports = messageLedgerService;
@@ -0,0 +1,255 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { createDataFile } = require('./dataFiles');
+
+// Nombre maximum de messages traités simultanément (tous utilisateurs confondus)
+const CONCURRENCY = parseInt(process.env.MESSAGE_QUEUE_CONCURRENCY, 10) || 5;
+// Nombre maximum de tentatives avant mise en file des messages en échec
+const MAX_ATTEMPTS = parseInt(process.env.MESSAGE_QUEUE_MAX_ATTEMPTS, 10) || 3;
+// Délai de base entre deux tentatives (multiplié par le numéro de tentative)
+const RETRY_DELAY = parseInt(process.env.MESSAGE_QUEUE_RETRY_DELAY_MS, 10) || 2000;
+// Nombre maximum de messages conservés dans la file des messages en échec
+const MAX_DEAD_LETTERS = 500;
+
+// Fichier de persistance des messages en échec
+const deadLettersFile = createDataFile('dead_letters.json', 'messages en échec');
+
+// Files d'attente par utilisateur : { userId: [jobs] }
+const userQueues = new Map();
+// Utilisateurs dont un message est en cours de traitement (ou en attente de nouvelle tentative)
+const busyUsers = new Set();
+// Nombre de traitements en cours
+let activeCount = 0;
+// Fonction de traitement des messages
+let processor = null;
+// Traitement en cours : { sideEffects } - effets déjà produits (message WhatsApp, écriture GLPI, session)
+const jobContext = new AsyncLocalStorage();
+
+// Codes des erreurs réseau passagères
+const TRANSIENT_ERROR_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+let deadLetters = deadLettersFile.load([]);
+
+const stats = {
+  enqueued: 0,
+  processed: 0,
+  retried: 0,
+  deadLettered: 0
+};
+
+/**
+ * Indique si une erreur est passagère (réseau, GLPI ou WhatsApp momentanément indisponible)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error.response) {
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Place un message définitivement en échec dans la file dédiée
+ * @param {Object} job - Tâche en échec
+ * @param {Error} error - Dernière erreur rencontrée
+ * @param {Array<string>} sideEffects - Effets produits par la dernière tentative
+ */
+function deadLetter(job, error, sideEffects) {
+  stats.deadLettered++;
+  console.error(`Message de ${job.userId} abandonné après ${job.attempts} tentative(s)${sideEffects.length ? ` (déjà appliqué en partie : ${sideEffects.join(', ')})` : ''}:`, error.message);
+
+  deadLetters.push({
+    userId: job.userId,
+    payload: job.payload,
+    attempts: job.attempts,
+    error: error.message,
+    sideEffects,
+    enqueuedAt: job.enqueuedAt,
+    failedAt: new Date().toISOString()
+  });
+
+  if (deadLetters.length > MAX_DEAD_LETTERS) {
+    deadLetters = deadLetters.slice(-MAX_DEAD_LETTERS);
+  }
+
+  deadLettersFile.save(deadLetters);
+}
+
+/**
+ * Signale la fin d'une tâche (traitée ou abandonnée)
+ * @param {Object} job
+ */
+function settle(job) {
+  if (!job.onSettled) {
+    return;
+  }
+
+  try {
+    job.onSettled();
+  } catch (error) {
+    console.error(`Erreur après le traitement d'un message de ${job.userId}:`, error);
+  }
+}
+
+/**
+ * Libère un utilisateur et relance l'ordonnancement
+ * @param {string} userId - Identifiant de l'utilisateur
+ */
+function releaseUser(userId) {
+  busyUsers.delete(userId);
+
+  const jobs = userQueues.get(userId);
+  if (jobs && jobs.length === 0) {
+    userQueues.delete(userId);
+  }
+
+  schedule();
+}
+
+/**
+ * Traite le premier message de la file d'un utilisateur
+ * @param {string} userId - Identifiant de l'utilisateur
+ */
+async function runNext(userId) {
+  const jobs = userQueues.get(userId);
+  const job = jobs[0];
+
+  busyUsers.add(userId);
+  activeCount++;
+  job.attempts++;
+
+  let retryDelay = 0;
+  const context = { sideEffects: [] };
+
+  try {
+    await jobContext.run(context, () => processor(job.payload));
+    jobs.shift();
+    stats.processed++;
+    settle(job);
+  } catch (error) {
+    // Une nouvelle tentative rejouerait tout le traitement : elle n'est sûre que pour une erreur passagère
+    // survenue avant tout effet (sinon un ticket, un suivi ou une réponse seraient envoyés en double)
+    const retriable = isTransientError(error) && context.sideEffects.length === 0;
+
+    if (!retriable || job.attempts >= MAX_ATTEMPTS) {
+      jobs.shift();
+      deadLetter(job, error, [...new Set(context.sideEffects)]);
+      settle(job);
+    } else {
+      stats.retried++;
+      retryDelay = RETRY_DELAY * job.attempts;
+      console.warn(`Échec du traitement du message de ${userId} (tentative ${job.attempts}/${MAX_ATTEMPTS}), nouvelle tentative dans ${retryDelay}ms:`, error.message);
+    }
+  } finally {
+    activeCount--;
+  }
+
+  if (retryDelay) {
+    // L'utilisateur reste bloqué pendant l'attente pour conserver l'ordre de ses messages,
+    // mais le créneau de traitement est libéré pour les autres utilisateurs
+    setTimeout(() => releaseUser(userId), retryDelay);
+    schedule();
+  } else {
+    releaseUser(userId);
+  }
+}
+
+/**
+ * Démarre le traitement des files en respectant la limite de concurrence
+ */
+function schedule() {
+  if (!processor) {
+    return;
+  }
+
+  for (const [userId, jobs] of userQueues) {
+    if (activeCount >= CONCURRENCY) {
+      return;
+    }
+
+    if (busyUsers.has(userId) || jobs.length === 0) {
+      continue;
+    }
+
+    runNext(userId);
+  }
+}
+
+// Service de file d'attente des messages entrants, sérialisée par utilisateur
+const messageQueueService = {
+  /**
+   * Définit la fonction de traitement des messages
+   * @param {Function} fn - Fonction asynchrone recevant le contenu d'une tâche
+   */
+  setProcessor: (fn) => {
+    processor = fn;
+    schedule();
+  },
+
+  /**
+   * Signale un effet produit par le traitement en cours (message envoyé, écriture GLPI, session enregistrée)
+   * Un message dont le traitement a déjà produit un effet n'est plus retenté en cas d'erreur.
+   * Sans effet hors du traitement d'un message de la file.
+   * @param {string} kind - Nature de l'effet (ex: 'whatsapp', 'glpi', 'session')
+   */
+  recordSideEffect: (kind) => {
+    const context = jobContext.getStore();
+    if (context) {
+      context.sideEffects.push(kind);
+    }
+  },
+
+  /**
+   * Ajoute un message à la file d'un utilisateur
+   * Les messages d'un même utilisateur sont traités strictement dans l'ordre,
+   * ceux d'utilisateurs différents en parallèle
+   * @param {string} userId - Numéro WhatsApp de l'utilisateur
+   * @param {Object} payload - Contenu transmis à la fonction de traitement
+   * @param {Function} [onSettled] - Appelée une fois le message traité ou placé dans la file des messages en échec
+   */
+  enqueue: (userId, payload, onSettled) => {
+    if (!userQueues.has(userId)) {
+      userQueues.set(userId, []);
+    }
+
+    userQueues.get(userId).push({
+      userId,
+      payload,
+      onSettled,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString()
+    });
+    stats.enqueued++;
+
+    schedule();
+  },
+
+  /**
+   * Récupère les messages définitivement en échec
+   * @returns {Array} - Liste des messages en échec
+   */
+  getDeadLetters: () => {
+    return [...deadLetters];
+  },
+
+  /**
+   * Récupère les statistiques de la file d'attente
+   * @returns {Object} - Compteurs et état courant de la file
+   */
+  getStats: () => {
+    let pending = 0;
+    userQueues.forEach(jobs => {
+      pending += jobs.length;
+    });
+
+    return {
+      ...stats,
+      pending,
+      active: activeCount,
+      concurrency: CONCURRENCY,
+      deadLetters: deadLetters.length
+    };
+  }
+};
+
+module.exports = messageQueueService;
@@ -1,17 +1,236 @@
 /**
  * Service de gestion des notifications pour les tickets GLPI
- * Permet d'envoyer des notifications aux utilisateurs lorsque des tickets sont mis à jour
+ * Permet d'envoyer des notifications aux utilisateurs lorsque des tickets sont mis à jour.
+ * Hors de la fenêtre de 24h de WhatsApp, la notification est envoyée avec un modèle approuvé,
+ * configurable par type de mise à jour avec la variable NOTIFICATION_TEMPLATES (JSON), par exemple :
+ *   NOTIFICATION_TEMPLATES={"comment":{"name":"nouveau_commentaire","parameters":["ticketId","author","content"]}}
  */
 
 const whatsappService = require('./whatsappService');
-const sessionManager = require('./sessionManager');
-const ticketTrackingService = require('./ticketTrackingService');
-const glpiService = require('./glpiService');
+const conversationWindowService = require('./conversationWindowService');
+const i18nService = require('./i18nService');
+
+// ticketTrackingService dépend lui-même de ce service : il est chargé à l'utilisation
+// pour ne pas conserver un module partiellement initialisé
+const getTicketTrackingService = () => require('./ticketTrackingService');
+
+// Modèles utilisés hors de la fenêtre de 24h : nom du modèle et valeurs de ses paramètres {{1}}, {{2}}...
+// Valeurs disponibles : ticketId, title, date, status, previousStatus, author, content, assignee, requester
+const DEFAULT_NOTIFICATION_TEMPLATES = {
+  status: { name: 'ticket_status_update', parameters: ['ticketId', 'title', 'previousStatus', 'status'] },
+  resolution: { name: 'ticket_resolved', parameters: ['ticketId', 'title'] },
+  comment: { name: 'ticket_new_comment', parameters: ['ticketId', 'title', 'author', 'content'] },
+  assignment: { name: 'ticket_assignment', parameters: ['ticketId', 'title', 'assignee'] }
+};
+
+// Erreur WhatsApp renvoyée lorsqu'un message libre est envoyé hors de la fenêtre de 24h
+const REENGAGEMENT_ERROR_CODE = 131047;
 
 // Stockage des abonnements aux tickets
 // Format: { phoneNumber: [ticketIds] }
 const userSubscriptions = {};
 
+/**
+ * Charger les modèles de notification depuis la configuration
+ * @returns {Object} - { typeDeMiseAJour: { name, parameters } }
+ */
+function loadNotificationTemplates() {
+  if (!process.env.NOTIFICATION_TEMPLATES) {
+    return DEFAULT_NOTIFICATION_TEMPLATES;
+  }
+
+  try {
+    return { ...DEFAULT_NOTIFICATION_TEMPLATES, ...JSON.parse(process.env.NOTIFICATION_TEMPLATES) };
+  } catch (error) {
+    console.error('NOTIFICATION_TEMPLATES invalide, utilisation des modèles par défaut:', error.message);
+    return DEFAULT_NOTIFICATION_TEMPLATES;
+  }
+}
+
+/**
+ * Construire les composants d'un modèle à partir des valeurs de la notification
+ * @param {Object} template - { name, parameters }
+ * @param {Object} values - Valeurs disponibles pour les paramètres
+ * @returns {Array} - Composants attendus par sendTemplateMessage
+ */
+function buildTemplateComponents(template, values) {
+  const parameters = template.parameters || [];
+
+  if (parameters.length === 0) {
+    return [];
+  }
+
+  return [{
+    type: 'body',
+    parameters: parameters.map(key => {
+      // WhatsApp refuse les paramètres vides et les retours à la ligne
+      const text = String(values[key] !== undefined && values[key] !== null ? values[key] : '')
+        .replace(/\s+/g, ' ')
+        .trim();
+      return { type: 'text', text: text || '-' };
+    })
+  }];
+}
+
+/**
+ * Vérifier si une erreur WhatsApp renvoyée à l'envoi indique que la fenêtre de 24h est fermée
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isOutsideWindowError(error) {
+  const apiError = error && error.response && error.response.data && error.response.data.error;
+  return !!apiError && apiError.code === REENGAGEMENT_ERROR_CODE;
+}
+
+/**
+ * Envoyer une notification avec le modèle configuré pour son type de mise à jour
+ * Le modèle est envoyé dans la langue de l'abonné : il doit avoir été approuvé dans cette langue
+ * @returns {Promise<boolean>} - False si aucun modèle n'est configuré pour ce type
+ */
+async function sendTemplateNotification(phoneNumber, values, language, context) {
+  const template = loadNotificationTemplates()[context.updateType];
+
+  if (!template || !template.name) {
+    console.warn(`Aucun modèle configuré pour les notifications "${context.updateType}" : notification du ticket #${context.ticketId} non envoyée à ${phoneNumber}`);
+    return false;
+  }
+
+  console.log(`Fenêtre de 24h fermée pour ${phoneNumber}, envoi du modèle ${template.name} (${language})`);
+  await whatsappService.sendTemplateMessage(phoneNumber, template.name, buildTemplateComponents(template, values), context, language);
+  return true;
+}
+
+/**
+ * Construire la notification d'une mise à jour de ticket dans la langue d'un abonné
+ * @param {string} language - Langue de l'abonné
+ * @param {Object} ticketDetails - Détails du ticket (getTicketDetails)
+ * @param {string} updateType - Type de mise à jour (status, comment, assignment, requester)
+ * @param {Object} updateData - Données de la mise à jour
+ * @param {Date} now - Date de la mise à jour
+ * @returns {Object} - { message, header, buttons, values }
+ */
+function buildNotification(language, ticketDetails, updateType, updateData, now) {
+  const t = (key, params) => i18nService.t(language, key, params);
+  const ticketId = ticketDetails.id;
+
+  // Valeurs disponibles pour les paramètres des modèles
+  const values = {
+    ticketId,
+    title: ticketDetails.title,
+    date: `${i18nService.formatDate(language, now)} ${i18nService.formatTime(language, now)}`
+  };
+
+  // Préparer le message de notification en fonction du type de mise à jour
+  let message = t('notifications.title', { ticketId }) + '\n\n';
+  
+  // Ajouter le titre du ticket
+  message += t('notifications.ticketTitle', { title: ticketDetails.title }) + '\n\n';
+  
+  switch (updateType) {
+    case 'status':
+      values.previousStatus = i18nService.label(language, 'status', updateData.previousStatus);
+      values.status = i18nService.label(language, 'status', updateData.status);
+      message += t('notifications.statusChanged') + '\n\n';
+      message += t('notifications.previousStatus', { status: values.previousStatus }) + '\n';
+      message += t('notifications.newStatus', { status: values.status }) + '\n';
+
+      // Ticket résolu : l'utilisateur peut valider ou refuser la solution par une réaction
+      if (parseInt(updateData.status) === 5) {
+        message += '\n' + t('notifications.reactToSolution') + '\n';
+      }
+      break;
+      
+    case 'comment':
+      values.author = updateData.author || t('notifications.someUser');
+      values.content = `${updateData.content.substring(0, 200)}${updateData.content.length > 200 ? '...' : ''}`;
+      message += t('notifications.newComment') + '\n\n';
+      message += `"${values.content}"\n\n`;
+      message += t('notifications.commentAuthor', { author: values.author }) + '\n';
+      break;
+      
+    case 'assignment':
+      if (updateData.userId) {
+        values.assignee = updateData.userName || `ID: ${updateData.userId}`;
+        message += t('notifications.assignedToTechnician') + '\n\n';
+        message += t('notifications.technician', { name: values.assignee }) + '\n';
+      } else if (updateData.groupId) {
+        values.assignee = updateData.groupName || `ID: ${updateData.groupId}`;
+        message += t('notifications.assignedToGroup') + '\n\n';
+        message += t('notifications.group', { name: values.assignee }) + '\n';
+      }
+      break;
+    
+    case 'requester':
+      values.requester = updateData.requesterName || t('notifications.notSpecified');
+      message += t('notifications.newRequester') + '\n\n';
+      message += t('notifications.requester', { name: values.requester }) + '\n';
+      break;
+      
+    default:
+      message += t('notifications.updated') + '\n';
+  }
+  
+  // Ajouter la date et l'heure de la mise à jour
+  message += '\n' + t('notifications.date', { date: i18nService.formatDate(language, now) });
+  message += '\n' + t('notifications.time', { time: i18nService.formatTime(language, now) });
+  
+  // Créer les boutons pour les actions rapides
+  const buttons = [
+    {
+      type: "reply",
+      reply: {
+        id: `track_ticket_${ticketId}`,
+        title: t('notifications.detailsButton')
+      }
+    },
+    {
+      type: "reply",
+      reply: {
+        id: `view_comments_${ticketId}`,
+        title: t('notifications.commentsButton')
+      }
+    },
+    {
+      type: "reply",
+      reply: {
+        id: `comment_ticket_${ticketId}`,
+        title: t('notifications.commentButton')
+      }
+    }
+  ];
+
+  return { message, header: t('notifications.header'), buttons, values };
+}
+
+/**
+ * Envoyer une notification à un abonné : message interactif dans la fenêtre de 24h, modèle au-delà
+ * @param {string} phoneNumber - Numéro de l'abonné
+ * @param {Object} notification - { message, header, buttons, values }
+ * @param {string} language - Langue de l'abonné
+ * @param {Object} context - Contexte enregistré dans le registre (ticketId, updateType)
+ * @returns {Promise<boolean>} - True si la notification a été envoyée
+ */
+async function sendNotification(phoneNumber, { message, header, buttons, values }, language, context) {
+  if (!conversationWindowService.isWindowOpen(phoneNumber)) {
+    return sendTemplateNotification(phoneNumber, values, language, context);
+  }
+
+  try {
+    // Les valeurs du modèle sont conservées dans le registre, pour le renvoi si WhatsApp refuse le message après coup
+    await whatsappService.sendButtonsMessage(phoneNumber, message, buttons, header, {
+      ...context,
+      notification: { values, language }
+    });
+    return true;
+  } catch (error) {
+    // La fenêtre a pu se fermer sans que nous le sachions (dernier message antérieur au suivi)
+    if (isOutsideWindowError(error)) {
+      return sendTemplateNotification(phoneNumber, values, language, context);
+    }
+    throw error;
+  }
+}
+
 const notificationService = {
   /**
    * S'abonner aux mises à jour d'un ticket
@@ -124,82 +343,31 @@ const notificationService = {
       }
       
       // Récupérer les détails du ticket
-      const ticketDetails = await ticketTrackingService.getTicketDetails(ticketIdNum);
-      
-      // Préparer le message de notification en fonction du type de mise à jour
-      let notificationMessage = `🔔 *Mise à jour du ticket #${ticketIdNum}*\n\n`;
-      
-      // Ajouter le titre du ticket
-      notificationMessage += `📋 *Titre:* ${ticketDetails.title}\n\n`;
-      
-      switch (updateType) {
-        case 'status':
-          notificationMessage += `🚦 *Le statut du ticket a été modifié*\n\n`;
-          notificationMessage += `⬅️ Ancien statut: *${glpiService.getTicketStatusName(updateData.previousStatus)}*\n`;
-          notificationMessage += `➡️ Nouveau statut: *${glpiService.getTicketStatusName(updateData.status)}*\n`;
-          break;
-          
-        case 'comment':
-          notificationMessage += `💬 *Un nouveau commentaire a été ajouté*\n\n`;
-          notificationMessage += `"${updateData.content.substring(0, 200)}${updateData.content.length > 200 ? '...' : ''}"\n\n`;
-          notificationMessage += `👤 Ajouté par: *${updateData.author || 'Un utilisateur'}*\n`;
-          break;
-          
-        case 'assignment':
-          if (updateData.userId) {
-            notificationMessage += `👤 *Le ticket a été assigné à un technicien*\n\n`;
-            notificationMessage += `Technicien: *${updateData.userName || `ID: ${updateData.userId}`}*\n`;
-          } else if (updateData.groupId) {
-            notificationMessage += `👥 *Le ticket a été assigné à un groupe*\n\n`;
-            notificationMessage += `Groupe: *${updateData.groupName || `ID: ${updateData.groupId}`}*\n`;
-          }
-          break;
-        
-        case 'requester':
-          notificationMessage += `👤 *Un nouveau demandeur a été ajouté au ticket*\n\n`;
-          notificationMessage += `Demandeur: *${updateData.requesterName || 'Non spécifié'}*\n`;
-          break;
-          
-        default:
-          notificationMessage += `ℹ️ *Le ticket a été mis à jour*\n`;
-      }
+      const ticketDetails = await getTicketTrackingService().getTicketDetails(ticketIdNum);
       
-      // Ajouter la date et l'heure de la mise à jour
       const now = new Date();
-      notificationMessage += `\n📅 *Date:* ${now.toLocaleDateString('fr-FR')}`;
-      notificationMessage += `\n⏰ *Heure:* ${now.toLocaleTimeString('fr-FR')}`;
       
-      // Créer les boutons pour les actions rapides
-      const buttons = [
-        {
-          type: "reply",
-          reply: {
-            id: `track_ticket_${ticketIdNum}`,
-            title: "Voir détails"
-          }
-        },
-        {
-          type: "reply",
-          reply: {
-            id: `view_comments_${ticketIdNum}`,
-            title: "Commentaires"
-          }
-        },
-        {
-          type: "reply",
-          reply: {
-            id: `comment_ticket_${ticketIdNum}`,
-            title: "Commenter"
-          }
-        }
-      ];
-      
-      // Envoyer la notification à tous les abonnés
+      const context = {
+        ticketId: ticketIdNum,
+        // Les notifications de résolution sont distinguées pour traiter les réactions (👍 / 👎)
+        updateType: updateType === 'status' && parseInt(updateData.status) === 5 ? 'resolution' : updateType
+      };
+
+      // Envoyer la notification à tous les abonnés : un échec ne doit pas priver les autres abonnés
+      let sent = false;
       for (const phoneNumber of subscribers) {
-        await whatsappService.sendButtonsMessage(phoneNumber, notificationMessage, buttons, "Mise à jour du ticket");
+        try {
+          // Chaque abonné reçoit la notification dans sa langue
+          const language = i18nService.getUserLanguage(phoneNumber);
+          const notification = buildNotification(language, { ...ticketDetails, id: ticketIdNum }, updateType, updateData, now);
+          const delivered = await sendNotification(phoneNumber, notification, language, context);
+          sent = sent || delivered;
+        } catch (error) {
+          console.error(`Erreur lors de l'envoi de la notification du ticket ${ticketIdNum} à ${phoneNumber}:`, error.message);
+        }
       }
       
-      return true;
+      return sent;
     } catch (error) {
       console.error(`Erreur lors de l'envoi des notifications pour le ticket ${ticketId}:`, error);
       return false;
@@ -247,121 +415,98 @@ const notificationService = {
   /**
    * Formater un message pour afficher les abonnements d'un utilisateur
    * @param {string} phoneNumber - Numéro de téléphone de l'utilisateur
+   * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
    * @returns {Promise<Object>} - Message formaté et boutons
    */
-  formatUserSubscriptionsMessage: async (phoneNumber) => {
+  formatUserSubscriptionsMessage: async (phoneNumber, language = i18nService.getUserLanguage(phoneNumber)) => {
+    const t = (key, params) => i18nService.t(language, key, params);
+
+    // Boutons du menu des abonnements
+    const buttons = [
+      {
+        type: "reply",
+        reply: {
+          id: "view_subscriptions",
+          title: t('subscriptions.viewButton')
+        }
+      },
+      {
+        type: "reply",
+        reply: {
+          id: "add_subscription",
+          title: t('subscriptions.addButton')
+        }
+      },
+      {
+        type: "reply",
+        reply: {
+          id: "remove_subscription",
+          title: t('subscriptions.removeSubscriptionButton')
+        }
+      },
+      {
+        type: "reply",
+        reply: {
+          id: "back_to_menu",
+          title: t('common.menuButton')
+        }
+      }
+    ];
+
     try {
       // Récupérer les abonnements de l'utilisateur
       const userSubscriptions = notificationService.getUserSubscriptions(phoneNumber);
       
       if (userSubscriptions.length === 0) {
         return {
-          message: "🔔 *Système d'Abonnements*\n\n*Qu'est-ce que c'est ?*\nLes abonnements vous permettent de suivre automatiquement les mises à jour de vos tickets importants.\n\n*Avantages :*\n• Recevez des notifications instantanées\n• Suivez les changements de statut\n• Soyez informé des nouveaux commentaires\n\n*Statut actuel :*\nVous n'êtes actuellement abonné à aucun ticket.\n\n*Menu Abonnements :*\nChoisissez une des trois options ci-dessous.",
-          buttons: [
-            {
-              type: "reply",
-              reply: {
-                id: "view_subscriptions",
-                title: "🔍 Voir mes abonnements"
-              }
-            },
-            {
-              type: "reply",
-              reply: {
-                id: "add_subscription",
-                title: "➕ Ajouter un abonnement"
-              }
-            },
-            {
-              type: "reply",
-              reply: {
-                id: "remove_subscription",
-                title: "❌ Supprimer un abonnement"
-              }
-            },
-            {
-              type: "reply",
-              reply: {
-                id: "back_to_menu",
-                title: "🏠 Menu principal"
-              }
-            }
-          ]
+          message: t('subscriptions.empty'),
+          buttons
         };
       }
       
       // Récupérer les détails des tickets
-      let message = "🔔 *Vos Abonnements Actifs*\n\n*Fonctionnement :*\nVous recevrez des notifications automatiques pour tous les tickets listés ci-dessous.\n\n*Vos tickets suivis :*\n";
+      let message = t('subscriptions.activeTitle') + '\n';
       const ticketButtons = [];
       
       for (const ticketId of userSubscriptions) {
         try {
-          const ticketDetails = await ticketTrackingService.getTicketDetails(ticketId);
+          const ticketDetails = await getTicketTrackingService().getTicketDetails(ticketId);
           
           if (ticketDetails) {
+            const status = ticketDetails.status && typeof ticketDetails.status === 'object'
+              ? ticketDetails.status.id
+              : ticketDetails.status;
+
             // Ajouter les informations du ticket au message
             message += `🎟 *Ticket #${ticketId}*\n`;
-            message += `📋 Titre: ${ticketDetails.title || ticketDetails.name}\n`;
-            message += `🚦 Statut: ${glpiService.getTicketStatusName(ticketDetails.status)}\n\n`;
+            message += t('subscriptions.ticketTitle', { title: ticketDetails.title || ticketDetails.name }) + '\n';
+            message += t('subscriptions.ticketStatus', { status: i18nService.label(language, 'status', status) }) + '\n\n';
             
             // Ajouter des boutons pour ce ticket (limité à 3 tickets)
             if (ticketButtons.length < 3) {
               // Bouton pour consulter le ticket
               ticketButtons.push({
                 id: `track_ticket_${ticketId}`,
-                title: `🔍 Ticket #${ticketId}`
+                title: t('subscriptions.trackButton', { ticketId })
               });
               
               // Bouton pour se désabonner du ticket
               ticketButtons.push({
                 id: `unsub_ticket_${ticketId}`,
-                title: `❌ Désabo #${ticketId}`
+                title: t('subscriptions.unsubscribeButton', { ticketId })
               });
             }
           } else {
-            message += `🎟 *Ticket #${ticketId}* (Détails non disponibles)\n\n`;
+            message += t('subscriptions.ticketUnavailable', { ticketId }) + '\n\n';
           }
         } catch (error) {
           console.error(`Erreur lors de la récupération des détails du ticket ${ticketId}:`, error);
-          message += `🎟 *Ticket #${ticketId}* (Erreur lors de la récupération des détails)\n\n`;
+          message += t('subscriptions.ticketError', { ticketId }) + '\n\n';
         }
       }
       
       // Ajouter un message d'instructions pour la gestion des abonnements
-      message += "\n*Menu Abonnements :*\n";
-      message += "Choisissez une des trois options ci-dessous.\n";
-      
-      // Ajouter uniquement les 3 boutons demandés + menu
-      const buttons = [
-        {
-          type: "reply",
-          reply: {
-            id: "view_subscriptions",
-            title: "🔍 Voir mes abonnements"
-          }
-        },
-        {
-          type: "reply",
-          reply: {
-            id: "add_subscription",
-            title: "➕ Ajouter un abonnement"
-          }
-        },
-        {
-          type: "reply",
-          reply: {
-            id: "remove_subscription",
-            title: "❌ Supprimer un abonnement"
-          }
-        },
-        {
-          type: "reply",
-          reply: {
-            id: "back_to_menu",
-            title: "🏠 Menu principal"
-          }
-        }
-      ];
+      message += '\n' + t('subscriptions.menuTitle') + '\n';
       
       return {
         message,
@@ -370,13 +515,13 @@ const notificationService = {
     } catch (error) {
       console.error(`Erreur lors de la formatation du message d'abonnements pour ${phoneNumber}:`, error);
       return {
-        message: "❗ Une erreur s'est produite lors de la récupération de vos abonnements. Veuillez réessayer plus tard.",
+        message: t('subscriptions.error'),
         buttons: [
           {
             type: "reply",
             reply: {
               id: "back_to_menu",
-              title: "Menu principal"
+              title: t('common.menuButton')
             }
           }
         ]
@@ -419,6 +564,37 @@ const notificationService = {
    */
   isSubscribedToTicket: (phoneNumber, ticketId) => {
     return notificationService.isSubscribed(phoneNumber, ticketId);
+  },
+
+  /**
+   * Vérifier si un callback de statut signale un message refusé car la fenêtre de 24h est fermée
+   * WhatsApp accepte généralement le message à l'envoi et ne signale la fenêtre fermée qu'ensuite,
+   * par un statut "failed" portant l'erreur 131047
+   * @param {Object} statusUpdate - Objet statut reçu par le webhook
+   * @returns {boolean}
+   */
+  isOutsideWindowFailure: (statusUpdate) => {
+    return !!statusUpdate && statusUpdate.status === 'failed' &&
+      (statusUpdate.errors || []).some(error => error.code === REENGAGEMENT_ERROR_CODE);
+  },
+
+  /**
+   * Renvoyer avec le modèle approuvé une notification refusée hors de la fenêtre de 24h
+   * @param {Object} entry - Entrée du registre du message refusé (messageLedgerService)
+   * @returns {Promise<boolean>} - True si le modèle a été envoyé, false si le message n'était pas une notification
+   */
+  resendAsTemplate: async (entry) => {
+    if (!entry || !entry.ticketId || !entry.notification) {
+      return false;
+    }
+
+    console.log(`Notification ${entry.wamid} du ticket #${entry.ticketId} refusée hors de la fenêtre de 24h, renvoi avec un modèle`);
+    return sendTemplateNotification(
+        entry.phone,
+        entry.notification.values,
+        entry.notification.language,
+        { ticketId: entry.ticketId, updateType: entry.updateType }
+    );
   }
 };
 
@@ -0,0 +1,77 @@
+/**
+ * Normalisation des numéros de téléphone
+ * WhatsApp transmet les numéros au format international sans "+" (ex: 33612345678), alors que les fiches
+ * GLPI contiennent des saisies libres : "+33 6 12 34 56 78", "0033612345678", "06.12.34.56.78"...
+ * Les numéros sont ramenés à leurs chiffres au format international avant d'être comparés.
+ */
+
+// Indicatif du pays des numéros saisis au format national (ex: 33 pour la France, 212 pour le Maroc)
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+
+// Longueur minimale d'un numéro comparé (les numéros plus courts sont des postes internes)
+const MIN_NUMBER_LENGTH = 8;
+
+// Longueur maximale d'un indicatif de pays
+const MAX_COUNTRY_CODE_LENGTH = 3;
+
+/**
+ * Analyser un numéro saisi
+ * Un numéro national (0 initial) reçoit l'indicatif DEFAULT_COUNTRY_CODE ; sans indicatif configuré,
+ * il est ramené à son numéro national significatif (sans le 0).
+ * @param {string} phone - Numéro saisi
+ * @returns {Object} - { digits, international }
+ */
+function parse(phone) {
+  const raw = String(phone || '').trim();
+  const digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) {
+    return { digits, international: true };
+  }
+  if (digits.startsWith('00')) {
+    return { digits: digits.slice(2), international: true };
+  }
+  if (digits.startsWith('0')) {
+    return DEFAULT_COUNTRY_CODE
+      ? { digits: `${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`, international: true }
+      : { digits: digits.slice(1), international: false };
+  }
+  return { digits, international: true };
+}
+
+const phoneNumberService = {
+  /**
+   * Ramener un numéro à ses chiffres au format international (sans "+")
+   * @param {string} phone - Numéro saisi
+   * @returns {string} - Chiffres du numéro ('' si le numéro est vide)
+   */
+  normalize: (phone) => parse(phone).digits,
+
+  /**
+   * Indiquer si deux saisies désignent le même numéro
+   * Un numéro national dont l'indicatif n'est pas connu correspond au numéro international qui se termine
+   * par ses chiffres, à un indicatif près.
+   * @param {string} first
+   * @param {string} second
+   * @returns {boolean}
+   */
+  isSameNumber: (first, second) => {
+    const a = parse(first);
+    const b = parse(second);
+
+    if (a.digits.length < MIN_NUMBER_LENGTH || b.digits.length < MIN_NUMBER_LENGTH) {
+      return false;
+    }
+    if (a.digits === b.digits) {
+      return true;
+    }
+    if (a.international && b.international) {
+      return false;
+    }
+
+    const [shorter, longer] = a.digits.length < b.digits.length ? [a.digits, b.digits] : [b.digits, a.digits];
+    return longer.length - shorter.length <= MAX_COUNTRY_CODE_LENGTH && longer.endsWith(shorter);
+  }
+};
+
+module.exports = phoneNumberService;
@@ -0,0 +1,159 @@
+/**
+ * Limitation du débit par utilisateur
+ * Un client défaillant ou un utilisateur qui multiplie les clics déclenche autant de sessions GLPI
+ * et d'analyses IA : au-delà des limites configurées, les messages ne sont plus traités et
+ * l'utilisateur en est averti une seule fois par fenêtre.
+ *   - RATE_LIMIT_MESSAGES_PER_MINUTE : messages entrants par minute (20 par défaut)
+ *   - RATE_LIMIT_TICKETS_PER_HOUR : tickets créés par heure (5 par défaut)
+ * Une limite à 0 est désactivée. Les compteurs sont conservés en mémoire.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Lire une limite depuis la configuration
+ * @param {string} name - Nom de la variable d'environnement
+ * @param {number} defaultValue - Valeur utilisée si la variable est absente ou invalide
+ * @returns {number}
+ */
+function readLimit(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+// Limites par type d'action : nombre maximal d'actions par fenêtre glissante
+const LIMITS = {
+  message: { max: readLimit('RATE_LIMIT_MESSAGES_PER_MINUTE', 20), windowMs: MINUTE_MS },
+  ticket: { max: readLimit('RATE_LIMIT_TICKETS_PER_HOUR', 5), windowMs: HOUR_MS }
+};
+
+// Dates des actions récentes : { type: { numéro: [timestamps] } }
+const history = {
+  message: {},
+  ticket: {}
+};
+
+// Date du dernier avertissement envoyé : { type: { numéro: timestamp } }
+const notifiedAt = {
+  message: {},
+  ticket: {}
+};
+
+// Actions refusées depuis le démarrage
+const throttled = {
+  message: 0,
+  ticket: 0
+};
+
+/**
+ * Supprime les actions et avertissements sortis de leur fenêtre
+ * @param {string} type - 'message' ou 'ticket'
+ * @param {number} now
+ */
+function pruneExpired(type, now) {
+  const limit = now - LIMITS[type].windowMs;
+
+  Object.keys(history[type]).forEach(phone => {
+    history[type][phone] = history[type][phone].filter(timestamp => timestamp > limit);
+    if (history[type][phone].length === 0) {
+      delete history[type][phone];
+    }
+  });
+
+  Object.keys(notifiedAt[type]).forEach(phone => {
+    if (notifiedAt[type][phone] <= limit) {
+      delete notifiedAt[type][phone];
+    }
+  });
+}
+
+/**
+ * Vérifier si un utilisateur peut encore effectuer une action
+ * @param {string} type - 'message' ou 'ticket'
+ * @param {string} phone - Numéro de l'utilisateur
+ * @param {boolean} record - Enregistrer l'action si elle est autorisée
+ * @returns {Object} - { allowed, notify, limit, retryAfterSeconds }
+ */
+function check(type, phone, record) {
+  const { max, windowMs } = LIMITS[type];
+
+  if (max === 0) {
+    return { allowed: true, notify: false, limit: max, retryAfterSeconds: 0 };
+  }
+
+  const now = Date.now();
+  pruneExpired(type, now);
+
+  const timestamps = history[type][phone] || [];
+
+  if (timestamps.length < max) {
+    if (record) {
+      history[type][phone] = [...timestamps, now];
+    }
+    return { allowed: true, notify: false, limit: max, retryAfterSeconds: 0 };
+  }
+
+  throttled[type]++;
+
+  // Un seul avertissement par fenêtre : les actions suivantes sont refusées silencieusement
+  const notify = !notifiedAt[type][phone];
+  if (notify) {
+    notifiedAt[type][phone] = now;
+    console.warn(`Limite de débit atteinte pour ${phone} (${type} : ${max} par ${windowMs / 1000}s)`);
+  }
+
+  return {
+    allowed: false,
+    notify,
+    limit: max,
+    retryAfterSeconds: Math.ceil((timestamps[0] + windowMs - now) / 1000)
+  };
+}
+
+const rateLimitService = {
+  /**
+   * Enregistrer un message entrant et vérifier qu'il peut être traité
+   * @param {string} phone - Numéro de l'utilisateur
+   * @returns {Object} - { allowed, notify, limit, retryAfterSeconds } ; notify indique qu'il faut avertir l'utilisateur
+   */
+  checkMessage: (phone) => check('message', phone, true),
+
+  /**
+   * Vérifier qu'un utilisateur peut créer un ticket (sans compter la création)
+   * @param {string} phone - Numéro de l'utilisateur
+   * @returns {Object} - { allowed, notify, limit, retryAfterSeconds } ; notify indique qu'il faut avertir l'utilisateur
+   */
+  checkTicketCreation: (phone) => check('ticket', phone, false),
+
+  /**
+   * Compter un ticket créé par un utilisateur
+   * @param {string} phone - Numéro de l'utilisateur
+   */
+  recordTicketCreation: (phone) => {
+    if (LIMITS.ticket.max === 0) {
+      return;
+    }
+    history.ticket[phone] = [...(history.ticket[phone] || []), Date.now()];
+  },
+
+  /**
+   * Récupère les statistiques de limitation
+   * @returns {Object} - Limites configurées, actions refusées et utilisateurs actuellement limités
+   */
+  getStats: () => {
+    const now = Date.now();
+    pruneExpired('message', now);
+    pruneExpired('ticket', now);
+
+    return {
+      messagesPerMinute: LIMITS.message.max,
+      ticketsPerHour: LIMITS.ticket.max,
+      messagesThrottled: throttled.message,
+      ticketsThrottled: throttled.ticket,
+      throttledUsers: new Set([...Object.keys(notifiedAt.message), ...Object.keys(notifiedAt.ticket)]).size
+    };
+  }
+};
+
+module.exports = rateLimitService;
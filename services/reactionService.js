@@ -0,0 +1,213 @@
+/**
+ * Service de traitement des réactions (emoji) aux messages du chatbot
+ * Une réaction à une notification de résolution permet de valider ou de refuser la solution en un geste.
+ * La correspondance emoji -> action est configurable avec la variable REACTION_ACTIONS (JSON), par exemple :
+ *   REACTION_ACTIONS={"👍":"approve","🙏":"approve","👎":"refuse"}
+ */
+
+const glpiService = require('./glpiService');
+const whatsappService = require('./whatsappService');
+const messageLedgerService = require('./messageLedgerService');
+const phoneNumberService = require('./phoneNumberService');
+const i18nService = require('./i18nService');
+
+// Correspondance par défaut entre les emojis et les actions
+const DEFAULT_REACTION_ACTIONS = {
+  '👍': 'approve',
+  '👎': 'refuse'
+};
+
+// Statuts GLPI utilisés pour choisir l'action à effectuer
+const STATUS_SOLVED = 5;
+const STATUS_CLOSED = 6;
+
+/**
+ * Charger la correspondance emoji -> action depuis la configuration
+ * @returns {Object}
+ */
+function loadReactionActions() {
+  if (!process.env.REACTION_ACTIONS) {
+    return DEFAULT_REACTION_ACTIONS;
+  }
+
+  try {
+    return JSON.parse(process.env.REACTION_ACTIONS);
+  } catch (error) {
+    console.error('REACTION_ACTIONS invalide, utilisation de la correspondance par défaut:', error.message);
+    return DEFAULT_REACTION_ACTIONS;
+  }
+}
+
+/**
+ * Retirer les variantes de couleur de peau et sélecteurs de variation d'un emoji
+ * afin que 👍🏽 soit traité comme 👍
+ * @param {string} emoji
+ * @returns {string}
+ */
+function baseEmoji(emoji) {
+  return (emoji || '').replace(/\u{FE0F}|[\u{1F3FB}-\u{1F3FF}]/gu, '');
+}
+
+/**
+ * Message indiquant qu'un ticket n'attend plus de validation, dans la langue de l'utilisateur
+ * @param {string} from - Numéro de l'utilisateur
+ * @param {number} ticketId - ID du ticket
+ * @param {number} status - Statut GLPI actuel du ticket
+ * @returns {string}
+ */
+function notPendingMessage(from, ticketId, status) {
+  const language = i18nService.getUserLanguage(from);
+  return i18nService.t(language, 'reactions.notPending', {
+    ticketId,
+    status: i18nService.label(language, 'status', status)
+  });
+}
+
+const reactionService = {
+  /**
+   * Obtenir l'action associée à un emoji
+   * @param {string} emoji - Emoji de la réaction
+   * @returns {string|null} - 'approve', 'refuse' ou null si l'emoji n'est associé à aucune action
+   */
+  getActionForEmoji: (emoji) => {
+    const actions = loadReactionActions();
+    return actions[emoji] || actions[baseEmoji(emoji)] || null;
+  },
+
+  /**
+   * Traiter un message de réaction WhatsApp
+   * @param {string} from - Numéro de l'utilisateur
+   * @param {Object} reaction - Contenu de la réaction { message_id, emoji }
+   * @returns {Promise<void>}
+   */
+  handleReaction: async (from, reaction) => {
+    const wamid = reaction.message_id;
+    const emoji = reaction.emoji || '';
+    const entry = messageLedgerService.getByWamid(wamid);
+
+    if (!entry || !entry.ticketId) {
+      console.log(`Réaction ${emoji || '(retirée)'} de ${from} sur un message non lié à un ticket (${wamid}), ignorée`);
+      return;
+    }
+
+    const ticketId = entry.ticketId;
+
+    // Seul le destinataire du message peut agir sur son ticket par une réaction
+    if (phoneNumberService.normalize(entry.phone) !== phoneNumberService.normalize(from)) {
+      console.warn(`Réaction ${emoji || '(retirée)'} de ${from} sur le message ${wamid} envoyé à ${entry.phone}, ignorée`);
+      return;
+    }
+
+    // Réaction retirée, ou réaction à un autre message que la notification de résolution : simple journalisation
+    const action = emoji && entry.updateType === 'resolution' ? reactionService.getActionForEmoji(emoji) : null;
+
+    console.log(`Réaction ${emoji || '(retirée)'} de ${from} sur le ticket #${ticketId} (${entry.updateType}), action: ${action || 'aucune'}`);
+
+    let outcome = 'logged';
+
+    try {
+      if (action === 'approve') {
+        outcome = await reactionService.approveSolution(from, ticketId, emoji);
+      } else if (action === 'refuse') {
+        outcome = await reactionService.refuseSolution(from, ticketId, emoji);
+      }
+    } catch (error) {
+      outcome = 'error';
+      console.error(`Erreur lors du traitement de la réaction ${emoji} de ${from} sur le ticket #${ticketId}:`, error);
+      await whatsappService.sendMessage(
+          from,
+          i18nService.t(i18nService.getUserLanguage(from), 'reactions.error', { ticketId })
+      );
+    }
+
+    messageLedgerService.recordReaction(wamid, {
+      phone: from,
+      emoji: emoji || null,
+      action: action || null,
+      outcome
+    });
+  },
+
+  /**
+   * Valider la solution d'un ticket résolu, ou enregistrer une satisfaction positive s'il est déjà clos
+   * @param {string} from - Numéro de l'utilisateur
+   * @param {number} ticketId - ID du ticket
+   * @param {string} emoji - Emoji utilisé
+   * @returns {Promise<string>} - Résultat ('approved', 'satisfaction', 'ignored')
+   */
+  approveSolution: async (from, ticketId, emoji) => {
+    const ticket = await glpiService.getTicket(ticketId);
+    const status = parseInt(ticket.status);
+
+    if (status === STATUS_SOLVED) {
+      // Un suivi avec add_close approuve la solution et clôt le ticket
+      await glpiService.addTicketFollowup(
+          ticketId,
+          `Solution approuvée par l'utilisateur via WhatsApp (réaction ${emoji}).`,
+          { add_close: 1 }
+      );
+
+      await whatsappService.sendMessage(
+          from,
+          i18nService.t(i18nService.getUserLanguage(from), 'reactions.approved', { ticketId }),
+          { ticketId }
+      );
+      return 'approved';
+    }
+
+    if (status === STATUS_CLOSED) {
+      const recorded = await glpiService.setTicketSatisfaction(ticketId, 5, `Réaction ${emoji} via WhatsApp`);
+
+      await whatsappService.sendMessage(
+          from,
+          i18nService.t(i18nService.getUserLanguage(from), recorded ? 'reactions.positiveFeedback' : 'reactions.feedback', { ticketId }),
+          { ticketId }
+      );
+      return recorded ? 'satisfaction' : 'ignored';
+    }
+
+    await whatsappService.sendMessage(
+        from,
+        notPendingMessage(from, ticketId, status),
+        { ticketId }
+    );
+    return 'ignored';
+  },
+
+  /**
+   * Refuser la solution d'un ticket résolu : le ticket est rouvert avec un suivi
+   * @param {string} from - Numéro de l'utilisateur
+   * @param {number} ticketId - ID du ticket
+   * @param {string} emoji - Emoji utilisé
+   * @returns {Promise<string>} - Résultat ('refused', 'ignored')
+   */
+  refuseSolution: async (from, ticketId, emoji) => {
+    const ticket = await glpiService.getTicket(ticketId);
+    const status = parseInt(ticket.status);
+
+    if (status !== STATUS_SOLVED) {
+      await whatsappService.sendMessage(
+          from,
+          notPendingMessage(from, ticketId, status),
+          { ticketId }
+      );
+      return 'ignored';
+    }
+
+    // Un suivi avec add_reopen refuse la solution et rouvre le ticket
+    await glpiService.addTicketFollowup(
+        ticketId,
+        `Solution refusée par l'utilisateur via WhatsApp (réaction ${emoji}). Le problème n'est pas résolu.`,
+        { add_reopen: 1 }
+    );
+
+    await whatsappService.sendMessage(
+        from,
+        i18nService.t(i18nService.getUserLanguage(from), 'reactions.reopened', { ticketId }),
+        { ticketId }
+    );
+    return 'refused';
+  }
+};
+
+module.exports = reactionService;
@@ -4,12 +4,14 @@
 const whatsappService = require('./whatsappService');
 const sessionManager = require('./sessionManager');
 const glpiService = require('./glpiService');
+const i18nService = require('./i18nService');
 
 /**
  * Affiche les tickets récemment consultés par l'utilisateur
  * @param {string} phoneNumber - Numéro de téléphone de l'utilisateur
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function displayRecentTickets(phoneNumber) {
+async function displayRecentTickets(phoneNumber, language = i18nService.getUserLanguage(phoneNumber)) {
   try {
     console.log(`Affichage des tickets récents pour ${phoneNumber}`);
     
@@ -23,7 +25,7 @@ async function displayRecentTickets(phoneNumber) {
       // Aucun ticket récent
       await whatsappService.sendMessage(
         phoneNumber,
-        "📋 *Tickets récents*\n\nVous n'avez pas encore consulté de tickets. Utilisez l'option 'Consulter par numéro' pour suivre un ticket spécifique."
+        i18nService.t(language, 'recent.empty')
       );
       
       // Proposer de retourner au menu de suivi
@@ -32,23 +34,23 @@ async function displayRecentTickets(phoneNumber) {
           type: "reply",
           reply: {
             id: "track_ticket_by_id",
-            title: "🔢 Consulter par numéro"
+            title: i18nService.t(language, 'menu.trackByIdButton')
           }
         },
         {
           type: "reply",
           reply: {
             id: "back_to_menu",
-            title: "🏠 Menu principal"
+            title: i18nService.t(language, 'common.menuButton')
           }
         }
       ];
       
       await whatsappService.sendButtonsMessage(
         phoneNumber,
-        "Que souhaitez-vous faire ?",
+        i18nService.t(language, 'common.whatToDo'),
         buttons,
-        "Options"
+        i18nService.t(language, 'recent.optionsHeader')
       );
       
       return;
@@ -56,7 +58,7 @@ async function displayRecentTickets(phoneNumber) {
     
     // Récupérer les détails des tickets récents (maximum 5)
     const ticketsToShow = recentTickets.slice(0, 5);
-    let message = "📋 *Vos tickets récents*\n\nSélectionnez un ticket pour voir ses détails :\n\n";
+    let message = `${i18nService.t(language, 'recent.listBody')}\n\n`;
     
     // Créer les boutons pour chaque ticket récent
     const buttons = [];
@@ -78,11 +80,15 @@ async function displayRecentTickets(phoneNumber) {
           });
           
           // Ajouter les informations du ticket au message
-          message += `• *Ticket #${ticketId}*: ${ticketData.name}\n   État: ${ticketData.status}\n\n`;
+          message += `${i18nService.t(language, 'recent.item', {
+            ticketId,
+            title: ticketData.name,
+            status: i18nService.label(language, 'status', ticketData.status)
+          })}\n\n`;
         }
       } catch (error) {
         console.error(`Erreur lors de la récupération des détails du ticket ${ticketId}:`, error);
-        message += `• *Ticket #${ticketId}*: Détails non disponibles\n\n`;
+        message += `${i18nService.t(language, 'recent.itemUnavailable', { ticketId })}\n\n`;
       }
     }
     
@@ -91,16 +97,16 @@ async function displayRecentTickets(phoneNumber) {
       type: "reply",
       reply: {
         id: "back_to_tracking_menu",
-        title: "⬅️ Retour"
+        title: i18nService.t(language, 'common.backButton')
       }
     });
     
     // Envoyer le message avec les boutons
     await whatsappService.sendButtonsMessage(
       phoneNumber,
-      "Tickets récents",
       message,
-      buttons
+      buttons,
+      i18nService.t(language, 'recent.header')
     );
     
     // Mettre à jour la session
@@ -111,7 +117,7 @@ async function displayRecentTickets(phoneNumber) {
     console.error(`Erreur lors de l'affichage des tickets récents pour ${phoneNumber}:`, error);
     await whatsappService.sendMessage(
       phoneNumber,
-      "Désolé, une erreur s'est produite lors de l'affichage de vos tickets récents. Veuillez réessayer plus tard."
+      i18nService.t(language, 'recent.error')
     );
   }
 }
@@ -0,0 +1,63 @@
+/**
+ * Service des demandeurs
+ * Retrouve l'utilisateur GLPI correspondant au numéro WhatsApp de l'expéditeur pour l'indiquer comme
+ * demandeur des tickets créés. Un numéro lié à un compte GLPI (voir userLinkService) désigne ce compte ;
+ * sinon, l'adresse email donnée par l'utilisateur (étape identify_requester) est conservée dans sa session
+ * et indiquée comme adresse du demandeur, sans être rapprochée d'un compte GLPI faute d'avoir été vérifiée.
+ */
+
+const glpiService = require('./glpiService');
+const userLinkService = require('./userLinkService');
+
+const requesterService = {
+  /**
+   * Utilisateur GLPI dont la fiche porte ce numéro (téléphone, téléphone 2 ou mobile)
+   * La recherche est mise en cache par glpiService.findUserByPhone.
+   * @param {string} phone - Numéro WhatsApp
+   * @returns {Promise<Object|null>} - { userId, name } ou null si le numéro est inconnu ou GLPI injoignable
+   */
+  findByPhone: async (phone) => {
+    try {
+      const found = await glpiService.findUserByPhone(phone);
+      return found ? { userId: found.id, name: found.name } : null;
+    } catch (error) {
+      // Erreur non mise en cache : nouvelle recherche au prochain ticket
+      console.error(`Erreur lors de la recherche du demandeur ${phone}:`, error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Demandeur des tickets créés par un utilisateur
+   * @param {string} phone - Numéro WhatsApp
+   * @param {Object} session - Session de l'utilisateur
+   * @returns {Promise<Object|null>} - { userId, name }, { email } ou { skipped: true } ; null s'il reste à identifier
+   */
+  getRequester: async (phone, session) => {
+    const link = userLinkService.getLink(phone);
+    if (link) {
+      return { userId: link.userId, name: link.email };
+    }
+    if (session.requester) {
+      return session.requester;
+    }
+    return requesterService.findByPhone(phone);
+  },
+
+  /**
+   * Champs du demandeur transmis à glpiService.createTicket
+   * @param {Object|null} requester - Demandeur (voir getRequester)
+   * @returns {Object} - { requesterId } ou { requesterEmail } ; vide si le demandeur n'est pas identifié
+   */
+  toTicketFields: (requester) => {
+    if (requester && requester.userId) {
+      return { requesterId: requester.userId };
+    }
+    if (requester && requester.email) {
+      return { requesterEmail: requester.email };
+    }
+    return {};
+  }
+};
+
+module.exports = requesterService;
@@ -1,118 +1,126 @@
-const fs = require('fs');
-const path = require('path');
-const NodeCache = require('node-cache');
+const { createSessionStore, importJsonSessions } = require('./sessionStores');
+const sessionSchema = require('./sessionSchema');
+const messageQueueService = require('./messageQueueService');
 
-// Create a cache with TTL of 30 minutes (1800 seconds)
-const sessionCache = new NodeCache({ stdTTL: 1800, checkperiod: 60 });
+// Durée de vie d'une session sans activité (30 minutes par défaut)
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000;
 
-// Path to the sessions file
-const SESSIONS_FILE = path.join(__dirname, '../data/sessions.json');
+// Intervalle de suppression des sessions expirées
+const PURGE_INTERVAL_MS = 60 * 1000;
 
-// Ensure the data directory exists
-if (!fs.existsSync(path.join(__dirname, '../data'))) {
-  console.log('Création du répertoire de données pour les sessions');
-  fs.mkdirSync(path.join(__dirname, '../data'), { recursive: true });
-}
+// Stockage des sessions choisi par la configuration (SESSION_STORE)
+const store = createSessionStore();
+console.log(`Stockage des sessions : ${store.type}`);
 
-// Initialize sessions file if it doesn't exist
-if (!fs.existsSync(SESSIONS_FILE)) {
-  console.log('Initialisation du fichier de sessions');
-  fs.writeFileSync(SESSIONS_FILE, JSON.stringify({}), 'utf8');
-}
+// Les sessions enregistrées sans date de mise à jour expirent à partir du démarrage
+const startedAt = Date.now();
 
-// Load existing sessions into cache at startup
-try {
-  console.log('Chargement des sessions existantes dans le cache');
-  const sessions = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
-  Object.keys(sessions).forEach(userId => {
-    sessionCache.set(userId, sessions[userId]);
-  });
-  console.log(`${Object.keys(sessions).length} sessions chargées dans le cache`);
-} catch (error) {
-  console.error('Erreur lors du chargement des sessions:', error);
-  // Create an empty sessions file if there was an error
-  fs.writeFileSync(SESSIONS_FILE, JSON.stringify({}), 'utf8');
+// Import des sessions de data/sessions.json lors du passage à un autre stockage
+const ready = importJsonSessions(store)
+  .then(() => store.count())
+  .then(count => console.log(`${count} sessions disponibles`))
+  .catch(error => console.error('Erreur lors de l\'import des sessions existantes:', error));
+
+/**
+ * Indique si une session n'a pas été mise à jour depuis plus de SESSION_TTL_MS
+ * @param {Object} session
+ * @returns {boolean}
+ */
+function isExpired(session) {
+  const updatedAt = Date.parse(session && session.updatedAt) || startedAt;
+  return Date.now() - updatedAt > SESSION_TTL_MS;
 }
 
+// Suppression périodique des sessions expirées, pour que le stockage ne grossisse pas indéfiniment
+const purgeTimer = setInterval(() => {
+  ready
+    .then(() => store.purgeExpired(Date.now() - SESSION_TTL_MS))
+    .then(purged => {
+      if (purged > 0) {
+        console.log(`${purged} session(s) expirée(s) supprimée(s)`);
+      }
+    })
+    .catch(error => console.error('Erreur lors de la suppression des sessions expirées:', error));
+}, PURGE_INTERVAL_MS);
+purgeTimer.unref();
+
 // Session manager service
 const sessionManager = {
+  SESSION_TTL_MS,
+
   /**
-   * Get a user session or create a new one if it doesn't exist
+   * Get a user session
+   * Une session sans activité depuis plus de SESSION_TTL_MINUTES est expirée : elle est supprimée et
+   * considérée comme absente. Sinon la session est mise au format actuel (migrations, validation) ;
+   * elle est réenregistrée si elle a changé.
    * @param {string} userId - The user's WhatsApp number
    * @returns {Object|null} - The user session or null if not found
    */
   getSession: async (userId) => {
     console.log(`Récupération de la session pour l'utilisateur ${userId}`);
-    
-    // Try to get from cache first
-    let session = sessionCache.get(userId);
-    
-    if (session) {
-      console.log(`Session trouvée dans le cache pour ${userId}`);
-      return session;
-    }
-    
-    // If not in cache, try to get from file
+    await ready;
+
     try {
-      console.log(`Session non trouvée dans le cache pour ${userId}, recherche dans le fichier`);
-      const sessions = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
-      session = sessions[userId];
-      
-      if (session) {
-        // Add to cache
-        console.log(`Session trouvée dans le fichier pour ${userId}, ajout au cache`);
-        sessionCache.set(userId, session);
+      const stored = await store.get(userId);
+
+      if (stored && isExpired(stored)) {
+        console.log(`Session de ${userId} expirée (dernière activité : ${stored.updatedAt || 'inconnue'})`);
+        await store.delete(userId);
+        return null;
+      }
+
+      if (stored) {
+        const { session, changed } = sessionSchema.upgrade(userId, stored);
+
+        if (!session) {
+          await store.delete(userId);
+          return null;
+        }
+
+        if (changed) {
+          await sessionManager.saveSession(userId, session);
+        }
+
+        console.log(`Session trouvée pour ${userId}`);
         return session;
       }
-      
+
       console.log(`Aucune session trouvée pour ${userId}`);
     } catch (error) {
-      console.error(`Erreur lors de la lecture du fichier de sessions pour ${userId}:`, error);
+      console.error(`Erreur lors de la lecture de la session de ${userId}:`, error);
     }
-    
+
     // If no session found, return null
     return null;
   },
-  
+
   /**
    * Save a user session
    * @param {string} userId - The user's WhatsApp number
    * @param {Object} session - The session data to save
+   * @returns {Promise<boolean>} - true once the session has been written
    */
   saveSession: async (userId, session) => {
     console.log(`Sauvegarde de la session pour l'utilisateur ${userId}`, JSON.stringify(session));
-    
-    // Save to cache
-    sessionCache.set(userId, session);
-    
+    await ready;
+
+    sessionSchema.stamp(session);
+    messageQueueService.recordSideEffect('session');
+
     // Maximum number of retry attempts
     const MAX_RETRIES = 3;
     let retryCount = 0;
     let success = false;
-    
+
     while (retryCount < MAX_RETRIES && !success) {
       try {
-        // Read the current sessions file
-        let sessions = {};
-        try {
-          const fileData = fs.readFileSync(SESSIONS_FILE, 'utf8');
-          sessions = JSON.parse(fileData);
-        } catch (readError) {
-          console.warn(`Erreur lors de la lecture du fichier de sessions, création d'un nouveau fichier:`, readError);
-          // Continue with an empty sessions object
-        }
-        
-        // Update the session
-        sessions[userId] = session;
-        
-        // Write back to file
-        fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions, null, 2), 'utf8');
+        await store.set(userId, session);
         console.log(`Session sauvegardée avec succès pour ${userId} (tentative ${retryCount + 1})`);
         success = true;
       } catch (error) {
         retryCount++;
         console.error(`Erreur lors de la sauvegarde de la session pour ${userId} (tentative ${retryCount}/${MAX_RETRIES}):`, error);
-        
+
         if (retryCount < MAX_RETRIES) {
           // Wait a bit before retrying (exponential backoff)
           const delay = Math.pow(2, retryCount) * 100;
@@ -123,10 +131,10 @@ const sessionManager = {
         }
       }
     }
-    
+
     return success;
   },
-  
+
   /**
    * Reset a user session
    * @param {string} userId - The user's WhatsApp number
@@ -136,26 +144,30 @@ const sessionManager = {
     const newSession = { currentStep: null, ticketData: {} };
     return await sessionManager.saveSession(userId, newSession);
   },
-  
+
   /**
    * Delete a user session
    * @param {string} userId - The user's WhatsApp number
    */
   deleteSession: async (userId) => {
     console.log(`Suppression de la session pour l'utilisateur ${userId}`);
-    
-    // Remove from cache
-    sessionCache.del(userId);
-    
-    // Remove from file
+    await ready;
+
     try {
-      const sessions = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
-      delete sessions[userId];
-      fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions, null, 2), 'utf8');
+      await store.delete(userId);
       console.log(`Session supprimée avec succès pour ${userId}`);
     } catch (error) {
       console.error(`Erreur lors de la suppression de la session pour ${userId}:`, error);
     }
+  },
+
+  /**
+   * Terminer les écritures en cours et fermer le stockage (arrêt du serveur)
+   */
+  close: async () => {
+    clearInterval(purgeTimer);
+    await ready;
+    await store.close();
   }
 };
 
@@ -0,0 +1,215 @@
+/**
+ * Schéma des sessions utilisateur
+ * Chaque session enregistrée porte la version du schéma (schemaVersion). À la lecture, les migrations
+ * des versions suivantes lui sont appliquées dans l'ordre, puis chaque partie de la session est validée :
+ * une partie corrompue est supprimée (réinitialisée) sans toucher au reste de la session.
+ *
+ * Pour renommer une étape ou restructurer une donnée de session, incrémentez SCHEMA_VERSION et ajoutez
+ * la migration correspondante à MIGRATIONS (ou les nouveaux noms d'étapes à STEP_RENAMES).
+ */
+
+const i18nService = require('./i18nService');
+
+// Version actuelle du schéma des sessions
+const SCHEMA_VERSION = 3;
+
+// Étapes renommées, par version du schéma : { ancien nom: nouveau nom }
+const STEP_RENAMES = {
+  2: {
+    initial: 'main_menu',
+    ticket_creation_options: 'ticket_creation_menu',
+    select_type_fallback: 'select_type',
+    guided_type_selection: 'select_type',
+    ai_ticket_created: 'ticket_created',
+    remove_subscription: 'removing_subscription',
+    view_ticket: 'tracking_ticket',
+    viewing_comments: 'tracking_ticket',
+    tracking_display_options: 'tracking_ticket',
+    tracking_add_comment: 'add_comment',
+    tracking_add_followup: 'add_comment',
+    tracking_add_requester: 'add_requester',
+    tracking_assignment_options: 'assign_ticket',
+    tracking_select_group: 'assign_ticket',
+    tracking_select_technician: 'assign_ticket',
+    tracking_assign_technician: 'assign_ticket',
+    search_by_id: 'search_menu',
+    search_enter_criteria: 'search_menu'
+  }
+};
+
+// Anciennes clés désignant le ticket concerné par l'étape en cours, remplacées par ticketId
+const LEGACY_TICKET_KEYS = [
+  'ticketToComment',
+  'ticketToUpdate',
+  'ticketToAssign',
+  'ticketToAddRequester',
+  'ticketToAddComment',
+  'currentTicketId'
+];
+
+// Anciens indicateurs de mode, déduits aujourd'hui de l'étape en cours
+const LEGACY_MODE_KEYS = ['guidedMode', 'trackingMode', 'searchMode'];
+
+/**
+ * Migration renommant l'étape en cours selon une table de correspondance
+ * @param {Object} renames - { ancien nom: nouveau nom }
+ * @returns {Function}
+ */
+function renameCurrentStep(renames) {
+  return (session) => {
+    if (renames[session.currentStep]) {
+      session.currentStep = renames[session.currentStep];
+    }
+  };
+}
+
+// Migrations : chacune fait passer une session de la version précédente à la version indiquée
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "ticket courant regroupé dans ticketId, indicateurs de mode supprimés",
+    migrate: (session) => {
+      LEGACY_TICKET_KEYS.forEach(key => {
+        if (session[key] !== undefined) {
+          if (session.ticketId === undefined) {
+            session.ticketId = session[key];
+          }
+          delete session[key];
+        }
+      });
+      LEGACY_MODE_KEYS.forEach(key => delete session[key]);
+    }
+  },
+  {
+    version: 2,
+    description: "étapes renommées lors du passage au moteur de parcours",
+    migrate: renameCurrentStep(STEP_RENAMES[2])
+  },
+  {
+    version: 3,
+    description: "état de l'ancien service de création guidée supprimé (remplacé par le parcours guidé)",
+    migrate: (session) => {
+      delete session.guidedTicket;
+    }
+  }
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isTicketId = (value) => Number.isInteger(Number(value)) && Number(value) > 0 && String(value).trim() !== '';
+
+// Validation des parties de la session : une partie invalide est supprimée
+const VALIDATORS = {
+  currentStep: (value) => value === null || typeof value === 'string',
+  language: (value) => i18nService.isSupported(value),
+  ticketId: isTicketId,
+  lastCreatedTicketId: isTicketId,
+  ticketData: isPlainObject,
+  aiTicketData: isPlainObject,
+  searchCriteria: isPlainObject,
+  ticketLocation: (value) => isPlainObject(value) && isTicketId(value.id),
+  pendingAttachments: (value) => Array.isArray(value) && value.every(media => isPlainObject(media) && media.mediaId),
+  pendingContacts: (value) => isPlainObject(value) && isTicketId(value.ticketId) && Array.isArray(value.contacts),
+  availableGroups: Array.isArray,
+  availableTechnicians: Array.isArray,
+  recentTickets: Array.isArray,
+  guidedBootId: (value) => typeof value === 'string',
+  // Un compte GLPI n'est associé à un numéro que par liaison vérifiée (userLinkService), jamais par la session
+  requester: (value) => isPlainObject(value) && (typeof value.email === 'string' || value.skipped === true),
+  requesterReturnStep: (value) => typeof value === 'string',
+  draftTriggerMessage: (value) => isPlainObject(value) && typeof value.text === 'string',
+  updatedAt: (value) => typeof value === 'string' && !isNaN(Date.parse(value))
+};
+
+const sessionSchema = {
+  SCHEMA_VERSION,
+
+  /**
+   * Nom actuel d'une étape, en suivant ses renommages successifs
+   * @param {string} name - Nom de l'étape, éventuellement ancien
+   * @returns {string}
+   */
+  resolveStepName: (name) => {
+    return Object.keys(STEP_RENAMES)
+      .sort((a, b) => a - b)
+      .reduce((current, version) => STEP_RENAMES[version][current] || current, name);
+  },
+
+  /**
+   * Mettre une session lue dans le stockage au format actuel
+   * Les migrations manquantes sont appliquées, puis les parties invalides sont supprimées.
+   * @param {string} userId - Numéro de l'utilisateur (journalisation)
+   * @param {Object} session - Session enregistrée (modifiée sur place)
+   * @returns {Object} - { session, changed } ; session vaut null si la session entière est inutilisable
+   */
+  upgrade: (userId, session) => {
+    if (!isPlainObject(session)) {
+      console.warn(`Session de ${userId} illisible, elle est réinitialisée`);
+      return { session: null, changed: true };
+    }
+
+    const initialVersion = Number.isInteger(session.schemaVersion) ? session.schemaVersion : 0;
+    let changed = false;
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= initialVersion) {
+        continue;
+      }
+
+      try {
+        migration.migrate(session);
+        console.log(`Session de ${userId} migrée en version ${migration.version} (${migration.description})`);
+      } catch (error) {
+        // La validation ci-dessous réinitialise les parties laissées incohérentes
+        console.error(`Erreur lors de la migration ${migration.version} de la session de ${userId}:`, error);
+      }
+      changed = true;
+    }
+
+    if (initialVersion > SCHEMA_VERSION) {
+      console.warn(`Session de ${userId} en version ${initialVersion}, plus récente que le schéma actuel (${SCHEMA_VERSION})`);
+    }
+
+    for (const [key, isValid] of Object.entries(VALIDATORS)) {
+      if (session[key] === undefined) {
+        continue;
+      }
+
+      let valid = false;
+      try {
+        valid = isValid(session[key]);
+      } catch {
+        valid = false;
+      }
+
+      if (!valid) {
+        console.warn(`Session de ${userId} : ${key} invalide, réinitialisé`);
+        delete session[key];
+        changed = true;
+      }
+    }
+
+    if (initialVersion < SCHEMA_VERSION) {
+      session.schemaVersion = SCHEMA_VERSION;
+    }
+
+    return { session, changed };
+  },
+
+  /**
+   * Marquer une session avec la version actuelle du schéma et la date de mise à jour avant son enregistrement
+   * @param {Object} session
+   * @returns {Object} - La même session
+   */
+  stamp: (session) => {
+    if (!isPlainObject(session)) {
+      return session;
+    }
+    if (!(session.schemaVersion > SCHEMA_VERSION)) {
+      session.schemaVersion = SCHEMA_VERSION;
+    }
+    session.updatedAt = new Date().toISOString();
+    return session;
+  }
+};
+
+module.exports = sessionSchema;
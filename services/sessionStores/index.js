@@ -0,0 +1,86 @@
+/**
+ * Stockages des sessions utilisateur
+ * Le stockage est choisi avec la variable SESSION_STORE :
+ *   - json (par défaut) : fichier data/sessions.json, une seule instance du bot
+ *   - sqlite : base SQLite (SESSION_SQLITE_PATH, data/sessions.sqlite par défaut), partageable entre instances
+ *   - memory : mémoire du processus, pour les tests
+ *
+ * Chaque stockage expose les mêmes fonctions asynchrones :
+ *   - get(userId) : copie de la session, ou null
+ *   - set(userId, session) : enregistre la session (résolue une fois l'écriture terminée)
+ *   - delete(userId) : supprime la session
+ *   - count() : nombre de sessions enregistrées
+ *   - purgeExpired(before) : supprime les sessions mises à jour (updatedAt) avant la date before (en ms)
+ *     et renvoie leur nombre ; une session sans date est datée du démarrage du stockage
+ *   - close() : termine les écritures en cours et libère les ressources
+ */
+
+const fs = require('fs');
+const path = require('path');
+const createJsonFileStore = require('./jsonFileStore');
+const createSqliteStore = require('./sqliteStore');
+const createMemoryStore = require('./memoryStore');
+const { DATA_DIR } = require('../dataFiles');
+
+// Fichier du stockage JSON, importé par les autres stockages lors du passage de l'un à l'autre
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+
+const DEFAULT_SQLITE_FILE = path.join(DATA_DIR, 'sessions.sqlite');
+
+/**
+ * Créer le stockage de sessions demandé
+ * @param {string} [type] - 'json', 'sqlite' ou 'memory' (SESSION_STORE par défaut)
+ * @returns {Object} - Stockage de sessions
+ */
+function createSessionStore(type = process.env.SESSION_STORE || 'json') {
+  switch (type) {
+    case 'json':
+      return createJsonFileStore(SESSIONS_FILE);
+    case 'sqlite':
+      return createSqliteStore(process.env.SESSION_SQLITE_PATH || DEFAULT_SQLITE_FILE);
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Stockage de sessions inconnu : ${type} (json, sqlite ou memory)`);
+  }
+}
+
+/**
+ * Importer les sessions de data/sessions.json dans un autre stockage
+ * Les sessions déjà présentes dans le stockage ne sont pas remplacées. Le fichier est ensuite renommé
+ * (sessions.json.imported-<date>) pour ne pas être importé à nouveau.
+ * @param {Object} store - Stockage de destination
+ * @returns {Promise<number>} - Nombre de sessions importées
+ */
+async function importJsonSessions(store) {
+  if (store.type === 'json' || store.type === 'memory' || !fs.existsSync(SESSIONS_FILE)) {
+    return 0;
+  }
+
+  const sessions = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+  let imported = 0;
+
+  for (const [userId, session] of Object.entries(sessions)) {
+    if (!(await store.get(userId))) {
+      await store.set(userId, session);
+      imported++;
+    }
+  }
+
+  try {
+    fs.renameSync(SESSIONS_FILE, `${SESSIONS_FILE}.imported-${Date.now()}`);
+  } catch (error) {
+    // Une autre instance a pu importer et renommer le fichier en même temps
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  console.log(`${imported} session(s) importée(s) de ${SESSIONS_FILE} dans le stockage ${store.type}`);
+  return imported;
+}
+
+module.exports = {
+  createSessionStore,
+  importJsonSessions
+};
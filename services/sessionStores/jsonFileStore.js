@@ -0,0 +1,99 @@
+/**
+ * Stockage des sessions dans un fichier JSON (data/sessions.json)
+ * Les sessions sont gardées en mémoire ; le fichier est réécrit de façon asynchrone et atomique
+ * (fichier temporaire puis renommage), de sorte qu'un arrêt brutal laisse toujours un fichier complet.
+ * Les écritures rapprochées sont regroupées. Ce fichier ne doit être utilisé que par une seule instance.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../dataFiles');
+
+/**
+ * Créer un stockage de sessions dans un fichier JSON
+ * @param {string} filePath - Chemin du fichier de sessions
+ * @returns {Object} - Stockage de sessions (voir sessionStores/index.js)
+ */
+function createJsonFileStore(filePath) {
+  let sessions = {};
+  const createdAt = Date.now();
+
+  // Ensure the data directory exists
+  if (!fs.existsSync(path.dirname(filePath))) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  // Charger les sessions existantes au démarrage
+  try {
+    if (fs.existsSync(filePath)) {
+      sessions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    // Fichier illisible : il est conservé à part plutôt qu'écrasé
+    console.error('Erreur lors du chargement des sessions:', error);
+    fs.renameSync(filePath, `${filePath}.corrupted-${Date.now()}`);
+    sessions = {};
+  }
+
+  // Écriture en cours et écriture en attente (pas encore commencée), à laquelle se joignent les modifications suivantes
+  let currentWrite = Promise.resolve();
+  let queuedWrite = null;
+
+  /**
+   * Planifier l'écriture du fichier ; la promesse est résolue une fois les sessions actuelles écrites
+   * @returns {Promise}
+   */
+  function scheduleWrite() {
+    if (!queuedWrite) {
+      queuedWrite = currentWrite
+        .catch(() => {})
+        .then(() => {
+          queuedWrite = null;
+          return writeFileAtomic(filePath, JSON.stringify(sessions, null, 2));
+        });
+      currentWrite = queuedWrite;
+    }
+    return queuedWrite;
+  }
+
+  return {
+    type: 'json',
+
+    get: async (userId) => {
+      return sessions[userId] ? JSON.parse(JSON.stringify(sessions[userId])) : null;
+    },
+
+    set: async (userId, session) => {
+      sessions[userId] = JSON.parse(JSON.stringify(session));
+      await scheduleWrite();
+    },
+
+    delete: async (userId) => {
+      if (!sessions[userId]) {
+        return;
+      }
+      delete sessions[userId];
+      await scheduleWrite();
+    },
+
+    count: async () => Object.keys(sessions).length,
+
+    purgeExpired: async (before) => {
+      const expired = Object.keys(sessions)
+        .filter(userId => (Date.parse(sessions[userId].updatedAt) || createdAt) < before);
+
+      if (expired.length === 0) {
+        return 0;
+      }
+      expired.forEach(userId => delete sessions[userId]);
+      await scheduleWrite();
+      return expired.length;
+    },
+
+    close: async () => {
+      await currentWrite;
+    }
+  };
+}
+
+module.exports = createJsonFileStore;
@@ -0,0 +1,51 @@
+/**
+ * Stockage des sessions en mémoire (tests, développement)
+ * Les sessions sont perdues au redémarrage.
+ */
+
+/**
+ * Créer un stockage de sessions en mémoire
+ * @returns {Object} - Stockage de sessions (voir sessionStores/index.js)
+ */
+function createMemoryStore() {
+  // Sessions sérialisées (chaque lecture renvoie une copie indépendante) et date de leur mise à jour
+  const sessions = new Map();
+  const createdAt = Date.now();
+
+  return {
+    type: 'memory',
+
+    get: async (userId) => {
+      const entry = sessions.get(userId);
+      return entry ? JSON.parse(entry.data) : null;
+    },
+
+    set: async (userId, session) => {
+      sessions.set(userId, {
+        data: JSON.stringify(session),
+        updatedAt: Date.parse(session.updatedAt) || createdAt
+      });
+    },
+
+    delete: async (userId) => {
+      sessions.delete(userId);
+    },
+
+    count: async () => sessions.size,
+
+    purgeExpired: async (before) => {
+      let purged = 0;
+      for (const [userId, entry] of sessions) {
+        if (entry.updatedAt < before) {
+          sessions.delete(userId);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    close: async () => {}
+  };
+}
+
+module.exports = createMemoryStore;
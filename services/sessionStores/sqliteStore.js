@@ -0,0 +1,82 @@
+/**
+ * Stockage des sessions dans une base SQLite embarquée (data/sessions.sqlite)
+ * Chaque session est une ligne mise à jour individuellement. Le journal WAL permet à plusieurs instances
+ * du bot partageant le même fichier de lire et d'écrire les sessions en même temps.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Attente maximale d'un verrou posé par une autre instance (en millisecondes)
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * Créer un stockage de sessions SQLite
+ * @param {string} filePath - Chemin de la base de données
+ * @returns {Object} - Stockage de sessions (voir sessionStores/index.js)
+ */
+function createSqliteStore(filePath) {
+  // Chargé uniquement lorsque ce stockage est choisi
+  const Database = require('better-sqlite3');
+
+  // Ensure the data directory exists
+  if (!fs.existsSync(path.dirname(filePath))) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      user_id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT data FROM sessions WHERE user_id = ?'),
+    set: db.prepare(`
+      INSERT INTO sessions (user_id, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(user_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `),
+    delete: db.prepare('DELETE FROM sessions WHERE user_id = ?'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM sessions'),
+    purgeExpired: db.prepare('DELETE FROM sessions WHERE updated_at < ?')
+  };
+
+  db.exec('CREATE INDEX IF NOT EXISTS sessions_updated_at ON sessions (updated_at)');
+
+  return {
+    type: 'sqlite',
+
+    get: async (userId) => {
+      const row = statements.get.get(userId);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    set: async (userId, session) => {
+      // Dates ISO complètes : la purge les compare comme des chaînes
+      const updatedAt = new Date(Date.parse(session.updatedAt) || Date.now()).toISOString();
+      statements.set.run(userId, JSON.stringify(session), updatedAt);
+    },
+
+    delete: async (userId) => {
+      statements.delete.run(userId);
+    },
+
+    count: async () => statements.count.get().count,
+
+    purgeExpired: async (before) => {
+      return statements.purgeExpired.run(new Date(before).toISOString()).changes;
+    },
+
+    close: async () => {
+      db.close();
+    }
+  };
+}
+
+module.exports = createSqliteStore;
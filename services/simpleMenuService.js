@@ -3,17 +3,19 @@
  */
 const whatsappService = require('./whatsappService');
 const sessionManager = require('./sessionManager');
+const i18nService = require('./i18nService');
 
 /**
  * Affiche le menu de création de ticket avec les options mode guidé et mode IA
  * @param {string} from - Numéro de téléphone de l'utilisateur
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function presentTicketCreationMenu(from) {
+async function presentTicketCreationMenu(from, language = i18nService.getUserLanguage(from)) {
   try {
     console.log(`Présentation du menu de création de ticket à ${from}`);
 
     // Message explicatif pour les différents modes de création de ticket
-    const message = "📝 *Création de ticket*\n\nVeuillez choisir le mode de création :";
+    const message = i18nService.t(language, 'menu.creationBody');
 
     // Boutons pour les différents modes (maximum 3 boutons)
     const buttons = [
@@ -21,26 +23,26 @@ async function presentTicketCreationMenu(from) {
         type: "reply",
         reply: {
           id: "create_ticket_ai",
-          title: "🤖 Mode IA"
+          title: i18nService.t(language, 'menu.aiModeButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "create_ticket_guided",
-          title: "📋 Mode guidé"
+          title: i18nService.t(language, 'menu.guidedModeButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "back_to_menu",
-          title: "🏠 Menu principal"
+          title: i18nService.t(language, 'common.menuButton')
         }
       }
     ];
 
-    await whatsappService.sendButtonsMessage(from, message, buttons, "Création de ticket");
+    await whatsappService.sendButtonsMessage(from, message, buttons, i18nService.t(language, 'menu.creationHeader'));
     
     // Mettre à jour la session
     const session = await sessionManager.getSession(from) || {};
@@ -51,7 +53,7 @@ async function presentTicketCreationMenu(from) {
     console.error(`Erreur lors de l'affichage du menu de création de ticket pour ${from}:`, error);
     await whatsappService.sendMessage(
       from,
-      "Désolé, une erreur s'est produite. Veuillez réessayer en envoyant 'reset'."
+      i18nService.t(language, 'common.resetHint')
     );
   }
 }
@@ -59,13 +61,14 @@ async function presentTicketCreationMenu(from) {
 /**
  * Affiche le menu des abonnements avec les différentes options
  * @param {string} from - Numéro de téléphone de l'utilisateur
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function presentSubscriptionsMenu(from) {
+async function presentSubscriptionsMenu(from, language = i18nService.getUserLanguage(from)) {
   try {
     console.log(`Présentation du menu des abonnements à ${from}`);
 
     // Message explicatif pour le menu des abonnements
-    const message = "🔔 *Gestion des abonnements*\n\nGérez vos abonnements aux notifications de tickets :";
+    const message = i18nService.t(language, 'menu.subscriptionsBody');
 
     // Boutons pour les différentes options (maximum 3 boutons)
     const buttons = [
@@ -73,26 +76,26 @@ async function presentSubscriptionsMenu(from) {
         type: "reply",
         reply: {
           id: "view_my_subscriptions",
-          title: "📋 Voir mes abonnements"
+          title: i18nService.t(language, 'menu.viewSubscriptionsButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "add_subscription",
-          title: "➕ S'abonner à un ticket"
+          title: i18nService.t(language, 'menu.addSubscriptionButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "back_to_menu",
-          title: "🏠 Menu principal"
+          title: i18nService.t(language, 'common.menuButton')
         }
       }
     ];
 
-    await whatsappService.sendButtonsMessage(from, message, buttons, "Gestion des abonnements");
+    await whatsappService.sendButtonsMessage(from, message, buttons, i18nService.t(language, 'menu.subscriptionsHeader'));
     
     // Mettre à jour la session
     const session = await sessionManager.getSession(from) || {};
@@ -103,7 +106,7 @@ async function presentSubscriptionsMenu(from) {
     console.error(`Erreur lors de l'affichage du menu des abonnements pour ${from}:`, error);
     await whatsappService.sendMessage(
       from,
-      "Désolé, une erreur s'est produite. Veuillez réessayer en envoyant 'reset'."
+      i18nService.t(language, 'common.resetHint')
     );
   }
 }
@@ -111,13 +114,14 @@ async function presentSubscriptionsMenu(from) {
 /**
  * Affiche le menu de suivi de tickets avec les différentes options
  * @param {string} from - Numéro de téléphone de l'utilisateur
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function presentTicketTrackingMenu(from) {
+async function presentTicketTrackingMenu(from, language = i18nService.getUserLanguage(from)) {
   try {
     console.log(`Présentation du menu de suivi de tickets à ${from}`);
 
     // Message explicatif pour le menu de suivi de tickets
-    const message = "🔍 *Suivi de tickets*\n\nConsultez et gérez vos tickets existants :";
+    const message = i18nService.t(language, 'menu.trackingBody');
 
     // Boutons pour les différentes options (maximum 3 boutons)
     const buttons = [
@@ -125,26 +129,26 @@ async function presentTicketTrackingMenu(from) {
         type: "reply",
         reply: {
           id: "track_ticket_by_id",
-          title: "🔢 Consulter par numéro"
+          title: i18nService.t(language, 'menu.trackByIdButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "search_tickets",
-          title: "🔎 Rechercher tickets"
+          title: i18nService.t(language, 'menu.searchButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "back_to_menu",
-          title: "🏠 Menu principal"
+          title: i18nService.t(language, 'common.menuButton')
         }
       }
     ];
 
-    await whatsappService.sendButtonsMessage(from, message, buttons, "Suivi de tickets");
+    await whatsappService.sendButtonsMessage(from, message, buttons, i18nService.t(language, 'menu.trackingHeader'));
     
     // Mettre à jour la session
     const session = await sessionManager.getSession(from) || {};
@@ -155,7 +159,7 @@ async function presentTicketTrackingMenu(from) {
     console.error(`Erreur lors de l'affichage du menu de suivi de tickets pour ${from}:`, error);
     await whatsappService.sendMessage(
       from,
-      "Désolé, une erreur s'est produite. Veuillez réessayer en envoyant 'reset'."
+      i18nService.t(language, 'common.resetHint')
     );
   }
 }
@@ -163,13 +167,14 @@ async function presentTicketTrackingMenu(from) {
 /**
  * Affiche le menu des options de suppression d'abonnement
  * @param {string} from - Numéro de téléphone de l'utilisateur
+ * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
  */
-async function presentUnsubscribeMenu(from) {
+async function presentUnsubscribeMenu(from, language = i18nService.getUserLanguage(from)) {
   try {
     console.log(`Présentation du menu de suppression d'abonnement à ${from}`);
 
     // Message explicatif pour la suppression d'abonnement
-    const message = "❌ *Supprimer un abonnement*\n\nVeuillez entrer le numéro du ticket auquel vous souhaitez vous désabonner.";
+    const message = i18nService.t(language, 'menu.unsubscribeBody');
 
     // Boutons pour les options (maximum 3 boutons)
     const buttons = [
@@ -177,19 +182,19 @@ async function presentUnsubscribeMenu(from) {
         type: "reply",
         reply: {
           id: "view_my_subscriptions",
-          title: "📋 Voir mes abonnements"
+          title: i18nService.t(language, 'menu.viewSubscriptionsButton')
         }
       },
       {
         type: "reply",
         reply: {
           id: "back_to_menu",
-          title: "🏠 Menu principal"
+          title: i18nService.t(language, 'common.menuButton')
         }
       }
     ];
 
-    await whatsappService.sendButtonsMessage(from, message, buttons, "Supprimer abonnement");
+    await whatsappService.sendButtonsMessage(from, message, buttons, i18nService.t(language, 'menu.unsubscribeHeader'));
     
     // Mettre à jour la session
     const session = await sessionManager.getSession(from) || {};
@@ -200,7 +205,7 @@ async function presentUnsubscribeMenu(from) {
     console.error(`Erreur lors de l'affichage du menu de suppression d'abonnement pour ${from}:`, error);
     await whatsappService.sendMessage(
       from,
-      "Désolé, une erreur s'est produite. Veuillez réessayer en envoyant 'reset'."
+      i18nService.t(language, 'common.resetHint')
     );
   }
 }
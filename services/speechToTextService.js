@@ -0,0 +1,105 @@
+/**
+ * Service de transcription des messages vocaux
+ * Le fournisseur de transcription est choisi par la variable STT_PROVIDER :
+ * - "stub" : fournisseur local sans appel externe, pour le développement et les tests (par défaut si NODE_ENV=test)
+ * - "openai" : API de transcription d'OpenAI (Whisper), nécessite OPENAI_API_KEY
+ * D'autres fournisseurs peuvent être ajoutés avec registerProvider
+ * Sans fournisseur configuré, aucune transcription n'est faite : le texte du stub ne doit jamais
+ * devenir la description d'un ticket réel
+ */
+
+const axios = require('axios');
+
+// Fournisseurs de transcription disponibles
+// Chaque fournisseur expose transcribe({ buffer, mimeType, filename, language }) => Promise<string>
+const providers = {
+  stub: {
+    transcribe: async ({ buffer }) => {
+      // Texte fixe configurable, pour simuler une transcription sans service externe
+      return process.env.STT_STUB_TRANSCRIPT ||
+        `Message vocal reçu (${buffer ? buffer.length : 0} octets), transcription non disponible.`;
+    }
+  },
+
+  openai: {
+    transcribe: async ({ buffer, mimeType, filename, language }) => {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY non configurée pour la transcription');
+      }
+
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: mimeType }), filename);
+      form.append('model', process.env.STT_OPENAI_MODEL || 'whisper-1');
+      form.append('language', language);
+
+      const response = await axios.post('https://api.openai.com/v1/audio/transcriptions', form, {
+        headers: {
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+        },
+        timeout: 60000
+      });
+
+      return response.data.text;
+    }
+  }
+};
+
+const speechToTextService = {
+  /**
+   * Enregistrer (ou remplacer) un fournisseur de transcription
+   * @param {string} name - Nom du fournisseur (valeur de STT_PROVIDER)
+   * @param {Object} provider - Objet exposant transcribe({ buffer, mimeType, filename, language })
+   */
+  registerProvider: (name, provider) => {
+    if (!provider || typeof provider.transcribe !== 'function') {
+      throw new Error(`Le fournisseur de transcription "${name}" doit exposer une fonction transcribe`);
+    }
+    providers[name] = provider;
+  },
+
+  /**
+   * Obtenir le nom du fournisseur actif
+   * @returns {string|null} - null si aucun fournisseur n'est configuré
+   */
+  getProviderName: () => {
+    return process.env.STT_PROVIDER || (process.env.NODE_ENV === 'test' ? 'stub' : null);
+  },
+
+  /**
+   * Vérifier qu'un fournisseur de transcription est configuré
+   * @returns {boolean}
+   */
+  isConfigured: () => {
+    return Boolean(speechToTextService.getProviderName());
+  },
+
+  /**
+   * Transcrire un fichier audio en texte
+   * @param {Object} audio - { buffer, mimeType, filename }
+   * @param {string} language - Langue de l'utilisateur (code ISO 639-1)
+   * @returns {Promise<string>} - Texte transcrit (chaîne vide si rien n'a été compris)
+   */
+  transcribe: async (audio, language) => {
+    const providerName = speechToTextService.getProviderName();
+    const provider = providers[providerName];
+
+    if (!providerName) {
+      throw new Error('Aucun fournisseur de transcription configuré (STT_PROVIDER)');
+    }
+
+    if (!provider) {
+      throw new Error(`Fournisseur de transcription inconnu: ${providerName}`);
+    }
+
+    try {
+      console.log(`Transcription d'un message vocal avec le fournisseur "${providerName}"`);
+      const text = await provider.transcribe({ ...audio, language });
+      return (text || '').trim();
+    } catch (error) {
+      console.error(`Erreur lors de la transcription avec "${providerName}":`, error.response?.data || error.message);
+      throw new Error('Impossible de transcrire le message vocal');
+    }
+  }
+};
+
+module.exports = speechToTextService;
@@ -7,6 +7,7 @@ const tf = require('@tensorflow/tfjs-node');
 const natural = require('natural');
 const { WordTokenizer, PorterStemmerFr } = natural;
 const tokenizer = new WordTokenizer();
+const categoryService = require('./categoryService');
 
 // Mots-clés pour la classification (repris du service existant)
 const INCIDENT_KEYWORDS = [
@@ -417,23 +418,10 @@ class TensorflowService {
       }
     });
     
-    // Mapping des catégories vers les IDs (mis à jour selon l'image)
-    const categoryMap = {
-      'incident_autre': 10,       // Incident - autre
-      'incident_logiciel': 8,     // Incident - logiciel
-      'incident_materiel': 7,     // Incident - matériel
-      'incident_reseau': 6,       // Incident - Réseau
-      'incident_securite': 9,     // Incident - sécurité
-      'demande_acces': 1,         // Demande - Accès
-      'demande_autre': 5,         // Demande - Autre
-      'demande_information': 4,   // Demande - Information
-      'demande_logiciel': 3,      // Demande - logiciel
-      'demande_materiel': 2       // Demande - Nouveau matériel
-    };
-    
+    // Catégorie GLPI associée au libellé (config/categoryMapping.json)
     return {
       category: bestCategory,
-      categoryId: categoryMap[bestCategory],
+      categoryId: categoryService.getCategoryIdForLabel(bestCategory),
       confidence: parseFloat(highestProb.toFixed(2))
     };
   }
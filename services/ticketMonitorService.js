@@ -6,6 +6,7 @@
 const glpiService = require('./glpiService');
 const notificationService = require('./notificationService');
 const whatsappService = require('./whatsappService');
+const i18nService = require('./i18nService');
 
 // Stockage de l'état des tickets
 // Format: { ticketId: { lastUpdate: timestamp, status: statusId, ... } }
@@ -259,14 +260,16 @@ const ticketMonitorService = {
         return false;
       }
       
-      // Formater le message de notification
-      const message = `✅ *Ticket créé avec succès*\n\n` +
-        `📝 *Numéro:* #${ticketId}\n` +
-        `📋 *Titre:* ${ticketDetails.name}\n` +
-        `🔖 *Type:* ${glpiService.getTicketTypeName(ticketDetails.type)}\n` +
-        `🚦 *Statut:* ${glpiService.getTicketStatusName(ticketDetails.status)}\n` +
-        `🔥 *Urgence:* ${glpiService.getUrgencyName(ticketDetails.urgency)}\n\n` +
-        `Vous êtes maintenant abonné aux notifications pour ce ticket. Vous recevrez automatiquement un message lorsque le statut change, un commentaire est ajouté ou le ticket est attribué.`;
+      // Formater le message de notification dans la langue du créateur
+      const language = i18nService.getUserLanguage(phoneNumber);
+      const t = (key, params) => i18nService.t(language, key, params);
+      const message = t('ticket.creationNotice', {
+        ticketId,
+        title: ticketDetails.name,
+        type: i18nService.label(language, 'ticketType', ticketDetails.type),
+        status: i18nService.label(language, 'status', ticketDetails.status),
+        urgency: i18nService.label(language, 'urgency', ticketDetails.urgency)
+      });
       
       // Créer les boutons pour les actions rapides
       const buttons = [
@@ -274,27 +277,30 @@ const ticketMonitorService = {
           type: "reply",
           reply: {
             id: `track_ticket_${ticketId}`,
-            title: "📋 Voir détails"
+            title: t('ticket.viewDetailsButton')
           }
         },
         {
           type: "reply",
           reply: {
             id: `view_comments_${ticketId}`,
-            title: "💬 Voir commentaires"
+            title: t('ticket.viewCommentsButton')
           }
         },
         {
           type: "reply",
           reply: {
             id: `comment_ticket_${ticketId}`,
-            title: "📝 Commenter"
+            title: t('ticket.commentActionButton')
           }
         }
       ];
       
       // Envoyer la notification
-      await whatsappService.sendButtonsMessage(phoneNumber, message, buttons, "Ticket créé");
+      await whatsappService.sendButtonsMessage(phoneNumber, message, buttons, t('ticket.creationHeader'), {
+        ticketId,
+        updateType: 'creation'
+      });
       
       // Abonner automatiquement l'utilisateur aux notifications pour ce ticket
       notificationService.subscribeToTicket(phoneNumber, ticketId);
@@ -4,12 +4,30 @@
  */
 
 const glpiService = require('./glpiService');
+const i18nService = require('./i18nService');
+
+// Champs de tri acceptés après "tri:" : { mot saisi: champ de glpiService.searchTickets }
+const SORT_FIELDS = {
+  date: 'dateCreation',
+  modification: 'dateModification',
+  numero: 'id',
+  statut: 'status',
+  urgence: 'urgency',
+  type: 'type',
+  titre: 'title'
+};
+
+// Critères reconnus dans une saisie ("statut:2"...), même avec une valeur invalide
+const CRITERION_PATTERN = /\b(mot|statut|type|urgence|cat[ée]gorie|tri|ordre|page):/i;
+
+// Nombre de résultats par page ("page:2"), autant que les résultats affichés par le parcours de recherche
+const RESULTS_PER_PAGE = 5;
 
 const ticketSearchService = {
   /**
    * Rechercher des tickets selon différents critères
-   * @param {Object} criteria - Critères de recherche
-   * @returns {Promise<Array>} - Liste des tickets correspondants
+   * @param {Object} criteria - Critères de recherche (voir glpiService.searchTickets)
+   * @returns {Promise<Object>} - { tickets, totalCount }
    */
   searchTickets: async (criteria) => {
     try {
@@ -24,36 +42,38 @@ const ticketSearchService = {
    * Formater les résultats de recherche pour l'affichage dans WhatsApp
    * @param {Array} tickets - Liste des tickets trouvés
    * @param {string} [keyword] - Mot-clé utilisé pour la recherche
+   * @param {string} [language] - Langue du message
    * @returns {string} - Message formaté pour WhatsApp
    */
-  formatSearchResults: (tickets, keyword = null) => {
+  formatSearchResults: (tickets, keyword = null, language = i18nService.DEFAULT_LANGUAGE) => {
+    const t = (key, params) => i18nService.t(language, key, params);
+
     if (!tickets || tickets.length === 0) {
       if (keyword) {
-        return `🔍 Aucun ticket trouvé pour la recherche "${keyword}".`;
+        return t('search.noResultsForKeyword', { keyword });
       }
-      return "🔍 Aucun ticket ne correspond à vos critères de recherche.";
+      return t('search.noResultsPlain');
     }
     
     let message = "";
     
     if (keyword) {
-      message += `🔍 *Résultats pour "${keyword}"*\n\n`;
+      message += `${t('search.resultsForKeyword', { keyword })}\n\n`;
     } else {
-      message += `🔍 *Résultats de recherche*\n\n`;
+      message += `${t('search.resultsTitle')}\n\n`;
     }
     
-    message += `${tickets.length} ticket(s) trouvé(s):\n\n`;
+    message += `${t('search.found', { count: tickets.length })}\n\n`;
     
     tickets.forEach((ticket, index) => {
       message += `*#${ticket.id}* - ${ticket.title}\n`;
-      message += `📋 Type: ${glpiService.getTicketTypeName(ticket.type)}\n`;
-      message += `🚦 Statut: ${glpiService.getTicketStatusName(ticket.status)}\n`;
-      message += `🔥 Urgence: ${glpiService.getUrgencyName(ticket.urgency)}\n`;
+      message += `${t('search.resultType', { type: i18nService.label(language, 'ticketType', ticket.type) })}\n`;
+      message += `${t('search.resultStatus', { status: i18nService.label(language, 'status', ticket.status) })}\n`;
+      message += `${t('search.resultUrgency', { urgency: i18nService.label(language, 'urgency', ticket.urgency) })}\n`;
       
       // Ajouter la date de création formatée
       if (ticket.dateCreation) {
-        const date = new Date(ticket.dateCreation);
-        message += `📅 Créé le: ${date.toLocaleDateString('fr-FR')} à ${date.toLocaleTimeString('fr-FR')}\n`;
+        message += `${t('search.resultCreatedAt', { date: i18nService.formatDateTime(language, ticket.dateCreation) })}\n`;
       }
       
       // Ajouter un séparateur entre les tickets
@@ -67,25 +87,12 @@ const ticketSearchService = {
   
   /**
    * Formater un message pour demander les critères de recherche
+   * Les mots-clés des critères (mot:, statut:...) sont les mêmes dans toutes les langues.
+   * @param {string} [language] - Langue du message
    * @returns {string} - Message formaté pour WhatsApp
    */
-  formatSearchCriteriaPrompt: () => {
-    return `🔍 *Recherche avancée de tickets*\n\n` +
-      `Veuillez spécifier vos critères de recherche:\n\n` +
-      `1️⃣ Pour rechercher par mot-clé, envoyez:\n` +
-      `   *mot:* suivi de votre mot-clé\n\n` +
-      `2️⃣ Pour filtrer par statut, envoyez:\n` +
-      `   *statut:* suivi du numéro de statut (1-6)\n\n` +
-      `3️⃣ Pour filtrer par type, envoyez:\n` +
-      `   *type:* suivi du type (1=incident, 2=demande)\n\n` +
-      `4️⃣ Pour filtrer par urgence, envoyez:\n` +
-      `   *urgence:* suivi du niveau d'urgence (1-5)\n\n` +
-      `5️⃣ Pour combiner plusieurs critères, séparez-les par des espaces.\n\n` +
-      `Exemples:\n` +
-      `- "mot:imprimante"\n` +
-      `- "statut:2 type:1"\n` +
-      `- "mot:réseau urgence:3"\n\n` +
-      `Envoyez *annuler* pour revenir au menu principal.`;
+  formatSearchCriteriaPrompt: (language = i18nService.DEFAULT_LANGUAGE) => {
+    return i18nService.t(language, 'search.criteriaPrompt');
   },
   
   /**
@@ -96,10 +103,10 @@ const ticketSearchService = {
   parseCriteria: (text) => {
     const criteria = {};
     
-    // Rechercher les différents critères dans le texte
-    const keywordMatch = text.match(/mot:([^\s]+)/i);
-    if (keywordMatch && keywordMatch[1]) {
-      criteria.keyword = keywordMatch[1];
+    // Rechercher les différents critères dans le texte (mot-clé entre guillemets pour plusieurs mots)
+    const keywordMatch = text.match(/mot:(?:"([^"]+)"|([^\s]+))/i);
+    if (keywordMatch) {
+      criteria.keyword = (keywordMatch[1] || keywordMatch[2]).trim();
     }
     
     const statusMatch = text.match(/statut:(\d+)/i);
@@ -117,13 +124,30 @@ const ticketSearchService = {
       criteria.urgency = parseInt(urgencyMatch[1]);
     }
     
-    const categoryMatch = text.match(/categorie:(\d+)/i);
+    const categoryMatch = text.match(/cat[ée]gorie:(\d+)/i);
     if (categoryMatch && categoryMatch[1]) {
       criteria.category = parseInt(categoryMatch[1]);
     }
     
+    const sortMatch = text.match(/tri:(\w+)/i);
+    if (sortMatch && SORT_FIELDS[sortMatch[1].toLowerCase()]) {
+      criteria.sort = SORT_FIELDS[sortMatch[1].toLowerCase()];
+    }
+
+    const orderMatch = text.match(/ordre:(asc|desc)/i);
+    if (orderMatch) {
+      criteria.order = orderMatch[1].toUpperCase();
+    }
+
+    const pageMatch = text.match(/page:(\d+)/i);
+    if (pageMatch && parseInt(pageMatch[1]) > 1) {
+      criteria.start = (parseInt(pageMatch[1]) - 1) * RESULTS_PER_PAGE;
+      criteria.limit = RESULTS_PER_PAGE;
+    }
+
     // Si aucun critère n'est spécifié mais qu'il y a du texte, considérer comme mot-clé
-    if (Object.keys(criteria).length === 0 && text.trim() && !text.match(/^annuler$/i)) {
+    // (un critère à la valeur invalide, comme "tri:inconnu" ou "page:-2", est ignoré et non recherché comme mot-clé)
+    if (Object.keys(criteria).length === 0 && text.trim() && !text.match(/^annuler$/i) && !CRITERION_PATTERN.test(text)) {
       criteria.keyword = text.trim();
     }
     
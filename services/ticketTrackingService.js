@@ -3,13 +3,25 @@
  * Permet de consulter l'état et les réponses d'un ticket existant
  */
 
-const axios = require('axios');
 const glpiService = require('./glpiService');
+const glpiClient = require('./glpiClient');
 const notificationService = require('./notificationService');
+const i18nService = require('./i18nService');
+
+/**
+ * Statut GLPI d'un ticket, qu'il soit donné tel quel ou sous la forme { id, name }
+ * @param {number|Object} status
+ * @returns {number}
+ */
+function statusIdOf(status) {
+  return status && typeof status === 'object' ? status.id : status;
+}
 
 const ticketTrackingService = {
   /**
    * Récupère les informations complètes d'un ticket
+   * Les dates et le type sont conservés tels que fournis par GLPI : ils sont mis en forme
+   * dans la langue de l'utilisateur au moment de l'affichage
    * @param {number} ticketId - ID du ticket à consulter
    * @returns {Promise<Object>} - Informations du ticket et ses suivis
    */
@@ -27,42 +39,32 @@ const ticketTrackingService = {
       
       try {
         // Récupérer les groupes assignés
-        const groupsResponse = await axios({
+        const groupsResponse = await glpiClient.request({
           method: 'GET',
-          url: `${process.env.GLPI_API_URL}/Group_Ticket`,
-          headers: {
-            'Content-Type': 'application/json',
-            'Session-Token': glpiService.sessionToken,
-            'App-Token': process.env.GLPI_APP_TOKEN
-          },
+          path: '/Group_Ticket',
           params: {
             searchText: `{"tickets_id": ${ticketId}, "type": 2}`
           }
         });
         
-        if (groupsResponse.data && Array.isArray(groupsResponse.data)) {
-          assignedGroups = groupsResponse.data.map(group => ({
+        if (Array.isArray(groupsResponse)) {
+          assignedGroups = groupsResponse.map(group => ({
             id: group.groups_id,
             name: group.groups_name || `Groupe #${group.groups_id}`
           }));
         }
         
         // Récupérer les techniciens assignés
-        const techniciansResponse = await axios({
+        const techniciansResponse = await glpiClient.request({
           method: 'GET',
-          url: `${process.env.GLPI_API_URL}/Ticket_User`,
-          headers: {
-            'Content-Type': 'application/json',
-            'Session-Token': glpiService.sessionToken,
-            'App-Token': process.env.GLPI_APP_TOKEN
-          },
+          path: '/Ticket_User',
           params: {
             searchText: `{"tickets_id": ${ticketId}, "type": 2}`
           }
         });
         
-        if (techniciansResponse.data && Array.isArray(techniciansResponse.data)) {
-          assignedTechnicians = techniciansResponse.data.map(tech => ({
+        if (Array.isArray(techniciansResponse)) {
+          assignedTechnicians = techniciansResponse.map(tech => ({
             id: tech.users_id,
             name: tech.users_name || `Technicien #${tech.users_id}`
           }));
@@ -81,18 +83,18 @@ const ticketTrackingService = {
           id: ticketData.status,
           name: glpiService.getTicketStatusName(ticketData.status)
         },
-        type: ticketData.type === 1 ? 'Incident' : 'Demande',
+        type: ticketData.type,
         urgency: ticketData.urgency,
         category: ticketData.itilcategories_id,
-        dateCreation: new Date(ticketData.date_creation).toLocaleString('fr-FR'),
-        dateModification: ticketData.date_mod ? new Date(ticketData.date_mod).toLocaleString('fr-FR') : null,
-        dateClosure: ticketData.closedate ? new Date(ticketData.closedate).toLocaleString('fr-FR') : null,
+        dateCreation: ticketData.date_creation,
+        dateModification: ticketData.date_mod || null,
+        dateClosure: ticketData.closedate || null,
         assignedGroups: assignedGroups,
         assignedTechnicians: assignedTechnicians,
         followups: followups.map(followup => ({
           id: followup.id,
           content: followup.content,
-          date: new Date(followup.date).toLocaleString('fr-FR'),
+          date: followup.date,
           author: followup.users_id_editor
         }))
       };
@@ -108,41 +110,45 @@ const ticketTrackingService = {
    * Formater un message pour afficher les détails d'un ticket
    * @param {Object} ticket - Détails du ticket
    * @param {boolean} isSubscribed - Si l'utilisateur est abonné aux notifications
+   * @param {string} [language] - Langue de l'utilisateur
    * @returns {string} - Message formaté
    */
-  formatTicketDetailsMessage: (ticket, isSubscribed) => {
+  formatTicketDetailsMessage: (ticket, isSubscribed, language = i18nService.DEFAULT_LANGUAGE) => {
+    const t = (key, params) => i18nService.t(language, key, params);
+
     // Vérifier si le ticket existe
     if (!ticket || !ticket.id) {
-      return "❌ Impossible de récupérer les détails du ticket.";
+      return t('ticket.detailsUnavailable');
     }
     
     // Formater les détails du ticket
-    let message = `📋 *DÉTAILS DU TICKET #${ticket.id}*\n\n`;
+    let message = t('ticket.detailsTitle', { ticketId: ticket.id }) + '\n\n';
     
     // Informations principales
-    message += `📝 *Titre:* ${ticket.title || ticket.name}\n`;
-    message += `🔖 *Type:* ${glpiService.getTicketTypeName(ticket.type)}\n`;
-    message += `🚦 *Statut:* ${glpiService.getTicketStatusName(ticket.status)}\n`;
-    message += `🔥 *Urgence:* ${glpiService.getUrgencyName(ticket.urgency)}\n`;
+    message += t('ticket.title', { title: ticket.title || ticket.name }) + '\n';
+    message += t('ticket.type', { type: i18nService.label(language, 'ticketType', ticket.type) }) + '\n';
+    message += t('ticket.status', { status: i18nService.label(language, 'status', statusIdOf(ticket.status)) }) + '\n';
+    message += t('ticket.urgency', { urgency: i18nService.label(language, 'urgency', ticket.urgency) }) + '\n';
     
     // Date de création et dernière mise à jour
-    if (ticket.date_creation) {
-      const creationDate = new Date(ticket.date_creation);
-      message += `📅 *Créé le:* ${creationDate.toLocaleDateString('fr-FR')} à ${creationDate.toLocaleTimeString('fr-FR')}\n`;
+    const creationDate = ticket.date_creation || ticket.dateCreation;
+    const modificationDate = ticket.date_mod || ticket.dateModification;
+
+    if (creationDate) {
+      message += t('ticket.createdAt', { date: i18nService.formatDateTime(language, creationDate) }) + '\n';
     }
     
-    if (ticket.date_mod && ticket.date_mod !== ticket.date_creation) {
-      const modificationDate = new Date(ticket.date_mod);
-      message += `🔄 *Dernière mise à jour:* ${modificationDate.toLocaleDateString('fr-FR')} à ${modificationDate.toLocaleTimeString('fr-FR')}\n`;
+    if (modificationDate && modificationDate !== creationDate) {
+      message += t('ticket.updatedAt', { date: i18nService.formatDateTime(language, modificationDate) }) + '\n';
     }
     
     // Assignation
     if (ticket.assigned_user_name) {
-      message += `👤 *Assigné à:* ${ticket.assigned_user_name}\n`;
+      message += t('ticket.assignedTo', { name: ticket.assigned_user_name }) + '\n';
     } else if (ticket.assigned_group_name) {
-      message += `👥 *Assigné au groupe:* ${ticket.assigned_group_name}\n`;
+      message += t('ticket.assignedToGroup', { name: ticket.assigned_group_name }) + '\n';
     } else {
-      message += `👤 *Assignation:* Non assigné\n`;
+      message += t('ticket.notAssigned') + '\n';
     }
     
     // Description
@@ -152,11 +158,11 @@ const ticketTrackingService = {
         ? description.substring(0, 300) + "..." 
         : description;
       
-      message += `\n📄 *Description:*\n${truncatedDescription}\n`;
+      message += '\n' + t('ticket.description', { description: truncatedDescription }) + '\n';
     }
     
     // Statut d'abonnement
-    message += `\n${isSubscribed ? "✅" : "❌"} Vous êtes ${isSubscribed ? "" : "non "}abonné aux notifications pour ce ticket.\n`;
+    message += '\n' + t(isSubscribed ? 'ticket.subscribed' : 'ticket.notSubscribed') + '\n';
     
     return message;
   },
@@ -164,55 +170,58 @@ const ticketTrackingService = {
   /**
    * Formate les informations du ticket pour l'affichage dans WhatsApp
    * @param {Object} ticketDetails - Détails du ticket
+   * @param {string} [language] - Langue de l'utilisateur
    * @returns {string} - Message formaté pour WhatsApp
    */
-  formatTicketMessage: (ticketDetails) => {
-    let message = `*🎫 Ticket #${ticketDetails.id}*\n\n`;
+  formatTicketMessage: (ticketDetails, language = i18nService.DEFAULT_LANGUAGE) => {
+    const t = (key, params) => i18nService.t(language, key, params);
+
+    let message = t('ticket.header', { ticketId: ticketDetails.id }) + '\n\n';
     
     // Informations principales
-    message += `📋 *Titre:* ${ticketDetails.title}\n`;
-    message += `🔍 *Type:* ${ticketDetails.type}\n`;
-    message += `🚦 *Statut:* ${ticketDetails.status.name}\n`;
-    message += `🔥 *Urgence:* ${ticketDetails.urgency}/5\n`;
-    message += `📅 *Créé le:* ${ticketDetails.dateCreation}\n`;
+    message += t('ticket.title', { title: ticketDetails.title }) + '\n';
+    message += t('ticket.type', { type: i18nService.label(language, 'ticketType', ticketDetails.type) }) + '\n';
+    message += t('ticket.status', { status: i18nService.label(language, 'status', statusIdOf(ticketDetails.status)) }) + '\n';
+    message += t('ticket.urgencyScore', { urgency: ticketDetails.urgency }) + '\n';
+    message += t('ticket.createdAt', { date: i18nService.formatDateTime(language, ticketDetails.dateCreation) }) + '\n';
     
     if (ticketDetails.dateModification) {
-      message += `🔄 *Dernière modification:* ${ticketDetails.dateModification}\n`;
+      message += t('ticket.updatedAt', { date: i18nService.formatDateTime(language, ticketDetails.dateModification) }) + '\n';
     }
     
     if (ticketDetails.dateClosure) {
-      message += `✅ *Clôturé le:* ${ticketDetails.dateClosure}\n`;
+      message += t('ticket.closedAt', { date: i18nService.formatDateTime(language, ticketDetails.dateClosure) }) + '\n';
     }
     
     // Assignations
     if (ticketDetails.assignedGroups && ticketDetails.assignedGroups.length > 0) {
-      message += `\n👥 *Groupes assignés:*\n`;
+      message += '\n' + t('ticket.assignedGroups') + '\n';
       ticketDetails.assignedGroups.forEach(group => {
         message += `   - ${group.name} (ID: ${group.id})\n`;
       });
     }
     
     if (ticketDetails.assignedTechnicians && ticketDetails.assignedTechnicians.length > 0) {
-      message += `\n👨‍💻 *Techniciens assignés:*\n`;
+      message += '\n' + t('ticket.assignedTechnicians') + '\n';
       ticketDetails.assignedTechnicians.forEach(tech => {
         message += `   - ${tech.name} (ID: ${tech.id})\n`;
       });
     }
     
     // Description
-    message += `\n📝 *Description:*\n${ticketDetails.description}\n`;
+    message += '\n' + t('ticket.description', { description: ticketDetails.description }) + '\n';
     
     // Suivis
     if (ticketDetails.followups && ticketDetails.followups.length > 0) {
-      message += `\n💬 *Réponses (${ticketDetails.followups.length}):*\n`;
+      message += '\n' + t('ticket.followups', { count: ticketDetails.followups.length }) + '\n';
       
       ticketDetails.followups.forEach((followup, index) => {
-        message += `\n------- Réponse #${index + 1} (ID: ${followup.id}) -------\n`;
-        message += `📅 ${followup.date}\n`;
+        message += '\n' + t('ticket.followupHeader', { index: index + 1, id: followup.id }) + '\n';
+        message += `📅 ${i18nService.formatDateTime(language, followup.date)}\n`;
         message += `${followup.content}\n`;
       });
     } else {
-      message += `\n💬 *Aucune réponse pour le moment*\n`;
+      message += '\n' + t('ticket.noFollowups') + '\n';
     }
     
     return message;
@@ -397,47 +406,37 @@ const ticketTrackingService = {
   
   /**
    * Formate un message pour demander un commentaire
+   * @param {string} [language] - Langue de l'utilisateur
    * @returns {string} - Message formaté pour WhatsApp
    */
-  formatAddCommentMessage: () => {
-    return "Veuillez entrer votre commentaire pour ce ticket.\n\n" +
-           "Ce commentaire sera visible par tous les utilisateurs ayant accès au ticket.";
-  },
-
-  /**
-   * Formate un message pour demander un suivi
-   * @returns {string} - Message formaté pour WhatsApp
-   */
-  formatAddFollowupMessage: () => {
-    return "💬 *Ajouter un suivi au ticket*\n\n" +
-           "Veuillez entrer le texte de votre suivi pour ce ticket.\n\n" +
-           "Ce suivi sera visible par tous les utilisateurs ayant accès au ticket.";
+  formatAddCommentMessage: (language = i18nService.DEFAULT_LANGUAGE) => {
+    return i18nService.t(language, 'ticket.addCommentPrompt');
   },
 
   /**
    * Formate un message pour demander un demandeur
+   * @param {string} [language] - Langue de l'utilisateur
    * @returns {string} - Message formaté pour WhatsApp
    */
-  formatAddRequesterMessage: () => {
-    return "👤 *Ajouter un demandeur au ticket*\n\n" +
-           "Veuillez entrer l'identifiant ou le nom du demandeur à ajouter.\n\n" +
-           "Exemple: jean.dupont@entreprise.com ou Jean Dupont";
+  formatAddRequesterMessage: (language = i18nService.DEFAULT_LANGUAGE) => {
+    return i18nService.t(language, 'ticket.addRequesterPrompt');
   },
 
   /**
    * Ajouter un demandeur à un ticket
    * @param {number} ticketId - ID du ticket
    * @param {string} requesterInfo - Informations sur le demandeur (email ou nom)
+   * @param {string} [language] - Langue des messages retournés
    * @returns {Promise<Object>} - Résultat de l'opération
    */
-  addRequesterToTicket: async (ticketId, requesterInfo) => {
+  addRequesterToTicket: async (ticketId, requesterInfo, language = i18nService.DEFAULT_LANGUAGE) => {
     try {
       // Vérifier si le ticket existe
       const ticketDetails = await glpiService.getTicket(ticketId);
       if (!ticketDetails) {
         return {
           success: false,
-          message: `❌ Ticket #${ticketId} introuvable. Impossible d'ajouter le demandeur.`
+          message: i18nService.t(language, 'ticket.requesterTicketNotFound', { ticketId })
         };
       }
 
@@ -445,153 +444,170 @@ const ticketTrackingService = {
       let userId = null;
       try {
         // Essayer de rechercher par email
-        const usersResponse = await axios({
+        const usersResponse = await glpiClient.request({
           method: 'GET',
-          url: `${process.env.GLPI_API_URL}/User`,
-          headers: {
-            'Content-Type': 'application/json',
-            'Session-Token': glpiService.sessionToken,
-            'App-Token': process.env.GLPI_APP_TOKEN
-          },
+          path: '/User',
           params: {
             searchText: JSON.stringify({email: requesterInfo})
           }
         });
 
-        if (usersResponse.data && Array.isArray(usersResponse.data) && usersResponse.data.length > 0) {
-          userId = usersResponse.data[0].id;
+        if (Array.isArray(usersResponse) && usersResponse.length > 0) {
+          userId = usersResponse[0].id;
         } else {
           // Essayer de rechercher par nom
-          const usersNameResponse = await axios({
+          const usersNameResponse = await glpiClient.request({
             method: 'GET',
-            url: `${process.env.GLPI_API_URL}/User`,
-            headers: {
-              'Content-Type': 'application/json',
-              'Session-Token': glpiService.sessionToken,
-              'App-Token': process.env.GLPI_APP_TOKEN
-            },
+            path: '/User',
             params: {
               searchText: JSON.stringify({name: requesterInfo})
             }
           });
 
-          if (usersNameResponse.data && Array.isArray(usersNameResponse.data) && usersNameResponse.data.length > 0) {
-            userId = usersNameResponse.data[0].id;
+          if (Array.isArray(usersNameResponse) && usersNameResponse.length > 0) {
+            userId = usersNameResponse[0].id;
           }
         }
       } catch (error) {
         console.error(`Erreur lors de la recherche de l'utilisateur ${requesterInfo}:`, error);
         return {
           success: false,
-          message: `❌ Erreur lors de la recherche de l'utilisateur. Veuillez réessayer.`
+          message: i18nService.t(language, 'ticket.userSearchError')
         };
       }
 
       if (!userId) {
         return {
           success: false,
-          message: `❌ Utilisateur '${requesterInfo}' introuvable dans GLPI. Vérifiez l'orthographe ou utilisez un email valide.`
+          message: i18nService.t(language, 'ticket.userNotFound', { user: requesterInfo })
         };
       }
 
       // Ajouter le demandeur au ticket
       try {
-        await axios({
+        await glpiClient.request({
           method: 'POST',
-          url: `${process.env.GLPI_API_URL}/Ticket_User`,
-          headers: {
-            'Content-Type': 'application/json',
-            'Session-Token': glpiService.sessionToken,
-            'App-Token': process.env.GLPI_APP_TOKEN
-          },
+          path: '/Ticket_User',
           data: {
-            tickets_id: ticketId,
-            users_id: userId,
-            type: 1 // 1 = Demandeur
+            input: {
+              tickets_id: ticketId,
+              users_id: userId,
+              type: 1 // 1 = Demandeur
+            }
           }
         });
 
         return {
           success: true,
-          message: `✅ Demandeur ajouté avec succès au ticket #${ticketId}.`
+          message: i18nService.t(language, 'ticket.requesterAdded', { ticketId })
         };
       } catch (error) {
         console.error(`Erreur lors de l'ajout du demandeur au ticket ${ticketId}:`, error);
         return {
           success: false,
-          message: `❌ Erreur lors de l'ajout du demandeur au ticket. Veuillez réessayer.`
+          message: i18nService.t(language, 'ticket.requesterError')
         };
       }
     } catch (error) {
       console.error(`Erreur lors de l'ajout du demandeur au ticket ${ticketId}:`, error);
       return {
         success: false,
-        message: `❌ Une erreur s'est produite. Veuillez réessayer plus tard.`
+        message: i18nService.t(language, 'ticket.genericError')
       };
     }
   },
 
   /**
-   * Ajouter un suivi à un ticket
+   * Extraire les contacts d'un message WhatsApp de type "contacts"
+   * @param {Object} message - Message WhatsApp entrant
+   * @param {string} [language] - Langue de l'utilisateur (nom des contacts sans nom)
+   * @returns {Array<Object>} - Liste de contacts { name, emails, phones }
+   */
+  extractContacts: (message, language = i18nService.DEFAULT_LANGUAGE) => {
+    return (message.contacts || []).map(contact => ({
+      name: (contact.name && (contact.name.formatted_name ||
+        [contact.name.first_name, contact.name.last_name].filter(Boolean).join(' '))) || i18nService.t(language, 'contacts.unnamed'),
+      emails: (contact.emails || []).map(item => item.email).filter(Boolean),
+      phones: (contact.phones || []).map(item => item.wa_id || item.phone).filter(Boolean)
+    }));
+  },
+
+  /**
+   * Ajouter un contact partagé comme demandeur ou observateur d'un ticket
+   * Le contact est rapproché d'un utilisateur GLPI par email puis par téléphone ;
+   * à défaut, il est ajouté par son adresse email (acteur sans compte GLPI)
    * @param {number} ticketId - ID du ticket
-   * @param {string} content - Contenu du suivi
-   * @returns {Promise<Object>} - Résultat de l'opération
+   * @param {Object} contact - Contact extrait par extractContacts
+   * @param {string} role - 'requester' ou 'observer'
+   * @param {string} [language] - Langue des messages retournés
+   * @returns {Promise<Object>} - Résultat de l'opération { success, message }
    */
-  addFollowupToTicket: async (ticketId, content) => {
+  addContactToTicket: async (ticketId, contact, role = 'requester', language = i18nService.DEFAULT_LANGUAGE) => {
+    const roleLabel = i18nService.t(language, role === 'observer' ? 'ticket.roleObserver' : 'ticket.roleRequester');
+
     try {
-      // Vérifier si le ticket existe
-      const ticketDetails = await glpiService.getTicket(ticketId);
-      if (!ticketDetails) {
-        return {
-          success: false,
-          message: `❌ Ticket #${ticketId} introuvable. Impossible d'ajouter le suivi.`
-        };
+      let user = null;
+
+      for (const email of contact.emails) {
+        user = await glpiService.findUserByEmail(email);
+        if (user) {
+          break;
+        }
       }
 
-      // Ajouter le suivi au ticket
-      try {
-        await axios({
-          method: 'POST',
-          url: `${process.env.GLPI_API_URL}/ITILFollowup`,
-          headers: {
-            'Content-Type': 'application/json',
-            'Session-Token': glpiService.sessionToken,
-            'App-Token': process.env.GLPI_APP_TOKEN
-          },
-          data: {
-            itemtype: 'Ticket',
-            items_id: ticketId,
-            content: content
+      if (!user) {
+        for (const phone of contact.phones) {
+          user = await glpiService.findUserByPhone(phone);
+          if (user) {
+            break;
           }
-        });
+        }
+      }
 
+      if (user) {
+        await glpiService.addTicketActor(ticketId, { userId: user.id, role });
         return {
           success: true,
-          message: `✅ Suivi ajouté avec succès au ticket #${ticketId}.`
+          message: i18nService.t(language, 'ticket.contactAdded', { name: contact.name, role: roleLabel, ticketId })
         };
-      } catch (error) {
-        console.error(`Erreur lors de l'ajout du suivi au ticket ${ticketId}:`, error);
+      }
+
+      if (contact.emails.length > 0) {
+        await glpiService.addTicketActor(ticketId, { alternativeEmail: contact.emails[0], role });
         return {
-          success: false,
-          message: `❌ Erreur lors de l'ajout du suivi au ticket. Veuillez réessayer.`
+          success: true,
+          message: i18nService.t(language, 'ticket.contactAddedByEmail', {
+            name: contact.name,
+            role: roleLabel,
+            ticketId,
+            email: contact.emails[0]
+          })
         };
       }
+
+      return {
+        success: false,
+        message: i18nService.t(language, 'ticket.contactNoEmail', { name: contact.name })
+      };
     } catch (error) {
-      console.error(`Erreur lors de l'ajout du suivi au ticket ${ticketId}:`, error);
+      console.error(`Erreur lors de l'ajout du contact ${contact.name} au ticket ${ticketId}:`, error);
       return {
         success: false,
-        message: `❌ Une erreur s'est produite. Veuillez réessayer plus tard.`
+        message: i18nService.t(language, 'ticket.contactError', { name: contact.name })
       };
     }
   },
-  
+
   /**
    * Suivre un ticket spécifique
    * @param {string} phoneNumber - Numéro de téléphone de l'utilisateur
    * @param {number} ticketId - ID du ticket à suivre
+   * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
    * @returns {Promise<Object>} - Résultat de l'opération
    */
-  trackTicket: async (phoneNumber, ticketId) => {
+  trackTicket: async (phoneNumber, ticketId, language = i18nService.getUserLanguage(phoneNumber)) => {
+    const t = (key, params) => i18nService.t(language, key, params);
+
     try {
       // Récupérer les détails du ticket
       const ticketDetails = await ticketTrackingService.getTicketDetails(ticketId);
@@ -599,7 +615,7 @@ const ticketTrackingService = {
       if (!ticketDetails) {
         return {
           success: false,
-          message: `❌ Ticket #${ticketId} introuvable. Veuillez vérifier le numéro et réessayer.`
+          message: t('ticket.notFound', { ticketId })
         };
       }
       
@@ -607,7 +623,7 @@ const ticketTrackingService = {
       const isSubscribed = notificationService.isSubscribedToTicket(phoneNumber, ticketId);
       
       // Formater le message avec les détails du ticket
-      const message = ticketTrackingService.formatTicketDetailsMessage(ticketDetails, isSubscribed);
+      const message = ticketTrackingService.formatTicketDetailsMessage(ticketDetails, isSubscribed, language);
       
       // Préparer les options pour l'utilisateur (première ligne de boutons)
       const buttons1 = [
@@ -615,14 +631,14 @@ const ticketTrackingService = {
           type: "reply",
           reply: {
             id: `comment_ticket_${ticketId}`,
-            title: "📝 Ajouter commentaire"
+            title: t('ticket.addCommentButton')
           }
         },
         {
           type: "reply",
           reply: {
             id: `add_followup_${ticketId}`,
-            title: "💬 Ajouter suivi"
+            title: t('ticket.addFollowupButton')
           }
         }
       ];
@@ -633,14 +649,14 @@ const ticketTrackingService = {
           type: "reply",
           reply: {
             id: `assign_technician_${ticketId}`,
-            title: "👨‍💻 Attribuer technicien"
+            title: t('ticket.assignTechnicianButton')
           }
         },
         {
           type: "reply",
           reply: {
             id: `add_requester_${ticketId}`,
-            title: "👤 Ajouter demandeur"
+            title: t('ticket.addRequesterButton')
           }
         }
       ];
@@ -654,7 +670,7 @@ const ticketTrackingService = {
           type: "reply",
           reply: {
             id: `unsubscribe_ticket_${ticketId}`,
-            title: "🔕 Se désabonner"
+            title: t('ticket.unsubscribeButton')
           }
         });
       } else {
@@ -662,7 +678,7 @@ const ticketTrackingService = {
           type: "reply",
           reply: {
             id: `subscribe_ticket_${ticketId}`,
-            title: "🔔 S'abonner"
+            title: t('ticket.subscribeButton')
           }
         });
       }
@@ -672,7 +688,7 @@ const ticketTrackingService = {
         type: "reply",
         reply: {
           id: `view_comments_${ticketId}`,
-          title: "💬 Voir commentaires"
+          title: t('ticket.viewCommentsButton')
         }
       });
       
@@ -689,7 +705,7 @@ const ticketTrackingService = {
       console.error(`Erreur lors du suivi du ticket ${ticketId}:`, error);
       return {
         success: false,
-        message: `❌ Une erreur s'est produite lors du suivi du ticket #${ticketId}. Veuillez réessayer plus tard.`
+        message: t('ticket.trackError', { ticketId })
       };
     }
   },
@@ -697,9 +713,12 @@ const ticketTrackingService = {
   /**
    * Récupérer et formater les commentaires d'un ticket
    * @param {number} ticketId - ID du ticket
+   * @param {string} [language] - Langue de l'utilisateur
    * @returns {Promise<Object>} - Résultat de l'opération
    */
-  getTicketComments: async (ticketId) => {
+  getTicketComments: async (ticketId, language = i18nService.DEFAULT_LANGUAGE) => {
+    const t = (key, params) => i18nService.t(language, key, params);
+
     try {
       // Récupérer les suivis du ticket
       const followups = await glpiService.getTicketFollowups(ticketId);
@@ -707,7 +726,7 @@ const ticketTrackingService = {
       if (!followups || followups.length === 0) {
         return {
           success: true,
-          message: `ℹ️ Aucun commentaire trouvé pour le ticket #${ticketId}.`,
+          message: t('ticket.noComments', { ticketId }),
           comments: []
         };
       }
@@ -718,20 +737,21 @@ const ticketTrackingService = {
       });
       
       // Formater les commentaires
-      let message = `💬 *COMMENTAIRES DU TICKET #${ticketId}*\n\n`;
+      let message = t('ticket.commentsTitle', { ticketId }) + '\n\n';
       
       sortedFollowups.forEach((followup, index) => {
-        const date = new Date(followup.date_creation);
-        const formattedDate = `${date.toLocaleDateString('fr-FR')} à ${date.toLocaleTimeString('fr-FR')}`;
+        const formattedDate = i18nService.formatDateTime(language, followup.date_creation);
         
-        message += `*Commentaire #${index + 1}*\n`;
-        message += `📅 *Date:* ${formattedDate}\n`;
+        message += t('ticket.commentHeader', { index: index + 1 }) + '\n';
+        message += t('ticket.commentDate', { date: formattedDate }) + '\n';
         
         if (followup.users_id_editor) {
-          message += `👤 *Auteur:* ${followup.users_id_editor_name || `Utilisateur #${followup.users_id_editor}`}\n`;
+          const author = followup.users_id_editor_name ||
+            t('ticket.commentAuthorFallback', { id: followup.users_id_editor });
+          message += t('ticket.commentAuthor', { author }) + '\n';
         }
         
-        message += `💬 *Contenu:* ${followup.content}\n\n`;
+        message += t('ticket.commentContent', { content: followup.content }) + '\n\n';
       });
       
       // Ajouter un bouton pour retourner aux détails du ticket
@@ -740,7 +760,7 @@ const ticketTrackingService = {
           type: "reply",
           reply: {
             id: `track_ticket_${ticketId}`,
-            title: "📋 Retour aux détails"
+            title: t('ticket.backToDetailsButton')
           }
         }
       ];
@@ -755,7 +775,7 @@ const ticketTrackingService = {
       console.error(`Erreur lors de la récupération des commentaires du ticket ${ticketId}:`, error);
       return {
         success: false,
-        message: `❌ Une erreur s'est produite lors de la récupération des commentaires du ticket #${ticketId}. Veuillez réessayer plus tard.`,
+        message: t('ticket.commentsError', { ticketId }),
         comments: []
       };
     }
@@ -765,9 +785,12 @@ const ticketTrackingService = {
    * Affiche les détails d'un ticket et les options de suivi
    * @param {string} phoneNumber - Numéro de téléphone de l'utilisateur
    * @param {number} ticketId - ID du ticket à afficher
+   * @param {string} [language] - Langue de l'utilisateur (par défaut, sa langue mémorisée)
    * @returns {Promise<void>}
    */
-  displayTicketDetails: async (phoneNumber, ticketId) => {
+  displayTicketDetails: async (phoneNumber, ticketId, language = i18nService.getUserLanguage(phoneNumber)) => {
+    const t = (key, params) => i18nService.t(language, key, params);
+
     try {
       const whatsappService = require('./whatsappService');
       
@@ -777,7 +800,7 @@ const ticketTrackingService = {
       if (!ticketDetails) {
         await whatsappService.sendMessage(
           phoneNumber,
-          `⚠️ Le ticket #${ticketId} n'a pas été trouvé. Veuillez vérifier le numéro et réessayer.`
+          t('tracking.notFound', { ticketId })
         );
         return;
       }
@@ -786,7 +809,7 @@ const ticketTrackingService = {
       const isSubscribed = notificationService.isSubscribedToTicket(phoneNumber, ticketId);
       
       // Formater le message avec les détails du ticket
-      const message = ticketTrackingService.formatTicketMessage(ticketDetails);
+      const message = ticketTrackingService.formatTicketMessage(ticketDetails, language);
       
       // Préparer les options pour l'utilisateur (première ligne de boutons)
       const buttons = [
@@ -794,21 +817,21 @@ const ticketTrackingService = {
           type: "reply",
           reply: {
             id: `comment_ticket_${ticketId}`,
-            title: "📝 Commentaire"
+            title: t('ticket.commentButton')
           }
         },
         {
           type: "reply",
           reply: {
             id: `assign_ticket_${ticketId}`,
-            title: "👤 Attribuer"
+            title: t('ticket.assignButton')
           }
         },
         {
           type: "reply",
           reply: {
             id: `add_requester_${ticketId}`,
-            title: "👥 Demandeur"
+            title: t('ticket.requesterButton')
           }
         }
       ];
@@ -817,12 +840,12 @@ const ticketTrackingService = {
       const secondRowButtons = [];
       
       // Ajouter le bouton de fermeture uniquement si le ticket n'est pas déjà fermé
-      if (ticketDetails.status !== 6) { // 6 = Fermé
+      if (statusIdOf(ticketDetails.status) !== 6) { // 6 = Fermé
         secondRowButtons.push({
           type: "reply",
           reply: {
             id: `close_ticket_${ticketId}`,
-            title: "✅ Fermer ticket"
+            title: t('ticket.closeButton')
           }
         });
       }
@@ -833,7 +856,7 @@ const ticketTrackingService = {
           type: "reply",
           reply: {
             id: `unsub_ticket_${ticketId}`,
-            title: "🔕 Désabonner"
+            title: t('ticket.unsubscribeShortButton')
           }
         });
       } else {
@@ -841,7 +864,7 @@ const ticketTrackingService = {
           type: "reply",
           reply: {
             id: `sub_ticket_${ticketId}`,
-            title: "🔔 S'abonner"
+            title: t('ticket.subscribeButton')
           }
         });
       }
@@ -851,16 +874,16 @@ const ticketTrackingService = {
         type: "reply",
         reply: {
           id: `back_to_menu`,
-          title: "🏠 Menu principal"
+          title: t('common.menuButton')
         }
       });
       
       // Envoyer le message avec la première ligne de boutons
       await whatsappService.sendButtonsMessage(
         phoneNumber,
-        "Détails du ticket",
         message,
-        buttons
+        buttons,
+        t('ticket.detailsHeader')
       );
       
       // Attendre un court instant pour que le premier message soit bien reçu
@@ -869,16 +892,16 @@ const ticketTrackingService = {
       // Envoyer la seconde ligne de boutons
       await whatsappService.sendButtonsMessage(
         phoneNumber,
-        "Actions supplémentaires",
-        "Choisissez parmi les options suivantes :",
-        secondRowButtons
+        t('ticket.moreActionsBody'),
+        secondRowButtons,
+        t('ticket.moreActionsHeader')
       );
     } catch (error) {
       console.error(`Erreur lors de l'affichage des détails du ticket ${ticketId} pour ${phoneNumber}:`, error);
       const whatsappService = require('./whatsappService');
       await whatsappService.sendMessage(
         phoneNumber,
-        `❌ Une erreur s'est produite lors de l'affichage des détails du ticket #${ticketId}. Veuillez réessayer plus tard.`
+        t('ticket.displayError', { ticketId })
       );
     }
   }
@@ -0,0 +1,199 @@
+/**
+ * Liaison des numéros WhatsApp aux utilisateurs GLPI
+ * L'utilisateur donne son adresse email professionnelle ; un code à usage unique est envoyé à cette adresse
+ * (voir mailerService) et la liaison n'est enregistrée qu'une fois le code renvoyé sur WhatsApp.
+ * Les liaisons sont conservées dans data/userLinks.json, les vérifications en cours restent en mémoire.
+ */
+
+const crypto = require('crypto');
+const mailerService = require('./mailerService');
+const i18nService = require('./i18nService');
+const { createDataFile } = require('./dataFiles');
+
+// Durée de validité d'un code de vérification (10 minutes par défaut)
+const CODE_TTL_MS = (parseInt(process.env.LINK_CODE_TTL_MINUTES, 10) || 10) * 60 * 1000;
+
+// Nombre de codes erronés acceptés avant l'annulation de la vérification
+const MAX_ATTEMPTS = parseInt(process.env.LINK_CODE_MAX_ATTEMPTS, 10) || 5;
+
+// Délai minimal entre deux envois de code au même numéro
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const CODE_LENGTH = 6;
+
+// Fichier de persistance des liaisons
+const linksFile = createDataFile('userLinks.json', 'liaisons de comptes GLPI');
+
+// Liaisons : { numéro: { userId, email, linkedAt } }
+const links = linksFile.load({});
+console.log(`${Object.keys(links).length} liaisons de comptes GLPI chargées`);
+
+// Vérifications en cours : numéro -> { userId, email, codeHash, attempts, expiresAt, sentAt }
+const pendingVerifications = new Map();
+
+/**
+ * Planifie l'écriture des liaisons sur le disque
+ */
+function persist() {
+  linksFile.save(links);
+}
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Générer un code et l'envoyer par email pour la vérification en cours
+ * @param {string} phone - Numéro de l'utilisateur
+ * @param {Object} pending - Vérification en cours (complétée avec le nouveau code)
+ * @param {string} language - Langue de l'email
+ */
+async function sendCode(phone, pending, language) {
+  const code = String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+
+  await mailerService.send({
+    to: pending.email,
+    subject: i18nService.t(language, 'link.mailSubject'),
+    text: i18nService.t(language, 'link.mailBody', {
+      code,
+      phone,
+      minutes: Math.round(CODE_TTL_MS / 60000)
+    })
+  });
+
+  Object.assign(pending, {
+    codeHash: hashCode(code),
+    attempts: 0,
+    sentAt: Date.now(),
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+  pendingVerifications.set(phone, pending);
+}
+
+const userLinkService = {
+  /**
+   * Liaison du numéro à un utilisateur GLPI
+   * @param {string} phone - Numéro WhatsApp
+   * @returns {Object|null} - { userId, email, linkedAt } ou null si le numéro n'est pas lié
+   */
+  getLink: (phone) => {
+    return links[phone] || null;
+  },
+
+  /**
+   * Indiquer si le numéro est lié à un utilisateur GLPI
+   * @param {string} phone - Numéro WhatsApp
+   * @returns {boolean}
+   */
+  isLinked: (phone) => {
+    return !!links[phone];
+  },
+
+  /**
+   * Commencer la vérification d'une adresse email : un code est envoyé à l'adresse de l'utilisateur GLPI
+   * @param {string} phone - Numéro WhatsApp
+   * @param {Object} user - Utilisateur GLPI { id }
+   * @param {string} email - Adresse email de l'utilisateur
+   * @param {string} language - Langue de l'email
+   * @returns {Promise<Object>} - { success: true } ou { success: false, retryIn } si un code vient d'être envoyé
+   */
+  startVerification: async (phone, user, email, language) => {
+    const current = pendingVerifications.get(phone);
+    if (current && Date.now() - current.sentAt < RESEND_COOLDOWN_MS) {
+      return { success: false, retryIn: Math.ceil((RESEND_COOLDOWN_MS - (Date.now() - current.sentAt)) / 1000) };
+    }
+
+    await sendCode(phone, { userId: user.id, email }, language);
+    console.log(`Code de liaison envoyé à ${email} pour ${phone}`);
+    return { success: true };
+  },
+
+  /**
+   * Renvoyer un nouveau code pour la vérification en cours
+   * @param {string} phone - Numéro WhatsApp
+   * @param {string} language - Langue de l'email
+   * @returns {Promise<Object>} - { success: true }, { success: false, retryIn } ou { success: false } sans vérification en cours
+   */
+  resendCode: async (phone, language) => {
+    const pending = pendingVerifications.get(phone);
+    if (!pending) {
+      return { success: false };
+    }
+    return userLinkService.startVerification(phone, { id: pending.userId }, pending.email, language);
+  },
+
+  /**
+   * Vérification en cours
+   * @param {string} phone - Numéro WhatsApp
+   * @returns {Object|null} - { email, expiresAt } ou null
+   */
+  getPendingVerification: (phone) => {
+    const pending = pendingVerifications.get(phone);
+    return pending ? { email: pending.email, expiresAt: pending.expiresAt } : null;
+  },
+
+  /**
+   * Vérifier le code renvoyé par l'utilisateur et enregistrer la liaison s'il est correct
+   * @param {string} phone - Numéro WhatsApp
+   * @param {string} code - Code saisi
+   * @returns {Object} - { status } parmi 'linked' (avec link), 'invalid' (avec attemptsLeft), 'expired',
+   *   'tooManyAttempts' et 'none' (aucune vérification en cours)
+   */
+  verify: (phone, code) => {
+    const pending = pendingVerifications.get(phone);
+    if (!pending) {
+      return { status: 'none' };
+    }
+
+    if (Date.now() > pending.expiresAt) {
+      pendingVerifications.delete(phone);
+      return { status: 'expired' };
+    }
+
+    const received = Buffer.from(hashCode(String(code).replace(/\s/g, '')));
+    if (!crypto.timingSafeEqual(received, Buffer.from(pending.codeHash))) {
+      pending.attempts++;
+      if (pending.attempts >= MAX_ATTEMPTS) {
+        pendingVerifications.delete(phone);
+        console.warn(`Vérification de liaison annulée pour ${phone} : trop de codes erronés`);
+        return { status: 'tooManyAttempts' };
+      }
+      return { status: 'invalid', attemptsLeft: MAX_ATTEMPTS - pending.attempts };
+    }
+
+    pendingVerifications.delete(phone);
+    links[phone] = {
+      userId: pending.userId,
+      email: pending.email,
+      linkedAt: new Date().toISOString()
+    };
+    persist();
+
+    console.log(`Numéro ${phone} lié à l'utilisateur GLPI ${pending.userId} (${pending.email})`);
+    return { status: 'linked', link: links[phone] };
+  },
+
+  /**
+   * Abandonner la vérification en cours
+   * @param {string} phone - Numéro WhatsApp
+   */
+  cancelVerification: (phone) => {
+    pendingVerifications.delete(phone);
+  },
+
+  /**
+   * Supprimer la liaison du numéro
+   * @param {string} phone - Numéro WhatsApp
+   * @returns {boolean} - true si le numéro était lié
+   */
+  unlink: (phone) => {
+    if (!links[phone]) {
+      return false;
+    }
+
+    delete links[phone];
+    persist();
+    console.log(`Liaison du numéro ${phone} à GLPI supprimée`);
+    return true;
+  }
+};
+
+module.exports = userLinkService;
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// Préfixe utilisé par Meta dans l'en-tête X-Hub-Signature-256
+const SIGNATURE_PREFIX = 'sha256=';
+
+// Compteurs des requêtes webhook vérifiées / rejetées
+const stats = {
+  accepted: 0,
+  rejected: 0,
+  rejectedByReason: {}
+};
+
+// Service de vérification de la signature des requêtes webhook WhatsApp
+const webhookSecurityService = {
+  /**
+   * Calcule la signature HMAC SHA-256 d'un corps de requête brut
+   * @param {Buffer|string} rawBody - Corps brut de la requête
+   * @param {string} secret - Secret de l'application Meta
+   * @returns {string} - Signature au format "sha256=<hex>"
+   */
+  computeSignature: (rawBody, secret) => {
+    return SIGNATURE_PREFIX + crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  },
+
+  /**
+   * Vérifie la signature X-Hub-Signature-256 d'une requête
+   * @param {Buffer|string} rawBody - Corps brut de la requête
+   * @param {string} signatureHeader - Valeur de l'en-tête X-Hub-Signature-256
+   * @param {string} secret - Secret de l'application (WHATSAPP_APP_SECRET par défaut)
+   * @returns {Object} - { valid: boolean, reason: string|null }
+   */
+  verifySignature: (rawBody, signatureHeader, secret = process.env.WHATSAPP_APP_SECRET) => {
+    if (!secret) {
+      return { valid: false, reason: 'missing_secret' };
+    }
+
+    if (!signatureHeader) {
+      return { valid: false, reason: 'missing_signature' };
+    }
+
+    if (!rawBody) {
+      return { valid: false, reason: 'missing_body' };
+    }
+
+    const expected = Buffer.from(webhookSecurityService.computeSignature(rawBody, secret), 'utf8');
+    const received = Buffer.from(String(signatureHeader), 'utf8');
+
+    // timingSafeEqual exige des buffers de même longueur
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { valid: false, reason: 'invalid_signature' };
+    }
+
+    return { valid: true, reason: null };
+  },
+
+  /**
+   * Middleware Express qui rejette les requêtes non signées ou mal signées
+   * Nécessite que le corps brut soit conservé dans req.rawBody
+   */
+  verifyRequest: (req, res, next) => {
+    const result = webhookSecurityService.verifySignature(
+        req.rawBody,
+        req.get('X-Hub-Signature-256')
+    );
+
+    if (!result.valid) {
+      stats.rejected++;
+      stats.rejectedByReason[result.reason] = (stats.rejectedByReason[result.reason] || 0) + 1;
+
+      if (result.reason === 'missing_secret') {
+        console.error('WHATSAPP_APP_SECRET non configuré, impossible de vérifier la signature du webhook');
+      } else {
+        console.warn(`Requête webhook rejetée (${result.reason}) depuis ${req.ip}`);
+      }
+
+      return res.sendStatus(401);
+    }
+
+    stats.accepted++;
+    next();
+  },
+
+  /**
+   * Récupère les compteurs de vérification des signatures
+   * @returns {Object} - Statistiques des requêtes acceptées et rejetées
+   */
+  getStats: () => {
+    return {
+      accepted: stats.accepted,
+      rejected: stats.rejected,
+      rejectedByReason: { ...stats.rejectedByReason }
+    };
+  }
+};
+
+module.exports = webhookSecurityService;
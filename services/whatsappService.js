@@ -1,4 +1,7 @@
 const axios = require('axios');
+const messageLedgerService = require('./messageLedgerService');
+const messageQueueService = require('./messageQueueService');
+const i18nService = require('./i18nService');
 
 // Configuration des timeouts et retry
 const MAX_RETRIES = 3;
@@ -8,15 +11,33 @@ const TIMEOUT = 10000; // 10 secondes
 // Fonction utilitaire pour attendre un délai
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Message texte remplaçant une liste que WhatsApp n'a pas pu afficher
+const formatListFallback = (bodyText, items, language) => {
+  let fallbackMessage = `${bodyText}\n\n${i18nService.t(language, 'common.listFallback')}\n`;
+
+  items.forEach(item => {
+    fallbackMessage += `- ${item.title}${item.description ? `: ${item.description}` : ''}\n`;
+  });
+
+  return fallbackMessage;
+};
+
+// Message texte remplaçant des boutons que WhatsApp n'a pas pu afficher
+const formatButtonsFallback = (bodyText, buttons, language) => {
+  const titles = buttons.map(button => `- ${(button.reply && button.reply.title) || button.title}`);
+  return `${bodyText}\n\n${i18nService.t(language, 'common.buttonsFallback')}\n${titles.join('\n')}`;
+};
+
 // WhatsApp Cloud API service
 const whatsappService = {
   /**
    * Send a message to a WhatsApp user with retry mechanism
    * @param {string} to - The recipient's phone number
    * @param {string} message - The message to send
+   * @param {Object} context - Contexte métier enregistré dans le registre (ticketId, updateType)
    * @returns {Promise} - Response from WhatsApp API
    */
-  sendMessage: async (recipientPhone, message) => {
+  sendMessage: async (recipientPhone, message, context = {}) => {
     let retries = 0;
     let lastError = null;
 
@@ -56,6 +77,8 @@ const whatsappService = {
         });
 
         console.log(`Message sent successfully to ${recipientPhone}, response:`, JSON.stringify(response.data));
+        messageLedgerService.recordOutbound(response.data, { phone: recipientPhone, type: 'text', preview: message, context });
+        messageQueueService.recordSideEffect('whatsapp');
         return response.data;
       } catch (error) {
         lastError = error;
@@ -113,9 +136,11 @@ const whatsappService = {
    * @param {string} to - The recipient's phone number
    * @param {string} templateName - The name of the template
    * @param {Array} components - Template components (optional)
+   * @param {Object} context - Contexte métier enregistré dans le registre (ticketId, updateType)
+   * @param {string} languageCode - Langue du modèle, qui doit être approuvé dans cette langue (optional)
    * @returns {Promise} - Response from WhatsApp API
    */
-  sendTemplateMessage: async (to, templateName, components = []) => {
+  sendTemplateMessage: async (to, templateName, components = [], context = {}, languageCode = 'fr') => {
     let retries = 0;
     let lastError = null;
 
@@ -142,7 +167,7 @@ const whatsappService = {
             template: {
               name: templateName,
               language: {
-                code: 'fr'
+                code: languageCode
               },
               components: components
             }
@@ -150,6 +175,8 @@ const whatsappService = {
         });
         
         console.log('Template message sent successfully:', response.data);
+        messageLedgerService.recordOutbound(response.data, { phone: to, type: 'template', preview: templateName, context });
+        messageQueueService.recordSideEffect('whatsapp');
         return response.data;
       } catch (error) {
         lastError = error;
@@ -185,7 +212,7 @@ const whatsappService = {
   },
 
   // Send interactive buttons message with retry mechanism
-  sendButtonsMessage: async (recipientPhone, bodyText, buttons, headerText = "GLPI Support") => {
+  sendButtonsMessage: async (recipientPhone, bodyText, buttons, headerText = "GLPI Support", context = {}) => {
     let retries = 0;
     let lastError = null;
 
@@ -272,6 +299,8 @@ const whatsappService = {
         });
 
         console.log(`Button message sent successfully to ${recipientPhone}, response:`, JSON.stringify(response.data));
+        messageLedgerService.recordOutbound(response.data, { phone: recipientPhone, type: 'interactive', preview: bodyText, context });
+        messageQueueService.recordSideEffect('whatsapp');
         return response.data;
       } catch (error) {
         lastError = error;
@@ -296,9 +325,9 @@ const whatsappService = {
           if (error.response && error.response.status === 400) {
             try {
               console.log(`Attempting to send fallback text message to ${recipientPhone}`);
-              const fallbackMessage = `${bodyText}\n\nOptions (répondez avec l'une de ces options):\n${buttons.map(b => `- ${b.title}`).join('\n')}`;
+              const fallbackMessage = formatButtonsFallback(bodyText, buttons, i18nService.getUserLanguage(recipientPhone));
               
-              await whatsappService.sendMessage(recipientPhone, fallbackMessage);
+              await whatsappService.sendMessage(recipientPhone, fallbackMessage, context);
               console.log(`Fallback message sent successfully to ${recipientPhone}`);
               return { success: true, fallback: true };
             } catch (fallbackError) {
@@ -317,9 +346,9 @@ const whatsappService = {
           // Essayer d'envoyer un message texte simple comme dernier recours
           try {
             console.log(`Attempting to send last resort fallback text message to ${recipientPhone}`);
-            const fallbackMessage = `${bodyText}\n\nOptions (répondez avec l'une de ces options):\n${buttons.map(b => `- ${b.title}`).join('\n')}`;
+            const fallbackMessage = formatButtonsFallback(bodyText, buttons, i18nService.getUserLanguage(recipientPhone));
             
-            await whatsappService.sendMessage(recipientPhone, fallbackMessage);
+            await whatsappService.sendMessage(recipientPhone, fallbackMessage, context);
             console.log(`Last resort fallback message sent successfully to ${recipientPhone}`);
             return { success: true, fallback: true };
           } catch (fallbackError) {
@@ -337,9 +366,10 @@ const whatsappService = {
   },
 
   // Send a list message with retry mechanism
-  sendListMessage: async (recipientPhone, headerText, bodyText, buttonText, items) => {
+  sendListMessage: async (recipientPhone, headerText, bodyText, buttonText, items, context = {}) => {
     let retries = 0;
     let lastError = null;
+    const language = i18nService.getUserLanguage(recipientPhone);
 
     while (retries <= MAX_RETRIES) {
       try {
@@ -365,7 +395,7 @@ const whatsappService = {
         
         // Créer une section avec les éléments fournis
         const section = {
-          title: "Options disponibles",
+          title: i18nService.t(language, 'common.listSection').substring(0, 24), // WhatsApp limite les titres de section à 24 caractères
           rows: items.map(item => ({
             id: item.id,
             title: item.title.substring(0, 24), // WhatsApp limite les titres d'élément à 24 caractères
@@ -388,10 +418,10 @@ const whatsappService = {
               text: bodyText.substring(0, 1024) // WhatsApp limite le corps à 1024 caractères
             },
             footer: {
-              text: "Sélectionnez une option"
+              text: i18nService.t(language, 'common.listFooter')
             },
             action: {
-              button: buttonText || "Voir les options",
+              button: buttonText || i18nService.t(language, 'common.listButton'),
               sections: [section]
             }
           }
@@ -408,6 +438,8 @@ const whatsappService = {
         });
 
         console.log(`List message sent successfully to ${recipientPhone}, response:`, JSON.stringify(response.data));
+        messageLedgerService.recordOutbound(response.data, { phone: recipientPhone, type: 'interactive', preview: bodyText, context });
+        messageQueueService.recordSideEffect('whatsapp');
         return response.data;
       } catch (error) {
         lastError = error;
@@ -434,13 +466,7 @@ const whatsappService = {
               console.log(`Attempting to send fallback text message to ${recipientPhone}`);
               
               // Créer un message texte formaté avec les options
-              let fallbackMessage = `${bodyText}\n\nOptions disponibles:\n`;
-              
-              items.forEach(item => {
-                fallbackMessage += `- ${item.title}${item.description ? `: ${item.description}` : ''}\n`;
-              });
-              
-              await whatsappService.sendMessage(recipientPhone, fallbackMessage);
+              await whatsappService.sendMessage(recipientPhone, formatListFallback(bodyText, items, language), context);
               console.log(`Fallback message sent successfully to ${recipientPhone}`);
               return { success: true, fallback: true };
             } catch (fallbackError) {
@@ -460,13 +486,7 @@ const whatsappService = {
           try {
             console.log(`Attempting to send last resort fallback text message to ${recipientPhone}`);
             
-            let fallbackMessage = `${bodyText}\n\nOptions disponibles:\n`;
-            
-            items.forEach(item => {
-              fallbackMessage += `- ${item.title}${item.description ? `: ${item.description}` : ''}\n`;
-            });
-            
-            await whatsappService.sendMessage(recipientPhone, fallbackMessage);
+            await whatsappService.sendMessage(recipientPhone, formatListFallback(bodyText, items, language), context);
             console.log(`Last resort fallback message sent successfully to ${recipientPhone}`);
             return { success: true, fallback: true };
           } catch (fallbackError) {
@@ -481,6 +501,47 @@ const whatsappService = {
     if (lastError) {
       throw lastError;
     }
+  },
+
+  /**
+   * Télécharger un média reçu (image, document, vidéo, audio) via l'API Graph
+   * L'API renvoie d'abord une URL temporaire, qui doit ensuite être téléchargée avec le même token
+   * @param {string} mediaId - Identifiant du média fourni dans le message entrant
+   * @returns {Promise<Object>} - { buffer, mimeType, fileSize }
+   */
+  downloadMedia: async (mediaId) => {
+    try {
+      console.log(`Récupération de l'URL du média ${mediaId}`);
+
+      const metadata = await axios.get(`https://graph.facebook.com/v22.0/${mediaId}`, {
+        headers: {
+          Authorization: `Bearer ${process.env.WHATSAPP_TOKEN}`
+        },
+        timeout: TIMEOUT
+      });
+
+      const response = await axios.get(metadata.data.url, {
+        headers: {
+          Authorization: `Bearer ${process.env.WHATSAPP_TOKEN}`
+        },
+        responseType: 'arraybuffer',
+        timeout: TIMEOUT * 3 // Les vidéos peuvent être volumineuses
+      });
+
+      console.log(`Média ${mediaId} téléchargé (${metadata.data.mime_type}, ${metadata.data.file_size} octets)`);
+
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: metadata.data.mime_type,
+        fileSize: metadata.data.file_size
+      };
+    } catch (error) {
+      console.error(`Error downloading media ${mediaId}:`,
+                   error.response ?
+                   `Status: ${error.response.status}, Data: ${JSON.stringify(error.response.data)}` :
+                   error.message);
+      throw new Error(`Impossible de télécharger le média ${mediaId}`);
+    }
   }
 };
 
@@ -0,0 +1,115 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupEnv } = require('./helpers');
+
+const dataDir = setupEnv({
+  GLPI_ENTITY_ID: '2',
+  GLPI_CATEGORY_CACHE_MINUTES: '60'
+});
+
+// Correspondance des libellés IA : par ID, par nom complet, vers un ID inconnu de GLPI, et sans catégorie
+process.env.CATEGORY_MAPPING_FILE = path.join(dataDir, 'categoryMapping.json');
+fs.writeFileSync(process.env.CATEGORY_MAPPING_FILE, JSON.stringify({
+  incident_reseau: 6,
+  incident_materiel: 'materiel > imprimante',
+  incident_securite: '99',
+  demande_autre: ''
+}));
+
+const glpiService = require('../services/glpiService');
+const categoryService = require('../services/categoryService');
+
+// Catégories GLPI : entité des tickets, entité parente (récursive ou non), autre entité
+const CATEGORIES = [
+  { id: 7, name: 'Imprimante', completename: 'Matériel > Imprimante', entityId: 2, isRecursive: false, isIncident: true, isRequest: false },
+  { id: 6, name: 'Réseau', completename: 'Réseau', entityId: 0, isRecursive: true, isIncident: true, isRequest: true },
+  { id: 2, name: 'Matériel', completename: 'Matériel', entityId: 2, isRecursive: false, isIncident: false, isRequest: true },
+  { id: 3, name: 'Comptabilité', completename: 'Comptabilité', entityId: 0, isRecursive: false, isIncident: true, isRequest: true },
+  { id: 4, name: 'Atelier', completename: 'Atelier', entityId: 5, isRecursive: false, isIncident: true, isRequest: true }
+];
+
+// Chargements des catégories depuis GLPI ; glpiDown simule un GLPI injoignable
+let loads = 0;
+let glpiDown = false;
+glpiService.getItilCategories = async () => {
+  loads++;
+  if (glpiDown) {
+    throw new Error('Impossible de récupérer la liste des catégories ITIL');
+  }
+  return CATEGORIES.map(category => ({ ...category }));
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// Laisser se terminer un rechargement en arrière-plan
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('categoryService', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('utilise l\'ID du fichier de correspondance tant que les catégories ne sont pas chargées', () => {
+    assert.deepEqual(categoryService.resolveLabel('incident_reseau'), { id: 6, name: null });
+  });
+
+  it('ne propose aucune catégorie si GLPI est injoignable au premier chargement', async () => {
+    glpiDown = true;
+
+    assert.deepEqual(await categoryService.getAllCategories(), []);
+
+    glpiDown = false;
+  });
+
+  it('propose les catégories de l\'entité et les catégories récursives, selon l\'arborescence', async () => {
+    const categories = await categoryService.getAllCategories();
+
+    assert.deepEqual(categories.map(category => category.completename), ['Matériel', 'Matériel > Imprimante', 'Réseau']);
+  });
+
+  it('filtre les catégories selon le type de ticket', async () => {
+    assert.deepEqual((await categoryService.getCategories('incident')).map(category => category.id), [7, 6]);
+    assert.deepEqual((await categoryService.getCategories('request')).map(category => category.id), [2, 6]);
+    assert.equal((await categoryService.findCategory('incident', '7')).name, 'Imprimante');
+    assert.equal(await categoryService.findCategory('request', 7), null);
+    assert.equal(await categoryService.findCategory('incident', 3), null);
+  });
+
+  it('rapproche les libellés IA des catégories chargées', () => {
+    assert.deepEqual(categoryService.resolveLabel('incident_reseau'), { id: 6, name: 'Réseau' });
+    // Le nom complet est comparé sans tenir compte des majuscules ni des accents
+    assert.deepEqual(categoryService.resolveLabel('incident_materiel'), { id: 7, name: 'Matériel > Imprimante' });
+    assert.equal(categoryService.resolveLabel('incident_securite'), null);
+    assert.equal(categoryService.resolveLabel('demande_autre'), null);
+    assert.equal(categoryService.getCategoryIdForLabel('libelle_inconnu'), 0);
+    assert.equal(categoryService.getCategoryIdForLabel('incident_reseau'), 6);
+  });
+
+  it('garde les catégories en cache et les recharge en arrière-plan à expiration', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const before = loads;
+
+    await categoryService.getAllCategories();
+    assert.equal(loads, before);
+
+    mock.timers.tick(2 * HOUR);
+    CATEGORIES.push({ id: 8, name: 'Logiciel', completename: 'Logiciel', entityId: 2, isRecursive: false, isIncident: true, isRequest: true });
+
+    // Les catégories en cache sont renvoyées sans attendre le rechargement
+    assert.equal((await categoryService.getAllCategories()).length, 3);
+    await settle();
+
+    assert.equal(loads, before + 1);
+    assert.equal((await categoryService.getAllCategories()).length, 4);
+  });
+
+  it('garde les catégories en cache si GLPI est injoignable au rechargement', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + 3 * HOUR });
+    glpiDown = true;
+
+    assert.equal((await categoryService.getAllCategories()).length, 4);
+    await settle();
+
+    assert.equal((await categoryService.getAllCategories()).length, 4);
+  });
+});
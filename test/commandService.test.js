@@ -0,0 +1,98 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, captureWhatsApp } = require('./helpers');
+
+setupEnv();
+
+const commandService = require('../services/commandService');
+
+// Messages envoyés, à la place de l'API WhatsApp
+const sent = captureWhatsApp();
+
+// Appels des commandes de test : [nom, ...arguments]
+let calls = [];
+
+const USER = '33600000002';
+
+describe('commandService', () => {
+  before(() => {
+    commandService.register({
+      name: 'aide',
+      aliases: { fr: ['aide', '?'], en: ['help'], ar: ['مساعدة'] },
+      description: 'commands.help',
+      handler: async () => {
+        calls.push(['aide']);
+      }
+    });
+    commandService.register({
+      name: 'ticket',
+      aliases: { fr: ['#', 'ticket'], en: ['#', 'ticket'], ar: ['#'] },
+      argument: /\d+/,
+      usage: '#1234',
+      description: 'commands.ticket',
+      handler: async (ctx, ticketId) => {
+        calls.push(['ticket', ticketId]);
+      }
+    });
+    commandService.register({
+      name: 'panne',
+      aliases: { fr: ['panne'], en: ['crash'], ar: ['panne'] },
+      description: 'commands.help',
+      handler: async () => {
+        throw new Error('GLPI indisponible');
+      }
+    });
+  });
+
+  beforeEach(() => {
+    sent.length = 0;
+    calls = [];
+  });
+
+  it('reconnaît les alias de toutes les langues, sans tenir compte de la casse', async () => {
+    assert.equal(await commandService.execute(USER, 'AIDE', { language: 'fr' }), true);
+    assert.equal(await commandService.execute(USER, 'help', { language: 'fr' }), true);
+    assert.equal(await commandService.execute(USER, 'مساعدة', null), true);
+
+    assert.deepEqual(calls, [['aide'], ['aide'], ['aide']]);
+  });
+
+  it('extrait l\'argument avec ou sans espace après l\'alias', async () => {
+    await commandService.execute(USER, '#1234', { language: 'fr' });
+    await commandService.execute(USER, 'ticket 56', { language: 'fr' });
+
+    assert.deepEqual(calls, [['ticket', '1234'], ['ticket', '56']]);
+  });
+
+  it('laisse les autres messages au parcours de l\'étape', async () => {
+    assert.equal(await commandService.execute(USER, 'aide moi', { language: 'fr' }), false);
+    assert.equal(await commandService.execute(USER, 'ticket abc', { language: 'fr' }), false);
+    assert.equal(await commandService.execute(USER, '', { language: 'fr' }), false);
+    assert.deepEqual(calls, []);
+  });
+
+  it('répond par un message d\'erreur quand la commande échoue', async () => {
+    assert.equal(await commandService.execute(USER, 'panne', { language: 'fr' }), true);
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, USER);
+  });
+
+  it('refuse un nom ou un alias déjà déclaré', () => {
+    assert.throws(
+        () => commandService.register({ name: 'aide', aliases: { fr: ['autre'] }, handler: () => {} }),
+        /Commande déjà déclarée/
+    );
+    assert.throws(
+        () => commandService.register({ name: 'secours', aliases: { fr: ['Aide'] }, handler: () => {} }),
+        /Alias de commande déjà utilisé : aide/
+    );
+  });
+
+  it('liste les commandes dans l\'aide avec leurs autres alias', () => {
+    const help = commandService.formatHelp('fr');
+
+    assert.match(help, /#1234/);
+    assert.match(help, /help/);
+  });
+});
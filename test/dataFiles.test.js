@@ -0,0 +1,52 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { setupEnv } = require('./helpers');
+
+setupEnv();
+
+const { createDataFile, flushAll } = require('../services/dataFiles');
+
+describe('dataFiles.createDataFile', () => {
+  let dataFile;
+
+  before(() => {
+    dataFile = createDataFile('essai.json', 'données de test');
+  });
+
+  it('renvoie la valeur par défaut quand le fichier n\'existe pas', () => {
+    assert.deepEqual(dataFile.load({ vide: true }), { vide: true });
+  });
+
+  it('regroupe les écritures rapprochées et enregistre le dernier état', async () => {
+    const data = { a: 1 };
+    const first = dataFile.save(data);
+    data.b = 2;
+    const second = dataFile.save(data);
+
+    assert.equal(first, second);
+    await second;
+    assert.deepEqual(JSON.parse(fs.readFileSync(dataFile.path, 'utf8')), { a: 1, b: 2 });
+  });
+
+  it('ne laisse aucun fichier temporaire après l\'écriture', async () => {
+    await dataFile.save({ c: 3 });
+    const leftovers = fs.readdirSync(process.env.DATA_DIR).filter(name => name.endsWith('.tmp'));
+    assert.deepEqual(leftovers, []);
+  });
+
+  it('écrit immédiatement les données en attente avec flushAll', async () => {
+    dataFile.save({ d: 4 });
+    await flushAll();
+    assert.deepEqual(JSON.parse(fs.readFileSync(dataFile.path, 'utf8')), { d: 4 });
+  });
+
+  it('met de côté un fichier illisible et renvoie la valeur par défaut', () => {
+    const broken = createDataFile('casse.json', 'données de test');
+    fs.writeFileSync(broken.path, '{ "tronqué": ', 'utf8');
+
+    assert.deepEqual(broken.load([]), []);
+    assert.equal(fs.existsSync(broken.path), false);
+    assert.ok(fs.readdirSync(process.env.DATA_DIR).some(name => name.startsWith('casse.json.corrupted-')));
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, captureWhatsApp } = require('./helpers');
+
+setupEnv();
+
+const sessionManager = require('../services/sessionManager');
+const i18nService = require('../services/i18nService');
+const flowEngine = require('../services/flowEngine');
+const draftService = require('../services/draftService');
+const { flushAll } = require('../services/dataFiles');
+
+// Messages envoyés, à la place de l'API WhatsApp
+const sent = captureWhatsApp();
+
+const USER = '33600000100';
+
+/**
+ * Préparer un brouillon interrompu à la saisie du titre et la proposition de reprise
+ * @param {Object} trigger - Message qui a déclenché la proposition { text, interactive }
+ * @param {Object} [extra] - Saisies supplémentaires de la session
+ * @returns {Promise<Object>} - Session à l'étape draft_resume
+ */
+async function offerDraft(trigger, extra = {}) {
+  draftService.saveDraft(USER, {
+    ticketData: { type: 'incident', typeId: 1, category: 'Matériel' },
+    ...extra
+  }, 'input_title');
+
+  await sessionManager.saveSession(USER, {
+    currentStep: 'draft_resume',
+    language: 'fr',
+    draftTriggerMessage: { interactive: null, ...trigger },
+    ...extra
+  });
+  return sessionManager.getSession(USER);
+}
+
+const choose = async (choiceId) => flowEngine.handle(
+    USER,
+    '',
+    { button_reply: { id: choiceId } },
+    await sessionManager.getSession(USER)
+);
+
+describe('reprise d\'un brouillon', () => {
+  before(() => {
+    flowEngine.registerFlow(require('../flows/menuFlow'));
+    flowEngine.registerFlow(require('../flows/guidedFlow'));
+    flowEngine.registerFlow(require('../flows/draftFlow'));
+  });
+
+  after(() => flushAll());
+
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  it('traite le message déclencheur à l\'étape reprise', async () => {
+    await offerDraft({ text: 'Imprimante en panne' });
+
+    await choose('resume_draft');
+
+    const saved = await sessionManager.getSession(USER);
+    assert.equal(saved.currentStep, 'input_description');
+    assert.equal(saved.ticketData.category, 'Matériel');
+    assert.equal(saved.ticketData.title, 'Imprimante en panne');
+    assert.equal(saved.draftTriggerMessage, undefined);
+    assert.deepEqual(sent.map(message => message.text), [i18nService.t('fr', 'creation.descriptionPrompt')]);
+  });
+
+  it('présente l\'étape reprise si le message déclencheur n\'y répond pas', async () => {
+    await offerDraft({ text: '', interactive: { button_reply: { id: 'type_request' } } });
+
+    await choose('resume_draft');
+
+    const saved = await sessionManager.getSession(USER);
+    assert.equal(saved.currentStep, 'input_title');
+    assert.equal(saved.ticketData.type, 'incident');
+    assert.deepEqual(sent.map(message => message.text), [i18nService.t('fr', 'creation.titlePrompt')]);
+  });
+
+  it('efface toutes les saisies du brouillon pour un nouveau ticket', async () => {
+    await offerDraft({ text: 'bonjour' }, {
+      ticketLocation: { id: 3, name: 'Bâtiment A' },
+      requesterReturnStep: 'input_description'
+    });
+
+    await choose('discard_draft');
+
+    const saved = await sessionManager.getSession(USER);
+    assert.equal(saved.currentStep, 'ticket_creation_menu');
+    assert.deepEqual(saved.ticketData, {});
+    assert.equal(saved.ticketLocation, undefined);
+    assert.equal(saved.requesterReturnStep, undefined);
+    assert.equal(saved.draftTriggerMessage, undefined);
+    assert.equal(draftService.getDraft(USER), null);
+    assert.equal(sent.length, 1);
+  });
+
+  it('traite le message déclencheur au menu de création d\'un nouveau ticket', async () => {
+    await offerDraft({ text: '', interactive: { button_reply: { id: 'mode_guide' } } });
+
+    await choose('discard_draft');
+
+    const saved = await sessionManager.getSession(USER);
+    assert.equal(saved.currentStep, 'select_type');
+    assert.deepEqual(saved.ticketData, {});
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({
+  DRAFT_IDLE_MINUTES: '15'
+});
+
+const draftService = require('../services/draftService');
+const { flushAll } = require('../services/dataFiles');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describe('draftService', () => {
+  after(() => flushAll());
+
+  it('enregistre les saisies de la création et les restaure dans une nouvelle session', () => {
+    const draft = draftService.saveDraft('33600000040', {
+      currentStep: 'input_description',
+      language: 'fr',
+      ticketData: { type: 'incident', title: 'Imprimante' },
+      pendingAttachments: [{ mediaId: 'media-1' }]
+    }, 'input_description');
+
+    assert.equal(draft.step, 'input_description');
+    assert.equal(draft.data.language, undefined);
+
+    const session = {};
+    assert.equal(draftService.restoreDraft('33600000040', session), 'input_description');
+    assert.deepEqual(session.ticketData, { type: 'incident', title: 'Imprimante' });
+    assert.equal(session.pendingAttachments.length, 1);
+  });
+
+  it('n\'enregistre pas de brouillon sans saisie', () => {
+    assert.equal(draftService.saveDraft('33600000041', { ticketData: {} }, 'select_type'), null);
+    assert.equal(draftService.getDraft('33600000041'), null);
+  });
+
+  it('supprime le brouillon de l\'utilisateur', () => {
+    draftService.deleteDraft('33600000040');
+    assert.equal(draftService.getDraft('33600000040'), null);
+  });
+
+  it('considère une création sans réponse depuis DRAFT_IDLE_MINUTES comme interrompue', () => {
+    assert.equal(draftService.isIdle({ updatedAt: minutesAgo(20) }), true);
+    assert.equal(draftService.isIdle({ updatedAt: minutesAgo(5) }), false);
+    assert.equal(draftService.isIdle({}), false);
+    assert.equal(draftService.isIdle(null), false);
+  });
+});
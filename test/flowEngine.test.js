@@ -0,0 +1,170 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, captureWhatsApp } = require('./helpers');
+
+setupEnv();
+
+const sessionManager = require('../services/sessionManager');
+const flowEngine = require('../services/flowEngine');
+
+// Messages envoyés par le moteur, à la place de l'API WhatsApp
+const sent = captureWhatsApp();
+
+const USER = '33600000001';
+
+// Événements des gestionnaires de l'étape de test
+let events = [];
+
+describe('flowEngine', () => {
+  before(() => {
+    flowEngine.registerFlow({
+      name: 'essai',
+      steps: {
+        main_menu: {
+          prompt: (ctx) => ctx.reply('menu'),
+          choices: {
+            start_test: (ctx) => ctx.goTo('test_number')
+          },
+          keywords: {
+            depart: (ctx) => ctx.goTo('test_number')
+          }
+        },
+        test_number: {
+          enter: (ctx, params) => {
+            ctx.session.testParams = params;
+          },
+          prompt: (ctx) => ctx.reply('nombre ?'),
+          prefixes: {
+            pick_: async (ctx, suffix) => {
+              events.push(`préfixe ${suffix}`);
+            },
+            pick_special_: async (ctx, suffix) => {
+              events.push(`préfixe long ${suffix}`);
+            }
+          },
+          validate: (text) => (/^\d+$/.test(text) ? null : 'Un nombre, svp'),
+          text: async (ctx) => {
+            if (ctx.text === '0') {
+              return false;
+            }
+            events.push(`texte ${ctx.text}`);
+          },
+          hint: 'Saisissez un nombre',
+          reprompt: false
+        }
+      }
+    });
+
+    flowEngine.registerGlobal({
+      choices: {
+        global_ping: async () => {
+          events.push('global');
+        }
+      }
+    });
+  });
+
+  beforeEach(() => {
+    sent.length = 0;
+    events = [];
+  });
+
+  it('présente le menu principal à un nouvel utilisateur', async () => {
+    await flowEngine.handle(USER, 'bonjour', null, null);
+
+    assert.deepEqual(sent.map(entry => entry.text), ['menu']);
+    const session = await sessionManager.getSession(USER);
+    assert.equal(session.currentStep, 'main_menu');
+  });
+
+  it('suit un bouton vers une étape et enregistre la session', async () => {
+    const session = { currentStep: 'main_menu', language: 'fr' };
+    await flowEngine.handle(USER, '', { button_reply: { id: 'start_test', title: 'Test' } }, session);
+
+    assert.equal(session.currentStep, 'test_number');
+    assert.deepEqual(session.testParams, {});
+    assert.deepEqual(sent.map(entry => entry.text), ['nombre ?']);
+    assert.equal((await sessionManager.getSession(USER)).currentStep, 'test_number');
+  });
+
+  it('reconnaît les mots-clés saisis avec accents et majuscules', async () => {
+    const session = { currentStep: 'main_menu', language: 'fr' };
+    await flowEngine.handle(USER, '  Départ ', null, session);
+
+    assert.equal(session.currentStep, 'test_number');
+  });
+
+  it('choisit le préfixe le plus long et transmet le suffixe', async () => {
+    const session = { currentStep: 'test_number', language: 'fr' };
+    await flowEngine.handle(USER, '', { list_reply: { id: 'pick_special_7' } }, session);
+    await flowEngine.handle(USER, '', { list_reply: { id: 'pick_3' } }, session);
+
+    assert.deepEqual(events, ['préfixe long 7', 'préfixe 3']);
+  });
+
+  it('accepte les boutons globaux à toutes les étapes', async () => {
+    const session = { currentStep: 'test_number', language: 'fr' };
+    await flowEngine.handle(USER, '', { button_reply: { id: 'global_ping' } }, session);
+
+    assert.deepEqual(events, ['global']);
+  });
+
+  it('répond avec l\'aide de validation à une saisie invalide', async () => {
+    const session = { currentStep: 'test_number', language: 'fr' };
+    await flowEngine.handle(USER, 'abc', null, session);
+
+    assert.deepEqual(events, []);
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].text, /Un nombre, svp/);
+  });
+
+  it('traite une saisie libre valide', async () => {
+    const session = { currentStep: 'test_number', language: 'fr' };
+    await flowEngine.handle(USER, '42', null, session);
+
+    assert.deepEqual(events, ['texte 42']);
+    assert.deepEqual(sent, []);
+  });
+
+  it('répond "non compris" avec l\'aide de l\'étape quand le gestionnaire renvoie false', async () => {
+    const session = { currentStep: 'test_number', language: 'fr' };
+    await flowEngine.handle(USER, '0', null, session);
+
+    // reprompt: false : le message de l'étape n'est pas renvoyé
+    assert.equal(sent.length, 1);
+    assert.match(sent[0].text, /Saisissez un nombre/);
+  });
+
+  it('ramène une étape inconnue au menu principal', async () => {
+    const session = { currentStep: 'etape_disparue', language: 'fr' };
+    await flowEngine.handle(USER, '', { button_reply: { id: 'start_test' } }, session);
+
+    assert.equal(session.currentStep, 'test_number');
+  });
+
+  it('indique si une réponse est attendue par l\'étape sans la traiter', () => {
+    const step = flowEngine.getStep('test_number');
+    const input = (text, interactive) => flowEngine.createContext(USER, { language: 'fr' }, flowEngine.parseInput(text, interactive));
+
+    assert.equal(flowEngine.accepts(input('12'), step), true);
+    assert.equal(flowEngine.accepts(input('douze'), step), false);
+    assert.equal(flowEngine.accepts(input('', { list_reply: { id: 'pick_3' } }), step), true);
+    assert.equal(flowEngine.accepts(input('', { button_reply: { id: 'global_ping' } }), step), true);
+    assert.equal(flowEngine.accepts(input('', { button_reply: { id: 'start_test' } }), step), false);
+    assert.equal(flowEngine.accepts(input('depart'), flowEngine.getStep('main_menu')), true);
+    assert.deepEqual(events, []);
+  });
+
+  it('refuse une étape déclarée deux fois', () => {
+    assert.throws(
+        () => flowEngine.registerFlow({ name: 'doublon', steps: { test_number: {} } }),
+        /Étape déjà déclarée/
+    );
+  });
+
+  it('extrait un numéro de ticket d\'une saisie', () => {
+    assert.equal(flowEngine.parseTicketId('#123'), 123);
+    assert.equal(flowEngine.parseTicketId(' 45 '), 45);
+    assert.equal(flowEngine.parseTicketId('ticket 45'), null);
+  });
+});
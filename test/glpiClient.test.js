@@ -0,0 +1,134 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({
+  GLPI_API_URL: 'http://glpi.test/apirest.php',
+  GLPI_APP_TOKEN: 'app',
+  GLPI_USER_TOKEN: 'utilisateur'
+});
+
+const axios = require('axios');
+const glpiClient = require('../services/glpiClient');
+
+const API_URL = process.env.GLPI_API_URL;
+
+// Serveur GLPI simulé par l'adaptateur d'axios : sessions ouvertes et chemins appelés
+let openedSessions = 0;
+let validTokens = new Set();
+let calls = [];
+// Réponse d'erreur de GLPI à une session refusée ; rejectAll refuse toutes les sessions
+let sessionErrorResponse = { status: 401, data: ['ERROR_SESSION_TOKEN_INVALID', 'session_token semble incorrect'] };
+let rejectAll = false;
+
+const respond = (config, data) => ({ data, status: 200, statusText: 'OK', headers: {}, config });
+
+axios.defaults.adapter = async (config) => {
+  const path = config.url.replace(API_URL, '');
+  const token = config.headers['Session-Token'];
+  calls.push(path);
+
+  if (path === '/initSession') {
+    // L'ouverture de session prend du temps : les requêtes refusées entre-temps doivent l'attendre
+    await new Promise(resolve => setImmediate(resolve));
+    openedSessions++;
+    validTokens.add(`session-${openedSessions}`);
+    return respond(config, { session_token: `session-${openedSessions}` });
+  }
+
+  if (path === '/killSession') {
+    validTokens.delete(token);
+    return respond(config, {});
+  }
+
+  if (path === '/Ticket/404') {
+    throw new axios.AxiosError('Not Found', 'ERR_BAD_REQUEST', config, null, {
+      status: 404, data: ['ERROR_ITEM_NOT_FOUND', 'Élément introuvable'], headers: {}, config
+    });
+  }
+
+  if (rejectAll || !validTokens.has(token)) {
+    throw new axios.AxiosError('Session refusée', 'ERR_BAD_REQUEST', config, null, {
+      ...sessionErrorResponse, headers: {}, config
+    });
+  }
+
+  return respond(config, { path, token });
+};
+
+// Faire expirer toutes les sessions côté GLPI
+const expireSessions = () => validTokens.clear();
+
+describe('glpiClient', () => {
+  beforeEach(async () => {
+    await glpiClient.close();
+    openedSessions = 0;
+    validTokens = new Set();
+    calls = [];
+    rejectAll = false;
+    sessionErrorResponse = { status: 401, data: ['ERROR_SESSION_TOKEN_INVALID', 'session_token semble incorrect'] };
+  });
+
+  it('ouvre une seule session pour des appels simultanés puis la réutilise', async () => {
+    const tokens = await Promise.all([glpiClient.authenticate(), glpiClient.authenticate(), glpiClient.authenticate()]);
+
+    assert.deepEqual(tokens, ['session-1', 'session-1', 'session-1']);
+    assert.deepEqual(await glpiClient.request({ path: '/Ticket/1' }), { path: '/Ticket/1', token: 'session-1' });
+    assert.equal(openedSessions, 1);
+  });
+
+  it('rouvre la session une seule fois et relance la requête refusée (401)', async () => {
+    await glpiClient.authenticate();
+    expireSessions();
+    const before = glpiClient.getStats().reauthentications;
+
+    assert.deepEqual(await glpiClient.request({ path: '/Ticket/1' }), { path: '/Ticket/1', token: 'session-2' });
+
+    assert.deepEqual(calls, ['/initSession', '/Ticket/1', '/initSession', '/Ticket/1']);
+    assert.equal(glpiClient.getStats().reauthentications - before, 1);
+  });
+
+  it('reconnaît ERROR_SESSION_TOKEN_INVALID quel que soit le statut HTTP', async () => {
+    sessionErrorResponse = { status: 400, data: ['ERROR_SESSION_TOKEN_INVALID', 'session_token semble incorrect'] };
+    await glpiClient.authenticate();
+    expireSessions();
+
+    assert.deepEqual(await glpiClient.request({ path: '/Ticket/1' }), { path: '/Ticket/1', token: 'session-2' });
+    assert.equal(openedSessions, 2);
+  });
+
+  it('fait attendre la même nouvelle session aux requêtes refusées en même temps', async () => {
+    await glpiClient.authenticate();
+    expireSessions();
+    const before = glpiClient.getStats().reauthentications;
+
+    const results = await Promise.all(['/Ticket/1', '/Ticket/2', '/Ticket/3'].map(path => glpiClient.request({ path })));
+
+    assert.deepEqual(results.map(result => result.token), ['session-2', 'session-2', 'session-2']);
+    assert.equal(openedSessions, 2);
+    assert.equal(glpiClient.getStats().reauthentications - before, 1);
+  });
+
+  it('transmet le second refus au lieu de boucler', async () => {
+    await glpiClient.authenticate();
+    rejectAll = true;
+    const before = glpiClient.getStats().failures;
+
+    await assert.rejects(
+        glpiClient.request({ path: '/Ticket/1' }),
+        (error) => error.response.status === 401 && error.response.data[0] === 'ERROR_SESSION_TOKEN_INVALID'
+    );
+
+    assert.deepEqual(calls, ['/initSession', '/Ticket/1', '/initSession', '/Ticket/1']);
+    assert.equal(glpiClient.getStats().failures - before, 1);
+  });
+
+  it('transmet les autres erreurs sans rouvrir la session', async () => {
+    await assert.rejects(
+        glpiClient.request({ path: '/Ticket/404' }),
+        (error) => error.response.data[0] === 'ERROR_ITEM_NOT_FOUND'
+    );
+
+    assert.equal(openedSessions, 1);
+  });
+});
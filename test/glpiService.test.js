@@ -0,0 +1,151 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({
+  DEFAULT_COUNTRY_CODE: '33'
+});
+
+const glpiClient = require('../services/glpiClient');
+const glpiSearchService = require('../services/glpiSearchService');
+const glpiService = require('../services/glpiService');
+
+// Options de recherche des utilisateurs, numérotées comme dans GLPI
+const USER_SEARCH_OPTIONS = {
+  common: 'Caractéristiques',
+  1: { uid: 'User.name' },
+  2: { uid: 'User.id' },
+  6: { uid: 'User.phone' },
+  8: { uid: 'User.is_active' },
+  9: { uid: 'User.firstname' },
+  10: { uid: 'User.phone2' },
+  11: { uid: 'User.mobile' },
+  34: { uid: 'User.realname' }
+};
+
+// Requêtes envoyées à GLPI et utilisateurs retournés par /search/User
+let requests = [];
+let users = [];
+glpiClient.request = async (options) => {
+  requests.push(options);
+  if (options.path === '/listSearchOptions/User') {
+    return USER_SEARCH_OPTIONS;
+  }
+  if (options.path === '/search/User') {
+    return { totalcount: users.length, data: users };
+  }
+  throw new Error(`Requête inattendue : ${options.path}`);
+};
+
+const searches = () => requests.filter(request => request.path === '/search/User');
+
+// Numéros des champs de recherche des tickets
+const TICKET_FIELD_IDS = {
+  id: 2, title: 1, content: 21, status: 12, type: 14, urgency: 10, category: 7, dateCreation: 15, dateModification: 19
+};
+
+describe('glpiSearchService.buildTicketSearchParams', () => {
+  it('transmet les critères sous la forme criteria[n][field|searchtype|value|link]', () => {
+    const params = glpiSearchService.buildTicketSearchParams(TICKET_FIELD_IDS, { status: 2, urgency: 4 });
+
+    assert.equal(params['criteria[0][field]'], 12);
+    assert.equal(params['criteria[0][searchtype]'], 'equals');
+    assert.equal(params['criteria[0][value]'], 2);
+    assert.equal(params['criteria[0][link]'], undefined);
+    assert.equal(params['criteria[1][link]'], 'AND');
+    assert.equal(params['criteria[1][field]'], 10);
+    assert.equal(params['criteria[1][value]'], 4);
+    assert.deepEqual(
+      [0, 1, 2, 3, 4, 5, 6].map(index => params[`forcedisplay[${index}]`]),
+      [2, 1, 12, 14, 10, 7, 15]
+    );
+  });
+
+  it('cherche le mot-clé dans le titre ou la description', () => {
+    const params = glpiSearchService.buildTicketSearchParams(TICKET_FIELD_IDS, { type: 1, keyword: ' imprimante ' });
+
+    assert.equal(params['criteria[1][link]'], 'AND');
+    assert.equal(params['criteria[1][field]'], undefined);
+    assert.equal(params['criteria[1][criteria][0][field]'], 1);
+    assert.equal(params['criteria[1][criteria][0][searchtype]'], 'contains');
+    assert.equal(params['criteria[1][criteria][0][value]'], 'imprimante');
+    assert.equal(params['criteria[1][criteria][0][link]'], undefined);
+    assert.equal(params['criteria[1][criteria][1][link]'], 'OR');
+    assert.equal(params['criteria[1][criteria][1][field]'], 21);
+    assert.equal(params['criteria[1][criteria][1][value]'], 'imprimante');
+  });
+
+  it('trie et pagine les résultats', () => {
+    const defaults = glpiSearchService.buildTicketSearchParams(TICKET_FIELD_IDS, {});
+    assert.equal(defaults.sort, 15);
+    assert.equal(defaults.order, 'DESC');
+    assert.equal(defaults.range, '0-9');
+
+    const params = glpiSearchService.buildTicketSearchParams(TICKET_FIELD_IDS, { sort: 'urgency', order: 'asc', start: 10, limit: 5 });
+    assert.equal(params.sort, 10);
+    assert.equal(params.order, 'ASC');
+    assert.equal(params.range, '10-14');
+  });
+
+  it('remplace un tri ou une page invalides par les valeurs par défaut', () => {
+    const params = glpiSearchService.buildTicketSearchParams(TICKET_FIELD_IDS, { sort: 'inconnu', order: 'n\'importe', start: -5, limit: -1 });
+
+    assert.equal(params.sort, 15);
+    assert.equal(params.order, 'DESC');
+    assert.equal(params.range, '0-9');
+  });
+});
+
+describe('glpiSearchService.buildUserPhoneSearchParams', () => {
+  it('cherche les chiffres de fin du numéro dans les trois champs de téléphone', () => {
+    const params = glpiSearchService.buildUserPhoneSearchParams(
+      { id: 2, login: 1, firstname: 9, realname: 34, phone: 6, phone2: 10, mobile: 11, isActive: 8 },
+      '33612345678'
+    );
+
+    assert.equal(params['criteria[0][field]'], 8);
+    assert.equal(params['criteria[0][value]'], 1);
+    assert.equal(params['criteria[1][link]'], 'AND');
+    assert.deepEqual(
+      [0, 1, 2].map(index => params[`criteria[1][criteria][${index}][field]`]),
+      [6, 10, 11]
+    );
+    assert.equal(params['criteria[1][criteria][0][link]'], undefined);
+    assert.equal(params['criteria[1][criteria][2][link]'], 'OR');
+    assert.equal(params['criteria[1][criteria][1][value]'], '1%2%3%4%5%6%7%8');
+  });
+});
+
+describe('glpiService.findUserByPhone', () => {
+  beforeEach(() => {
+    requests = [];
+    users = [];
+  });
+
+  it('retrouve l\'utilisateur par une recherche GLPI et compare le numéro complet', async () => {
+    users = [
+      { 2: 7, 1: 'homonyme', 6: '+212 6 12 34 56 78' },
+      { 2: 8, 1: 'jdupont', 9: 'Jean', 34: 'Dupont', 11: '06.12.34.56.78' }
+    ];
+
+    const user = await glpiService.findUserByPhone('33612345678');
+
+    assert.deepEqual(user, { id: 8, name: 'Jean Dupont' });
+    assert.equal(searches().length, 1);
+    assert.equal(requests.some(request => request.path === '/User'), false);
+  });
+
+  it('met le résultat en cache par numéro, quelle que soit sa saisie', async () => {
+    users = [{ 2: 9, 1: 'mmartin', 6: '0698765432' }];
+
+    assert.deepEqual(await glpiService.findUserByPhone('33698765432'), { id: 9, name: 'mmartin' });
+    assert.deepEqual(await glpiService.findUserByPhone('+33 6 98 76 54 32'), { id: 9, name: 'mmartin' });
+    assert.equal(searches().length, 1);
+  });
+
+  it('met aussi en cache un numéro inconnu', async () => {
+    assert.equal(await glpiService.findUserByPhone('33611111111'), null);
+    assert.equal(await glpiService.findUserByPhone('33611111111'), null);
+    assert.equal(searches().length, 1);
+  });
+});
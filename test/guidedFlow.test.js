@@ -0,0 +1,79 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, captureWhatsApp } = require('./helpers');
+
+setupEnv();
+
+const sessionManager = require('../services/sessionManager');
+const i18nService = require('../services/i18nService');
+const flowEngine = require('../services/flowEngine');
+
+// Messages envoyés, à la place de l'API WhatsApp
+const sent = captureWhatsApp();
+
+const USER = '33600000030';
+
+// Création guidée enregistrée par un processus précédent, interrompue à la saisie du titre
+const saveInterruptedCreation = (phone) => sessionManager.saveSession(phone, {
+  currentStep: 'input_title',
+  language: 'fr',
+  guidedBootId: 'démarrage-précédent',
+  ticketData: { type: 'incident', typeId: 1, category: 'Matériel' }
+});
+
+describe('parcours guidé après un redémarrage', () => {
+  before(() => {
+    flowEngine.registerFlow(require('../flows/guidedFlow'));
+  });
+
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  it('traite la réponse attendue par l\'étape en cours au premier message après un redémarrage', async () => {
+    await saveInterruptedCreation(USER);
+
+    await flowEngine.handle(USER, 'Imprimante en panne', null, await sessionManager.getSession(USER));
+
+    assert.deepEqual(sent.map(message => message.text), [i18nService.t('fr', 'creation.descriptionPrompt')]);
+
+    const saved = await sessionManager.getSession(USER);
+    assert.equal(saved.currentStep, 'input_description');
+    assert.equal(saved.ticketData.category, 'Matériel');
+    assert.equal(saved.ticketData.title, 'Imprimante en panne');
+    assert.notEqual(saved.guidedBootId, 'démarrage-précédent');
+  });
+
+  it('renvoie la question de l\'étape en cours pour une réponse qu\'elle n\'attend pas', async () => {
+    await saveInterruptedCreation('33600000032');
+
+    // Bouton d'un message envoyé avant le redémarrage
+    await flowEngine.handle('33600000032', '', { button_reply: { id: 'type_request' } }, await sessionManager.getSession('33600000032'));
+
+    assert.deepEqual(sent.map(message => message.text), [i18nService.t('fr', 'creation.resumed'), i18nService.t('fr', 'creation.titlePrompt')]);
+
+    const saved = await sessionManager.getSession('33600000032');
+    assert.equal(saved.currentStep, 'input_title');
+    assert.equal(saved.ticketData.type, 'incident');
+    assert.notEqual(saved.guidedBootId, 'démarrage-précédent');
+  });
+
+  it('traite normalement les messages suivants', async () => {
+    await flowEngine.handle('33600000032', 'Imprimante en panne', null, await sessionManager.getSession('33600000032'));
+
+    const saved = await sessionManager.getSession('33600000032');
+    assert.equal(saved.currentStep, 'input_description');
+    assert.equal(saved.ticketData.title, 'Imprimante en panne');
+    assert.deepEqual(sent.map(message => message.text), [i18nService.t('fr', 'creation.descriptionPrompt')]);
+  });
+
+  it('ne renvoie pas la question d\'une création commencée depuis le démarrage', async () => {
+    const session = { language: 'fr', ticketData: { type: 'request', typeId: 2 } };
+    await flowEngine.goTo('33600000031', session, 'input_title');
+    sent.length = 0;
+
+    await flowEngine.handle('33600000031', 'Nouvel écran', null, await sessionManager.getSession('33600000031'));
+
+    assert.equal((await sessionManager.getSession('33600000031')).ticketData.title, 'Nouvel écran');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Préparation commune des tests
+ * Les services lisent leur configuration (dossier des données, stockage des sessions...) à leur chargement :
+ * setupEnv est donc appelé en tête de chaque fichier de test, avant le chargement des services.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Définir l'environnement des services : dossier de données temporaire et sessions en mémoire
+ * @param {Object} [env] - Variables d'environnement supplémentaires ({ NOM: 'valeur' })
+ * @returns {string} - Dossier des données
+ */
+function setupEnv(env = {}) {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'glpi-bot-data-'));
+  process.env.SESSION_STORE = 'memory';
+  Object.assign(process.env, env);
+  return process.env.DATA_DIR;
+}
+
+/**
+ * Remplacer les envois de whatsappService (API WhatsApp) par l'enregistrement des messages envoyés
+ * @returns {Array} - Messages envoyés, vidés avec sent.length = 0 :
+ *   { type: 'text'|'buttons'|'list'|'template', to, text, buttons, items, templateName, components, languageCode, context }
+ */
+function captureWhatsApp() {
+  const whatsappService = require('../services/whatsappService');
+  const sent = [];
+
+  whatsappService.sendMessage = async (to, text, context = {}) => {
+    sent.push({ type: 'text', to, text, context });
+  };
+  whatsappService.sendButtonsMessage = async (to, text, buttons, header, context = {}) => {
+    sent.push({ type: 'buttons', to, text, buttons, header, context });
+  };
+  whatsappService.sendListMessage = async (to, header, text, buttonText, items, context = {}) => {
+    sent.push({ type: 'list', to, text, header, buttonText, items, context });
+  };
+  whatsappService.sendTemplateMessage = async (to, templateName, components = [], context = {}, languageCode = 'fr') => {
+    sent.push({ type: 'template', to, templateName, components, context, languageCode });
+  };
+
+  return sent;
+}
+
+module.exports = {
+  setupEnv,
+  captureWhatsApp
+};
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({ LOCATION_MATCH_RADIUS_METERS: '200' });
+
+const glpiService = require('../services/glpiService');
+const i18nService = require('../services/i18nService');
+const locationService = require('../services/locationService');
+
+// Lieux GLPI : deux bâtiments voisins à Lyon et un site à Paris sans coordonnées
+const LOCATIONS = [
+  { id: 1, name: 'Bâtiment A', completename: 'Lyon > Bâtiment A', address: '10 rue de la République', town: 'Lyon', latitude: 45.7640, longitude: 4.8357 },
+  { id: 2, name: 'Bâtiment B', completename: 'Lyon > Bâtiment B', address: '12 rue de la République', town: 'Lyon', latitude: 45.7645, longitude: 4.8360 },
+  { id: 3, name: 'Siège', completename: 'Paris > Siège', address: '5 avenue de l\'Opéra', town: 'Paris', latitude: null, longitude: null }
+];
+
+// Appels à GLPI, à la place de l'API
+let glpiCalls = 0;
+glpiService.getLocations = async () => {
+  glpiCalls++;
+  return LOCATIONS;
+};
+
+const locationMessage = (location) => ({ type: 'location', location });
+
+describe('locationService.matchLocation', () => {
+  it('retient le lieu dont le nom est celui partagé', () => {
+    const { match, candidates } = locationService.matchLocation(
+        { latitude: 48.8566, longitude: 2.3522, name: 'batiment a', address: '' },
+        LOCATIONS
+    );
+
+    assert.equal(match.id, 1);
+    assert.deepEqual(candidates, []);
+  });
+
+  it('retient le seul lieu situé dans le rayon configuré', () => {
+    // Environ 150 mètres au sud du bâtiment A, 200 mètres du bâtiment B
+    const { match } = locationService.matchLocation(
+        { latitude: 45.76265, longitude: 4.8357, name: '', address: '' },
+        LOCATIONS
+    );
+
+    assert.equal(match.id, 1);
+    assert.equal(match.distance, 150);
+  });
+
+  it('propose les lieux proches du plus proche au plus lointain', () => {
+    const { match, candidates } = locationService.matchLocation(
+        { latitude: 45.7644, longitude: 4.8359, name: '', address: '' },
+        LOCATIONS
+    );
+
+    assert.equal(match, null);
+    assert.deepEqual(candidates.map(location => location.id), [2, 1]);
+  });
+
+  it('se rabat sur l\'adresse pour un lieu sans coordonnées', () => {
+    const { match } = locationService.matchLocation(
+        { latitude: 48.8700, longitude: 2.3320, name: '', address: '5 Avenue de l\'Opéra' },
+        LOCATIONS
+    );
+
+    assert.equal(match.id, 3);
+  });
+
+  it('ne retient aucun lieu trop éloigné', () => {
+    assert.deepEqual(
+        locationService.matchLocation({ latitude: 43.2965, longitude: 5.3698, name: '', address: '' }, LOCATIONS),
+        { match: null, candidates: [] }
+    );
+  });
+});
+
+describe('locationService.findLocationForMessage', () => {
+  beforeEach(() => {
+    glpiCalls = 0;
+  });
+
+  it('lit les coordonnées du message et garde les lieux GLPI en cache', async () => {
+    const first = await locationService.findLocationForMessage(
+        locationMessage({ latitude: '45.7640', longitude: '4.8357' })
+    );
+    const second = await locationService.findLocationForMessage(
+        locationMessage({ latitude: 45.7645, longitude: 4.8360, name: 'Bâtiment B' })
+    );
+
+    assert.equal(first.match, null);
+    assert.deepEqual(first.candidates.map(location => location.id), [1, 2]);
+    assert.equal(second.match.id, 2);
+    assert.equal(glpiCalls, 1);
+  });
+});
+
+describe('locationService.toListItem', () => {
+  it('décrit le lieu par sa distance et son adresse', () => {
+    assert.deepEqual(locationService.toListItem({ ...LOCATIONS[0], distance: 150 }, 'en'), {
+      id: 'select_location_1',
+      title: 'Bâtiment A',
+      description: `${i18nService.t('en', 'location.distance', { distance: 150 })} - 10 rue de la République, Lyon`
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, captureWhatsApp } = require('./helpers');
+
+setupEnv();
+
+const i18nService = require('../services/i18nService');
+const mediaService = require('../services/mediaService');
+
+// Messages envoyés, à la place de l'API WhatsApp
+const sent = captureWhatsApp();
+
+// Fichiers téléversés dans GLPI et médias dont le téléchargement échoue
+let uploads = [];
+let brokenMedia = [];
+
+mediaService.setProviders({
+  download: async (mediaId) => {
+    if (brokenMedia.includes(mediaId)) {
+      throw new Error('Média expiré');
+    }
+    return { buffer: Buffer.from(`contenu ${mediaId}`), mimeType: 'image/jpeg', fileSize: 12 };
+  },
+  upload: async (ticketId, file) => {
+    uploads.push({ ticketId, ...file });
+    return { documentId: uploads.length, documentItemId: uploads.length };
+  }
+});
+
+const USER = '33600000080';
+
+const imageMessage = (id, caption) => ({
+  type: 'image',
+  timestamp: '1700000000',
+  image: { id, mime_type: 'image/jpeg', caption }
+});
+
+describe('mediaService', () => {
+  beforeEach(() => {
+    sent.length = 0;
+    uploads = [];
+    brokenMedia = [];
+  });
+
+  it('reconnaît les images, documents et vidéos', () => {
+    assert.equal(mediaService.isAttachmentMessage(imageMessage('media.1')), true);
+    assert.equal(mediaService.isAttachmentMessage({ type: 'document', document: { id: 'media.2' } }), true);
+    assert.equal(mediaService.isAttachmentMessage({ type: 'text', text: { body: 'bonjour' } }), false);
+    assert.equal(mediaService.isAttachmentMessage({ type: 'image' }), false);
+  });
+
+  it('nomme un média sans nom de fichier d\'après son type', () => {
+    assert.deepEqual(mediaService.extractMedia(imageMessage('media.1', 'Écran bleu')), {
+      mediaId: 'media.1',
+      kind: 'image',
+      mimeType: 'image/jpeg',
+      filename: 'whatsapp_image_1700000000.jpg',
+      caption: 'Écran bleu'
+    });
+    assert.equal(
+        mediaService.extractMedia({ type: 'document', document: { id: 'media.2', filename: 'facture.pdf' } }).filename,
+        'facture.pdf'
+    );
+  });
+
+  it('joint un média au ticket avec sa légende comme nom', async () => {
+    await mediaService.attachToTicket(42, mediaService.extractMedia(imageMessage('media.1', 'Écran bleu')));
+
+    assert.equal(uploads.length, 1);
+    assert.equal(uploads[0].ticketId, 42);
+    assert.equal(uploads[0].name, 'Écran bleu');
+    assert.equal(uploads[0].buffer.toString(), 'contenu media.1');
+  });
+
+  it('joint les médias reçus pendant la création au ticket créé', async () => {
+    const session = { language: 'fr' };
+    mediaService.addPendingAttachment(session, mediaService.extractMedia(imageMessage('media.1')));
+    mediaService.addPendingAttachment(session, mediaService.extractMedia(imageMessage('media.2')));
+
+    assert.equal(await mediaService.attachPendingToTicket(USER, session, 42), 2);
+
+    assert.deepEqual(session.pendingAttachments, []);
+    assert.deepEqual(uploads.map(upload => upload.ticketId), [42, 42]);
+    assert.deepEqual(sent.map(message => message.text), [
+      i18nService.t('fr', 'media.pendingAttached', { count: 2, ticketId: 42 })
+    ]);
+  });
+
+  it('signale les médias qui n\'ont pas pu être joints', async () => {
+    brokenMedia = ['media.2'];
+    const session = { language: 'en' };
+    mediaService.addPendingAttachment(session, mediaService.extractMedia(imageMessage('media.1')));
+    mediaService.addPendingAttachment(session, mediaService.extractMedia(imageMessage('media.2')));
+
+    assert.equal(await mediaService.attachPendingToTicket(USER, session, 42), 1);
+
+    assert.deepEqual(sent.map(message => message.text), [
+      i18nService.t('en', 'media.pendingFailed', { count: 1, ticketId: 42 })
+    ]);
+  });
+
+  it('n\'envoie rien sans média en attente', async () => {
+    assert.equal(await mediaService.attachPendingToTicket(USER, {}, 42), 0);
+    assert.deepEqual(sent, []);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { setupEnv } = require('./helpers');
+
+setupEnv();
+
+const messageDedupService = require('../services/messageDedupService');
+const { flushAll, dataPath } = require('../services/dataFiles');
+
+describe('messageDedupService', () => {
+  after(() => flushAll());
+
+  it('ignore les redélivrances d\'un message en cours de traitement puis traité', () => {
+    const before = messageDedupService.getStats().duplicatesDropped;
+
+    assert.equal(messageDedupService.claim('wamid.A'), true);
+    assert.equal(messageDedupService.claim('wamid.A'), false);
+    assert.equal(messageDedupService.isProcessed('wamid.A'), false);
+
+    messageDedupService.markProcessed('wamid.A');
+    assert.equal(messageDedupService.claim('wamid.A'), false);
+    assert.equal(messageDedupService.isProcessed('wamid.A'), true);
+    assert.equal(messageDedupService.getStats().duplicatesDropped - before, 2);
+  });
+
+  it('traite toujours un message sans identifiant', () => {
+    assert.equal(messageDedupService.claim(undefined), true);
+    assert.equal(messageDedupService.claim(undefined), true);
+  });
+
+  it('distingue les messages par identifiant', () => {
+    assert.equal(messageDedupService.claim('wamid.B'), true);
+    assert.equal(messageDedupService.claim('wamid.C'), true);
+  });
+
+  it('n\'enregistre sur le disque que les messages traités', async () => {
+    messageDedupService.claim('wamid.D');
+    messageDedupService.claim('wamid.E');
+    messageDedupService.markProcessed('wamid.D');
+    await flushAll();
+
+    // wamid.E, encore en file lors d'un arrêt, serait traité à sa redélivrance
+    const saved = JSON.parse(fs.readFileSync(dataPath('processed_messages.json'), 'utf8'));
+    assert.ok(saved['wamid.A']);
+    assert.ok(saved['wamid.D']);
+    assert.equal(saved['wamid.E'], undefined);
+  });
+});
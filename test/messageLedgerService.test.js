@@ -0,0 +1,122 @@
+const { describe, it, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({
+  MESSAGE_LEDGER_RETENTION_DAYS: '30'
+});
+
+const messageLedgerService = require('../services/messageLedgerService');
+const { flushAll } = require('../services/dataFiles');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const send = (wamid, phone = '33612345678') => messageLedgerService.recordOutbound(
+    { messages: [{ id: wamid }] },
+    { phone, type: 'text', preview: 'Bonjour' }
+);
+
+const status = (wamid, value, extra = {}) => messageLedgerService.applyStatus({
+  id: wamid,
+  status: value,
+  recipient_id: '33612345678',
+  timestamp: String(Math.floor(Date.now() / 1000)),
+  ...extra
+});
+
+describe('messageLedgerService.getTicketIdForMessage', () => {
+  after(() => flushAll());
+
+  messageLedgerService.recordOutbound(
+      { messages: [{ id: 'wamid.NOTIF' }] },
+      { phone: '+33 6 12 34 56 78', type: 'text', preview: 'Ticket #42 mis à jour', context: { ticketId: 42, updateType: 'status' } }
+  );
+  messageLedgerService.recordOutbound(
+      { messages: [{ id: 'wamid.MENU' }] },
+      { phone: '33612345678', type: 'interactive', preview: 'Menu principal' }
+  );
+
+  it('rattache la réponse du destinataire au ticket de la notification', () => {
+    assert.equal(messageLedgerService.getTicketIdForMessage('wamid.NOTIF', '33612345678'), 42);
+  });
+
+  it('ne rattache pas la réponse d\'un autre numéro', () => {
+    assert.equal(messageLedgerService.getTicketIdForMessage('wamid.NOTIF', '33698765432'), null);
+  });
+
+  it('ignore les messages sans ticket et les messages inconnus', () => {
+    assert.equal(messageLedgerService.getTicketIdForMessage('wamid.MENU', '33612345678'), null);
+    assert.equal(messageLedgerService.getTicketIdForMessage('wamid.INCONNU', '33612345678'), null);
+  });
+});
+
+describe('messageLedgerService.applyStatus', () => {
+  after(() => flushAll());
+  afterEach(() => mock.timers.reset());
+
+  it('suit la progression des statuts sans régresser sur un callback en retard', () => {
+    send('wamid.ORDRE');
+
+    status('wamid.ORDRE', 'delivered');
+    status('wamid.ORDRE', 'read');
+    const entry = status('wamid.ORDRE', 'sent');
+
+    assert.equal(entry.status, 'read');
+    assert.deepEqual(entry.statusHistory.map(item => item.status), ['delivered', 'read', 'sent']);
+  });
+
+  it('n\'ajoute pas deux fois un callback redélivré à l\'historique', () => {
+    send('wamid.DOUBLE');
+
+    status('wamid.DOUBLE', 'delivered');
+    const entry = status('wamid.DOUBLE', 'delivered');
+
+    assert.equal(entry.statusHistory.length, 1);
+  });
+
+  it('enregistre un échec avec ses codes d\'erreur, sans qu\'un statut ultérieur l\'efface', () => {
+    send('wamid.ECHEC');
+
+    status('wamid.ECHEC', 'failed', {
+      errors: [{ code: 131026, title: 'Message undeliverable', error_data: { details: 'Numéro sans WhatsApp' } }]
+    });
+    const entry = status('wamid.ECHEC', 'delivered');
+
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.errors.length, 1);
+    assert.equal(entry.errors[0].code, 131026);
+    assert.equal(entry.errors[0].message, 'Numéro sans WhatsApp');
+  });
+
+  it('conserve un statut reçu avant l\'enregistrement du message', () => {
+    status('wamid.AVANCE', 'delivered');
+
+    const entry = messageLedgerService.recordOutbound(
+        { messages: [{ id: 'wamid.AVANCE' }] },
+        { phone: '33612345678', type: 'text', preview: 'Ticket #7', context: { ticketId: 7 } }
+    );
+
+    assert.equal(entry.status, 'delivered');
+    assert.equal(entry.statusHistory.length, 1);
+    assert.equal(entry.ticketId, 7);
+  });
+
+  it('ignore un callback sans identifiant ou sans statut', () => {
+    assert.equal(messageLedgerService.applyStatus({ status: 'sent' }), null);
+    assert.equal(messageLedgerService.applyStatus({ id: 'wamid.VIDE' }), null);
+  });
+
+  it('supprime les messages plus anciens que la durée de conservation', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    send('wamid.ANCIEN');
+
+    mock.timers.tick(29 * DAY);
+    send('wamid.RECENT');
+    assert.ok(messageLedgerService.getByWamid('wamid.ANCIEN'));
+
+    mock.timers.tick(2 * DAY);
+    send('wamid.NOUVEAU');
+    assert.equal(messageLedgerService.getByWamid('wamid.ANCIEN'), null);
+    assert.ok(messageLedgerService.getByWamid('wamid.RECENT'));
+  });
+});
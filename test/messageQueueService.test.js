@@ -0,0 +1,139 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({
+  MESSAGE_QUEUE_RETRY_DELAY_MS: '5',
+  MESSAGE_QUEUE_MAX_ATTEMPTS: '3'
+});
+
+const messageQueueService = require('../services/messageQueueService');
+
+// Comportement du traitement pour chaque utilisateur de test : (payload, attempt) => Promise
+const behaviours = new Map();
+const attempts = new Map();
+
+/**
+ * Erreur réseau passagère (même forme que les erreurs axios)
+ */
+function networkError() {
+  const error = new Error('connect ECONNRESET');
+  error.code = 'ECONNRESET';
+  return error;
+}
+
+/**
+ * Attendre que la file soit vide
+ */
+async function drain() {
+  while (messageQueueService.getStats().pending > 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('messageQueueService', () => {
+  before(() => {
+    messageQueueService.setProcessor(async (payload) => {
+      const count = (attempts.get(payload.from) || 0) + 1;
+      attempts.set(payload.from, count);
+      await behaviours.get(payload.from)(payload, count);
+    });
+  });
+
+  it('traite les messages d\'un utilisateur dans l\'ordre', async () => {
+    const handled = [];
+    behaviours.set('ordre', async (payload) => {
+      await new Promise(resolve => setTimeout(resolve, payload.delay));
+      handled.push(payload.id);
+    });
+
+    messageQueueService.enqueue('ordre', { from: 'ordre', id: 1, delay: 20 });
+    messageQueueService.enqueue('ordre', { from: 'ordre', id: 2, delay: 0 });
+    messageQueueService.enqueue('ordre', { from: 'ordre', id: 3, delay: 5 });
+    await drain();
+
+    assert.deepEqual(handled, [1, 2, 3]);
+  });
+
+  it('retente une erreur passagère survenue avant tout effet', async () => {
+    behaviours.set('passager', async (payload, count) => {
+      if (count < 3) {
+        throw networkError();
+      }
+    });
+
+    const before = messageQueueService.getStats();
+    messageQueueService.enqueue('passager', { from: 'passager' });
+    await drain();
+
+    const after = messageQueueService.getStats();
+    assert.equal(attempts.get('passager'), 3);
+    assert.equal(after.retried - before.retried, 2);
+    assert.equal(after.deadLetters, before.deadLetters);
+  });
+
+  it('ne rejoue pas un message dont le traitement a déjà produit un effet', async () => {
+    behaviours.set('partiel', async () => {
+      // Ticket créé dans GLPI, puis erreur réseau en envoyant la confirmation
+      messageQueueService.recordSideEffect('glpi');
+      throw networkError();
+    });
+
+    messageQueueService.enqueue('partiel', { from: 'partiel' });
+    await drain();
+
+    assert.equal(attempts.get('partiel'), 1);
+    const deadLetter = messageQueueService.getDeadLetters().find(entry => entry.userId === 'partiel');
+    assert.ok(deadLetter);
+    assert.equal(deadLetter.attempts, 1);
+    assert.deepEqual(deadLetter.sideEffects, ['glpi']);
+  });
+
+  it('ne retente pas une erreur qui n\'est pas passagère', async () => {
+    behaviours.set('bug', async () => {
+      throw new TypeError('session.ticketData is undefined');
+    });
+
+    messageQueueService.enqueue('bug', { from: 'bug' });
+    await drain();
+
+    assert.equal(attempts.get('bug'), 1);
+    assert.ok(messageQueueService.getDeadLetters().some(entry => entry.userId === 'bug'));
+  });
+
+  it('abandonne une erreur passagère après le nombre maximum de tentatives', async () => {
+    behaviours.set('panne', async () => {
+      const error = new Error('Request failed with status code 503');
+      error.response = { status: 503 };
+      throw error;
+    });
+
+    messageQueueService.enqueue('panne', { from: 'panne' });
+    await drain();
+
+    assert.equal(attempts.get('panne'), 3);
+    const deadLetter = messageQueueService.getDeadLetters().find(entry => entry.userId === 'panne');
+    assert.equal(deadLetter.attempts, 3);
+    assert.deepEqual(deadLetter.sideEffects, []);
+  });
+
+  it('signale la fin du traitement, réussi ou abandonné, et pas avant', async () => {
+    const settled = [];
+    behaviours.set('fin', async (payload, count) => {
+      assert.deepEqual(settled, payload.fail ? ['traité'] : []);
+      if (payload.fail || count === 1) {
+        throw networkError();
+      }
+    });
+
+    messageQueueService.enqueue('fin', { from: 'fin' }, () => settled.push('traité'));
+    messageQueueService.enqueue('fin', { from: 'fin', fail: true }, () => settled.push('abandonné'));
+    await drain();
+
+    assert.deepEqual(settled, ['traité', 'abandonné']);
+  });
+
+  it('ignore les effets signalés hors du traitement d\'un message', () => {
+    assert.doesNotThrow(() => messageQueueService.recordSideEffect('whatsapp'));
+  });
+});
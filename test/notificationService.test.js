@@ -0,0 +1,73 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, captureWhatsApp } = require('./helpers');
+
+setupEnv();
+
+const messageLedgerService = require('../services/messageLedgerService');
+const notificationService = require('../services/notificationService');
+
+// Modèles envoyés, à la place de l'API WhatsApp
+const sent = captureWhatsApp();
+const templates = () => sent.filter(message => message.type === 'template');
+
+const failedStatus = (wamid, code) => ({
+  id: wamid,
+  status: 'failed',
+  recipient_id: '33600000050',
+  timestamp: String(Math.floor(Date.now() / 1000)),
+  errors: [{ code, title: 'Re-engagement message' }]
+});
+
+describe('notifications refusées hors de la fenêtre de 24h', () => {
+  beforeEach(() => {
+    sent.length = 0;
+  });
+
+  it('reconnaît l\'erreur 131047 dans un callback de statut', () => {
+    assert.equal(notificationService.isOutsideWindowFailure(failedStatus('wamid.X', 131047)), true);
+    assert.equal(notificationService.isOutsideWindowFailure(failedStatus('wamid.X', 131026)), false);
+    assert.equal(notificationService.isOutsideWindowFailure({ id: 'wamid.X', status: 'delivered' }), false);
+  });
+
+  it('renvoie la notification enregistrée avec le modèle de son type, dans la langue de l\'abonné', async () => {
+    messageLedgerService.recordOutbound({ messages: [{ id: 'wamid.NOTIF' }] }, {
+      phone: '33600000050',
+      type: 'interactive',
+      preview: 'Ticket #42',
+      context: {
+        ticketId: 42,
+        updateType: 'comment',
+        notification: {
+          language: 'en',
+          values: { ticketId: 42, title: 'Printer', author: 'Support', content: 'Fixed' }
+        }
+      }
+    });
+
+    const entry = messageLedgerService.applyStatus(failedStatus('wamid.NOTIF', 131047));
+    assert.equal(await notificationService.resendAsTemplate(entry), true);
+
+    assert.equal(templates().length, 1);
+    assert.equal(templates()[0].to, '33600000050');
+    assert.equal(templates()[0].templateName, 'ticket_new_comment');
+    assert.equal(templates()[0].languageCode, 'en');
+    assert.deepEqual(templates()[0].context, { ticketId: 42, updateType: 'comment' });
+    assert.deepEqual(
+        templates()[0].components[0].parameters.map(parameter => parameter.text),
+        ['42', 'Printer', 'Support', 'Fixed']
+    );
+  });
+
+  it('ne renvoie pas un message qui n\'est pas une notification', async () => {
+    messageLedgerService.recordOutbound({ messages: [{ id: 'wamid.MENU' }] }, {
+      phone: '33600000050',
+      type: 'interactive',
+      preview: 'Menu principal'
+    });
+
+    const entry = messageLedgerService.applyStatus(failedStatus('wamid.MENU', 131047));
+    assert.equal(await notificationService.resendAsTemplate(entry), false);
+    assert.deepEqual(templates(), []);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Indicatif des numéros saisis au format national, avant le chargement du service
+process.env.DEFAULT_COUNTRY_CODE = '33';
+
+const phoneNumberService = require('../services/phoneNumberService');
+
+describe('phoneNumberService.normalize', () => {
+  it('ramène les différentes saisies d\'un numéro au format international', () => {
+    ['+33 6 12 34 56 78', '0033612345678', '06.12.34.56.78', '06-12-34-56-78', '33612345678'].forEach(phone => {
+      assert.equal(phoneNumberService.normalize(phone), '33612345678', phone);
+    });
+  });
+
+  it('retourne une chaîne vide pour un numéro absent', () => {
+    assert.equal(phoneNumberService.normalize(''), '');
+    assert.equal(phoneNumberService.normalize(null), '');
+  });
+});
+
+describe('phoneNumberService.isSameNumber', () => {
+  it('reconnaît un même numéro saisi différemment', () => {
+    assert.equal(phoneNumberService.isSameNumber('33612345678', '06 12 34 56 78'), true);
+    assert.equal(phoneNumberService.isSameNumber('+33 6 12 34 56 78', '0033612345678'), true);
+  });
+
+  it('distingue deux numéros internationaux d\'indicatifs différents', () => {
+    assert.equal(phoneNumberService.isSameNumber('33612345678', '212612345678'), false);
+  });
+
+  it('ignore les numéros trop courts (postes internes)', () => {
+    assert.equal(phoneNumberService.isSameNumber('1234', '1234'), false);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({
+  RATE_LIMIT_MESSAGES_PER_MINUTE: '3',
+  RATE_LIMIT_TICKETS_PER_HOUR: '2'
+});
+
+const rateLimitService = require('../services/rateLimitService');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+describe('rateLimitService', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('refuse les messages au-delà de la limite et n\'avertit qu\'une fois par fenêtre', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const before = rateLimitService.getStats().messagesThrottled;
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal(rateLimitService.checkMessage('33600000120').allowed, true);
+      mock.timers.tick(10 * SECOND);
+    }
+
+    const first = rateLimitService.checkMessage('33600000120');
+    assert.deepEqual(first, { allowed: false, notify: true, limit: 3, retryAfterSeconds: 30 });
+    assert.equal(rateLimitService.checkMessage('33600000120').notify, false);
+    assert.equal(rateLimitService.getStats().messagesThrottled - before, 2);
+
+    // Les autres utilisateurs ne sont pas concernés
+    assert.equal(rateLimitService.checkMessage('33600000121').allowed, true);
+  });
+
+  it('accepte à nouveau les messages quand la fenêtre glisse', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    for (let i = 0; i < 3; i++) {
+      rateLimitService.checkMessage('33600000122');
+    }
+    assert.equal(rateLimitService.checkMessage('33600000122').allowed, false);
+
+    mock.timers.tick(MINUTE + SECOND);
+
+    assert.equal(rateLimitService.checkMessage('33600000122').allowed, true);
+    assert.equal(rateLimitService.checkMessage('33600000122').allowed, true);
+  });
+
+  it('limite les tickets créés sans compter les vérifications', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    assert.equal(rateLimitService.checkTicketCreation('33600000123').allowed, true);
+    assert.equal(rateLimitService.checkTicketCreation('33600000123').allowed, true);
+    rateLimitService.recordTicketCreation('33600000123');
+    rateLimitService.recordTicketCreation('33600000123');
+
+    const refused = rateLimitService.checkTicketCreation('33600000123');
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.notify, true);
+    assert.equal(refused.retryAfterSeconds, 3600);
+    assert.ok(rateLimitService.getStats().throttledUsers >= 1);
+
+    mock.timers.tick(60 * MINUTE + SECOND);
+    assert.equal(rateLimitService.checkTicketCreation('33600000123').allowed, true);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv, captureWhatsApp } = require('./helpers');
+
+setupEnv({
+  REACTION_ACTIONS: '{"👍":"approve","🙏":"approve","👎":"refuse"}'
+});
+
+const glpiService = require('../services/glpiService');
+const i18nService = require('../services/i18nService');
+const messageLedgerService = require('../services/messageLedgerService');
+const reactionService = require('../services/reactionService');
+const { flushAll } = require('../services/dataFiles');
+
+// Messages envoyés, à la place de l'API WhatsApp
+const sent = captureWhatsApp();
+
+// Tickets et suivis GLPI, à la place de l'API
+const tickets = {};
+let followups = [];
+glpiService.getTicket = async (ticketId) => tickets[ticketId];
+glpiService.addTicketFollowup = async (ticketId, content, options) => {
+  followups.push({ ticketId, content, options });
+  return { id: followups.length };
+};
+glpiService.setTicketSatisfaction = async () => true;
+
+const USER = '33600000090';
+
+const notify = (wamid, ticketId, updateType = 'resolution') => messageLedgerService.recordOutbound(
+    { messages: [{ id: wamid }] },
+    { phone: USER, type: 'text', preview: 'Ticket résolu', context: { ticketId, updateType } }
+);
+
+describe('reactionService.getActionForEmoji', () => {
+  it('associe les emojis configurés à leur action', () => {
+    assert.equal(reactionService.getActionForEmoji('👍'), 'approve');
+    assert.equal(reactionService.getActionForEmoji('🙏'), 'approve');
+    assert.equal(reactionService.getActionForEmoji('👎'), 'refuse');
+    assert.equal(reactionService.getActionForEmoji('❤️'), null);
+  });
+
+  it('ignore la couleur de peau et le sélecteur de variation', () => {
+    assert.equal(reactionService.getActionForEmoji('👍🏽'), 'approve');
+    assert.equal(reactionService.getActionForEmoji('👎🏿'), 'refuse');
+    assert.equal(reactionService.getActionForEmoji('👍\u{FE0F}'), 'approve');
+  });
+});
+
+describe('reactionService.handleReaction', () => {
+  after(() => flushAll());
+
+  beforeEach(() => {
+    sent.length = 0;
+    followups = [];
+    tickets[42] = { id: 42, status: 5 };
+  });
+
+  it('valide la solution d\'un ticket résolu', async () => {
+    notify('wamid.R1', 42);
+
+    await reactionService.handleReaction(USER, { message_id: 'wamid.R1', emoji: '👍🏻' });
+
+    assert.equal(followups.length, 1);
+    assert.deepEqual(followups[0].options, { add_close: 1 });
+    assert.deepEqual(sent.map(message => message.text), [i18nService.t('fr', 'reactions.approved', { ticketId: 42 })]);
+    assert.deepEqual(
+        messageLedgerService.getByWamid('wamid.R1').reactions.map(({ action, outcome }) => ({ action, outcome })),
+        [{ action: 'approve', outcome: 'approved' }]
+    );
+  });
+
+  it('rouvre un ticket dont la solution est refusée', async () => {
+    notify('wamid.R2', 42);
+
+    await reactionService.handleReaction(USER, { message_id: 'wamid.R2', emoji: '👎' });
+
+    assert.deepEqual(followups[0].options, { add_reopen: 1 });
+    assert.deepEqual(sent.map(message => message.text), [i18nService.t('fr', 'reactions.reopened', { ticketId: 42 })]);
+  });
+
+  it('ne fait que journaliser une réaction hors notification de résolution', async () => {
+    notify('wamid.R3', 42, 'followup');
+
+    await reactionService.handleReaction(USER, { message_id: 'wamid.R3', emoji: '👍' });
+
+    assert.deepEqual(followups, []);
+    assert.deepEqual(sent, []);
+    assert.equal(messageLedgerService.getByWamid('wamid.R3').reactions[0].outcome, 'logged');
+  });
+
+  it('ignore une réaction à un message inconnu', async () => {
+    await reactionService.handleReaction(USER, { message_id: 'wamid.inconnu', emoji: '👍' });
+
+    assert.deepEqual(followups, []);
+    assert.deepEqual(sent, []);
+    assert.equal(messageLedgerService.getByWamid('wamid.inconnu'), null);
+  });
+
+  it('ignore la réaction d\'un autre numéro que le destinataire', async () => {
+    notify('wamid.R4', 42);
+
+    await reactionService.handleReaction('33600000091', { message_id: 'wamid.R4', emoji: '👍' });
+
+    assert.deepEqual(followups, []);
+    assert.deepEqual(sent, []);
+    assert.equal(messageLedgerService.getByWamid('wamid.R4').reactions, undefined);
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({
+  SESSION_TTL_MINUTES: '30'
+});
+
+const sessionManager = require('../services/sessionManager');
+
+const MINUTE = 60 * 1000;
+
+describe('sessionManager', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('date chaque session enregistrée', async () => {
+    await sessionManager.saveSession('33600000020', { currentStep: 'main_menu' });
+
+    const session = await sessionManager.getSession('33600000020');
+    assert.ok(Date.now() - Date.parse(session.updatedAt) < MINUTE);
+  });
+
+  it('conserve une session active et considère une session inactive comme expirée', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    await sessionManager.saveSession('33600000021', { currentStep: 'add_comment', ticketId: 12 });
+
+    mock.timers.tick(29 * MINUTE);
+    assert.equal((await sessionManager.getSession('33600000021')).currentStep, 'add_comment');
+
+    mock.timers.tick(2 * MINUTE);
+    assert.equal(await sessionManager.getSession('33600000021'), null);
+  });
+
+  it('repousse l\'expiration à chaque enregistrement', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    const session = { currentStep: 'add_comment', ticketId: 12 };
+    await sessionManager.saveSession('33600000022', session);
+
+    mock.timers.tick(20 * MINUTE);
+    await sessionManager.saveSession('33600000022', session);
+
+    mock.timers.tick(20 * MINUTE);
+    assert.ok(await sessionManager.getSession('33600000022'));
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv();
+
+const sessionSchema = require('../services/sessionSchema');
+
+describe('sessionSchema.upgrade', () => {
+  it('migre une session sans version jusqu\'au schéma actuel', () => {
+    const { session, changed } = sessionSchema.upgrade('33600000060', {
+      currentStep: 'tracking_add_comment',
+      ticketToComment: 42,
+      currentTicketId: 7,
+      trackingMode: true,
+      guidedTicket: { step: 'title' }
+    });
+
+    assert.equal(changed, true);
+    assert.deepEqual(session, {
+      currentStep: 'add_comment',
+      ticketId: 42,
+      schemaVersion: sessionSchema.SCHEMA_VERSION
+    });
+  });
+
+  it('n\'applique que les migrations postérieures à la version de la session', () => {
+    const { session } = sessionSchema.upgrade('33600000061', {
+      schemaVersion: 2,
+      currentStep: 'initial',
+      guidedTicket: { step: 'title' }
+    });
+
+    // "initial" n'est renommé que par la migration 2, déjà appliquée
+    assert.equal(session.currentStep, 'initial');
+    assert.equal(session.guidedTicket, undefined);
+    assert.equal(session.schemaVersion, sessionSchema.SCHEMA_VERSION);
+  });
+
+  it('laisse inchangée une session valide et à jour', () => {
+    const stored = {
+      schemaVersion: sessionSchema.SCHEMA_VERSION,
+      currentStep: 'search_menu',
+      language: 'en',
+      ticketId: 12,
+      updatedAt: new Date().toISOString()
+    };
+
+    const { session, changed } = sessionSchema.upgrade('33600000062', { ...stored });
+
+    assert.equal(changed, false);
+    assert.deepEqual(session, stored);
+  });
+
+  it('réinitialise uniquement les parties invalides', () => {
+    const { session, changed } = sessionSchema.upgrade('33600000063', {
+      schemaVersion: sessionSchema.SCHEMA_VERSION,
+      currentStep: 'add_comment',
+      ticketId: 'abc',
+      language: 'de',
+      pendingAttachments: [{ type: 'image' }],
+      recentTickets: [3, 4],
+      updatedAt: 'hier'
+    });
+
+    assert.equal(changed, true);
+    assert.deepEqual(session, {
+      schemaVersion: sessionSchema.SCHEMA_VERSION,
+      currentStep: 'add_comment',
+      recentTickets: [3, 4]
+    });
+  });
+
+  it('écarte une session illisible', () => {
+    assert.deepEqual(sessionSchema.upgrade('33600000064', 'corrompue'), { session: null, changed: true });
+    assert.deepEqual(sessionSchema.upgrade('33600000064', [1, 2]), { session: null, changed: true });
+  });
+
+  it('ne rétrograde pas une session plus récente que le schéma', () => {
+    const { session } = sessionSchema.upgrade('33600000065', { schemaVersion: sessionSchema.SCHEMA_VERSION + 1 });
+
+    assert.equal(session.schemaVersion, sessionSchema.SCHEMA_VERSION + 1);
+  });
+});
+
+describe('sessionSchema.resolveStepName', () => {
+  it('suit les renommages d\'étapes', () => {
+    assert.equal(sessionSchema.resolveStepName('search_by_id'), 'search_menu');
+    assert.equal(sessionSchema.resolveStepName('main_menu'), 'main_menu');
+  });
+});
+
+describe('sessionSchema.stamp', () => {
+  it('marque la version et la date de mise à jour', () => {
+    const session = sessionSchema.stamp({ currentStep: 'main_menu' });
+
+    assert.equal(session.schemaVersion, sessionSchema.SCHEMA_VERSION);
+    assert.ok(Date.now() - Date.parse(session.updatedAt) < 1000);
+  });
+
+  it('conserve la version d\'une session plus récente', () => {
+    const session = sessionSchema.stamp({ schemaVersion: sessionSchema.SCHEMA_VERSION + 1 });
+
+    assert.equal(session.schemaVersion, sessionSchema.SCHEMA_VERSION + 1);
+  });
+});
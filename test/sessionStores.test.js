@@ -0,0 +1,58 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { setupEnv } = require('./helpers');
+
+setupEnv();
+
+const createJsonFileStore = require('../services/sessionStores/jsonFileStore');
+const createSqliteStore = require('../services/sessionStores/sqliteStore');
+const createMemoryStore = require('../services/sessionStores/memoryStore');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const factories = {
+  json: () => createJsonFileStore(path.join(process.env.DATA_DIR, 'sessions.json')),
+  sqlite: () => createSqliteStore(path.join(process.env.DATA_DIR, 'sessions.sqlite')),
+  memory: () => createMemoryStore()
+};
+
+for (const [type, createStore] of Object.entries(factories)) {
+  describe(`stockage de sessions ${type}`, () => {
+    const store = createStore();
+
+    after(() => store.close());
+
+    it('enregistre, relit et supprime une session', async () => {
+      await store.set('33600000010', { currentStep: 'main_menu', updatedAt: minutesAgo(0) });
+
+      assert.equal((await store.get('33600000010')).currentStep, 'main_menu');
+      assert.equal(await store.count(), 1);
+
+      await store.delete('33600000010');
+      assert.equal(await store.get('33600000010'), null);
+      assert.equal(await store.count(), 0);
+    });
+
+    it('renvoie une copie indépendante de la session enregistrée', async () => {
+      await store.set('33600000011', { ticketData: { title: 'Imprimante' }, updatedAt: minutesAgo(0) });
+
+      const copy = await store.get('33600000011');
+      copy.ticketData.title = 'modifié';
+      assert.equal((await store.get('33600000011')).ticketData.title, 'Imprimante');
+
+      await store.delete('33600000011');
+    });
+
+    it('supprime uniquement les sessions mises à jour avant la date donnée', async () => {
+      await store.set('33600000012', { currentStep: 'main_menu', updatedAt: minutesAgo(45) });
+      await store.set('33600000013', { currentStep: 'main_menu', updatedAt: minutesAgo(5) });
+
+      const purged = await store.purgeExpired(Date.now() - 30 * 60 * 1000);
+
+      assert.equal(purged, 1);
+      assert.equal(await store.get('33600000012'), null);
+      assert.ok(await store.get('33600000013'));
+    });
+  });
+}
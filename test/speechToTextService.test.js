@@ -0,0 +1,73 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv();
+
+const speechToTextService = require('../services/speechToTextService');
+
+const audio = { buffer: Buffer.from('ogg'), mimeType: 'audio/ogg', filename: 'vocal.ogg' };
+
+// Appels reçus par le fournisseur de test
+let calls = [];
+
+speechToTextService.registerProvider('test', {
+  transcribe: async (request) => {
+    calls.push(request);
+    if (request.filename === 'illisible.ogg') {
+      throw new Error('Format non pris en charge');
+    }
+    return request.filename === 'silence.ogg' ? '   ' : '  Mon imprimante est en panne  ';
+  }
+});
+
+describe('speechToTextService', () => {
+  beforeEach(() => {
+    calls = [];
+    delete process.env.STT_PROVIDER;
+    delete process.env.STT_STUB_TRANSCRIPT;
+    delete process.env.NODE_ENV;
+  });
+
+  it('n\'utilise aucun fournisseur sans configuration explicite', async () => {
+    assert.equal(speechToTextService.getProviderName(), null);
+    assert.equal(speechToTextService.isConfigured(), false);
+    await assert.rejects(speechToTextService.transcribe(audio, 'fr'), /Aucun fournisseur/);
+  });
+
+  it('utilise le fournisseur local par défaut sous NODE_ENV=test', async () => {
+    process.env.NODE_ENV = 'test';
+    process.env.STT_STUB_TRANSCRIPT = 'Écran noir au démarrage';
+
+    assert.equal(speechToTextService.getProviderName(), 'stub');
+    assert.equal(await speechToTextService.transcribe(audio, 'fr'), 'Écran noir au démarrage');
+  });
+
+  it('transmet la langue de l\'utilisateur et nettoie le texte transcrit', async () => {
+    process.env.STT_PROVIDER = 'test';
+
+    assert.equal(await speechToTextService.transcribe(audio, 'ar'), 'Mon imprimante est en panne');
+    assert.deepEqual(calls, [{ ...audio, language: 'ar' }]);
+  });
+
+  it('retourne une chaîne vide pour un enregistrement sans parole', async () => {
+    process.env.STT_PROVIDER = 'test';
+
+    assert.equal(await speechToTextService.transcribe({ ...audio, filename: 'silence.ogg' }, 'fr'), '');
+  });
+
+  it('signale l\'échec du fournisseur', async () => {
+    process.env.STT_PROVIDER = 'test';
+
+    await assert.rejects(
+        speechToTextService.transcribe({ ...audio, filename: 'illisible.ogg' }, 'fr'),
+        { message: 'Impossible de transcrire le message vocal' }
+    );
+  });
+
+  it('refuse un fournisseur inconnu', async () => {
+    process.env.STT_PROVIDER = 'inconnu';
+
+    await assert.rejects(speechToTextService.transcribe(audio, 'fr'), /Fournisseur de transcription inconnu/);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv();
+
+const i18nService = require('../services/i18nService');
+const ticketSearchService = require('../services/ticketSearchService');
+
+const ticket = {
+  id: 42,
+  title: 'Imprimante en panne',
+  type: 1,
+  status: 2,
+  urgency: 3,
+  dateCreation: '2024-03-12T10:15:00'
+};
+
+describe('ticketSearchService', () => {
+  it('formate les résultats dans la langue demandée', () => {
+    const message = ticketSearchService.formatSearchResults([ticket], 'imprimante', 'en');
+
+    assert.match(message, /Results for "imprimante"/);
+    assert.match(message, /\*#42\* - Imprimante en panne/);
+    assert.ok(message.includes(`Status: ${i18nService.label('en', 'status', 2)}`));
+    assert.ok(message.includes(i18nService.formatDateTime('en', ticket.dateCreation)));
+    assert.doesNotMatch(message, /Créé le|Statut/);
+  });
+
+  it('utilise le français par défaut', () => {
+    const message = ticketSearchService.formatSearchResults([ticket]);
+
+    assert.ok(message.includes(`Créé le: ${i18nService.formatDateTime('fr', ticket.dateCreation)}`));
+  });
+
+  it('indique l\'absence de résultat dans la langue demandée', () => {
+    assert.equal(
+      ticketSearchService.formatSearchResults([], 'vpn', 'en'),
+      i18nService.t('en', 'search.noResultsForKeyword', { keyword: 'vpn' })
+    );
+  });
+
+  it('traduit l\'aide des critères sans changer les mots-clés reconnus', () => {
+    const prompt = ticketSearchService.formatSearchCriteriaPrompt('ar');
+
+    assert.equal(prompt, i18nService.t('ar', 'search.criteriaPrompt'));
+    assert.match(prompt, /mot:/);
+    assert.deepEqual(ticketSearchService.parseCriteria('mot:imprimante statut:2'), { keyword: 'imprimante', status: 2 });
+  });
+});
+
+describe('ticketSearchService.parseCriteria', () => {
+  it('reconnaît les critères de la saisie', () => {
+    assert.deepEqual(
+      ticketSearchService.parseCriteria('mot:"écran noir" statut:2 type:1 urgence:4 catégorie:7'),
+      { keyword: 'écran noir', status: 2, type: 1, urgency: 4, category: 7 }
+    );
+  });
+
+  it('traduit le tri, l\'ordre et la page en critères de recherche', () => {
+    assert.deepEqual(
+      ticketSearchService.parseCriteria('mot:vpn tri:urgence ordre:asc page:3'),
+      { keyword: 'vpn', sort: 'urgency', order: 'ASC', start: 10, limit: 5 }
+    );
+    assert.deepEqual(ticketSearchService.parseCriteria('mot:vpn page:1'), { keyword: 'vpn' });
+  });
+
+  it('recherche une saisie sans critère comme mot-clé', () => {
+    assert.deepEqual(ticketSearchService.parseCriteria(' imprimante bloquée '), { keyword: 'imprimante bloquée' });
+    assert.deepEqual(ticketSearchService.parseCriteria('annuler'), {});
+  });
+
+  it('ignore un champ de tri inconnu ou une page négative', () => {
+    assert.deepEqual(ticketSearchService.parseCriteria('statut:2 tri:couleur'), { status: 2 });
+    assert.deepEqual(ticketSearchService.parseCriteria('tri:couleur'), {});
+    assert.deepEqual(ticketSearchService.parseCriteria('page:-2'), {});
+  });
+});
+
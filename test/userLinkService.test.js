@@ -0,0 +1,104 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({
+  LINK_CODE_TTL_MINUTES: '10',
+  LINK_CODE_MAX_ATTEMPTS: '3'
+});
+
+const mailerService = require('../services/mailerService');
+const userLinkService = require('../services/userLinkService');
+
+// Emails envoyés, à la place du fournisseur d'envoi
+let mails = [];
+mailerService.send = async (mail) => {
+  mails.push(mail);
+};
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Commencer une vérification et retourner le code envoyé par email
+ */
+async function startVerification(phone, userId = 5, email = 'jean.dupont@entreprise.fr') {
+  mails = [];
+  const result = await userLinkService.startVerification(phone, { id: userId }, email, 'fr');
+  assert.deepEqual(result, { success: true });
+  assert.equal(mails.length, 1);
+  assert.equal(mails[0].to, email);
+  return mails[0].text.match(/\b\d{6}\b/)[0];
+}
+
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+describe('userLinkService', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('lie le numéro lorsque le code reçu par email est correct', async () => {
+    const code = await startVerification('33600000070');
+
+    assert.equal(userLinkService.isLinked('33600000070'), false);
+
+    const result = userLinkService.verify('33600000070', code.replace(/(\d{3})/, '$1 '));
+
+    assert.equal(result.status, 'linked');
+    assert.equal(result.link.userId, 5);
+    assert.equal(userLinkService.getLink('33600000070').email, 'jean.dupont@entreprise.fr');
+    assert.equal(userLinkService.getPendingVerification('33600000070'), null);
+  });
+
+  it('refuse un code erroné puis annule la vérification après trop d\'essais', async () => {
+    const code = await startVerification('33600000071');
+
+    assert.deepEqual(userLinkService.verify('33600000071', wrongCode(code)), { status: 'invalid', attemptsLeft: 2 });
+    assert.deepEqual(userLinkService.verify('33600000071', wrongCode(code)), { status: 'invalid', attemptsLeft: 1 });
+    assert.deepEqual(userLinkService.verify('33600000071', wrongCode(code)), { status: 'tooManyAttempts' });
+
+    // Le bon code n'est plus accepté une fois la vérification annulée
+    assert.deepEqual(userLinkService.verify('33600000071', code), { status: 'none' });
+    assert.equal(userLinkService.isLinked('33600000071'), false);
+  });
+
+  it('refuse un code expiré', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const code = await startVerification('33600000072');
+
+    mock.timers.tick(11 * MINUTE);
+
+    assert.deepEqual(userLinkService.verify('33600000072', code), { status: 'expired' });
+    assert.equal(userLinkService.isLinked('33600000072'), false);
+  });
+
+  it('limite les renvois de code et invalide l\'ancien code', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const firstCode = await startVerification('33600000073');
+
+    const tooSoon = await userLinkService.resendCode('33600000073', 'fr');
+    assert.equal(tooSoon.success, false);
+    assert.ok(tooSoon.retryIn > 0 && tooSoon.retryIn <= 60);
+
+    mock.timers.tick(MINUTE);
+    mails = [];
+    assert.deepEqual(await userLinkService.resendCode('33600000073', 'fr'), { success: true });
+    const secondCode = mails[0].text.match(/\b\d{6}\b/)[0];
+
+    if (secondCode !== firstCode) {
+      assert.equal(userLinkService.verify('33600000073', firstCode).status, 'invalid');
+    }
+    assert.equal(userLinkService.verify('33600000073', secondCode).status, 'linked');
+  });
+
+  it('ne renvoie pas de code sans vérification en cours', async () => {
+    assert.deepEqual(await userLinkService.resendCode('33600000074', 'fr'), { success: false });
+  });
+
+  it('supprime une liaison', async () => {
+    const code = await startVerification('33600000075');
+    userLinkService.verify('33600000075', code);
+
+    assert.equal(userLinkService.unlink('33600000075'), true);
+    assert.equal(userLinkService.isLinked('33600000075'), false);
+    assert.equal(userLinkService.unlink('33600000075'), false);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const webhookSecurityService = require('../services/webhookSecurityService');
+
+const SECRET = 'secret-de-test';
+const BODY = Buffer.from(JSON.stringify({ object: 'whatsapp_business_account', entry: [] }));
+
+/**
+ * Requête et réponse Express minimales pour le middleware
+ */
+function fakeExchange(rawBody, signature) {
+  const req = {
+    rawBody,
+    ip: '127.0.0.1',
+    get: (header) => (header === 'X-Hub-Signature-256' ? signature : undefined)
+  };
+  const res = {
+    status: null,
+    sendStatus(code) {
+      this.status = code;
+      return this;
+    }
+  };
+  return { req, res };
+}
+
+describe('webhookSecurityService.verifySignature', () => {
+  it('accepte une signature calculée avec le secret', () => {
+    const signature = webhookSecurityService.computeSignature(BODY, SECRET);
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.deepEqual(webhookSecurityService.verifySignature(BODY, signature, SECRET), { valid: true, reason: null });
+  });
+
+  it('rejette une signature calculée avec un autre secret', () => {
+    const signature = webhookSecurityService.computeSignature(BODY, 'autre-secret');
+    assert.equal(webhookSecurityService.verifySignature(BODY, signature, SECRET).reason, 'invalid_signature');
+  });
+
+  it('rejette un corps modifié après signature', () => {
+    const signature = webhookSecurityService.computeSignature(BODY, SECRET);
+    const tampered = Buffer.from(BODY.toString().replace('[]', '[{}]'));
+    assert.equal(webhookSecurityService.verifySignature(tampered, signature, SECRET).reason, 'invalid_signature');
+  });
+
+  it('rejette une signature de longueur différente sans lever d\'exception', () => {
+    assert.equal(webhookSecurityService.verifySignature(BODY, 'sha256=abc', SECRET).reason, 'invalid_signature');
+  });
+
+  it('indique la raison du rejet lorsque le secret, la signature ou le corps manque', () => {
+    const signature = webhookSecurityService.computeSignature(BODY, SECRET);
+    assert.equal(webhookSecurityService.verifySignature(BODY, signature, '').reason, 'missing_secret');
+    assert.equal(webhookSecurityService.verifySignature(BODY, undefined, SECRET).reason, 'missing_signature');
+    assert.equal(webhookSecurityService.verifySignature(undefined, signature, SECRET).reason, 'missing_body');
+  });
+});
+
+describe('webhookSecurityService.verifyRequest', () => {
+  it('laisse passer une requête signée et rejette les autres avec 401', (t) => {
+    t.after(() => {
+      delete process.env.WHATSAPP_APP_SECRET;
+    });
+    process.env.WHATSAPP_APP_SECRET = SECRET;
+    const before = webhookSecurityService.getStats();
+
+    const signed = fakeExchange(BODY, webhookSecurityService.computeSignature(BODY, SECRET));
+    let nextCalled = false;
+    webhookSecurityService.verifyRequest(signed.req, signed.res, () => {
+      nextCalled = true;
+    });
+    assert.equal(nextCalled, true);
+    assert.equal(signed.res.status, null);
+
+    const unsigned = fakeExchange(BODY, undefined);
+    webhookSecurityService.verifyRequest(unsigned.req, unsigned.res, () => assert.fail('next ne doit pas être appelé'));
+    assert.equal(unsigned.res.status, 401);
+
+    const after = webhookSecurityService.getStats();
+    assert.equal(after.accepted, before.accepted + 1);
+    assert.equal(after.rejected, before.rejected + 1);
+    assert.equal(after.rejectedByReason.missing_signature, (before.rejectedByReason.missing_signature || 0) + 1);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupEnv } = require('./helpers');
+
+setupEnv({ WHATSAPP_PHONE_NUMBER_ID: '123', WHATSAPP_TOKEN: 'jeton' });
+
+const axios = require('axios');
+const i18nService = require('../services/i18nService');
+const whatsappService = require('../services/whatsappService');
+const { flushAll } = require('../services/dataFiles');
+
+// Messages envoyés à l'API WhatsApp ; les listes sont refusées si rejectLists est vrai
+let payloads = [];
+let rejectLists = false;
+
+axios.post = async (url, payload) => {
+  payloads.push(payload);
+  if (rejectLists && payload.type === 'interactive') {
+    const error = new Error('Request failed with status code 400');
+    error.response = { status: 400, data: { error: { code: 100 } } };
+    throw error;
+  }
+  return { data: { messages: [{ id: `wamid.${payloads.length}` }] } };
+};
+
+const USER = '33600000110';
+
+const items = [
+  { id: 'pick_1', title: 'Imprimante', description: 'Bâtiment A' },
+  { id: 'pick_2', title: 'Écran' }
+];
+
+describe('whatsappService.sendListMessage', () => {
+  after(() => flushAll());
+
+  beforeEach(() => {
+    payloads = [];
+    rejectLists = false;
+    i18nService.setUserLanguage(USER, null, 'en');
+  });
+
+  it('présente la liste dans la langue du destinataire', async () => {
+    await whatsappService.sendListMessage(USER, 'Header', 'Body', null, items);
+
+    const { interactive } = payloads[0];
+    assert.equal(interactive.action.sections[0].title, i18nService.t('en', 'common.listSection'));
+    assert.equal(interactive.action.button, i18nService.t('en', 'common.listButton'));
+    assert.equal(interactive.footer.text, i18nService.t('en', 'common.listFooter'));
+    assert.deepEqual(interactive.action.sections[0].rows.map(row => row.id), ['pick_1', 'pick_2']);
+  });
+
+  it('garde le texte du bouton fourni', async () => {
+    await whatsappService.sendListMessage(USER, 'Header', 'Body', 'Pick', items);
+
+    assert.equal(payloads[0].interactive.action.button, 'Pick');
+  });
+
+  it('remplace une liste refusée par un message texte dans la langue du destinataire', async () => {
+    rejectLists = true;
+
+    assert.deepEqual(await whatsappService.sendListMessage(USER, 'Header', 'Body', null, items), { success: true, fallback: true });
+
+    assert.equal(payloads[1].type, 'text');
+    assert.equal(
+        payloads[1].text.body,
+        `Body\n\n${i18nService.t('en', 'common.listFallback')}\n- Imprimante: Bâtiment A\n- Écran\n`
+    );
+  });
+});